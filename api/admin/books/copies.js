@@ -0,0 +1,76 @@
+// api/admin/books/copies.js - 增减图书副本接口（馆员、管理员）
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { adjustCopies, formatBook } = require('../../../lib/catalog');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    // delta 为正数时增加副本，负数时减少在架副本
+    const { id: bookId, delta } = req.body || {};
+
+    if (!bookId) {
+      return res.status(400).json({
+        success: false,
+        error: '图书ID不能为空'
+      });
+    }
+
+    console.log(`📚 调整副本: ${bookId}, ${delta}, 操作人 ${operator.openid}`);
+
+    const { book, assignedHolds } = await adjustCopies(bookId, delta, operator);
+
+    console.log(`✅ 副本已调整: 共 ${book.totalCopies} 册，在架 ${book.availableCopies} 册，分配预约 ${assignedHolds} 条`);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatBook(book),
+        assignedHolds
+      },
+      message: '副本数量已更新',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 调整副本失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '调整副本');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
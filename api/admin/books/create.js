@@ -0,0 +1,63 @@
+// api/admin/books/create.js - 新增图书接口（馆员、管理员）
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { createBook, formatBook } = require('../../../lib/catalog');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    console.log(`📕 新增图书: ${(req.body || {}).title}, 操作人 ${operator.openid}`);
+
+    const book = await createBook(req.body, operator);
+
+    console.log(`✅ 图书已新增: ${book._id}`);
+
+    return res.status(201).json({
+      success: true,
+      data: formatBook(book),
+      message: '图书已新增',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 新增图书失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '新增图书');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
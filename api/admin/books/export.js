@@ -0,0 +1,74 @@
+// api/admin/books/export.js - 馆藏导出接口（馆员、管理员），筛选条件与图书搜索相同
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { buildSearchFilter } = require('../../../lib/bookSearch');
+const { EXPORT_FORMATS, streamCatalogExport } = require('../../../lib/catalogExport');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持GET请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    const { format = 'csv' } = req.query;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        error: `不支持的导出格式，可选: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const filter = buildSearchFilter(req.query);
+
+    console.log(`📤 馆藏导出: format=${format}, 操作人 ${operator.openid}, 条件`, JSON.stringify(filter));
+
+    await streamCatalogExport(res, { filter, format });
+
+    console.log('✅ 馆藏导出完成');
+
+  } catch (error) {
+    // 已开始输出文件时无法再返回 JSON，只能中断响应
+    if (res.headersSent) {
+      console.error('❌ 馆藏导出中断:', error.code || error.message);
+      if (!res.destroyed) res.destroy(error);
+      return;
+    }
+
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 馆藏导出失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '馆藏导出');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
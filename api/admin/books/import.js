@@ -0,0 +1,91 @@
+// api/admin/books/import.js - 馆藏批量导入接口（馆员、管理员），默认只返回差异报告
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { importCatalog } = require('../../../lib/catalogImport');
+
+/**
+ * 读取上传内容：
+ * - application/octet-stream（二进制 MARC）为 Buffer，text/plain（CSV、MARCXML）为字符串
+ * - JSON 请求体可以是 { format, content, encoding: 'base64' } 信封，也可以直接是 books.json 内容
+ */
+function readUpload(body) {
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    return { content: body };
+  }
+  if (body && typeof body.content === 'string') {
+    const content = body.encoding === 'base64' ? Buffer.from(body.content, 'base64') : body.content;
+    return { content, format: body.format, commit: body.commit };
+  }
+  return { content: body };
+}
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    const upload = readUpload(req.body);
+    if (!upload.content || (typeof upload.content !== 'object' && !String(upload.content).trim())) {
+      return res.status(400).json({
+        success: false,
+        error: '导入内容不能为空'
+      });
+    }
+
+    const format = req.query.format || upload.format;
+    // 只有显式 commit=true 才写入数据库
+    const dryRun = !(req.query.commit === 'true' || upload.commit === true);
+
+    console.log(`📥 馆藏导入: format=${format || 'auto'}, dryRun=${dryRun}, 操作人 ${operator.openid}`);
+
+    const report = await importCatalog(upload.content, { format, dryRun, operator });
+
+    console.log(`✅ 导入${dryRun ? '预览' : '完成'}:`, report.summary);
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+      message: dryRun ? '预览完成，确认后使用 commit=true 写入' : `已新增 ${report.inserted} 本，更新 ${report.updated} 本`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 馆藏导入失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '馆藏导入');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,72 @@
+// api/admin/books/update.js - 修改图书信息接口（馆员、管理员）
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { updateBook, formatBook } = require('../../../lib/catalog');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'PUT') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持PUT请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    // 图书ID可放在查询参数或请求体中，其余字段为需要修改的内容
+    const { id: bodyId, ...fields } = req.body || {};
+    const bookId = req.query.id || bodyId;
+
+    if (!bookId) {
+      return res.status(400).json({
+        success: false,
+        error: '图书ID不能为空'
+      });
+    }
+
+    console.log(`✏️ 修改图书: ${bookId}, 字段 ${Object.keys(fields).join(',')}, 操作人 ${operator.openid}`);
+
+    const book = await updateBook(bookId, fields, operator);
+
+    return res.status(200).json({
+      success: true,
+      data: formatBook(book),
+      message: '图书信息已更新',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 修改图书失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '修改图书');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,75 @@
+// api/admin/books/withdraw.js - 下架图书接口（馆员、管理员）
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { withdrawBook, formatBook } = require('../../../lib/catalog');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    const { id: bookId, reason = '' } = req.body || {};
+
+    if (!bookId) {
+      return res.status(400).json({
+        success: false,
+        error: '图书ID不能为空'
+      });
+    }
+
+    console.log(`📦 下架图书: ${bookId}, 操作人 ${operator.openid}`);
+
+    const { book, cancelledHolds } = await withdrawBook(bookId, { reason }, operator);
+
+    console.log(`✅ 图书已下架: ${book.title}，取消预约 ${cancelledHolds} 条`);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...formatBook(book),
+        cancelledHolds
+      },
+      message: '图书已下架',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 下架图书失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '下架图书');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
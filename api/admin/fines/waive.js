@@ -0,0 +1,68 @@
+// api/admin/fines/waive.js - 减免读者罚款接口（馆员、管理员）
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { waiveFine, formatLedgerEntry } = require('../../../lib/fines');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    // 目标读者按 openid 或学号指定；amount 单位为元，缺省时减免全部欠款
+    const { openid, studentId, amount, note } = req.body || {};
+
+    console.log(`🧾 减免罚款: ${openid || studentId}, amount=${amount ?? '全部'}, 操作人 ${operator.openid}`);
+
+    const entry = await waiveFine(
+      { openid: openid || undefined, studentId: studentId || undefined },
+      { amount, note, operator: operator.openid }
+    );
+
+    console.log(`✅ 减免完成: ${entry._id}`);
+
+    return res.status(201).json({
+      success: true,
+      data: formatLedgerEntry(entry),
+      message: '罚款已减免',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 减免罚款失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '减免罚款');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,60 @@
+// api/admin/search/report.js - 检索统计报表接口（馆员、管理员）：热门检索词、零结果检索词、点击率、荐购清单
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { CATALOG_ROLES, requireRole } = require('../../../lib/auth');
+const { getSearchReport } = require('../../../lib/searchLogs');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持GET请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, CATALOG_ROLES);
+
+    console.log(`📈 检索统计: type=${req.query.type || 'top'}, 操作人 ${operator.openid}`);
+
+    const report = await getSearchReport(req.query);
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 检索统计失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '检索统计');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
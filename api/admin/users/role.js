@@ -0,0 +1,62 @@
+// api/admin/users/role.js - 分配用户角色接口（仅管理员）
+const { handleDatabaseError } = require('../../../lib/database');
+const { RequestError } = require('../../../lib/users');
+const { requireRole, setUserRole, formatUser } = require('../../../lib/auth');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const { user: operator } = await requireRole(req, ['admin']);
+
+    const { userId, openid, role } = req.body || {};
+
+    console.log(`🛡️ 分配角色: ${userId || openid} -> ${role}, 操作人 ${operator.openid}`);
+
+    const user = await setUserRole({ userId, openid }, role, operator);
+
+    return res.status(200).json({
+      success: true,
+      data: formatUser(user),
+      message: '角色已更新',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 分配角色失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '分配角色');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
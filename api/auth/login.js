@@ -0,0 +1,69 @@
+// api/auth/login.js - 微信小程序登录接口
+const { handleDatabaseError } = require('../../lib/database');
+const { RequestError } = require('../../lib/users');
+const { TOKEN_TTL_SECONDS, loginWithCode } = require('../../lib/auth');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    // code 来自小程序端 wx.login，userInfo 可选（昵称、头像）
+    const { code, userInfo = {} } = req.body || {};
+
+    console.log('🔑 微信登录请求');
+
+    const { token, expiresAt, user, isNewUser } = await loginWithCode(code, userInfo);
+
+    console.log(`✅ 登录成功: ${user.id}${isNewUser ? '（新用户）' : ''}`);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        token,
+        tokenType: 'Bearer',
+        expiresIn: TOKEN_TTL_SECONDS,
+        expiresAt,
+        user,
+        isNewUser
+      },
+      message: '登录成功',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 登录失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '微信登录');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -1,5 +1,7 @@
 // vercel-library-api/api/books/[id].js
 import { connectToDatabase, ObjectId } from '../../lib/database.js';
+import { countWaitingHolds } from '../../lib/holds.js';
+import { recordSearchClick } from '../../lib/searchLogs.js';
 
 /**
  * 图书详情API
@@ -72,6 +74,14 @@ export default async function handler(req, res) {
     
     console.log(`✅ 找到图书: ${book.title}`);
     
+    // 从检索结果打开时（带检索接口返回的 searchId）计入该次检索的点击
+    if (req.query.searchId) {
+      await recordSearchClick(req.query.searchId, book._id.toString());
+    }
+    
+    // 预约排队人数（无可借副本时读者可预约）
+    const holdQueueLength = await countWaitingHolds(book._id.toString());
+    
     // 格式化图书数据
     const bookDetail = {
       id: book._id,
@@ -86,6 +96,8 @@ export default async function handler(req, res) {
       totalCopies: book.totalCopies,
       availableCopies: book.availableCopies,
       borrowCount: book.borrowCount,
+      holdQueueLength,
+      canPlaceHold: book.status !== 'withdrawn' && !(book.availableCopies > 0),
       rating: book.rating,
       tags: book.tags || [],
       description: book.description || '',
@@ -42,6 +42,7 @@ module.exports = async function handler(req, res) {
     // 从books集合中聚合分类数据
     const categoriesResult = await booksCollection
       .aggregate([
+        { $match: { status: { $ne: 'withdrawn' } } },
         {
           $group: {
             _id: "$category",
@@ -1,5 +1,14 @@
 // api/books/hot.js - 获取热门图书接口
 const { getCollection, handleDatabaseError, cacheManager } = require('../../lib/database');
+const { RequestError } = require('../../lib/users');
+const { parsePagination, decodeCursor, buildCursorFilter, buildCursorPage } = require('../../lib/pagination');
+const { resolveScript, convertFields } = require('../../lib/chinese');
+
+// 热门排序：借阅次数、评分、上架时间，_id 保证顺序稳定
+const HOT_SORT = { borrowCount: -1, rating: -1, createdAt: -1, _id: 1 };
+
+// 按客户端偏好字形输出时转换的字段（缓存中保存馆藏原文）
+const SCRIPT_FIELDS = ['title', 'author', 'category', 'subcategory', 'description', 'publisher', 'tags'];
 
 module.exports = async function handler(req, res) {
   try {
@@ -19,21 +28,27 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    // 获取查询参数
-    const { limit = 10, category } = req.query;
-    const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
+    // 获取查询参数（传 cursor 时使用游标分页，第一页传空字符串）
+    const { category } = req.query;
+    const pagination = parsePagination(req.query, { defaultLimit: 10 });
+    const limitNum = pagination.limit;
+    const isCursorMode = pagination.mode === 'cursor';
+    const cursorScope = { category: category || 'all' };
+    const cursorValues = pagination.cursor ? decodeCursor(pagination.cursor, HOT_SORT, cursorScope) : null;
+    const script = resolveScript(req);
+    const localize = books => books.map(book => convertFields(book, SCRIPT_FIELDS, script));
 
     console.log(`🔥 开始获取热门图书数据，限制 ${limitNum} 本...`);
 
-    // 检查缓存
+    // 检查缓存（游标分页不缓存）
     const cacheKey = `hot_books_${category || 'all'}_${limitNum}`;
-    const cachedData = cacheManager.get(cacheKey);
+    const cachedData = isCursorMode ? null : cacheManager.get(cacheKey);
     
     if (cachedData) {
       console.log('✅ 从缓存获取热门图书数据');
       return res.status(200).json({
         success: true,
-        data: cachedData,
+        data: localize(cachedData),
         total: cachedData.length,
         cached: true,
         timestamp: new Date().toISOString()
@@ -44,17 +59,20 @@ module.exports = async function handler(req, res) {
     const booksCollection = await getCollection('books');
 
     // 构建查询条件
-    let query = {};
+    let query = { status: { $ne: 'withdrawn' } };
     if (category && category !== 'all') {
       query.category = category;
     }
 
     // 获取热门图书（按借阅次数和评分排序）
-    const hotBooks = await booksCollection
-      .find(query)
-      .sort({ borrowCount: -1, rating: -1, createdAt: -1 })
-      .limit(limitNum)
+    const pageQuery = cursorValues ? { $and: [query, buildCursorFilter(HOT_SORT, cursorValues)] } : query;
+    const found = await booksCollection
+      .find(pageQuery)
+      .sort(HOT_SORT)
+      .limit(isCursorMode ? limitNum + 1 : limitNum)
       .toArray();
+    const cursorPage = isCursorMode ? buildCursorPage(found, { limit: limitNum, sort: HOT_SORT, scope: cursorScope }) : null;
+    const hotBooks = isCursorMode ? cursorPage.items : found;
 
     console.log(`📚 查询到 ${hotBooks.length} 本热门图书`);
 
@@ -104,6 +122,25 @@ module.exports = async function handler(req, res) {
       }
     });
 
+    // 游标分页：第一页附带总数，之后的页只返回下一页游标
+    if (isCursorMode) {
+      const total = pagination.cursor ? null : await booksCollection.countDocuments(query);
+      return res.status(200).json({
+        success: true,
+        data: localize(processedBooks),
+        total,
+        pagination: {
+          mode: 'cursor',
+          limit: limitNum,
+          hasNext: cursorPage.hasNext,
+          nextCursor: cursorPage.nextCursor
+        },
+        cached: false,
+        query: { limit: limitNum, category },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // 如果没有数据，返回默认示例数据
     if (processedBooks.length === 0) {
       const mockBooks = [
@@ -208,7 +245,7 @@ module.exports = async function handler(req, res) {
 
       return res.status(200).json({
         success: true,
-        data: filteredMockBooks,
+        data: localize(filteredMockBooks),
         total: filteredMockBooks.length,
         message: '暂无真实数据，返回示例热门图书',
         query: { limit: limitNum, category },
@@ -223,7 +260,7 @@ module.exports = async function handler(req, res) {
 
     return res.status(200).json({
       success: true,
-      data: processedBooks,
+      data: localize(processedBooks),
       total: processedBooks.length,
       cached: false,
       query: { limit: limitNum, category },
@@ -231,6 +268,15 @@ module.exports = async function handler(req, res) {
     });
 
   } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.error('❌ 获取热门图书失败:', error);
     
     const errorResponse = handleDatabaseError(error, '获取热门图书');
@@ -1,9 +1,10 @@
 // vercel-library-api/api/books/related.js
-import { connectToDatabase, ObjectId } from '../../lib/database.js';
+import { RequestError } from '../../lib/users.js';
+import { getRelatedBooks } from '../../lib/recommendations.js';
 
 /**
  * 相关图书推荐API
- * 根据图书ID和分类推荐相关图书
+ * 根据借阅记录推荐“借过这本书的读者还借过”的图书，不足时按分类和热度补足
  */
 export default async function handler(req, res) {
   // 设置CORS头
@@ -23,13 +24,11 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { db } = await connectToDatabase();
-    const collection = db.collection('books');
-    
     // 解析查询参数
     const {
       bookId,
       category = '',
+      strategy = 'auto',        // 推荐策略: auto, coborrow, category
       limit = 8
     } = req.query;
     
@@ -40,55 +39,19 @@ export default async function handler(req, res) {
       });
     }
     
-    console.log(`🔗 获取相关推荐: bookId=${bookId}, category=${category}, limit=${limit}`);
-    
-    // 构建查询条件
-    const query = {
-      _id: { $ne: bookId }, // 排除当前图书
-      status: 'available'   // 只推荐可借的图书
-    };
+    const limitNum = Math.min(20, Math.max(1, parseInt(limit) || 8));
     
-    // 如果指定了分类，优先推荐同分类图书
-    if (category && category.trim()) {
-      query.category = category.trim();
-    }
+    console.log(`🔗 获取相关推荐: bookId=${bookId}, strategy=${strategy}, category=${category}, limit=${limitNum}`);
     
-    // 执行查询，按借阅量和评分排序
-    const relatedBooks = await collection
-      .find(query)
-      .sort({
-        borrowCount: -1,  // 优先推荐热门图书
-        rating: -1,       // 其次按评分
-        createdAt: -1     // 最后按创建时间
-      })
-      .limit(Math.min(20, parseInt(limit)))
-      .toArray();
-    
-    // 如果同分类图书不够，补充其他分类的图书
-    if (relatedBooks.length < parseInt(limit)) {
-      const remainingLimit = parseInt(limit) - relatedBooks.length;
-      const existingIds = relatedBooks.map(book => book._id);
-      existingIds.push(bookId); // 也要排除原始图书
-      
-      const additionalBooks = await collection
-        .find({
-          _id: { $nin: existingIds },
-          status: 'available',
-          ...(category ? { category: { $ne: category } } : {}) // 排除已搜索的分类
-        })
-        .sort({
-          borrowCount: -1,
-          rating: -1,
-          createdAt: -1
-        })
-        .limit(remainingLimit)
-        .toArray();
-      
-      relatedBooks.push(...additionalBooks);
-    }
+    // 同借推荐由定时任务预先计算；没有借阅数据的新书、冷门书按分类和热度补足
+    const related = await getRelatedBooks(bookId, {
+      strategy,
+      limit: limitNum,
+      category: category.trim()
+    });
     
     // 格式化结果数据
-    const books = relatedBooks.map(book => ({
+    const books = related.items.map(({ book, source, score, coReaders }) => ({
       id: book._id,
       title: book.title,
       author: book.author,
@@ -97,7 +60,10 @@ export default async function handler(req, res) {
       status: book.status,
       borrowCount: book.borrowCount,
       rating: book.rating,
-      coverImage: book.coverImage || ''
+      coverImage: book.coverImage || '',
+      source,
+      score: score ?? null,
+      coReaders: coReaders ?? null
     }));
     
     console.log(`✅ 找到 ${books.length} 本相关图书`);
@@ -110,13 +76,24 @@ export default async function handler(req, res) {
       query: {
         bookId,
         category: category || '',
-        limit: parseInt(limit)
+        strategy,
+        limit: limitNum
       },
       cached: false,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.error('❌ 获取相关推荐失败:', error);
     
     res.status(500).json({
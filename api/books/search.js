@@ -1,15 +1,37 @@
 // vercel-library-api/api/books/search.js
 import { connectToDatabase, ObjectId } from '../../lib/database.js';
+import { RequestError } from '../../lib/users.js';
+import { parsePagination, decodeCursor, buildCursorFilter, buildCursorPage } from '../../lib/pagination.js';
+import {
+  parseMultiValue,
+  compileSearchQuery,
+  buildSearchFilter,
+  buildRelevanceStages,
+  buildFacetPipelines,
+  formatFacets
+} from '../../lib/bookSearch.js';
+import { resolveScript, convertFields, toScript } from '../../lib/chinese.js';
+import { expandSynonyms } from '../../lib/synonyms.js';
+import { suggestCorrections } from '../../lib/spelling.js';
+import { parseHighlightOptions, highlightFields } from '../../lib/highlight.js';
+import { logSearch } from '../../lib/searchLogs.js';
+import { getAllBooks, searchBooks } from '../../lib/books.js';
+
+// script=cn/hk/tw（或 Accept-Language）指定输出字形时需要转换的字段
+const SCRIPT_FIELDS = ['title', 'author', 'publisher', 'category', 'subject', 'tags'];
+
+// 结果少于该数量时给出纠错建议
+const LOW_RESULT_THRESHOLD = 3;
 
 /**
  * 图书搜索API
- * 支持关键词搜索、分页、排序、筛选
+ * 支持关键词搜索、分页、排序、筛选；关键词不区分繁简，结果可按客户端偏好的字形输出
  */
 export default async function handler(req, res) {
   // 设置CORS头
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -23,6 +45,12 @@ export default async function handler(req, res) {
   }
 
   try {
+    // 没有数据库的离线、演示部署：检索 data/books.json（lib/books.js 的内存倒排索引）
+    if (process.env.CATALOG_SOURCE === 'json') {
+      return res.status(200).json(await searchJsonCatalog(req));
+    }
+
+    const startedAt = Date.now();
     const { db } = await connectToDatabase();
     const collection = db.collection('books');
     
@@ -32,59 +60,39 @@ export default async function handler(req, res) {
       page = 1,                  // 页码
       limit = 20,                // 每页数量
       sortBy = 'relevance',      // 排序方式: relevance, borrowCount, title, author, publishDate
-      category = '',             // 分类筛选
+      category = '',             // 分类筛选（以下筛选均可多选，逗号分隔）
       language = '',             // 语言筛选
       status = '',               // 状态筛选: available, borrowed
       author = '',               // 作者筛选
-      publisher = ''             // 出版社筛选
+      publisher = '',            // 出版社筛选
+      decade = ''                // 出版年代筛选: 1990 表示1990-1999年
     } = req.query;
 
     console.log('🔍 搜索请求参数:', {
-      keyword, page, limit, sortBy, category, language, status, author, publisher
+      keyword, page, limit, sortBy, category, language, status, author, publisher, decade
     });
 
-    // 构建搜索查询
-    const searchQuery = {};
+    // q 支持高级检索语法（如 author:鲁迅 year:1920..1936 -publisher:人民），其中的普通检索词参与相关度评分
+    const compiledQuery = compileSearchQuery(typeof keyword === 'string' ? keyword : '');
+    const textKeyword = compiledQuery.keyword;
+    const hasKeyword = textKeyword !== '';
+    const withSynonyms = req.query.synonyms !== 'false';
+    const expansion = hasKeyword && withSynonyms ? expandSynonyms(textKeyword) : { alternatives: [], expandedTerms: [] };
+    const expandedTerms = expansion.expandedTerms;
+    const script = resolveScript(req);
+
+    // 高亮（highlight=true）：不限定字段的检索词及其同义词用于所有字段，字段限定的词只用于对应字段
+    const highlightOptions = parseHighlightOptions(req.query);
+    const queryTerms = compiledQuery.terms;
+    const anyFieldTerms = [...queryTerms.text, ...expansion.alternatives];
+    const highlightTerms = {
+      title: [...anyFieldTerms, ...(queryTerms.title || [])],
+      author: [...anyFieldTerms, ...(queryTerms.author || [])],
+      subject: [...anyFieldTerms, ...(queryTerms.subject || []), ...(queryTerms.tag || [])],
+      description: anyFieldTerms
+    };
     const sortOptions = {};
     
-    // 关键词搜索
-    if (keyword && keyword.trim()) {
-      const keywordRegex = new RegExp(keyword.trim(), 'i');
-      searchQuery.$or = [
-        { title: keywordRegex },
-        { author: keywordRegex },
-        { publisher: keywordRegex },
-        { subject: keywordRegex },
-        { callno: keywordRegex },
-        { acno: keywordRegex }
-      ];
-    }
-    
-    // 分类筛选
-    if (category && category.trim()) {
-      searchQuery.category = category.trim();
-    }
-    
-    // 语言筛选  
-    if (language && language.trim()) {
-      searchQuery.language = language.trim();
-    }
-    
-    // 状态筛选
-    if (status && status.trim()) {
-      searchQuery.status = status.trim();
-    }
-    
-    // 作者筛选
-    if (author && author.trim()) {
-      searchQuery.author = new RegExp(author.trim(), 'i');
-    }
-    
-    // 出版社筛选
-    if (publisher && publisher.trim()) {
-      searchQuery.publisher = new RegExp(publisher.trim(), 'i');
-    }
-    
     // 排序选项
     switch (sortBy) {
       case 'borrowCount':
@@ -104,95 +112,203 @@ export default async function handler(req, res) {
         break;
       case 'relevance':
       default:
-        // 相关度排序：借阅量 + 标题匹配
-        if (keyword && keyword.trim()) {
+        // 相关度排序：文本得分 + 精确匹配加分，再按借阅热度加权；没有关键词时按借阅量
+        if (hasKeyword) {
+          sortOptions.score = -1;
           sortOptions.borrowCount = -1;
-          sortOptions.title = 1;
         } else {
           sortOptions.borrowCount = -1;
           sortOptions.createdAt = -1;
         }
         break;
     }
+    // 保证分页顺序稳定
+    sortOptions._id = 1;
+    
+    // 分页参数：传 cursor 时使用游标分页（第一页传空字符串），否则沿用 page/limit
+    const pagination = parsePagination(req.query);
+    const limitNum = pagination.limit;
+    const pageNum = pagination.page;
+    const isCursorMode = pagination.mode === 'cursor';
+    const isFirstPage = isCursorMode ? !pagination.cursor : pageNum === 1;
+    
+    // 游标只能用于生成它的查询条件和排序方式
+    const cursorScope = {
+      q: typeof keyword === 'string' ? keyword.trim() : '',
+      sortBy,
+      synonyms: withSynonyms,
+      filters: ['category', 'language', 'status', 'author', 'publisher', 'decade']
+        .map(name => parseMultiValue(req.query[name]).join(','))
+    };
+    const cursorValues = pagination.cursor ? decodeCursor(pagination.cursor, sortOptions, cursorScope) : null;
+    
+    // 分面统计（facets=false 时只返回结果）；游标分页时总数和分面只在第一页统计
+    const withFacets = req.query.facets !== 'false' && (!isCursorMode || isFirstPage);
+    const withTotal = !isCursorMode || isFirstPage;
+    
+    // 执行搜索：一次 $facet 聚合同时得到当前页、总数和分面统计（与导出接口共用筛选条件）
+    const runSearch = async (textIndex) => {
+      const searchQuery = buildSearchFilter(req.query, { textIndex });
+      console.log('📊 MongoDB查询:', JSON.stringify(searchQuery, null, 2));
+      console.log('📋 排序选项:', sortOptions);
+
+      const pageStages = isCursorMode
+        ? [
+          ...(cursorValues ? [{ $match: buildCursorFilter(sortOptions, cursorValues) }] : []),
+          { $sort: sortOptions },
+          { $limit: limitNum + 1 }
+        ]
+        : [
+          { $sort: sortOptions },
+          { $skip: (pageNum - 1) * limitNum },
+          { $limit: limitNum }
+        ];
+
+      const [result] = await collection.aggregate([
+        { $match: searchQuery },
+        ...(hasKeyword ? buildRelevanceStages(textKeyword, { textIndex }) : []),
+        {
+          $facet: {
+            results: [...pageStages, { $project: { searchIndex: 0 } }],
+            ...(withTotal ? { total: [{ $count: 'count' }] } : {}),
+            ...(withFacets ? buildFacetPipelines() : {})
+          }
+        }
+      ]).toArray();
+      return result;
+    };
+
+    let searchResult;
+    try {
+      searchResult = await runSearch(true);
+    } catch (error) {
+      // 文本索引尚未建立（未运行 npm run search:reindex）时退回正则匹配
+      if (!hasKeyword || error.code !== 27) throw error;
+      console.warn('⚠️ 缺少图书文本索引，改用正则匹配:', error.message);
+      searchResult = await runSearch(false);
+    }
+    const totalCount = withTotal
+      ? (searchResult.total.length > 0 ? searchResult.total[0].count : 0)
+      : null;
+    const cursorPage = isCursorMode
+      ? buildCursorPage(searchResult.results, { limit: limitNum, sort: sortOptions, scope: cursorScope })
+      : null;
+    const results = isCursorMode ? cursorPage.items : searchResult.results;
     
-    console.log('📊 MongoDB查询:', JSON.stringify(searchQuery, null, 2));
-    console.log('📋 排序选项:', sortOptions);
+    // 没有结果或结果很少时给出纠错建议（按同音字和编辑距离，从题名、作者中查找）
+    const suggestions = hasKeyword && withTotal && totalCount < LOW_RESULT_THRESHOLD
+      ? (await suggestCorrections(textKeyword)).map(item => convertFields(item, ['text'], script))
+      : [];
     
-    // 计算分页参数
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(50, Math.max(1, parseInt(limit))); // 限制最大50条
-    const skip = (pageNum - 1) * limitNum;
+    const filters = {
+      category: parseMultiValue(category).join(','),
+      language: parseMultiValue(language).join(','),
+      status: parseMultiValue(status).join(','),
+      author: parseMultiValue(author).join(','),
+      publisher: parseMultiValue(publisher).join(','),
+      decade: parseMultiValue(decade).join(',')
+    };
     
-    // 执行搜索
-    const [results, totalCount] = await Promise.all([
-      collection
-        .find(searchQuery)
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum)
-        .toArray(),
-      collection.countDocuments(searchQuery)
-    ]);
+    // 检索日志（热门检索词、零结果、点击率统计）；翻页时客户端回传 searchId，与第一页归为同一次检索
+    const searchId = await logSearch(req, {
+      source: 'search',
+      query: typeof keyword === 'string' ? keyword : '',
+      keyword: textKeyword,
+      filters,
+      sortBy,
+      resultCount: totalCount,
+      firstPage: isFirstPage,
+      searchId: req.query.searchId,
+      corrected: suggestions.length > 0,
+      latencyMs: Date.now() - startedAt
+    });
     
     // 处理结果数据
-    const books = results.map(book => ({
-      id: book._id,
-      acno: book.acno,
-      title: book.title,
-      author: book.author,
-      publisher: book.publisher,
-      category: book.category,
-      subject: book.subject,
-      language: book.language,
-      status: book.status,
-      totalCopies: book.totalCopies,
-      availableCopies: book.availableCopies,
-      borrowCount: book.borrowCount,
-      rating: book.rating,
-      tags: book.tags || [],
-      coverImage: book.coverImage,
-      callno: book.callno,
-      createdAt: book.createdAt,
-      updatedAt: book.updatedAt
-    }));
+    const books = results.map(book => {
+      const item = convertFields({
+        id: book._id,
+        acno: book.acno,
+        title: book.title,
+        author: book.author,
+        publisher: book.publisher,
+        category: book.category,
+        subject: book.subject,
+        language: book.language,
+        status: book.status,
+        totalCopies: book.totalCopies,
+        availableCopies: book.availableCopies,
+        borrowCount: book.borrowCount,
+        rating: book.rating,
+        tags: book.tags || [],
+        coverImage: book.coverImage,
+        callno: book.callno,
+        score: book.score !== undefined ? Math.round(book.score * 1000) / 1000 : null,
+        createdAt: book.createdAt,
+        updatedAt: book.updatedAt
+      }, SCRIPT_FIELDS, script);
+      if (highlightOptions) {
+        // 在转换为客户端字形后的文本上标记，检索词按简体比较，繁简写法都能命中
+        const description = toScript(book.description || '', script);
+        item.highlight = highlightFields({ ...item, description }, highlightTerms, highlightOptions);
+      }
+      return item;
+    });
     
-    // 计算分页信息
-    const totalPages = Math.ceil(totalCount / limitNum);
-    const hasNextPage = pageNum < totalPages;
-    const hasPrevPage = pageNum > 1;
+    console.log(`✅ 搜索完成: 找到 ${totalCount ?? '-'} 本图书，返回 ${books.length} 条记录`);
     
-    console.log(`✅ 搜索完成: 找到 ${totalCount} 本图书，返回第 ${pageNum} 页 ${books.length} 条记录`);
+    // 计算分页信息
+    let paginationInfo;
+    if (isCursorMode) {
+      paginationInfo = {
+        mode: 'cursor',
+        limit: limitNum,
+        hasNext: cursorPage.hasNext,
+        nextCursor: cursorPage.nextCursor
+      };
+    } else {
+      const totalPages = Math.ceil(totalCount / limitNum);
+      paginationInfo = {
+        current: pageNum,
+        total: totalPages,
+        limit: limitNum,
+        hasNext: pageNum < totalPages,
+        hasPrev: pageNum > 1
+      };
+    }
     
     // 返回结果
     res.status(200).json({
       success: true,
       data: books,
-      pagination: {
-        current: pageNum,
-        total: totalPages,
-        limit: limitNum,
-        hasNext: hasNextPage,
-        hasPrev: hasPrevPage
-      },
+      pagination: paginationInfo,
       total: totalCount,
+      facets: withFacets ? formatFacets(searchResult) : undefined,
+      suggestions,
+      expandedTerms,
+      searchId,
       query: {
         keyword: keyword || '',
         page: pageNum,
         limit: limitNum,
         sortBy,
-        filters: {
-          category: category || '',
-          language: language || '',
-          status: status || '',
-          author: author || '',
-          publisher: publisher || ''
-        }
+        script,
+        filters
       },
       cached: false,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.error('❌ 图书搜索失败:', error);
     
     res.status(500).json({
@@ -203,3 +319,67 @@ export default async function handler(req, res) {
     });
   }
 }
+
+/**
+ * JSON 馆藏检索（CATALOG_SOURCE=json）
+ * 只支持关键词（AND、OR、引号短语）、category 和 status 筛选及 page/limit 分页，结果按 BM25 相关度排序，没有关键词时按题名排序
+ */
+async function searchJsonCatalog(req) {
+  const { q: keyword = '', sortBy = 'relevance' } = req.query;
+  const text = typeof keyword === 'string' ? keyword.trim() : '';
+  const categories = parseMultiValue(req.query.category);
+  const statuses = parseMultiValue(req.query.status);
+  const { page: pageNum, limit: limitNum } = parsePagination({ ...req.query, cursor: undefined });
+  const script = resolveScript(req);
+
+  const candidates = text
+    ? await searchBooks(text)
+    : [...await getAllBooks()].sort((a, b) => String(a.title).localeCompare(String(b.title), 'zh'));
+  const matched = candidates.filter(book =>
+    (categories.length === 0 || categories.some(category => (book.category || []).includes(category))) &&
+    (statuses.length === 0 || statuses.includes(book.available ? 'available' : 'borrowed'))
+  );
+  const total = matched.length;
+  const totalPages = Math.ceil(total / limitNum);
+
+  const books = matched.slice((pageNum - 1) * limitNum, pageNum * limitNum).map(book => convertFields({
+    id: book.id,
+    title: book.title,
+    author: book.author,
+    publisher: book.publisher,
+    category: book.category,
+    status: book.available ? 'available' : 'borrowed',
+    tags: book.keywords || [],
+    coverImage: book.cover,
+    publishYear: book.year,
+    score: book.score !== undefined ? Math.round(book.score * 1000) / 1000 : null
+  }, SCRIPT_FIELDS, script));
+
+  console.log(`✅ JSON馆藏搜索完成: 找到 ${total} 本图书，返回 ${books.length} 条记录`);
+
+  return {
+    success: true,
+    data: books,
+    pagination: {
+      current: pageNum,
+      total: totalPages,
+      limit: limitNum,
+      hasNext: pageNum < totalPages,
+      hasPrev: pageNum > 1
+    },
+    total,
+    suggestions: [],
+    expandedTerms: [],
+    query: {
+      keyword: text,
+      page: pageNum,
+      limit: limitNum,
+      sortBy,
+      script,
+      filters: { category: categories.join(','), status: statuses.join(',') }
+    },
+    source: 'json',
+    cached: false,
+    timestamp: new Date().toISOString()
+  };
+}
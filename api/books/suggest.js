@@ -0,0 +1,62 @@
+// api/books/suggest.js - 搜索联想接口（输入题名、作者、主题的开头，或全拼、拼音首字母）
+const { handleDatabaseError } = require('../../lib/database');
+const { SUGGEST_TYPES, suggest } = require('../../lib/suggest');
+const { resolveScript, convertFields } = require('../../lib/chinese');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持GET请求'
+      });
+    }
+
+    const { q = '', limit = 10, type } = req.query;
+    const limitNum = Math.min(20, Math.max(1, parseInt(limit) || 10));
+
+    if (type && !SUGGEST_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type 可选: ${SUGGEST_TYPES.join(', ')}`
+      });
+    }
+
+    const keyword = typeof q === 'string' ? q.trim().slice(0, 50) : '';
+    const startedAt = Date.now();
+    const script = resolveScript(req);
+    const suggestions = (keyword ? await suggest(keyword, { limit: limitNum, type }) : [])
+      .map(item => convertFields(item, ['text'], script));
+
+    return res.status(200).json({
+      success: true,
+      data: suggestions,
+      total: suggestions.length,
+      query: { q: keyword, limit: limitNum, type: type || '', script },
+      took: Date.now() - startedAt,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ 获取搜索联想失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '获取搜索联想');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,84 @@
+// api/borrow/records.js - 获取借阅记录接口
+const { handleDatabaseError } = require('../../lib/database');
+const { authenticateRequest } = require('../../lib/auth');
+const { RequestError, listBorrowRecords, formatBorrowRecord } = require('../../lib/borrow');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持GET请求'
+      });
+    }
+
+    const identity = authenticateRequest(req);
+    const { status = '', page = 1, limit = 20 } = req.query;
+
+    // 状态筛选: borrowed, returned
+    if (status && !['borrowed', 'returned'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: '无效的状态筛选',
+        details: 'status只能为borrowed或returned'
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    console.log(`📋 获取借阅记录: ${identity.openid}, status=${status || 'all'}`);
+
+    const result = await listBorrowRecords(
+      identity,
+      { status, page: pageNum, limit: limitNum }
+    );
+
+    console.log(`✅ 找到 ${result.total} 条借阅记录`);
+
+    return res.status(200).json({
+      success: true,
+      data: result.data.map(formatBorrowRecord),
+      pagination: {
+        current: result.page,
+        total: result.totalPages,
+        limit: result.limit,
+        hasNext: result.hasMore,
+        hasPrev: result.page > 1
+      },
+      total: result.total,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 获取借阅记录失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '获取借阅记录');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,70 @@
+// api/borrow/return.js - 还书接口
+const { handleDatabaseError } = require('../../lib/database');
+const { authenticateRequest } = require('../../lib/auth');
+const { RequestError, returnBorrow, formatBorrowRecord } = require('../../lib/borrow');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const identity = authenticateRequest(req);
+    const { borrowId, bookId } = req.body || {};
+
+    console.log(`📗 还书请求: user=${identity.openid}, borrow=${borrowId || bookId}`);
+
+    // 幂等键：优先取请求头，其次取请求体
+    const idempotencyKey = req.headers['idempotency-key'] || (req.body || {}).idempotencyKey;
+
+    const { record, replayed } = await returnBorrow(
+      identity,
+      { borrowId, bookId },
+      { idempotencyKey }
+    );
+
+    console.log(`✅ 还书成功: ${record.bookTitle}`);
+
+    return res.status(200).json({
+      success: true,
+      data: formatBorrowRecord(record),
+      message: replayed ? '重复请求，返回首次还书结果' : '还书成功',
+      replayed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 还书失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '还书');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,75 @@
+// api/chat.js - 馆员对话接口（POST 发送消息，GET 获取会话记录）
+const { handleDatabaseError } = require('../lib/database');
+const { RequestError } = require('../lib/users');
+const { authenticateRequest } = require('../lib/auth');
+const { sendChatMessage, getChatSession } = require('../lib/chat');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持GET和POST请求'
+      });
+    }
+
+    // 用户身份来自登录令牌（Authorization: Bearer <token>），会话只能由创建者访问
+    const identity = authenticateRequest(req);
+
+    if (req.method === 'GET') {
+      const session = await getChatSession(identity, req.query.sessionId);
+      return res.status(200).json({
+        success: true,
+        data: session,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // confirmHold: true/false 确认或放弃上一轮回复中待确认的预约（也可以直接回复“确认”）
+    const { sessionId, message, confirmHold } = req.body || {};
+
+    console.log(`💬 对话消息: user=${identity.openid}, session=${sessionId || '新会话'}`);
+
+    const result = await sendChatMessage(identity, { sessionId, message, confirmHold });
+
+    console.log(`✅ 对话回复完成: 引用图书 ${result.books.length} 本，工具调用 ${result.toolCalls.length} 次`);
+
+    return res.status(200).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 对话失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '馆员对话');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,45 @@
+// api/fines/accrue.js - 每日罚款累计接口（由Vercel Cron定时调用）
+const { handleDatabaseError } = require('../../lib/database');
+const { RequestError } = require('../../lib/users');
+const { requireCronSecret } = require('../../lib/auth');
+const { accrueFines } = require('../../lib/fines');
+
+module.exports = async function handler(req, res) {
+  try {
+    requireCronSecret(req);
+
+    console.log('⏰ 开始累计逾期罚款...');
+
+    const accruedCount = await accrueFines();
+
+    console.log(`✅ 累计完成，逾期借阅 ${accruedCount} 条`);
+
+    return res.status(200).json({
+      success: true,
+      data: { accruedCount },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 累计逾期罚款失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '累计逾期罚款');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
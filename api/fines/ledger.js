@@ -0,0 +1,89 @@
+// api/fines/ledger.js - 获取罚款余额与流水接口
+const { handleDatabaseError } = require('../../lib/database');
+const { authenticateRequest } = require('../../lib/auth');
+const { RequestError } = require('../../lib/users');
+const {
+  LEDGER_ENTRY_TYPES,
+  getFineSummary,
+  listLedgerEntries,
+  formatLedgerEntry
+} = require('../../lib/fines');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持GET请求'
+      });
+    }
+
+    const identity = authenticateRequest(req);
+    const { type = '', page = 1, limit = 20 } = req.query;
+
+    // 流水类型筛选: charge, waiver, payment
+    if (type && !LEDGER_ENTRY_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: '无效的流水类型',
+        details: `type只能为${LEDGER_ENTRY_TYPES.join('、')}`
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    console.log(`💰 获取罚款流水: ${identity.openid}`);
+
+    const summary = await getFineSummary(identity);
+    const result = await listLedgerEntries(identity, { type, page: pageNum, limit: limitNum });
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...summary,
+        entries: result.data.map(formatLedgerEntry)
+      },
+      pagination: {
+        current: result.page,
+        total: result.totalPages,
+        limit: result.limit,
+        hasNext: result.hasMore,
+        hasPrev: result.page > 1
+      },
+      total: result.total,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 获取罚款流水失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '获取罚款流水');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,34 @@
+// api/fines/notify.js - 支付结果回调接口（由支付渠道调用）
+const { handlePaymentNotification } = require('../../lib/fines');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: '只支持POST请求'
+    });
+  }
+
+  try {
+    const { provider } = req.query;
+
+    const payment = await handlePaymentNotification(provider, req.body || {});
+
+    console.log(`✅ 支付回调处理完成: ${payment ? payment._id : '无需结算'}`);
+
+    return res.status(200).json({
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ 支付回调处理失败:', error);
+
+    // 返回非200让支付渠道稍后重试
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,68 @@
+// api/fines/pay.js - 罚款缴费接口
+const { handleDatabaseError } = require('../../lib/database');
+const { authenticateRequest } = require('../../lib/auth');
+const { RequestError } = require('../../lib/users');
+const { createFinePayment, formatPayment } = require('../../lib/fines');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    // amount单位为元，缺省时缴清全部欠款
+    const identity = authenticateRequest(req);
+    const { amount } = req.body || {};
+
+    console.log(`💳 罚款缴费: user=${identity.openid}, amount=${amount ?? '全部'}`);
+
+    const { payment, payParams } = await createFinePayment(identity, { amount });
+
+    console.log(`✅ 缴费订单已创建: ${payment._id}, 状态 ${payment.status}`);
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        ...formatPayment(payment),
+        // 小程序端用于 wx.requestPayment 的参数
+        payParams
+      },
+      message: payment.status === 'paid' ? '缴费成功' : '请完成支付',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 罚款缴费失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '罚款缴费');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -0,0 +1,63 @@
+// api/holds/cancel.js - 取消预约接口
+const { handleDatabaseError } = require('../../lib/database');
+const { authenticateRequest } = require('../../lib/auth');
+const { RequestError } = require('../../lib/borrow');
+const { cancelHold, formatHold } = require('../../lib/holds');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const identity = authenticateRequest(req);
+    const { holdId } = req.body || {};
+
+    console.log(`🚫 取消预约: user=${identity.openid}, hold=${holdId}`);
+
+    const hold = await cancelHold(identity, holdId);
+
+    console.log(`✅ 已取消预约: ${hold.bookTitle}`);
+
+    return res.status(200).json({
+      success: true,
+      data: formatHold(hold),
+      message: '预约已取消',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 取消预约失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '取消预约');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
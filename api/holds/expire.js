@@ -0,0 +1,45 @@
+// api/holds/expire.js - 过期预约处理接口（由Vercel Cron定时调用）
+const { handleDatabaseError } = require('../../lib/database');
+const { RequestError } = require('../../lib/users');
+const { requireCronSecret } = require('../../lib/auth');
+const { expireHolds } = require('../../lib/holds');
+
+module.exports = async function handler(req, res) {
+  try {
+    requireCronSecret(req);
+
+    console.log('⏰ 开始处理过期预约...');
+
+    const expiredCount = await expireHolds();
+
+    console.log(`✅ 处理完成，过期预约 ${expiredCount} 条`);
+
+    return res.status(200).json({
+      success: true,
+      data: { expiredCount },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 处理过期预约失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '处理过期预约');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
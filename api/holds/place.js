@@ -0,0 +1,63 @@
+// api/holds/place.js - 预约图书接口
+const { handleDatabaseError } = require('../../lib/database');
+const { authenticateRequest } = require('../../lib/auth');
+const { RequestError } = require('../../lib/borrow');
+const { placeHold, formatHold } = require('../../lib/holds');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持POST请求'
+      });
+    }
+
+    const identity = authenticateRequest(req);
+    const { bookId } = req.body || {};
+
+    console.log(`🔖 预约请求: user=${identity.openid}, book=${bookId}`);
+
+    const { hold, queuePosition } = await placeHold(identity, bookId);
+
+    console.log(`✅ 预约成功: ${hold.bookTitle}，排队第 ${queuePosition} 位`);
+
+    return res.status(201).json({
+      success: true,
+      data: formatHold(hold, queuePosition),
+      message: `预约成功，当前排队第 ${queuePosition} 位`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 预约失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '预约图书');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -31,24 +31,57 @@ module.exports = function handler(req, res) {
         categories: '/api/books/categories',
         hot: '/api/books/hot',
         search: '/api/books/search',
+        suggest: '/api/books/suggest',
         detail: '/api/books/detail'
       },
+      auth: {
+        login: '/api/auth/login'
+      },
       users: {
         status: '/api/users/status',
+        feed: '/api/users/feed',
         profile: '/api/users/profile',
         favorites: '/api/users/favorites'
       },
       borrow: {
         records: '/api/borrow/records',
         create: '/api/borrow/create',
-        return: '/api/borrow/return'
+        return: '/api/borrow/return',
+        renew: '/api/borrow/renew'
+      },
+      holds: {
+        list: '/api/holds/list',
+        place: '/api/holds/place',
+        cancel: '/api/holds/cancel'
+      },
+      fines: {
+        ledger: '/api/fines/ledger',
+        pay: '/api/fines/pay'
+      },
+      chat: {
+        message: '/api/chat'
+      },
+      admin: {
+        createBook: '/api/admin/books/create',
+        updateBook: '/api/admin/books/update',
+        withdrawBook: '/api/admin/books/withdraw',
+        copies: '/api/admin/books/copies',
+        importBooks: '/api/admin/books/import',
+        exportBooks: '/api/admin/books/export',
+        userRole: '/api/admin/users/role',
+        waiveFine: '/api/admin/fines/waive'
       }
     },
     environment: process.env.NODE_ENV || 'development',
     features: [
       'MongoDB Atlas 数据库',
       '智能图书推荐',
+      '馆员对话',
       '借阅管理系统',
+      '微信登录',
+      '预约排队',
+      '逾期罚款与缴费',
+      '馆藏管理',
       '用户收藏功能',
       '图书分类浏览',
       '缓存优化'
@@ -0,0 +1,45 @@
+// api/recommendations/rebuild.js - 重新计算同借推荐接口（由Vercel Cron每天调用）
+const { handleDatabaseError } = require('../../lib/database');
+const { RequestError } = require('../../lib/users');
+const { requireCronSecret } = require('../../lib/auth');
+const { rebuildCoBorrowRecommendations } = require('../../lib/recommendations');
+
+module.exports = async function handler(req, res) {
+  try {
+    requireCronSecret(req);
+
+    console.log('⏰ 开始计算同借推荐...');
+
+    const stats = await rebuildCoBorrowRecommendations();
+
+    console.log(`✅ 同借推荐计算完成: 读者 ${stats.readers} 位，图书 ${stats.books} 本，相关组合 ${stats.pairs} 对`);
+
+    return res.status(200).json({
+      success: true,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 计算同借推荐失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '计算同借推荐');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
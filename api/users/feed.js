@@ -0,0 +1,78 @@
+// api/users/feed.js - 个性化首页推荐接口
+const { handleDatabaseError, cacheManager } = require('../../lib/database');
+const { RequestError } = require('../../lib/users');
+const { authenticateRequest } = require('../../lib/auth');
+const { buildUserFeed } = require('../../lib/feed');
+
+module.exports = async function handler(req, res) {
+  try {
+    // 设置CORS头
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+      return res.status(405).json({
+        success: false,
+        error: '只支持GET请求'
+      });
+    }
+
+    // 用户身份来自登录令牌（Authorization: Bearer <token>）
+    const identity = authenticateRequest(req);
+    const limit = String(req.query.limit || '');
+
+    console.log(`🏠 生成个性化推荐: ${identity.openid}`);
+
+    // 缓存5分钟，借书、还书、预约后清除（见 clearUserStatusCache）
+    const cacheKey = `user_feed_${identity.openid}`;
+    const cached = cacheManager.get(cacheKey);
+    if (cached && cached.limit === limit) {
+      console.log('✅ 从缓存获取个性化推荐');
+      return res.status(200).json({
+        success: true,
+        data: cached.feed,
+        cached: true,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const feed = await buildUserFeed(identity, { limit: limit || undefined });
+    cacheManager.set(cacheKey, { limit, feed }, 300000);
+
+    console.log(`✅ 个性化推荐生成完成: ${feed.sections.map(section => `${section.type}(${section.items.length})`).join(', ') || '无'}`);
+
+    return res.status(200).json({
+      success: true,
+      data: feed,
+      cached: false,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    console.error('❌ 生成个性化推荐失败:', error);
+
+    const errorResponse = handleDatabaseError(error, '生成个性化推荐');
+
+    return res.status(500).json({
+      success: false,
+      error: errorResponse.error,
+      code: errorResponse.code,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
@@ -1,12 +1,19 @@
 // api/users/status.js - 获取用户借阅状态接口
 const { getCollection, handleDatabaseError, cacheManager, ObjectId } = require('../../lib/database');
+const { listActiveHolds } = require('../../lib/holds');
+const { getLoanPolicy, getEffectiveDueDate } = require('../../lib/policy');
+const { isOverdue, daysUntilDue } = require('../../lib/calendar');
+const { getFineSummary } = require('../../lib/fines');
+const { RequestError, buildUserQuery } = require('../../lib/users');
+const { authenticateRequest } = require('../../lib/auth');
+const { getPreferredCategories } = require('../../lib/feed');
 
 module.exports = async function handler(req, res) {
   try {
     // 设置CORS头
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     if (req.method === 'OPTIONS') {
       return res.status(200).end();
@@ -19,21 +26,14 @@ module.exports = async function handler(req, res) {
       });
     }
 
-    // 获取用户ID
-    const { userId, studentId, openid } = req.query;
-    
-    if (!userId && !studentId && !openid) {
-      return res.status(400).json({
-        success: false,
-        error: '缺少用户标识参数',
-        details: '请提供userId、studentId或openid参数'
-      });
-    }
+    // 用户身份来自登录令牌（Authorization: Bearer <token>）
+    const identity = authenticateRequest(req);
+    const { openid } = identity;
 
-    console.log(`👤 开始获取用户状态数据: ${userId || studentId || openid}`);
+    console.log(`👤 开始获取用户状态数据: ${openid}`);
 
     // 检查缓存
-    const cacheKey = `user_status_${userId || studentId || openid}`;
+    const cacheKey = `user_status_${openid}`;
     const cachedData = cacheManager.get(cacheKey);
     
     if (cachedData) {
@@ -47,16 +47,7 @@ module.exports = async function handler(req, res) {
     }
 
     // 构建用户查询条件
-    let userQuery = {};
-    if (userId) {
-      userQuery.userId = userId;
-    }
-    if (studentId) {
-      userQuery.studentId = studentId;
-    }
-    if (openid) {
-      userQuery.openid = openid;
-    }
+    const userQuery = buildUserQuery(identity);
 
     // 获取集合
     const borrowsCollection = await getCollection('borrows');
@@ -64,7 +55,7 @@ module.exports = async function handler(req, res) {
     const usersCollection = await getCollection('users');
 
     // 并行查询用户相关数据
-    const [borrowRecords, favoriteRecords, userInfo] = await Promise.all([
+    const [borrowRecords, favoriteRecords, userInfo, activeHolds, fines] = await Promise.all([
       // 查询借阅记录
       borrowsCollection.find(userQuery).toArray(),
       
@@ -72,7 +63,13 @@ module.exports = async function handler(req, res) {
       favoritesCollection.find(userQuery).toArray(),
       
       // 查询用户基本信息
-      usersCollection.findOne(userQuery)
+      usersCollection.findOne(userQuery),
+      
+      // 查询有效预约（含排队位次）
+      listActiveHolds(userQuery),
+
+      // 查询欠款余额（含在借逾期图书的累计罚款）
+      getFineSummary(userQuery)
     ]);
 
     console.log(`📖 找到 ${borrowRecords.length} 条借阅记录`);
@@ -80,12 +77,27 @@ module.exports = async function handler(req, res) {
 
     // 处理借阅数据
     const allBorrows = borrowRecords || [];
-    const currentBorrows = allBorrows.filter(record => record.status === 'borrowed');
-    const overdueBooks = currentBorrows.filter(record => {
-      if (!record.dueDate) return false;
-      const dueDate = new Date(record.dueDate);
-      return dueDate < new Date();
-    });
+
+    // 按读者类型和图书分类确定每条在借记录的借阅规则
+    const patronPolicy = getLoanPolicy(userInfo?.patronType);
+    const categoryMap = await getBookCategoryMap(
+      allBorrows.filter(record => record.status === 'borrowed')
+    );
+    const currentBorrows = allBorrows
+      .filter(record => record.status === 'borrowed')
+      .map(record => {
+        const policy = getLoanPolicy(patronPolicy.patronType, categoryMap[record.bookId]);
+        const renewCount = record.renewCount || 0;
+        return {
+          ...record,
+          dueDate: getEffectiveDueDate(record, policy),
+          renewCount,
+          renewalsLeft: Math.max(0, policy.maxRenewals - renewCount)
+        };
+      });
+    // 逾期与到期天数均按图书馆时区的日历计算
+    const now = new Date();
+    const overdueBooks = currentBorrows.filter(record => isOverdue(record.dueDate, now));
 
     // 处理收藏数据
     const favoriteBooks = favoriteRecords || [];
@@ -96,7 +108,18 @@ module.exports = async function handler(req, res) {
       overdueBooks: overdueBooks.length,
       totalBorrows: allBorrows.length,
       favoriteBooks: favoriteBooks.length,
-      returnedBooks: allBorrows.filter(record => record.status === 'returned').length
+      returnedBooks: allBorrows.filter(record => record.status === 'returned').length,
+      activeHolds: activeHolds.length,
+      readyForPickup: activeHolds.filter(hold => hold.status === 'ready').length,
+      outstandingBalance: fines.balance
+    };
+
+    // 借阅额度（按读者类型，欠款超过阈值时暂停借书）
+    const loanLimits = {
+      patronType: patronPolicy.patronType,
+      maxLoans: patronPolicy.maxLoans,
+      remainingLoans: Math.max(0, patronPolicy.maxLoans - currentBorrows.length),
+      canBorrow: currentBorrows.length < patronPolicy.maxLoans && !fines.borrowingBlocked
     };
 
     // 获取最近借阅的图书（用于推荐）
@@ -109,9 +132,9 @@ module.exports = async function handler(req, res) {
       .filter(record => record.dueDate)
       .map(record => ({
         ...record,
-        daysUntilDue: Math.ceil((new Date(record.dueDate) - new Date()) / (1000 * 60 * 60 * 24))
+        daysUntilDue: daysUntilDue(record.dueDate, now)
       }))
-      .filter(record => record.daysUntilDue <= 7 && record.daysUntilDue >= 0)
+      .filter(record => record.daysUntilDue <= 7 && !isOverdue(record.dueDate, now))
       .sort((a, b) => a.daysUntilDue - b.daysUntilDue);
 
     // 用户活跃度评分（基于借阅频率和按时归还率）
@@ -158,9 +181,20 @@ module.exports = async function handler(req, res) {
         bookId: record.bookId,
         bookTitle: record.bookTitle || '',
         dueDate: record.dueDate,
-        daysUntilDue: record.daysUntilDue
+        daysUntilDue: record.daysUntilDue,
+        renewCount: record.renewCount,
+        renewalsLeft: record.renewalsLeft
       })),
       
+      // 借阅额度
+      loanLimits,
+      
+      // 有效预约（排队中、已到书待取）
+      holds: activeHolds,
+      
+      // 罚款概况
+      fines,
+      
       // 用户活跃度
       activityScore,
       
@@ -172,13 +206,22 @@ module.exports = async function handler(req, res) {
     };
 
     // 如果是新用户（没有任何记录），返回默认状态
-    if (allBorrows.length === 0 && favoriteBooks.length === 0) {
+    if (allBorrows.length === 0 && favoriteBooks.length === 0 && activeHolds.length === 0 && fines.balance === 0) {
       const defaultStatus = {
         currentBorrows: 0,
         overdueBooks: 0,
         totalBorrows: 0,
         favoriteBooks: 0,
         returnedBooks: 0,
+        activeHolds: 0,
+        readyForPickup: 0,
+        outstandingBalance: 0,
+        loanLimits: {
+          patronType: patronPolicy.patronType,
+          maxLoans: patronPolicy.maxLoans,
+          remainingLoans: patronPolicy.maxLoans,
+          canBorrow: true
+        },
         userInfo: userInfo ? {
           name: userInfo.name || '新用户',
           studentId: userInfo.studentId || '',
@@ -186,12 +229,14 @@ module.exports = async function handler(req, res) {
           joinDate: userInfo.createdAt || new Date().toISOString()
         } : {
           name: '新用户',
-          studentId: studentId || '',
+          studentId: '',
           avatar: '',
           joinDate: new Date().toISOString()
         },
         recentBorrows: [],
         upcomingDue: [],
+        holds: [],
+        fines,
         activityScore: 0,
         preferredCategories: [],
         isNewUser: true,
@@ -226,11 +271,19 @@ module.exports = async function handler(req, res) {
       success: true,
       data: userStatus,
       cached: false,
-      query: { userId, studentId, openid },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
+    if (error instanceof RequestError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     console.error('❌ 获取用户状态失败:', error);
     
     const errorResponse = handleDatabaseError(error, '获取用户状态');
@@ -245,58 +298,27 @@ module.exports = async function handler(req, res) {
   }
 };
 
-// 辅助函数：获取用户偏好分类
-async function getPreferredCategories(borrowRecords) {
+// 辅助函数：获取借阅记录对应图书的分类（bookId -> category）
+async function getBookCategoryMap(borrowRecords) {
   try {
-    if (borrowRecords.length === 0) return [];
+    if (borrowRecords.length === 0) return {};
 
-    // 获取books集合
     const booksCollection = await getCollection('books');
-
-    // 获取所有借阅的图书ID
     const bookIds = borrowRecords
-      .map(record => {
-        try {
-          return typeof record.bookId === 'string' 
-            ? new ObjectId(record.bookId) 
-            : record.bookId;
-        } catch (err) {
-          console.warn('无效的图书ID:', record.bookId);
-          return null;
-        }
-      })
-      .filter(id => id !== null);
-
-    if (bookIds.length === 0) return [];
-
-    // 查询这些图书的分类信息
+      .map(record => (ObjectId.isValid(record.bookId) ? new ObjectId(record.bookId) : record.bookId))
+      .filter(Boolean);
+
     const books = await booksCollection
-      .find(
-        { _id: { $in: bookIds } },
-        { projection: { category: 1, _id: 1 } }
-      )
+      .find({ _id: { $in: bookIds } }, { projection: { category: 1, _id: 1 } })
       .toArray();
 
-    // 统计分类频率
-    const categoryCount = {};
-    books.forEach(book => {
-      if (book.category) {
-        categoryCount[book.category] = (categoryCount[book.category] || 0) + 1;
-      }
-    });
-
-    // 返回按频率排序的前3个分类
-    return Object.entries(categoryCount)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 3)
-      .map(([category, count]) => ({
-        category,
-        count,
-        percentage: Math.round((count / borrowRecords.length) * 100)
-      }));
+    return books.reduce((map, book) => {
+      map[book._id.toString()] = book.category;
+      return map;
+    }, {});
 
   } catch (error) {
-    console.error('获取偏好分类失败:', error);
-    return [];
+    console.error('获取图书分类失败:', error);
+    return {};
   }
-}
\ No newline at end of file
+}
@@ -1,12 +1,15 @@
 // 智能图书馆高性能API - v2.0
 // 支持PostgreSQL数据库 + Redis缓存 + AI智能推荐
 
-const axios = require('axios');
 const { Pool } = require('pg');
 const Redis = require('ioredis');
+const { toSimplified, toTraditional } = require('./lib/chinese');
+const { logSearch } = require('./lib/searchLogs');
+const { getLLMProvider } = require('./lib/llm');
+const { generateStructured, groundBookReferences } = require('./lib/aiOutput');
+const { searchBooks } = require('./lib/books');
 
 // 配置
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY || 'sk-546598dba68f4a92a2616461baf23231';
 const DATABASE_URL = process.env.DATABASE_URL;
 const REDIS_URL = process.env.REDIS_URL;
 
@@ -14,7 +17,16 @@ const REDIS_URL = process.env.REDIS_URL;
 console.log('🔍 环境变量检查:');
 console.log('DATABASE_URL存在:', !!DATABASE_URL);
 console.log('REDIS_URL存在:', !!REDIS_URL);
-console.log('DEEPSEEK_API_KEY存在:', !!DEEPSEEK_API_KEY);
+try {
+  console.log('大模型提供方:', getLLMProvider().name);
+} catch (error) {
+  console.error('❌ 大模型提供方配置错误:', error.message);
+}
+
+// 明确使用本地替身（LLM_PROVIDER=mock，仅限非生产环境）时才加载智能推荐、图书问答的模拟回复
+if (process.env.LLM_PROVIDER === 'mock' && process.env.NODE_ENV !== 'production') {
+  require('./test/support/llmMockResponders').registerCatalogMockResponders();
+}
 if (DATABASE_URL) {
   console.log('DATABASE_URL前缀:', DATABASE_URL.substring(0, 20) + '...');
 }
@@ -55,6 +67,25 @@ function initRedis() {
   }
 }
 
+// 繁简写法的 ILIKE 匹配模式：书目数据中简体、繁体都有，查询词的原文、简体、繁体任一写法命中即可
+function buildLikePatterns(query) {
+  return [...new Set([query, toSimplified(query), toTraditional(query)])].map(text => `%${text}%`);
+}
+
+// JSON 馆藏（未配置 DATABASE_URL 时使用）的图书转换为与 books 表查询结果相同的字段
+function toCatalogRow(book) {
+  return {
+    id: book.id,
+    title: book.title,
+    author: book.author,
+    publisher: book.publisher,
+    subject: (book.category || []).join('、'),
+    language: null,
+    popularity: 0,
+    view_count: 0
+  };
+}
+
 // 缓存键生成
 function getCacheKey(type, ...params) {
   return `library:${type}:${params.join(':')}`;
@@ -342,34 +373,47 @@ async function handleSearch(req, res) {
       return res.status(200).json(result);
     }
     
+    // 没有数据库时检索 data/books.json（不支持 language、subject 筛选）
+    if (!dbPool) {
+      const matched = await searchBooks(searchQuery);
+      result = {
+        success: true,
+        data: {
+          books: matched.slice(offset, offset + limitNum).map(toCatalogRow),
+          pagination: {
+            page: pageNum,
+            limit: limitNum,
+            total: matched.length,
+            totalPages: Math.ceil(matched.length / limitNum),
+            hasNext: pageNum * limitNum < matched.length,
+            hasPrev: pageNum > 1
+          },
+          query: searchQuery,
+          filters: { language, subject }
+        }
+      };
+      await setCache(cacheKey, result, 300);
+      return res.status(200).json(result);
+    }
+
     // 构建SQL查询 - 支持繁简体中文
     let sql = `
       SELECT id, title, author, publisher, subject, language, popularity, view_count
       FROM books 
       WHERE (
-        title ILIKE $1 OR 
-        author ILIKE $1 OR 
-        subject ILIKE $1 OR
-        publisher ILIKE $1 OR
-        title ILIKE $3 OR 
-        author ILIKE $3 OR 
-        subject ILIKE $3 OR
+        title ILIKE ANY($1) OR 
+        author ILIKE ANY($1) OR 
+        subject ILIKE ANY($1) OR
+        publisher ILIKE ANY($1) OR
         to_tsvector('simple', search_text) @@ plainto_tsquery('simple', $2)
       )
     `;
     
-    // 创建繁简体转换（简单映射常用字）
-    const simplifiedTerms = searchQuery
-      .replace(/小說/g, '小说')
-      .replace(/兒童/g, '儿童')
-      .replace(/數學/g, '数学')
-      .replace(/歷史/g, '历史')
-      .replace(/編程/g, '编程')
-      .replace(/電腦/g, '电脑')
-      .replace(/語言/g, '语言');
+    // 繁简体写法都参与匹配
+    const likePatterns = buildLikePatterns(searchQuery);
     
-    const params = [`%${searchQuery}%`, searchQuery, `%${simplifiedTerms}%`];
-    let paramIndex = 4;
+    const params = [likePatterns, searchQuery];
+    let paramIndex = 3;
     
     // 添加语言过滤
     if (language) {
@@ -397,19 +441,16 @@ async function handleSearch(req, res) {
       SELECT COUNT(*) as total
       FROM books 
       WHERE (
-        title ILIKE $1 OR 
-        author ILIKE $1 OR 
-        subject ILIKE $1 OR
-        publisher ILIKE $1 OR
-        title ILIKE $3 OR 
-        author ILIKE $3 OR 
-        subject ILIKE $3 OR
+        title ILIKE ANY($1) OR 
+        author ILIKE ANY($1) OR 
+        subject ILIKE ANY($1) OR
+        publisher ILIKE ANY($1) OR
         to_tsvector('simple', search_text) @@ plainto_tsquery('simple', $2)
       )
     `;
     
-    const countParams = [`%${searchQuery}%`, searchQuery, `%${simplifiedTerms}%`];
-    let countParamIndex = 4;
+    const countParams = [likePatterns, searchQuery];
+    let countParamIndex = 3;
     
     if (language) {
       countSql += ` AND language = $${countParamIndex}`;
@@ -475,6 +516,7 @@ async function handleRecommend(req, res) {
       });
     }
 
+    const startedAt = Date.now();
     const searchQuery = query.trim();
     const limitNum = Math.min(20, Math.max(1, parseInt(limit)));
     
@@ -487,7 +529,7 @@ async function handleRecommend(req, res) {
     let result = await getFromCache(cacheKey);
     if (result) {
       console.log('📦 从缓存返回推荐结果');
-      return res.status(200).json(result);
+      return res.status(200).json(await withSearchLog(req, searchQuery, result, startedAt));
     }
     
     // 第一步：从数据库搜索相关图书
@@ -499,7 +541,7 @@ async function handleRecommend(req, res) {
         recommendations: []
       };
       await setCache(cacheKey, result, 300);
-      return res.status(200).json(result);
+      return res.status(200).json(await withSearchLog(req, searchQuery, result, startedAt));
     }
     
     // 第二步：让AI分析和推荐
@@ -520,7 +562,7 @@ async function handleRecommend(req, res) {
     // 缓存10分钟
     await setCache(cacheKey, result, 600);
     
-    return res.status(200).json(result);
+    return res.status(200).json(await withSearchLog(req, searchQuery, result, startedAt));
     
   } catch (error) {
     console.error('推荐服务错误:', error);
@@ -532,58 +574,58 @@ async function handleRecommend(req, res) {
   }
 }
 
+/**
+ * 推荐请求计入检索日志（来源 recommend），返回附带 searchId 的响应（缓存中的结果不含 searchId）
+ */
+async function withSearchLog(req, query, result, startedAt) {
+  const searchId = await logSearch(req, {
+    source: 'recommend',
+    query,
+    keyword: query,
+    resultCount: result.recommendations.length,
+    latencyMs: Date.now() - startedAt
+  });
+  return { ...result, searchId };
+}
+
 /**
  * 搜索候选图书
  */
 async function searchCandidateBooks(query, limit = 30) {
   try {
     if (!dbPool) {
-      console.error('❌ 数据库连接池未初始化，无法搜索候选书籍');
-      return [];
+      console.warn('⚠️ 数据库连接池未初始化，从 JSON 馆藏搜索候选书籍');
+      return (await searchBooks(query, { limit })).map(toCatalogRow);
     }
     
-    // 繁简体转换
-    const simplifiedQuery = query
-      .replace(/小說/g, '小说')
-      .replace(/兒童/g, '儿童')
-      .replace(/數學/g, '数学')
-      .replace(/歷史/g, '历史')
-      .replace(/編程/g, '编程')
-      .replace(/電腦/g, '电脑')
-      .replace(/語言/g, '语言');
+    // 繁简体转换（OpenCC 词典，原文、简体、繁体写法都参与匹配）
+    const likePatterns = buildLikePatterns(query);
       
-    console.log(`🔍 搜索候选书籍: "${query}" -> "${simplifiedQuery}"`);
+    console.log(`🔍 搜索候选书籍: "${query}" ->`, likePatterns);
     
     const sql = `
       SELECT id, title, author, publisher, subject, language, popularity, view_count
       FROM books 
       WHERE (
-        title ILIKE $1 OR 
-        author ILIKE $1 OR 
-        subject ILIKE $1 OR
-        publisher ILIKE $1 OR
-        title ILIKE $3 OR 
-        author ILIKE $3 OR 
-        subject ILIKE $3 OR
-        publisher ILIKE $3 OR
+        title ILIKE ANY($1) OR 
+        author ILIKE ANY($1) OR 
+        subject ILIKE ANY($1) OR
+        publisher ILIKE ANY($1) OR
         to_tsvector('simple', search_text) @@ plainto_tsquery('simple', $2)
       )
       ORDER BY 
         CASE 
-          WHEN title ILIKE $1 THEN 1
-          WHEN title ILIKE $3 THEN 1
-          WHEN author ILIKE $1 THEN 2
-          WHEN author ILIKE $3 THEN 2
-          WHEN subject ILIKE $1 THEN 3
-          WHEN subject ILIKE $3 THEN 3
+          WHEN title ILIKE ANY($1) THEN 1
+          WHEN author ILIKE ANY($1) THEN 2
+          WHEN subject ILIKE ANY($1) THEN 3
           ELSE 4
         END,
         popularity DESC, 
         view_count DESC
-      LIMIT $4
+      LIMIT $3
     `;
     
-    const result = await dbPool.query(sql, [`%${query}%`, query, `%${simplifiedQuery}%`, limit]);
+    const result = await dbPool.query(sql, [likePatterns, query, limit]);
     return result.rows;
     
   } catch (error) {
@@ -597,8 +639,9 @@ async function searchCandidateBooks(query, limit = 30) {
  */
 async function getAIRecommendations(userQuery, candidateBooks, limit = 10) {
   try {
-    // 构建候选图书列表给AI参考
-    const bookList = candidateBooks.slice(0, 20).map((book, index) => 
+    // 构建候选图书列表给AI参考（推荐结果只能来自这些图书）
+    const shownBooks = candidateBooks.slice(0, 20);
+    const bookList = shownBooks.map((book, index) => 
       `${index + 1}. ID:${book.id} 《${book.title}》 作者:${book.author} 分类:${book.subject} 热度:${book.popularity}`
     ).join('\n');
     
@@ -631,42 +674,46 @@ ${bookList}
   ]
 }`;
 
-      const response = await axios({
-        method: 'post',
-        url: 'https://api.deepseek.com/v1/chat/completions',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-        },
-        data: {
-          model: "deepseek-chat",
-          messages: [
-            { role: "system", content: systemPrompt },
+    try {
+      // 核对推荐的ID、题名、作者是否与候选图书一致，书目信息一律取自馆藏
+      const { value: aiResult } = await generateStructured({
+        messages: [
+          { role: "system", content: systemPrompt },
           { role: "user", content: `请为查询"${userQuery}"推荐图书` }
-          ],
-          temperature: 0.7,
-        max_tokens: 1500
-      },
-      timeout: 30000
-    });
-    
-    if (response.data?.choices?.[0]?.message?.content) {
-      try {
-        const aiResult = JSON.parse(response.data.choices[0].message.content);
-        
-        // 验证推荐的图书ID是否在候选列表中
-        const validRecommendations = aiResult.recommendations?.filter(rec => {
-          return candidateBooks.some(book => book.id === rec.id);
-        }) || [];
-        
+        ],
+        temperature: 0.7,
+        maxTokens: 1500
+      }, {
+        schema: 'recommendation',
+        feature: 'recommend',
+        timeoutMs: 30000,
+        ground: value => {
+          const { items, errors } = groundBookReferences(value.recommendations, shownBooks, 'recommendations');
+          return {
+            value: {
+              summary: value.summary,
+              recommendations: items.map(({ ref, book }) => ({
+                id: book.id,
+                title: book.title,
+                author: book.author,
+                subject: book.subject,
+                reason: ref.reason
+              }))
+            },
+            errors
+          };
+        }
+      });
+      
+      if (aiResult.recommendations.length > 0) {
         return {
-          summary: aiResult.summary || `为您推荐以下与"${userQuery}"相关的图书`,
-          recommendations: validRecommendations.slice(0, limit)
+          summary: aiResult.summary,
+          recommendations: aiResult.recommendations.slice(0, limit)
         };
-        
-      } catch (parseError) {
-        console.error('AI响应解析错误:', parseError);
       }
+      
+    } catch (aiError) {
+      console.error('AI推荐生成失败:', aiError.message);
     }
     
     // AI失败时返回默认推荐
@@ -742,7 +789,7 @@ async function handleQuery(req, res) {
       book = await getFromCache(cacheKey);
       
       if (!book && dbPool) {
-        const result = await dbPool.query('SELECT * FROM books WHERE title ILIKE $1 LIMIT 1', [`%${bookTitle}%`]);
+        const result = await dbPool.query('SELECT * FROM books WHERE title ILIKE ANY($1) LIMIT 1', [buildLikePatterns(bookTitle)]);
         if (result.rows.length > 0) {
           book = result.rows[0];
           await setCache(cacheKey, book, 3600);
@@ -766,11 +813,13 @@ async function handleQuery(req, res) {
     
     // 如果有具体问题，使用AI回答
     let answer = `这是关于《${book.title}》的信息`;
+    let aiSummary = null;
     
     if (userQuestion && userQuestion.trim()) {
       try {
         const aiAnswer = await getAIBookAnswer(book, userQuestion);
-        answer = aiAnswer || answer;
+        answer = aiAnswer?.answer || answer;
+        aiSummary = aiAnswer?.summary || null;
       } catch (error) {
         console.error('AI回答错误:', error);
       }
@@ -791,7 +840,7 @@ async function handleQuery(req, res) {
         popularity: book.popularity,
         viewCount: book.view_count,
         status: book.status,
-        summary: `${book.subject}类图书，由${book.publisher || '未知出版社'}出版`,
+        summary: aiSummary || `${book.subject}类图书，由${book.publisher || '未知出版社'}出版`,
         lastViewed: new Date().toISOString()
       }
     };
@@ -810,6 +859,7 @@ async function handleQuery(req, res) {
 
 /**
  * 获取AI对图书问题的回答
+ * @returns {Promise<{answer: string, summary: string|null}|null>} summary 为AI生成的简介（所答图书与该书一致时才采用）
  */
 async function getAIBookAnswer(book, question) {
   try {
@@ -823,31 +873,40 @@ async function getAIBookAnswer(book, question) {
 - 语言：${book.language}
 - 热度：${book.popularity}
 
-请根据这本书的信息，专业地回答用户的问题。如果无法确定答案，请诚实说明。回答要简洁明了，一般控制在100-200字内。`;
+请根据这本书的信息，专业地回答用户的问题。如果无法确定答案，请诚实说明。回答要简洁明了，一般控制在100-200字内。
 
-      const response = await axios({
-        method: 'post',
-        url: 'https://api.deepseek.com/v1/chat/completions',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${DEEPSEEK_API_KEY}`
-        },
-        data: {
-          model: "deepseek-chat",
-          messages: [
-            { role: "system", content: systemPrompt },
-          { role: "user", content: question }
-          ],
-          temperature: 0.7,
-        max_tokens: 500
-      },
-      timeout: 20000
+请以JSON格式返回：
+{
+  "answer": "对用户问题的回答",
+  "book": {
+    "id": "${book.id}",
+    "title": "${book.title}",
+    "author": "${book.author}",
+    "summary": "这本书的简介(50-100字)"
+  }
+}`;
+
+    const { value } = await generateStructured({
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: question }
+      ],
+      temperature: 0.7,
+      maxTokens: 800
+    }, {
+      schema: 'bookAnswer',
+      feature: 'book-answer',
+      ground: value => {
+        if (!value.book) return { value: { answer: value.answer, summary: null }, errors: [] };
+        const { items, errors } = groundBookReferences([value.book], [book], 'book');
+        return { value: { answer: value.answer, summary: items[0]?.ref.summary || null }, errors };
+      }
     });
     
-    return response.data?.choices?.[0]?.message?.content || null;
+    return value;
     
   } catch (error) {
     console.error('AI回答错误:', error);
     return null;
   }
-} 
\ No newline at end of file
+} 
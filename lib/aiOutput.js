@@ -0,0 +1,379 @@
+// lib/aiOutput.js - 大模型结构化输出（从回复中提取JSON、按声明的结构校验、核对馆藏、校验失败时要求模型修正）
+const { LLMError, chatCompletion } = require('./llm');
+const { toSimplified } = require('./chinese');
+
+// 校验失败后要求模型修正的次数上限（不含第一次生成），可通过 AI_MAX_REPAIR_ATTEMPTS 覆盖
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS) >= 0 ? parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS) : 2;
+
+// 修正提示中最多列出的问题数
+const MAX_REPORTED_ERRORS = 10;
+
+/**
+ * 结构化输出校验失败（修正次数用完后仍不合格；details 为最后一次的问题列表）
+ */
+class AIOutputError extends LLMError {
+  constructor(message, details) {
+    super(message, 'AI_OUTPUT_INVALID');
+    this.name = 'AIOutputError';
+    this.details = details;
+  }
+}
+
+/**
+ * 书目引用：模型提到的图书，id 必须来自候选图书，题名、作者须与馆藏一致
+ */
+const BOOK_REFERENCE_FIELDS = {
+  id: { type: 'string', required: true, maxLength: 64 },
+  title: { type: 'string', maxLength: 300 },
+  author: { type: 'string', maxLength: 200 }
+};
+
+// 单本图书的简介（图书问答中附带返回）
+const BOOK_SUMMARY_SCHEMA = {
+  type: 'object',
+  fields: {
+    ...BOOK_REFERENCE_FIELDS,
+    summary: { type: 'string', required: true, maxLength: 500 },
+    highlights: { type: 'array', maxItems: 5, items: { type: 'string', maxLength: 100 } }
+  }
+};
+
+/**
+ * 各 AI 功能的输出结构
+ * 规则：string（required、maxLength、values）、array（items、maxItems）、object（fields）；未声明的字段直接丢弃
+ */
+const AI_OUTPUT_SCHEMAS = {
+  // 智能推荐：总体说明 + 候选图书中选出的书目
+  recommendation: {
+    type: 'object',
+    fields: {
+      summary: { type: 'string', required: true, maxLength: 500 },
+      recommendations: {
+        type: 'array',
+        required: true,
+        maxItems: 20,
+        items: {
+          type: 'object',
+          fields: {
+            ...BOOK_REFERENCE_FIELDS,
+            reason: { type: 'string', required: true, maxLength: 200 }
+          }
+        }
+      }
+    }
+  },
+
+  summary: BOOK_SUMMARY_SCHEMA,
+
+  // 图书问答：回答 + 所答图书的简介（可省略）
+  bookAnswer: {
+    type: 'object',
+    fields: {
+      answer: { type: 'string', required: true, maxLength: 1000 },
+      book: BOOK_SUMMARY_SCHEMA
+    }
+  }
+};
+
+/**
+ * 从模型回复中提取 JSON：去掉 ```json 代码块和前后说明文字；回复被截断时截到最后一个完整的值并补齐括号
+ * @param {string} text - 模型回复
+ * @returns {*} 解析出的值
+ * @throws {SyntaxError} 找不到可解析的 JSON
+ */
+function extractJson(text) {
+  const raw = String(text || '');
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  const body = fenced && /[{[]/.test(fenced[1]) ? fenced[1] : raw;
+
+  const start = body.search(/[{[]/);
+  if (start === -1) {
+    throw new SyntaxError('回复中没有JSON');
+  }
+
+  // 扫描括号和字符串：找到完整的值直接解析；同时记下每个可以截断的位置（逗号前、值结束后）和当时未闭合的括号
+  const stack = [];
+  const cutPoints = [];
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < body.length; i++) {
+    const char = body[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length === 0) {
+        return JSON.parse(body.slice(start, i + 1));
+      }
+      cutPoints.push({ end: i + 1, closers: stack.slice().reverse().join('') });
+    } else if (char === ',') {
+      cutPoints.push({ end: i, closers: stack.slice().reverse().join('') });
+    }
+  }
+
+  // 被截断：从后往前尝试，丢掉最后不完整的部分
+  for (const { end, closers } of cutPoints.reverse()) {
+    try {
+      return JSON.parse(body.slice(start, end) + closers);
+    } catch (error) {
+      // 截断位置在对象的键后面等情况，继续往前找
+    }
+  }
+  throw new SyntaxError('回复中的JSON不完整');
+}
+
+/**
+ * 按规则校验（递归），返回只含已声明字段的值和问题列表
+ * @returns {{value: any, errors: Array<{field: string, message: string}>}}
+ */
+function validateValue(rule, value, path, errors) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value === 'number') value = String(value);
+      if (typeof value !== 'string') {
+        errors.push({ field: path, message: '必须为字符串' });
+        return undefined;
+      }
+      const trimmed = value.trim();
+      if (rule.required && !trimmed) errors.push({ field: path, message: '不能为空' });
+      if (rule.maxLength && trimmed.length > rule.maxLength) errors.push({ field: path, message: `长度不能超过${rule.maxLength}` });
+      if (rule.values && !rule.values.includes(trimmed)) errors.push({ field: path, message: `只能为${rule.values.join('、')}` });
+      return trimmed;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) {
+        errors.push({ field: path, message: '必须为数组' });
+        return undefined;
+      }
+      if (rule.maxItems && value.length > rule.maxItems) errors.push({ field: path, message: `最多${rule.maxItems}项` });
+      return value.map((item, index) => validateValue(rule.items, item, `${path}[${index}]`, errors));
+    }
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: path || '(根)', message: '必须为对象' });
+        return undefined;
+      }
+      const result = {};
+      Object.entries(rule.fields).forEach(([field, fieldRule]) => {
+        const fieldPath = path ? `${path}.${field}` : field;
+        if (value[field] === undefined || value[field] === null) {
+          if (fieldRule.required) errors.push({ field: fieldPath, message: '必填' });
+          return;
+        }
+        result[field] = validateValue(fieldRule, value[field], fieldPath, errors);
+      });
+      return result;
+    }
+    default:
+      errors.push({ field: path, message: '不支持的规则' });
+      return undefined;
+  }
+}
+
+/**
+ * 按输出结构校验
+ * @param {Object|string} schema - 结构规则或 AI_OUTPUT_SCHEMAS 中的名称
+ * @param {*} value - 解析出的 JSON
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}}
+ */
+function validateAIOutput(schema, value) {
+  const rule = typeof schema === 'string' ? AI_OUTPUT_SCHEMAS[schema] : schema;
+  const errors = [];
+  const result = validateValue(rule, value, '', errors);
+  return { value: result, errors };
+}
+
+/**
+ * 题名、作者比较用的归一化：转简体、小写，去掉空白、书名号和标点
+ */
+function normalizeForMatch(text) {
+  return toSimplified(String(text || ''))
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]/gu, '');
+}
+
+// 归一化后一方包含另一方时，较短的一方至少这么长、且不短于较长一方的一半才算一致（防止一两个字就通过核对）
+const MIN_PARTIAL_MATCH_LENGTH = 3;
+const MIN_PARTIAL_MATCH_RATIO = 0.5;
+
+// 括号内的版次、卷次、国籍（“（典藏版）”“[美]”），以及副标题分隔符
+const BRACKETED_PATTERN = /[\[［(（【〔][^\]］)）】〕]*[\]］)）】〕]/g;
+const SUBTITLE_SEPARATOR = /[:：—–]|--|\s-\s/;
+
+// 作者后的著作方式、多位作者之间的分隔符
+const AUTHOR_ROLE_PATTERN = /\s*等?\s*(编著|主编|编译|编|著|译|撰)\s*$/u;
+const AUTHOR_SEPARATOR = /[,，、;；/&]|\s+and\s+/i;
+
+/**
+ * 归一化后相同，或一方包含另一方且足够长
+ */
+function isCloseMatch(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return shorter.length >= MIN_PARTIAL_MATCH_LENGTH &&
+    shorter.length / longer.length >= MIN_PARTIAL_MATCH_RATIO &&
+    longer.includes(shorter);
+}
+
+/**
+ * 题名比较用的写法：全称、去掉括号内容、去掉副标题
+ */
+function titleVariants(title) {
+  const text = String(title || '');
+  const withoutBrackets = text.replace(BRACKETED_PATTERN, '');
+  return [...new Set([text, withoutBrackets, withoutBrackets.split(SUBTITLE_SEPARATOR)[0]].map(normalizeForMatch))]
+    .filter(Boolean);
+}
+
+/**
+ * 模型给出的题名是否与馆藏一致（可以省略副标题、版次），空题名不算一致
+ */
+function isSameTitle(claimed, actual) {
+  const claimedVariants = titleVariants(claimed);
+  const actualVariants = titleVariants(actual);
+  return claimedVariants.some(a => actualVariants.some(b => isCloseMatch(a, b)));
+}
+
+/**
+ * 作者拆成各人的姓名（去掉国籍和“著”“编”等）
+ */
+function authorNames(author) {
+  return String(author || '')
+    .replace(BRACKETED_PATTERN, '')
+    .split(AUTHOR_SEPARATOR)
+    .map(name => normalizeForMatch(name.replace(AUTHOR_ROLE_PATTERN, '')))
+    .filter(Boolean);
+}
+
+/**
+ * 模型给出的作者是否与馆藏一致：提到的每位作者都须是馆藏作者之一（可以只提第一作者），空作者不算一致
+ */
+function isSameAuthor(claimed, actual) {
+  const claimedNames = authorNames(claimed);
+  const actualNames = authorNames(actual);
+  return claimedNames.length > 0 &&
+    claimedNames.every(a => actualNames.some(b => isCloseMatch(a, b)));
+}
+
+/**
+ * 核对书目引用：id 是否在候选图书中、题名和作者是否与馆藏一致、是否重复
+ * 通过核对的引用，题名和作者一律换成馆藏记录；未通过的不返回
+ * @param {Object[]} refs - 模型返回的书目（已通过结构校验）
+ * @param {Object[]} candidates - 候选图书 [{ id, title, author }]
+ * @param {string} path - 问题列表中的字段路径
+ * @returns {{items: Array<{ref: Object, book: Object}>, errors: Array<{field: string, message: string}>}}
+ */
+function groundBookReferences(refs, candidates, path) {
+  const byId = new Map(candidates.map(book => [String(book.id), book]));
+  const seen = new Set();
+  const items = [];
+  const errors = [];
+
+  refs.forEach((ref, index) => {
+    const field = `${path}[${index}]`;
+    const book = byId.get(ref.id);
+    if (!book) {
+      errors.push({ field: `${field}.id`, message: `ID ${ref.id} 不在候选图书中` });
+      return;
+    }
+    if (seen.has(ref.id)) {
+      errors.push({ field: `${field}.id`, message: `ID ${ref.id} 重复` });
+      return;
+    }
+    if (ref.title !== undefined && !isSameTitle(ref.title, book.title)) {
+      errors.push({ field: `${field}.title`, message: `ID ${ref.id} 的题名应为《${book.title}》` });
+      return;
+    }
+    if (ref.author !== undefined && book.author && !isSameAuthor(ref.author, book.author)) {
+      errors.push({ field: `${field}.author`, message: `ID ${ref.id} 的作者应为${book.author}` });
+      return;
+    }
+    seen.add(ref.id);
+    items.push({ ref, book });
+  });
+
+  return { items, errors };
+}
+
+/**
+ * 修正提示：列出问题，要求模型只输出修正后的 JSON
+ */
+function buildRepairPrompt(errors) {
+  const list = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error.field}: ${error.message}`).join('\n');
+  const more = errors.length > MAX_REPORTED_ERRORS ? `\n（另有${errors.length - MAX_REPORTED_ERRORS}个问题）` : '';
+  return `你上一次的回复不符合要求：\n${list}${more}\n\n请修正以上问题，只输出完整的JSON对象，不要附加任何说明或代码块标记。`;
+}
+
+/**
+ * 生成结构化输出
+ * 提取JSON → 结构校验 → 核对馆藏（ground），有问题时把问题发回模型修正，最多 maxRepairs 次
+ * 修正次数用完后：结构仍不合格则抛出 AIOutputError；只剩核对问题时返回 ground 处理后的结果（未通过核对的书目已去掉）
+ * 给出 deadline 时修正也受其限制：到期时只剩核对问题就直接返回，否则抛出 LLM_DEADLINE_EXCEEDED
+ * @param {Object} request - { messages, temperature, maxTokens }
+ * @param {Object} options - {
+ *   schema（结构规则或 AI_OUTPUT_SCHEMAS 中的名称）,
+ *   ground（(value) => { value, errors }，可选，核对并替换为馆藏数据）,
+ *   feature, maxRepairs, 以及传给 chatCompletion 的 provider、timeoutMs、maxRetries、deadline
+ * }
+ * @returns {Promise<{value: Object, repairs: number, errors: Array}>} errors 为最终结果中被去掉的未通过核对的内容
+ * @throws {LLMError|AIOutputError}
+ */
+async function generateStructured(request, options) {
+  const { schema, ground, maxRepairs = MAX_REPAIR_ATTEMPTS, ...completionOptions } = options;
+  const messages = [...request.messages];
+
+  let repairs = 0;
+  while (true) {
+    const response = await chatCompletion({ ...request, messages, responseFormat: 'json' }, completionOptions);
+
+    let errors;
+    let grounded = null;
+    try {
+      const validated = validateAIOutput(schema, extractJson(response.content));
+      errors = validated.errors;
+      if (errors.length === 0) {
+        grounded = ground ? ground(validated.value) : { value: validated.value, errors: [] };
+        errors = grounded.errors;
+      }
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) throw error;
+      errors = [{ field: '(根)', message: `不是有效的JSON：${error.message}` }];
+    }
+
+    const outOfTime = completionOptions.deadline != null && Date.now() >= completionOptions.deadline;
+    if (errors.length === 0 || (grounded && (repairs >= maxRepairs || outOfTime))) {
+      if (errors.length > 0) {
+        console.warn(`⚠️ AI输出有${errors.length}处未通过馆藏核对，已去掉（${completionOptions.feature || 'default'}）`);
+      }
+      return { value: grounded.value, repairs, errors };
+    }
+    if (repairs >= maxRepairs) {
+      throw new AIOutputError(`AI输出校验失败（已修正${repairs}次）`, errors);
+    }
+
+    repairs++;
+    console.warn(`⚠️ AI输出校验未通过，第${repairs}次要求修正（${completionOptions.feature || 'default'}）:`, errors.slice(0, 3));
+    messages.push(
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    );
+  }
+}
+
+module.exports = {
+  AIOutputError,
+  AI_OUTPUT_SCHEMAS,
+  extractJson,
+  validateAIOutput,
+  groundBookReferences,
+  generateStructured
+};
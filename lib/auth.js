@@ -0,0 +1,273 @@
+// lib/auth.js - 登录认证模块（微信登录、签名令牌、从 Authorization 请求头解析读者身份、角色权限）
+const crypto = require('crypto');
+const { getCollection, isDuplicateKeyError, ObjectId } = require('./database');
+const { AuthError, clearUserStatusCache } = require('./users');
+const { DEFAULT_PATRON_TYPE } = require('./policy');
+const { getSessionProvider, isAuthDevMode } = require('./wechat');
+
+// 令牌有效期（秒），可通过 AUTH_TOKEN_TTL 覆盖，默认7天
+const TOKEN_TTL_SECONDS = parseInt(process.env.AUTH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+
+// 本地开发（AUTH_DEV_MODE=1）未配置密钥时使用的固定密钥，任何人都能用它伪造令牌
+const DEV_TOKEN_SECRET = 'smart-library-dev-secret';
+
+/**
+ * 用户角色（保存在用户文档的 role 字段，缺省为读者）
+ * reader: 读者；librarian: 馆员，可管理馆藏；admin: 管理员，可管理馆藏并分配角色
+ */
+const ROLES = ['reader', 'librarian', 'admin'];
+const DEFAULT_ROLE = 'reader';
+const CATALOG_ROLES = ['librarian', 'admin'];
+
+/**
+ * 令牌签名密钥，必须配置 AUTH_TOKEN_SECRET；只有本地开发（AUTH_DEV_MODE=1）可以省略
+ */
+function getTokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (secret) return secret;
+  if (!isAuthDevMode()) {
+    throw new Error('未配置 AUTH_TOKEN_SECRET');
+  }
+  return DEV_TOKEN_SECRET;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getTokenSecret()).update(data).digest('base64url');
+}
+
+/**
+ * 签发令牌（HS256 JWT）
+ * @param {Object} claims - 令牌内容（sub 为用户 openid）
+ * @param {number} [ttlSeconds] - 有效期（秒）
+ * @returns {{token: string, expiresAt: Date}}
+ */
+function signToken(claims, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + ttlSeconds;
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({ ...claims, iat, exp }));
+
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expiresAt: new Date(exp * 1000)
+  };
+}
+
+/**
+ * 校验令牌签名和有效期
+ * @param {string} token - 令牌
+ * @returns {Object} 令牌内容
+ */
+function verifyToken(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new AuthError('登录凭证格式无效', 'INVALID_TOKEN');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('登录凭证无效', 'INVALID_TOKEN');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('登录凭证格式无效', 'INVALID_TOKEN');
+  }
+
+  if (!claims.sub || !claims.exp || claims.exp * 1000 <= Date.now()) {
+    throw new AuthError('登录已过期，请重新登录', 'TOKEN_EXPIRED');
+  }
+
+  return claims;
+}
+
+/**
+ * 从请求的 Authorization: Bearer <token> 头解析读者身份
+ * 所有读者相关接口只认令牌中的 openid，不再信任查询参数或请求体中的用户标识
+ * @param {Object} req - 请求对象
+ * @returns {{openid: string}} 用户标识（可直接传给 buildUserQuery）
+ */
+function authenticateRequest(req) {
+  const header = req.headers?.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    throw new AuthError('请先登录', 'UNAUTHORIZED');
+  }
+
+  const claims = verifyToken(match[1].trim());
+  return { openid: claims.sub };
+}
+
+/**
+ * 规范化角色，未知角色按读者处理
+ */
+function normalizeRole(role) {
+  return ROLES.includes(role) ? role : DEFAULT_ROLE;
+}
+
+/**
+ * 校验请求者角色：先验证令牌，再以用户文档中的角色为准（角色变更立即生效）
+ * @param {Object} req - 请求对象
+ * @param {string[]} roles - 允许的角色
+ * @returns {Promise<{identity: Object, user: Object, role: string}>}
+ */
+async function requireRole(req, roles) {
+  const identity = authenticateRequest(req);
+
+  const usersCollection = await getCollection('users');
+  const user = await usersCollection.findOne({ openid: identity.openid });
+  if (!user) {
+    throw new AuthError('用户不存在，请重新登录', 'UNAUTHORIZED');
+  }
+
+  const role = normalizeRole(user.role);
+  if (!roles.includes(role)) {
+    throw new AuthError('没有权限执行该操作', 'FORBIDDEN', 403);
+  }
+
+  return { identity, user, role };
+}
+
+/**
+ * 校验定时任务请求（Vercel Cron 带 Authorization: Bearer <CRON_SECRET>）
+ * 未配置 CRON_SECRET 时拒绝所有请求（503），只有本地开发（AUTH_DEV_MODE=1）不校验
+ * @param {Object} req - 请求对象
+ * @throws {AuthError}
+ */
+function requireCronSecret(req) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    if (isAuthDevMode()) return;
+    throw new AuthError('未配置 CRON_SECRET，不接受定时任务请求', 'CRON_NOT_CONFIGURED', 503);
+  }
+
+  const expected = Buffer.from(`Bearer ${cronSecret}`);
+  const actual = Buffer.from(String(req.headers.authorization || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('未授权的定时任务请求', 'UNAUTHORIZED_CRON');
+  }
+}
+
+/**
+ * 设置用户角色
+ * @param {Object} target - 目标用户 { userId（用户文档ID）或 openid }
+ * @param {string} role - 新角色
+ * @param {Object} operator - 操作人用户文档
+ * @returns {Promise<Object>} 更新后的用户文档
+ */
+async function setUserRole({ userId, openid } = {}, role, operator) {
+  if (!ROLES.includes(role)) {
+    throw new AuthError(`角色只能为${ROLES.join('、')}`, 'INVALID_ROLE', 400);
+  }
+
+  let userQuery;
+  if (openid) {
+    userQuery = { openid };
+  } else if (userId && ObjectId.isValid(userId)) {
+    userQuery = { _id: new ObjectId(userId) };
+  } else {
+    throw new AuthError('缺少目标用户标识', 'MISSING_USER', 400);
+  }
+
+  const usersCollection = await getCollection('users');
+  const target = await usersCollection.findOne(userQuery);
+  if (!target) {
+    throw new AuthError('用户不存在', 'USER_NOT_FOUND', 404);
+  }
+  // 防止管理员误操作取消自己的权限后无人可分配角色
+  if (target.openid === operator.openid) {
+    throw new AuthError('不能修改自己的角色', 'CANNOT_CHANGE_OWN_ROLE', 400);
+  }
+
+  const now = new Date();
+  return usersCollection.findOneAndUpdate(
+    { _id: target._id },
+    { $set: { role, roleUpdatedBy: operator.openid, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * 格式化登录用户信息
+ */
+function formatUser(user) {
+  return {
+    id: user._id?.toString(),
+    openid: user.openid,
+    name: user.name || '新用户',
+    studentId: user.studentId || '',
+    avatar: user.avatar || '',
+    patronType: user.patronType || DEFAULT_PATRON_TYPE,
+    role: normalizeRole(user.role),
+    joinDate: user.createdAt
+  };
+}
+
+/**
+ * 微信登录：用 wx.login 的 code 换取 openid，写入 users 集合并签发令牌
+ * @param {string} code - wx.login 获取的临时登录凭证
+ * @param {Object} [profile] - 小程序端提供的 { nickName, avatarUrl }
+ * @returns {Promise<{token: string, expiresAt: Date, user: Object, isNewUser: boolean}>}
+ */
+async function loginWithCode(code, profile = {}) {
+  if (!code || typeof code !== 'string') {
+    throw new AuthError('缺少登录凭证code', 'MISSING_CODE', 400);
+  }
+
+  const { openid, unionid } = await getSessionProvider().code2Session(code);
+  if (!openid) {
+    throw new Error('code2session 未返回 openid');
+  }
+
+  const usersCollection = await getCollection('users');
+  const now = new Date();
+  const update = {
+    $set: { lastLoginAt: now, updatedAt: now },
+    $setOnInsert: { openid, patronType: DEFAULT_PATRON_TYPE, createdAt: now }
+  };
+  if (unionid) update.$set.unionid = unionid;
+  if (profile.nickName) update.$set.name = String(profile.nickName).slice(0, 50);
+  if (profile.avatarUrl) update.$set.avatar = String(profile.avatarUrl);
+
+  // 同一用户并发首次登录时，upsert 可能因 openid 唯一索引冲突失败，重试一次即可命中已创建的文档
+  let user;
+  try {
+    user = await usersCollection.findOneAndUpdate({ openid }, update, { upsert: true, returnDocument: 'after' });
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) throw error;
+    user = await usersCollection.findOneAndUpdate({ openid }, update, { returnDocument: 'after' });
+  }
+
+  const { token, expiresAt } = signToken({ sub: openid, uid: user._id.toString() });
+
+  clearUserStatusCache({ openid });
+
+  return {
+    token,
+    expiresAt,
+    user: formatUser(user),
+    isNewUser: user.createdAt.getTime() === now.getTime()
+  };
+}
+
+module.exports = {
+  TOKEN_TTL_SECONDS,
+  ROLES,
+  CATALOG_ROLES,
+  signToken,
+  verifyToken,
+  authenticateRequest,
+  requireRole,
+  requireCronSecret,
+  setUserRole,
+  formatUser,
+  loginWithCode
+};
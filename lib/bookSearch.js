@@ -0,0 +1,487 @@
+// lib/bookSearch.js - 图书检索模块（检索条件解析、全文索引字段生成、相关度评分）
+//
+// MongoDB 文本索引按空白和标点切词，连续的中文会被当成一个词，搜“三体”匹配不到“三体II”。
+// 因此每本书另存一份 searchIndex：中文拆成单字和相邻两字（二元组），英文和数字保持原样，
+// 文本索引建在 searchIndex 上，查询词用同样的方式切分后交给 $text。
+// 切分前统一转为简体，繁体查询词能命中简体馆藏，反之亦然。
+const { toSimplified, buildVariantPattern } = require('./chinese');
+const { SEARCH_QUERY_FIELDS, parseSearchQuery } = require('./searchQuery');
+const { localTimeToDate } = require('./calendar');
+const { expandSynonyms } = require('./synonyms');
+
+// searchIndex 的生成规则变化时递增，重建索引时只处理旧版本的图书
+const SEARCH_INDEX_VERSION = 2;
+
+const TEXT_INDEX_NAME = 'books_search_text';
+
+// 各字段在文本得分中的权重
+const TEXT_INDEX_WEIGHTS = {
+  'searchIndex.title': 10,
+  'searchIndex.author': 6,
+  'searchIndex.subject': 4,
+  'searchIndex.callno': 4,
+  'searchIndex.codes': 4,
+  'searchIndex.description': 1
+};
+
+// 关键词与登录号、ISBN、索书号完全相同时加的分数
+const EXACT_MATCH_BOOST = 50;
+
+// 借阅热度系数：最终得分 = (文本得分 + 精确匹配加分) × (1 + 系数 × ln(1 + 借阅次数))
+const POPULARITY_WEIGHT = 0.1;
+
+const HAN_OR_WORD_PATTERN = /\p{Script=Han}+|(?:(?!\p{Script=Han})[\p{L}\p{N}])+/gu;
+
+/**
+ * 转义正则表达式特殊字符，用户输入只能按字面匹配
+ */
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 切分文本为检索词
+ * 先转为简体，中文连续片段生成相邻两字的二元组，单独一个字时保留单字；forIndex 为 true 时额外保留所有单字，使单字查询也能命中
+ * @param {string} text - 原文
+ * @param {Object} options - { forIndex }
+ * @returns {string[]} 检索词（小写）
+ */
+function segmentText(text, { forIndex = false } = {}) {
+  const tokens = [];
+  const chunks = toSimplified(String(text || '')).toLowerCase().match(HAN_OR_WORD_PATTERN) || [];
+
+  for (const chunk of chunks) {
+    if (!/\p{Script=Han}/u.test(chunk)) {
+      tokens.push(chunk);
+      continue;
+    }
+    const chars = Array.from(chunk);
+    if (forIndex || chars.length === 1) {
+      tokens.push(...chars);
+    }
+    for (let i = 0; i < chars.length - 1; i++) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+
+  return tokens;
+}
+
+function indexText(...values) {
+  return [...new Set(values.flat().flatMap(value => segmentText(value, { forIndex: true })))].join(' ');
+}
+
+/**
+ * 生成图书的 searchIndex 字段（新增、修改、导入图书时写入）
+ * @param {Object} book - 图书字段
+ * @returns {Object}
+ */
+function buildSearchIndex(book) {
+  return {
+    title: indexText(book.title),
+    author: indexText(book.author),
+    subject: indexText(book.subject, book.tags || [], book.category, book.subcategory),
+    callno: indexText(book.callno),
+    codes: indexText(book.acno, book.isbn),
+    description: indexText(book.description),
+    version: SEARCH_INDEX_VERSION
+  };
+}
+
+/**
+ * 关键词转为 $text 的 $search 字符串（各检索词之间为“或”，由得分区分匹配程度）
+ * ISBN 带连字符时补充去掉连字符的形式
+ */
+function buildTextSearch(keyword) {
+  const terms = segmentText(keyword);
+  const compact = String(keyword).replace(/[\s-]/g, '').toLowerCase();
+  if (/^(\d{9}[\dx]|\d{13})$/.test(compact)) {
+    terms.push(compact);
+  }
+  return [...new Set(terms)].join(' ');
+}
+
+/**
+ * 包含匹配的正则，简体、繁体写法均可命中（字段原文未经归一化时使用）
+ */
+function containsRegex(text) {
+  return new RegExp(buildVariantPattern(text, escapeRegex), 'i');
+}
+
+/**
+ * 解析多选参数：逗号（中英文均可）分隔的字符串，或重复参数形成的数组
+ * @returns {string[]} 去重后的取值
+ */
+function parseMultiValue(value) {
+  const values = (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string')
+    .flatMap(item => item.split(/[,，]/))
+    .map(item => item.trim())
+    .filter(Boolean);
+  return [...new Set(values)];
+}
+
+/**
+ * 单选时直接等值匹配，多选时用 $in
+ */
+function anyOf(values) {
+  return values.length === 1 ? values[0] : { $in: values };
+}
+
+// 不限定字段的检索词在正则匹配时查找的字段
+const KEYWORD_FIELDS = ['title', 'author', 'publisher', 'subject', 'callno', 'acno'];
+
+function keywordClause(text) {
+  const regex = containsRegex(text);
+  return { $or: KEYWORD_FIELDS.map(field => ({ [field]: regex })) };
+}
+
+function onPaths(paths, condition) {
+  return paths.length === 1
+    ? { [paths[0]]: condition }
+    : { $or: paths.map(path => ({ [path]: condition })) };
+}
+
+/**
+ * 年、年月或日期在图书馆时区的起止时刻（止为下一时段的开始）
+ */
+function datePeriod(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  const toDate = (y, m, d) => localTimeToDate(new Date(Date.UTC(y, m - 1, d)).toISOString().slice(0, 10));
+  return {
+    start: toDate(year, month || 1, day || 1),
+    end: day ? toDate(year, month, day + 1) : month ? toDate(year, month + 1, 1) : toDate(year + 1, 1, 1)
+  };
+}
+
+// 出版日期的月、日补足两位，与库中 YYYY-MM-DD 的写法一致
+function padDate(value) {
+  return value.split('-').map((part, i) => (i === 0 ? part : part.padStart(2, '0'))).join('-');
+}
+
+/**
+ * 范围条件
+ * 出版日期为字符串，按前缀比较：上界 1936 包含 1936-12-31，故在末尾补一个最大字符
+ */
+function rangeCondition(type, { from, to, fromExclusive, toExclusive }) {
+  const condition = {};
+  if (type === 'number') {
+    if (from !== null) condition[fromExclusive ? '$gt' : '$gte'] = Number(from);
+    if (to !== null) condition[toExclusive ? '$lt' : '$lte'] = Number(to);
+  } else if (type === 'date') {
+    if (from !== null) condition[fromExclusive ? '$gt' : '$gte'] = fromExclusive ? `${padDate(from)}\uffff` : padDate(from);
+    if (to !== null) condition[toExclusive ? '$lt' : '$lte'] = toExclusive ? padDate(to) : `${padDate(to)}\uffff`;
+  } else {
+    if (from !== null) condition.$gte = fromExclusive ? datePeriod(from).end : datePeriod(from).start;
+    if (to !== null) condition.$lt = toExclusive ? datePeriod(to).start : datePeriod(to).end;
+  }
+  return condition;
+}
+
+/**
+ * 字段限定条件，与对应检索参数生成的条件相同（author、publisher 包含匹配，category、language、status 完全相同）
+ */
+function fieldCondition(node) {
+  const { type, paths } = SEARCH_QUERY_FIELDS[node.field];
+  if (node.range) return onPaths(paths, rangeCondition(type, node.range));
+
+  switch (type) {
+    case 'text':
+      return onPaths(paths, containsRegex(node.value));
+    case 'isbn':
+      return onPaths(paths, node.value.replace(/[\s-]/g, '').toUpperCase());
+    case 'number':
+      return onPaths(paths, Number(node.value));
+    case 'date':
+    case 'datetime':
+      return onPaths(paths, rangeCondition(type, { from: node.value, to: node.value }));
+    default:
+      return onPaths(paths, node.value);
+  }
+}
+
+function compileNode(node) {
+  switch (node.type) {
+    case 'and':
+      return { $and: node.items.map(compileNode) };
+    case 'or':
+      return { $or: node.items.map(compileNode) };
+    case 'not':
+      return { $nor: [compileNode(node.operand)] };
+    case 'field':
+      return fieldCondition(node);
+    default:
+      return keywordClause(node.value);
+  }
+}
+
+/**
+ * 编译检索语句（语法见 lib/searchQuery.js）
+ * 顶层以 AND 连接的普通检索词合并为 keyword，交给文本索引检索并参与相关度评分；
+ * 短语、字段限定以及位于 OR、NOT 中的检索词编译为 clauses（短语的文字也计入 keyword 用于评分）
+ * terms 收集不在 NOT 中的检索词，供结果高亮使用：text 为不限定字段的词，其余按限定字段分组（如 terms.author）
+ * @param {string} input - 检索语句
+ * @returns {{keyword: string, clauses: Object[], fields: string[], terms: Object}} fields 为语句中出现的限定字段
+ * @throws {QuerySyntaxError}
+ */
+function compileSearchQuery(input) {
+  const tree = parseSearchQuery(input);
+  const result = { keyword: '', clauses: [], fields: [], terms: { text: [] } };
+  if (!tree) return result;
+
+  const fields = new Set();
+  const collect = (node, negated) => {
+    if (node.type === 'field') fields.add(node.field);
+    if (!negated && node.type === 'text') result.terms.text.push(node.value);
+    if (!negated && node.type === 'field' && node.value !== undefined) {
+      (result.terms[node.field] = result.terms[node.field] || []).push(node.value);
+    }
+    (node.items || []).forEach(item => collect(item, negated));
+    if (node.operand) collect(node.operand, !negated);
+  };
+  collect(tree, false);
+
+  const keywords = [];
+  for (const node of tree.type === 'and' ? tree.items : [tree]) {
+    if (node.type === 'text') {
+      keywords.push(node.value);
+      if (node.phrase) result.clauses.push(compileNode(node));
+    } else {
+      result.clauses.push(compileNode(node));
+    }
+  }
+
+  result.keyword = keywords.join(' ').trim();
+  result.fields = Array.from(fields);
+  return result;
+}
+
+/**
+ * 根据检索参数构建 books 集合的查询条件
+ * q 支持高级检索语法（字段限定、布尔运算、排除、短语、范围，见 compileSearchQuery），与下列参数之间为 AND
+ * q 中的普通检索词按同义词表扩展（见 lib/synonyms.js），同义词之间为“或”
+ * category、language、status、author、publisher、decade 均支持多选（如 category=文学,历史），同一参数的多个取值之间为“或”
+ * 未指定状态（参数或 q 中的 status:）时排除已下架图书
+ * @param {Object} params - { q, category, language, status, author, publisher, decade, synonyms }
+ * @param {Object} options - { textIndex } 为 false 时关键词改用正则匹配（文本索引尚未建立时使用）
+ * @returns {Object} MongoDB 查询条件
+ * @throws {QuerySyntaxError} q 的语法错误
+ */
+function buildSearchFilter(params = {}, { textIndex = true } = {}) {
+  const query = compileSearchQuery(typeof params.q === 'string' ? params.q : '');
+  const keyword = query.keyword;
+  const categories = parseMultiValue(params.category);
+  const languages = parseMultiValue(params.language);
+  const statuses = parseMultiValue(params.status);
+  const authors = parseMultiValue(params.author);
+  const publishers = parseMultiValue(params.publisher);
+  const decades = parseMultiValue(params.decade).filter(decade => /^\d{3}0$/.test(decade));
+
+  const searchQuery = {};
+
+  // 关键词搜索（synonyms=false 时不做同义词扩展）
+  if (keyword) {
+    const alternatives = params.synonyms === 'false' ? [] : expandSynonyms(keyword).alternatives;
+    const textSearch = buildTextSearch([keyword, ...alternatives].join(' '));
+    if (textIndex && textSearch) {
+      searchQuery.$text = { $search: textSearch };
+    } else {
+      searchQuery.$or = [keyword, ...alternatives].flatMap(text => keywordClause(text).$or);
+    }
+  }
+
+  // 检索语句中的字段限定、短语和布尔条件
+  if (query.clauses.length > 0) {
+    searchQuery.$and = query.clauses;
+  }
+
+  // 分类筛选
+  if (categories.length > 0) {
+    searchQuery.category = anyOf(categories);
+  }
+
+  // 语言筛选
+  if (languages.length > 0) {
+    searchQuery.language = anyOf(languages);
+  }
+
+  // 状态筛选
+  if (statuses.length > 0) {
+    searchQuery.status = anyOf(statuses);
+  } else if (!query.fields.includes('status')) {
+    searchQuery.status = { $ne: 'withdrawn' };
+  }
+
+  // 作者筛选（包含匹配，不区分繁简）
+  if (authors.length > 0) {
+    searchQuery.author = { $in: authors.map(containsRegex) };
+  }
+
+  // 出版社筛选（包含匹配，不区分繁简）
+  if (publishers.length > 0) {
+    searchQuery.publisher = { $in: publishers.map(containsRegex) };
+  }
+
+  // 出版年代筛选（decade=1990 匹配 1990-1999 年出版）
+  if (decades.length > 0) {
+    searchQuery.publishDate = { $in: decades.map(decade => new RegExp(`^${decade.slice(0, 3)}\\d`)) };
+  }
+
+  return searchQuery;
+}
+
+/**
+ * 相关度评分的聚合阶段（接在带 $text 或正则条件的 $match 之后）
+ * 输出 textScore（文本得分）、exactBoost（精确匹配加分）和 score（混合借阅热度后的最终得分）
+ * @param {string} keyword - 搜索关键词
+ * @param {Object} options - { textIndex } 是否使用了 $text
+ * @returns {Array} 聚合阶段
+ */
+function buildRelevanceStages(keyword, { textIndex = true } = {}) {
+  const lowered = String(keyword).trim().toLowerCase();
+  const isbn = String(keyword).replace(/[\s-]/g, '').toUpperCase();
+  const exactMatch = (field, value) => ({
+    $cond: [{ $eq: [{ $toLower: { $ifNull: [field, ''] } }, value] }, EXACT_MATCH_BOOST, 0]
+  });
+
+  return [
+    {
+      $addFields: {
+        textScore: textIndex ? { $meta: 'textScore' } : 0,
+        exactBoost: {
+          $add: [
+            exactMatch('$acno', lowered),
+            exactMatch('$callno', lowered),
+            { $cond: [{ $eq: ['$isbn', isbn] }, EXACT_MATCH_BOOST, 0] }
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        score: {
+          $multiply: [
+            { $add: ['$textScore', '$exactBoost'] },
+            { $add: [1, { $multiply: [POPULARITY_WEIGHT, { $ln: { $add: [1, { $ifNull: ['$borrowCount', 0] }] } }] }] }
+          ]
+        }
+      }
+    }
+  ];
+}
+
+// 分面统计中出版社只返回数量最多的前若干个
+const TOP_PUBLISHERS = 10;
+
+/**
+ * 分面统计的 $facet 子管道：分类、语言、状态、出版社（前10）和出版年代
+ */
+function buildFacetPipelines() {
+  const countBy = (expr) => [
+    { $group: { _id: expr, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  return {
+    category: countBy('$category'),
+    language: countBy('$language'),
+    status: countBy('$status'),
+    publisher: [...countBy('$publisher'), { $limit: TOP_PUBLISHERS + 1 }],
+    // 按出版年前三位分组，如 "1996" 归入 199（1990年代）
+    decade: [
+      { $group: { _id: { $substrCP: [{ $ifNull: [{ $toString: '$publishDate' }, ''] }, 0, 3] }, count: { $sum: 1 } } },
+      { $sort: { _id: -1 } }
+    ]
+  };
+}
+
+/**
+ * 整理 $facet 的统计结果为 { value, count } 列表，去掉空值
+ * 出版年代的 value 为年代起始年（如 "1990"），可直接作为 decade 参数
+ */
+function formatFacets(raw) {
+  const buckets = (groups = []) => groups
+    .filter(group => group._id !== null && group._id !== undefined && String(group._id).trim() !== '')
+    .map(group => ({ value: group._id, count: group.count }));
+
+  return {
+    category: buckets(raw.category),
+    language: buckets(raw.language),
+    status: buckets(raw.status),
+    publisher: buckets(raw.publisher).slice(0, TOP_PUBLISHERS),
+    decade: buckets(raw.decade)
+      .filter(bucket => /^\d{3}$/.test(bucket.value))
+      .map(bucket => ({ value: `${bucket.value}0`, label: `${bucket.value}0年代`, count: bucket.count }))
+  };
+}
+
+/**
+ * 建立图书文本索引，并为缺少或版本过旧的图书生成 searchIndex
+ * 集合只能有一个文本索引，旧的文本索引（title/author/description）会被删除
+ * @param {Object} booksCollection - books 集合
+ * @param {Object} options - { rebuild } 为 true 时重新生成所有图书的 searchIndex
+ * @returns {Promise<number>} 更新的图书数
+ */
+async function ensureSearchIndex(booksCollection, { rebuild = false } = {}) {
+  const indexes = await booksCollection.indexes();
+  for (const index of indexes) {
+    const isText = index.key && (index.key._fts === 'text' || Object.values(index.key).includes('text'));
+    if (isText && index.name !== TEXT_INDEX_NAME) {
+      await booksCollection.dropIndex(index.name);
+      console.log(`🗑️ 已删除旧文本索引 ${index.name}`);
+    }
+  }
+
+  await booksCollection.createIndexes([{
+    key: Object.fromEntries(Object.keys(TEXT_INDEX_WEIGHTS).map(field => [field, 'text'])),
+    name: TEXT_INDEX_NAME,
+    weights: TEXT_INDEX_WEIGHTS,
+    // 检索词已经预先切分，不做词干提取和停用词处理；图书的 language 字段（如“中文”）不是索引语言
+    default_language: 'none',
+    language_override: 'textLanguage'
+  }]);
+
+  const cursor = booksCollection
+    .find(rebuild ? {} : { 'searchIndex.version': { $ne: SEARCH_INDEX_VERSION } })
+    .batchSize(500);
+
+  let updated = 0;
+  let operations = [];
+  for await (const book of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: book._id },
+        update: { $set: { searchIndex: buildSearchIndex(book) } }
+      }
+    });
+    if (operations.length === 500) {
+      await booksCollection.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    }
+  }
+  if (operations.length > 0) {
+    await booksCollection.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  return updated;
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  TEXT_INDEX_NAME,
+  TEXT_INDEX_WEIGHTS,
+  escapeRegex,
+  containsRegex,
+  parseMultiValue,
+  segmentText,
+  buildSearchIndex,
+  buildTextSearch,
+  compileSearchQuery,
+  buildSearchFilter,
+  buildRelevanceStages,
+  buildFacetPipelines,
+  formatFacets,
+  ensureSearchIndex
+};
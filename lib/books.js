@@ -1,21 +1,54 @@
 const fs = require('fs');
 const path = require('path');
+const { buildInvertedIndex, searchInvertedIndex } = require('./invertedIndex');
 
 // 图书数据文件路径
 const booksDataPath = path.join(process.cwd(), 'data', 'books.json');
 
+// 检索字段及权重
+const SEARCH_FIELDS = { title: 3, author: 2, keywords: 1.5, category: 1, publisher: 0.5 };
+
+// 这些字段的取值作为分词的自定义词典（如“三体问题”“黑暗森林法则”不会被拆开）
+const DICTIONARY_FIELDS = ['keywords', 'category', 'author'];
+
 /**
- * 获取所有图书
- * @returns {Promise<Array>} 图书列表
+ * 进程内缓存的馆藏数据和倒排索引
+ * 每次访问时比较数据文件的修改时间和大小，文件变化后重新加载
  */
-async function getAllBooks() {
+let catalog = null;
+
+/**
+ * 读取并索引数据文件；文件缺失、写到一半或格式错误时继续使用上次加载的数据
+ * @returns {{books: Array, index: Object}}
+ */
+function loadCatalog() {
   try {
-    const data = fs.readFileSync(booksDataPath, 'utf8');
-    return JSON.parse(data).books;
+    const stat = fs.statSync(booksDataPath);
+    if (catalog && catalog.mtimeMs === stat.mtimeMs && catalog.size === stat.size) {
+      return catalog;
+    }
+
+    const startedAt = Date.now();
+    const books = JSON.parse(fs.readFileSync(booksDataPath, 'utf8')).books || [];
+    catalog = {
+      books,
+      index: buildInvertedIndex(books, { fields: SEARCH_FIELDS, dictionaryFields: DICTIONARY_FIELDS }),
+      mtimeMs: stat.mtimeMs,
+      size: stat.size
+    };
+    console.log(`📚 图书数据已加载: ${books.length} 本，索引 ${catalog.index.postings.size} 个词，耗时 ${Date.now() - startedAt}ms`);
   } catch (error) {
     console.error('读取图书数据失败:', error);
-    return []; 
   }
+  return catalog || { books: [], index: buildInvertedIndex([], { fields: SEARCH_FIELDS }) };
+}
+
+/**
+ * 获取所有图书
+ * @returns {Promise<Array>} 图书列表
+ */
+async function getAllBooks() {
+  return loadCatalog().books;
 }
 
 /**
@@ -53,25 +86,17 @@ async function getBooksByCategory(category) {
 
 /**
  * 按关键词搜索图书
+ * 空格分隔的词之间为 AND，支持 OR 和引号短语（如 `科幻 OR 魔幻`、`"黑暗森林"`），不区分繁简
  * @param {string} keyword 搜索关键词
- * @returns {Promise<Array>} 符合条件的图书列表
+ * @param {Object} options { limit } 最多返回的条数
+ * @returns {Promise<Array>} 符合条件的图书列表，按相关度从高到低排列，附带 score
  */
-async function searchBooks(keyword) {
+async function searchBooks(keyword, { limit } = {}) {
   if (!keyword) return [];
 
   try {
-    const books = await getAllBooks();
-    const lowerKeyword = keyword.toLowerCase();
-
-    return books.filter(book => {
-      // 检查标题、作者、关键词和分类
-      return (
-        book.title.toLowerCase().includes(lowerKeyword) ||
-        book.author.toLowerCase().includes(lowerKeyword) ||
-        (book.keywords && book.keywords.some(k => k.toLowerCase().includes(lowerKeyword))) ||
-        (book.category && book.category.some(c => c.toLowerCase().includes(lowerKeyword)))
-      );
-    });
+    const { index } = loadCatalog();
+    return searchInvertedIndex(index, keyword, { limit }).map(({ doc, score }) => ({ ...doc, score }));
   } catch (error) {
     console.error('搜索图书失败:', error);
     return [];
@@ -0,0 +1,510 @@
+// lib/borrow.js - 借阅业务模块（借书、还书、借阅记录）
+const {
+  getCollection,
+  withTransaction,
+  isDuplicateKeyError,
+  dbUtils,
+  ObjectId
+} = require('./database');
+const { RequestError, BorrowError, buildUserQuery, clearUserStatusCache } = require('./users');
+const { getLoanPolicy, findPatron } = require('./policy');
+const { computeDueDate, isOverdue } = require('./calendar');
+const { finalizeFine, assertBelowFineThreshold } = require('./fines');
+
+// 预约到书后的取书期限（天，遇闭馆日顺延）
+const HOLD_PICKUP_DAYS = 3;
+
+/**
+ * 查找图书（依次按ObjectId、字符串ID、图书编号查询）
+ * @param {Collection} collection - books集合
+ * @param {string} bookId - 图书ID或acno
+ * @param {ClientSession} [session] - 事务会话
+ * @returns {Promise<Object|null>} 图书对象或null
+ */
+async function findBook(collection, bookId, session) {
+  if (!bookId) return null;
+
+  let book = null;
+  if (ObjectId.isValid(bookId)) {
+    book = await collection.findOne({ _id: new ObjectId(bookId) }, { session });
+  }
+  if (!book) {
+    book = await collection.findOne({ $or: [{ _id: bookId }, { acno: bookId }] }, { session });
+  }
+  return book;
+}
+
+/**
+ * 借阅记录ID查询条件
+ */
+function buildBorrowIdQuery(borrowId) {
+  return ObjectId.isValid(borrowId)
+    ? { _id: new ObjectId(borrowId) }
+    : { _id: borrowId };
+}
+
+/**
+ * 格式化借阅记录
+ */
+function formatBorrowRecord(record) {
+  return {
+    id: record._id?.toString(),
+    bookId: record.bookId,
+    bookTitle: record.bookTitle || '',
+    bookAuthor: record.bookAuthor || '',
+    acno: record.acno || '',
+    callno: record.callno || '',
+    borrowDate: record.borrowDate,
+    dueDate: record.dueDate,
+    returnDate: record.returnDate || null,
+    renewCount: record.renewCount || 0,
+    status: record.status
+  };
+}
+
+/**
+ * 释放一个副本：优先分配给预约队列中的下一位读者，否则增加可借副本
+ * 必须在事务内调用
+ * @param {Db} db - 数据库实例
+ * @param {ClientSession} session - 事务会话
+ * @param {Object} book - 图书文档
+ * @param {Date} now - 当前时间
+ * @returns {Promise<Object|null>} 获得该副本的预约，队列为空时返回null
+ */
+async function releaseCopy(db, session, book, now = new Date()) {
+  const bookKey = book._id.toString();
+
+  // 按预约先后顺序分配，读者需在取书期限内借走
+  const nextHold = await db.collection('holds').findOneAndUpdate(
+    { bookId: bookKey, status: 'waiting' },
+    {
+      $set: {
+        status: 'ready',
+        readyAt: now,
+        pickupDeadline: computeDueDate(now, HOLD_PICKUP_DAYS),
+        updatedAt: now
+      }
+    },
+    { session, sort: { createdAt: 1, _id: 1 }, returnDocument: 'after' }
+  );
+
+  if (nextHold) {
+    clearUserStatusCache(nextHold);
+    return nextHold;
+  }
+
+  const restored = await db.collection('books').updateOne(
+    {
+      _id: book._id,
+      $or: [
+        { totalCopies: { $exists: false } },
+        { $expr: { $lt: ['$availableCopies', '$totalCopies'] } }
+      ]
+    },
+    {
+      $inc: { availableCopies: 1 },
+      $set: { status: 'available', updatedAt: now }
+    },
+    { session }
+  );
+  if (restored.matchedCount === 0) {
+    console.warn('可借副本已达馆藏总数，未增加副本:', bookKey);
+  }
+
+  return null;
+}
+
+/**
+ * 以幂等方式执行借还操作
+ * 同一用户、同一幂等键的重复请求直接返回首次的借阅记录，不会重复扣减副本
+ * @param {string} scope - 操作类型: checkout, return
+ * @param {Object} identity - 用户标识
+ * @param {string} idempotencyKey - 客户端提供的幂等键（可选）
+ * @param {Object} target - 请求目标（用于校验同一个键没有被复用到其他请求）
+ * @param {Function} work - 事务内的业务操作，参数为 (session, db)，返回借阅记录
+ * @returns {Promise<{record: Object, replayed: boolean}>}
+ */
+async function runIdempotent(scope, identity, idempotencyKey, target, work) {
+  if (!idempotencyKey) {
+    const record = await withTransaction(work);
+    return { record, replayed: false };
+  }
+
+  const { userId, studentId, openid } = identity;
+  const keyId = `${scope}:${userId || studentId || openid}:${idempotencyKey}`;
+  const keysCollection = await getCollection('idempotency_keys');
+
+  const replay = async () => {
+    const saved = await keysCollection.findOne({ _id: keyId });
+    if (!saved) return null;
+
+    if (JSON.stringify(saved.target) !== JSON.stringify(target)) {
+      throw new BorrowError('幂等键已用于其他请求', 'IDEMPOTENCY_KEY_REUSED', 422);
+    }
+    if (!saved.borrowId) {
+      throw new BorrowError('相同请求正在处理中，请稍后重试', 'REQUEST_IN_PROGRESS', 409);
+    }
+
+    const borrowsCollection = await getCollection('borrows');
+    const record = await borrowsCollection.findOne({ _id: saved.borrowId });
+    return record ? { record, replayed: true } : null;
+  };
+
+  const previous = await replay();
+  if (previous) return previous;
+
+  try {
+    const record = await withTransaction(async (session, db) => {
+      await db.collection('idempotency_keys').insertOne(
+        { _id: keyId, scope, target, createdAt: new Date() },
+        { session }
+      );
+
+      const result = await work(session, db);
+
+      await db.collection('idempotency_keys').updateOne(
+        { _id: keyId },
+        { $set: { borrowId: result._id } },
+        { session }
+      );
+      return result;
+    });
+    return { record, replayed: false };
+
+  } catch (error) {
+    // 并发的重复请求：等先到的请求提交后返回其结果
+    if (isDuplicateKeyError(error)) {
+      const concurrent = await replay();
+      if (concurrent) return concurrent;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 借书（事务内原子扣减可借副本）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @param {string} bookId - 图书ID
+ * @param {Object} options - { idempotencyKey }
+ * @returns {Promise<{record: Object, replayed: boolean}>} 借阅记录及是否为重放结果
+ */
+async function createBorrow(identity, bookId, options = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+  if (!bookId) {
+    throw new BorrowError('图书ID不能为空', 'MISSING_BOOK');
+  }
+
+  const result = await runIdempotent('checkout', identity, options.idempotencyKey, { bookId }, async (session, db) => {
+    const booksCollection = db.collection('books');
+    const borrowsCollection = db.collection('borrows');
+
+    const book = await findBook(booksCollection, bookId, session);
+    if (!book) {
+      throw new BorrowError('图书不存在', 'BOOK_NOT_FOUND', 404);
+    }
+    if (book.status === 'withdrawn') {
+      throw new BorrowError('该图书已下架', 'BOOK_WITHDRAWN', 410);
+    }
+
+    const bookKey = book._id.toString();
+
+    // 同一用户不能重复借阅同一本书
+    const existing = await borrowsCollection.findOne({
+      ...userQuery,
+      bookId: bookKey,
+      status: 'borrowed'
+    }, { session });
+    if (existing) {
+      throw new BorrowError('您已借阅该图书，尚未归还', 'ALREADY_BORROWED', 409);
+    }
+
+    // 按读者类型和图书分类确定借阅规则
+    const { patronType } = await findPatron(db.collection('users'), userQuery, session);
+    const policy = getLoanPolicy(patronType, book.category);
+
+    const currentLoans = await borrowsCollection.countDocuments(
+      { ...userQuery, status: 'borrowed' },
+      { session }
+    );
+    if (currentLoans >= policy.maxLoans) {
+      throw new BorrowError(
+        `已达到最大借阅数量（${policy.maxLoans}本），请先归还部分图书`,
+        'LOAN_LIMIT_REACHED',
+        409
+      );
+    }
+
+    const now = new Date();
+
+    // 欠款超过阈值时暂停借书
+    await assertBelowFineThreshold(db, session, userQuery, policy, now);
+    const holdsCollection = db.collection('holds');
+
+    // 读者有已到书的预约时，借走为其保留的副本（该副本不计入可借副本）
+    const readyHold = await holdsCollection.findOneAndUpdate(
+      { ...userQuery, bookId: bookKey, status: 'ready' },
+      { $set: { status: 'fulfilled', fulfilledAt: now, updatedAt: now } },
+      { session, returnDocument: 'after' }
+    );
+
+    if (readyHold) {
+      await booksCollection.updateOne(
+        { _id: book._id },
+        { $inc: { borrowCount: 1 }, $set: { updatedAt: now } },
+        { session }
+      );
+    } else {
+      // 仅在仍有可借副本时扣减，避免并发借走最后一本
+      const updatedBook = await booksCollection.findOneAndUpdate(
+        { _id: book._id, availableCopies: { $gt: 0 } },
+        {
+          $inc: { availableCopies: -1, borrowCount: 1 },
+          $set: { updatedAt: now }
+        },
+        { session, returnDocument: 'after' }
+      );
+      if (!updatedBook) {
+        throw new BorrowError('该图书暂无可借副本，可以预约排队', 'NO_AVAILABLE_COPIES', 409);
+      }
+      if (updatedBook.availableCopies <= 0) {
+        await booksCollection.updateOne(
+          { _id: book._id },
+          { $set: { status: 'borrowed' } },
+          { session }
+        );
+      }
+
+      // 读者仍在排队时直接借到了书，结束其预约
+      await holdsCollection.updateMany(
+        { ...userQuery, bookId: bookKey, status: 'waiting' },
+        { $set: { status: 'fulfilled', fulfilledAt: now, updatedAt: now } },
+        { session }
+      );
+    }
+
+    // 应还日期按图书馆日历计算，遇闭馆日顺延
+    const dueDate = computeDueDate(now, policy.loanDays);
+
+    const record = {
+      ...userQuery,
+      bookId: bookKey,
+      bookTitle: book.title || '',
+      bookAuthor: book.author || '',
+      acno: book.acno || '',
+      callno: book.callno || '',
+      category: book.category || '',
+      patronType,
+      borrowDate: now,
+      dueDate,
+      returnDate: null,
+      renewCount: 0,
+      status: 'borrowed',
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const insertResult = await borrowsCollection.insertOne(record, { session });
+    record._id = insertResult.insertedId;
+    return record;
+  });
+
+  clearUserStatusCache(identity);
+
+  return result;
+}
+
+/**
+ * 还书（事务内更新借阅记录并归还副本）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @param {Object} target - { borrowId } 或 { bookId }
+ * @param {Object} options - { idempotencyKey }
+ * @returns {Promise<{record: Object, replayed: boolean}>} 借阅记录及是否为重放结果
+ */
+async function returnBorrow(identity, { borrowId, bookId } = {}, options = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+  if (!borrowId && !bookId) {
+    throw new BorrowError('请提供借阅记录ID或图书ID', 'MISSING_TARGET');
+  }
+
+  const target = borrowId ? { borrowId } : { bookId };
+
+  const result = await runIdempotent('return', identity, options.idempotencyKey, target, async (session, db) => {
+    const booksCollection = db.collection('books');
+    const borrowsCollection = db.collection('borrows');
+
+    let recordQuery = { ...userQuery, status: 'borrowed' };
+    if (borrowId) {
+      recordQuery = { ...recordQuery, ...buildBorrowIdQuery(borrowId) };
+    } else {
+      const book = await findBook(booksCollection, bookId, session);
+      recordQuery.bookId = book ? book._id.toString() : bookId;
+    }
+
+    const now = new Date();
+
+    // 状态从borrowed变为returned只会成功一次，重复还书不会重复归还副本
+    const record = await borrowsCollection.findOneAndUpdate(
+      recordQuery,
+      { $set: { status: 'returned', returnDate: now, updatedAt: now } },
+      { session, returnDocument: 'after' }
+    );
+    if (!record) {
+      throw new BorrowError('未找到未归还的借阅记录', 'BORROW_NOT_FOUND', 404);
+    }
+
+    // 逾期还书时确定罚款金额
+    const fine = await finalizeFine(db, session, record, now);
+    if (fine) {
+      console.log(`💰 逾期 ${fine.overdueDays} 天，罚款 ${fine.amount} 分`);
+    }
+
+    const book = await findBook(booksCollection, record.bookId, session);
+    if (!book) {
+      console.warn('还书时未找到图书:', record.bookId);
+      return record;
+    }
+
+    const assignedHold = await releaseCopy(db, session, book, now);
+    if (assignedHold) {
+      console.log(`📬 归还的副本已分配给预约读者: ${assignedHold._id}`);
+    }
+
+    return record;
+  });
+
+  clearUserStatusCache(identity);
+
+  return result;
+}
+
+/**
+ * 续借（按借阅规则校验续借次数、逾期和预约排队情况）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @param {Object} target - { borrowId } 或 { bookId }
+ * @param {Object} options - { idempotencyKey }
+ * @returns {Promise<{record: Object, replayed: boolean}>} 续借后的借阅记录及是否为重放结果
+ */
+async function renewBorrow(identity, { borrowId, bookId } = {}, options = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+  if (!borrowId && !bookId) {
+    throw new BorrowError('请提供借阅记录ID或图书ID', 'MISSING_TARGET');
+  }
+
+  const target = borrowId ? { borrowId } : { bookId };
+
+  const result = await runIdempotent('renew', identity, options.idempotencyKey, target, async (session, db) => {
+    const booksCollection = db.collection('books');
+    const borrowsCollection = db.collection('borrows');
+
+    let recordQuery = { ...userQuery, status: 'borrowed' };
+    if (borrowId) {
+      recordQuery = { ...recordQuery, ...buildBorrowIdQuery(borrowId) };
+    } else {
+      const book = await findBook(booksCollection, bookId, session);
+      recordQuery.bookId = book ? book._id.toString() : bookId;
+    }
+
+    const record = await borrowsCollection.findOne(recordQuery, { session });
+    if (!record) {
+      throw new BorrowError('未找到未归还的借阅记录', 'BORROW_NOT_FOUND', 404);
+    }
+
+    const book = await findBook(booksCollection, record.bookId, session);
+    const { patronType } = await findPatron(db.collection('users'), userQuery, session);
+    const policy = getLoanPolicy(patronType, book?.category);
+
+    const renewCount = record.renewCount || 0;
+    if (renewCount >= policy.maxRenewals) {
+      throw new BorrowError(
+        policy.maxRenewals === 0 ? '该图书不可续借' : `已达到最大续借次数（${policy.maxRenewals}次）`,
+        'RENEWAL_LIMIT_REACHED',
+        409
+      );
+    }
+
+    const now = new Date();
+    if (isOverdue(record.dueDate, now)) {
+      throw new BorrowError('图书已逾期，请先归还', 'LOAN_OVERDUE', 409);
+    }
+
+    if (policy.blockRenewalOnHold) {
+      const waiting = await db.collection('holds').countDocuments(
+        { bookId: record.bookId, status: 'waiting' },
+        { session }
+      );
+      if (waiting > 0) {
+        throw new BorrowError('该图书有其他读者预约，无法续借', 'HOLD_EXISTS', 409);
+      }
+    }
+
+    // 新借期从续借当天起算（按图书馆日历）；条件更新防止并发续借超过次数
+    const dueDate = computeDueDate(now, policy.loanDays);
+    const renewed = await borrowsCollection.findOneAndUpdate(
+      { _id: record._id, status: 'borrowed', renewCount: record.renewCount ?? null },
+      {
+        $set: { dueDate, lastRenewedAt: now, updatedAt: now },
+        $inc: { renewCount: 1 }
+      },
+      { session, returnDocument: 'after' }
+    );
+    if (!renewed) {
+      throw new BorrowError('借阅记录已变化，请刷新后重试', 'BORROW_CHANGED', 409);
+    }
+
+    return renewed;
+  });
+
+  clearUserStatusCache(identity);
+
+  return result;
+}
+
+/**
+ * 查询借阅记录（分页）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @param {Object} options - { status, page, limit }
+ */
+async function listBorrowRecords(identity, options = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+
+  const { status, page = 1, limit = 20 } = options;
+  const filter = { ...userQuery };
+  if (status) {
+    filter.status = status;
+  }
+
+  const borrowsCollection = await getCollection('borrows');
+  return dbUtils.paginate(borrowsCollection, {
+    page,
+    limit,
+    filter,
+    sort: { borrowDate: -1 }
+  });
+}
+
+module.exports = {
+  HOLD_PICKUP_DAYS,
+  RequestError,
+  BorrowError,
+  buildUserQuery,
+  clearUserStatusCache,
+  findBook,
+  formatBorrowRecord,
+  releaseCopy,
+  createBorrow,
+  returnBorrow,
+  renewBorrow,
+  listBorrowRecords
+};
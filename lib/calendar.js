@@ -0,0 +1,217 @@
+// lib/calendar.js - 图书馆日历模块（开放时间、闭馆日、时区换算、应还日期计算）
+const path = require('path');
+
+// 日历配置文件路径
+const calendarDataPath = path.join(__dirname, '..', 'data', 'library-calendar.json');
+const calendarData = require(calendarDataPath);
+
+/**
+ * 图书馆时区（可通过 LIBRARY_TIMEZONE 环境变量覆盖）
+ */
+const LIBRARY_TIMEZONE = process.env.LIBRARY_TIMEZONE || calendarData.timezone || 'Asia/Hong_Kong';
+
+// 闭馆日：YYYY-MM-DD -> 名称
+const closures = new Map(
+  (calendarData.closures || []).map(closure => [closure.date, closure.name])
+);
+
+// 配置了闭馆日的最后一年；之后的日期只能按每周开放时间计算，不知道公众假期
+const LAST_CONFIGURED_YEAR = Math.max(0, ...[...closures.keys()].map(date => parseInt(date.slice(0, 4), 10)));
+
+// 已经提示过缺少闭馆日配置的年份（每个进程每年只提示一次）
+const warnedYears = new Set();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 各时区的日期格式化器缓存
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * 获取某一时刻在指定时区的年月日时分秒
+ */
+function getZonedParts(date, timeZone = LIBRARY_TIMEZONE) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(new Date(date))
+    .forEach(({ type, value }) => { parts[type] = parseInt(value, 10); });
+  return parts;
+}
+
+/**
+ * 指定时区相对UTC的偏移（毫秒）
+ */
+function getTimeZoneOffset(date, timeZone = LIBRARY_TIMEZONE) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+
+/**
+ * 某一时刻在图书馆时区的日期
+ * @param {Date|string} date - 时刻
+ * @returns {string} YYYY-MM-DD
+ */
+function toLocalDateString(date, timeZone = LIBRARY_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * 图书馆时区的本地日期时间转换为UTC时刻
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {Date}
+ */
+function localTimeToDate(dateString, time = '00:00', timeZone = LIBRARY_TIMEZONE) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // 先按目标时刻的偏移估算，再用估算结果的偏移校正一次（夏令时切换日）
+  let result = asUtc - getTimeZoneOffset(asUtc, timeZone);
+  result = asUtc - getTimeZoneOffset(result, timeZone);
+  return new Date(result);
+}
+
+/**
+ * 日期加减天数
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - 天数
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * 两个本地日期相差的天数（b - a）
+ */
+function diffDays(a, b) {
+  const toUtc = dateString => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtc(b) - toUtc(a)) / DAY_MS);
+}
+
+/**
+ * 某日的开放时间，闭馆返回null
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {{open: string, close: string}|null}
+ */
+function getOpeningHours(dateString) {
+  if (closures.has(dateString)) return null;
+  const [year, month, day] = dateString.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return calendarData.openingHours[weekday] || null;
+}
+
+/**
+ * 是否开馆日
+ */
+function isOpenDay(dateString) {
+  return getOpeningHours(dateString) !== null;
+}
+
+/**
+ * 当天或之后的第一个开馆日
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function nextOpenDay(dateString) {
+  let candidate = dateString;
+  // 最多向后查找一年，防止配置错误导致死循环
+  for (let i = 0; i < 366; i++) {
+    if (isOpenDay(candidate)) return candidate;
+    candidate = addDays(candidate, 1);
+  }
+  throw new Error(`一年内没有开馆日，请检查日历配置: ${dateString}`);
+}
+
+/**
+ * 日期超出已配置闭馆日的年份时输出警告（应还日期可能落在未配置的公众假期）
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {boolean} 是否在已配置的年份内
+ */
+function checkCalendarCoverage(dateString) {
+  const year = parseInt(dateString.slice(0, 4), 10);
+  if (year <= LAST_CONFIGURED_YEAR) return true;
+  if (!warnedYears.has(year)) {
+    warnedYears.add(year);
+    console.warn(`⚠️ 日历只配置到${LAST_CONFIGURED_YEAR}年的闭馆日，${dateString} 未考虑公众假期，请在 data/library-calendar.json 中补充${year}年的闭馆日`);
+  }
+  return false;
+}
+
+/**
+ * 计算应还时间：借出日（图书馆时区）加借期，遇闭馆日顺延到下一个开馆日，到期时刻为当天闭馆时间
+ * 应还日超出已配置闭馆日的年份时照常按每周开放时间计算，并输出警告
+ * @param {Date} from - 借出或续借时刻
+ * @param {number} days - 借期（天）
+ * @returns {Date} 应还时刻
+ */
+function computeDueDate(from, days) {
+  const dueDay = nextOpenDay(addDays(toLocalDateString(from), days));
+  checkCalendarCoverage(dueDay);
+  return localTimeToDate(dueDay, getOpeningHours(dueDay).close);
+}
+
+/**
+ * 距应还日期的天数（按图书馆时区的自然日计算，当天到期为0，已逾期为负数）
+ * @param {Date|string} dueDate - 应还时刻
+ * @param {Date} now - 当前时刻
+ */
+function daysUntilDue(dueDate, now = new Date()) {
+  return diffDays(toLocalDateString(now), toLocalDateString(dueDate));
+}
+
+/**
+ * 是否已逾期
+ * @param {Date|string} dueDate - 应还时刻
+ * @param {Date} now - 当前时刻
+ */
+function isOverdue(dueDate, now = new Date()) {
+  if (!dueDate) return false;
+  return new Date(dueDate).getTime() < now.getTime();
+}
+
+/**
+ * 逾期天数（按自然日计算，未逾期为0）
+ */
+function overdueDays(dueDate, now = new Date()) {
+  if (!isOverdue(dueDate, now)) return 0;
+  return Math.max(1, -daysUntilDue(dueDate, now));
+}
+
+module.exports = {
+  LIBRARY_TIMEZONE,
+  LAST_CONFIGURED_YEAR,
+  checkCalendarCoverage,
+  toLocalDateString,
+  localTimeToDate,
+  addDays,
+  getOpeningHours,
+  isOpenDay,
+  nextOpenDay,
+  computeDueDate,
+  daysUntilDue,
+  isOverdue,
+  overdueDays
+};
@@ -0,0 +1,457 @@
+// lib/catalog.js - 馆藏管理模块（图书新增、修改、下架、副本增减及字段校验）
+const {
+  getCollection,
+  withTransaction,
+  cacheManager
+} = require('./database');
+const { RequestError, BorrowError, clearUserStatusCache } = require('./users');
+const { findBook, releaseCopy } = require('./borrow');
+const { ACTIVE_HOLD_STATUSES } = require('./holds');
+const { buildSearchIndex } = require('./bookSearch');
+const { invalidateSuggestIndex } = require('./suggest');
+
+/**
+ * 字段校验错误（details 列出每个字段的问题）
+ */
+class ValidationError extends RequestError {
+  constructor(details) {
+    super('图书信息校验失败', 'VALIDATION_ERROR', 400);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+// 单本图书的副本数上限
+const MAX_COPIES = 1000;
+
+/**
+ * 可编辑的图书字段及校验规则
+ * 副本数只能在新增时设置，之后通过副本接口增减；availableCopies、borrowCount、status 由借阅流程维护
+ */
+const BOOK_FIELD_RULES = {
+  title: { type: 'string', required: true, maxLength: 300 },
+  author: { type: 'string', maxLength: 200 },
+  publisher: { type: 'string', maxLength: 200 },
+  category: { type: 'string', maxLength: 50 },
+  subcategory: { type: 'string', maxLength: 50 },
+  subject: { type: 'string', maxLength: 500 },
+  language: { type: 'string', maxLength: 20 },
+  acno: { type: 'string', required: true, maxLength: 32, pattern: /^[A-Za-z0-9._-]+$/ },
+  callno: { type: 'string', maxLength: 64 },
+  isbn: { type: 'isbn' },
+  location: { type: 'string', maxLength: 100 },
+  description: { type: 'string', maxLength: 5000 },
+  coverImage: { type: 'string', maxLength: 500 },
+  publishDate: { type: 'string', maxLength: 20 },
+  tags: { type: 'stringArray', maxItems: 20, maxLength: 30 },
+  pages: { type: 'integer', min: 0, max: 100000 },
+  price: { type: 'number', min: 0, max: 1000000 },
+  totalCopies: { type: 'integer', min: 0, max: MAX_COPIES, createOnly: true }
+};
+
+/**
+ * 规范化ISBN（去掉连字符和空格），校验ISBN-10/ISBN-13校验位
+ * @returns {string|null} 规范化后的ISBN，无效时返回null
+ */
+function normalizeIsbn(value) {
+  const isbn = String(value).replace(/[\s-]/g, '').toUpperCase();
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    const sum = isbn.split('').reduce((total, char, index) => {
+      const digit = char === 'X' ? 10 : Number(char);
+      return total + digit * (10 - index);
+    }, 0);
+    return sum % 11 === 0 ? isbn : null;
+  }
+
+  if (/^\d{13}$/.test(isbn)) {
+    const sum = isbn.split('').reduce((total, char, index) => {
+      return total + Number(char) * (index % 2 === 0 ? 1 : 3);
+    }, 0);
+    return sum % 10 === 0 ? isbn : null;
+  }
+
+  return null;
+}
+
+/**
+ * 校验单个字段
+ * @returns {{value: any, error: string|null}}
+ */
+function validateField(rule, value) {
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: '必须为字符串' };
+      const trimmed = value.trim();
+      if (rule.required && !trimmed) return { error: '不能为空' };
+      if (trimmed.length > rule.maxLength) return { error: `长度不能超过${rule.maxLength}` };
+      if (rule.pattern && trimmed && !rule.pattern.test(trimmed)) return { error: '格式无效' };
+      return { value: trimmed };
+    }
+    case 'isbn': {
+      if (value === '') return { value: '' };
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: '必须为字符串' };
+      const isbn = normalizeIsbn(value);
+      return isbn ? { value: isbn } : { error: 'ISBN无效' };
+    }
+    case 'stringArray': {
+      if (!Array.isArray(value)) return { error: '必须为字符串数组' };
+      if (value.length > rule.maxItems) return { error: `最多${rule.maxItems}项` };
+      if (value.some(item => typeof item !== 'string' || item.trim().length > rule.maxLength)) {
+        return { error: `每项必须为不超过${rule.maxLength}字的字符串` };
+      }
+      return { value: [...new Set(value.map(item => item.trim()).filter(Boolean))] };
+    }
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return { error: '必须为数字' };
+      if (rule.type === 'integer' && !Number.isInteger(number)) return { error: '必须为整数' };
+      if (number < rule.min || number > rule.max) return { error: `必须在${rule.min}到${rule.max}之间` };
+      return { value: number };
+    }
+    default:
+      return { error: '不支持的字段' };
+  }
+}
+
+/**
+ * 校验图书字段
+ * @param {Object} input - 请求中的图书字段
+ * @param {Object} options - { partial: 只校验提交的字段, allowCreateOnly: 是否接受仅新增时可设置的字段 }
+ * @returns {Object} 规范化后的字段
+ */
+function validateBookInput(input, { partial = false, allowCreateOnly = !partial } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError([{ field: null, message: '请求体必须为对象' }]);
+  }
+
+  const details = [];
+  const fields = {};
+
+  Object.keys(input).forEach(field => {
+    const rule = BOOK_FIELD_RULES[field];
+    if (!rule) {
+      details.push({ field, message: '不允许修改该字段' });
+    } else if (!allowCreateOnly && rule.createOnly) {
+      details.push({ field, message: '请通过副本接口调整' });
+    }
+  });
+
+  Object.entries(BOOK_FIELD_RULES).forEach(([field, rule]) => {
+    if (!allowCreateOnly && rule.createOnly) return;
+
+    const value = input[field];
+    if (value === undefined || value === null) {
+      if (rule.required && !partial) {
+        details.push({ field, message: '必填' });
+      }
+      return;
+    }
+
+    const result = validateField(rule, value);
+    if (result.error) {
+      details.push({ field, message: result.error });
+    } else {
+      fields[field] = result.value;
+    }
+  });
+
+  if (partial && details.length === 0 && Object.keys(fields).length === 0) {
+    details.push({ field: null, message: '没有需要修改的字段' });
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError(details);
+  }
+
+  return fields;
+}
+
+/**
+ * 检查图书编号是否已被其他图书使用
+ */
+async function assertUniqueAcno(booksCollection, session, acno, excludeId) {
+  const filter = { acno };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  const existing = await booksCollection.findOne(filter, { session, projection: { _id: 1 } });
+  if (existing) {
+    throw new BorrowError(`图书编号 ${acno} 已存在`, 'DUPLICATE_ACNO', 409);
+  }
+}
+
+/**
+ * 馆藏变化后清除图书列表相关缓存，并标记搜索联想索引需要重建
+ */
+function clearCatalogCache() {
+  cacheManager.deleteByPrefix('hot_books_');
+  cacheManager.delete('book_categories');
+  invalidateSuggestIndex();
+}
+
+/**
+ * 格式化图书（管理接口返回完整的馆藏字段）
+ */
+function formatBook(book) {
+  return {
+    id: book._id?.toString(),
+    acno: book.acno,
+    callno: book.callno || '',
+    isbn: book.isbn || '',
+    title: book.title,
+    author: book.author || '',
+    publisher: book.publisher || '',
+    category: book.category || '',
+    subject: book.subject || '',
+    language: book.language || '',
+    location: book.location || '',
+    status: book.status,
+    totalCopies: book.totalCopies || 0,
+    availableCopies: book.availableCopies || 0,
+    borrowCount: book.borrowCount || 0,
+    tags: book.tags || [],
+    description: book.description || '',
+    coverImage: book.coverImage || '',
+    publishDate: book.publishDate || '',
+    pages: book.pages || 0,
+    price: book.price || 0,
+    withdrawnAt: book.withdrawnAt || null,
+    withdrawnReason: book.withdrawnReason || '',
+    createdAt: book.createdAt,
+    updatedAt: book.updatedAt
+  };
+}
+
+/**
+ * 新增图书
+ * @param {Object} input - 图书字段
+ * @param {Object} operator - 操作人用户文档
+ * @returns {Promise<Object>} 新增的图书
+ */
+async function createBook(input, operator) {
+  const fields = validateBookInput(input);
+  const totalCopies = fields.totalCopies ?? 1;
+
+  const book = await withTransaction(async (session, db) => {
+    const booksCollection = db.collection('books');
+    await assertUniqueAcno(booksCollection, session, fields.acno);
+
+    const now = new Date();
+    const doc = {
+      ...fields,
+      totalCopies,
+      availableCopies: totalCopies,
+      borrowCount: 0,
+      status: totalCopies > 0 ? 'available' : 'borrowed',
+      createdBy: operator.openid,
+      updatedBy: operator.openid,
+      createdAt: now,
+      updatedAt: now
+    };
+    doc.searchIndex = buildSearchIndex(doc);
+    const result = await booksCollection.insertOne(doc, { session });
+    doc._id = result.insertedId;
+    return doc;
+  });
+
+  clearCatalogCache();
+
+  return book;
+}
+
+/**
+ * 查找图书，已下架的图书只能查看不能修改
+ */
+async function findEditableBook(db, session, bookId) {
+  const book = await findBook(db.collection('books'), bookId, session);
+  if (!book) {
+    throw new BorrowError('图书不存在', 'BOOK_NOT_FOUND', 404);
+  }
+  if (book.status === 'withdrawn') {
+    throw new BorrowError('该图书已下架', 'BOOK_WITHDRAWN', 410);
+  }
+  return book;
+}
+
+/**
+ * 修改图书信息
+ * @param {string} bookId - 图书ID或acno
+ * @param {Object} input - 需要修改的字段
+ * @param {Object} operator - 操作人用户文档
+ * @returns {Promise<Object>} 修改后的图书
+ */
+async function updateBook(bookId, input, operator) {
+  const fields = validateBookInput(input, { partial: true });
+
+  const book = await withTransaction(async (session, db) => {
+    const booksCollection = db.collection('books');
+    const existing = await findEditableBook(db, session, bookId);
+
+    if (fields.acno && fields.acno !== existing.acno) {
+      await assertUniqueAcno(booksCollection, session, fields.acno, existing._id);
+    }
+
+    return booksCollection.findOneAndUpdate(
+      { _id: existing._id },
+      {
+        $set: {
+          ...fields,
+          searchIndex: buildSearchIndex({ ...existing, ...fields }),
+          updatedBy: operator.openid,
+          updatedAt: new Date()
+        }
+      },
+      { session, returnDocument: 'after' }
+    );
+  });
+
+  clearCatalogCache();
+
+  return book;
+}
+
+/**
+ * 增减副本
+ * 新增的副本优先分配给排队预约的读者；只能减少当前在架（可借）的副本
+ * @param {string} bookId - 图书ID或acno
+ * @param {number} delta - 副本变化数量（正数增加，负数减少）
+ * @param {Object} operator - 操作人用户文档
+ * @returns {Promise<{book: Object, assignedHolds: number}>}
+ */
+async function adjustCopies(bookId, delta, operator) {
+  const change = typeof delta === 'string' ? Number(delta) : delta;
+  if (!Number.isInteger(change) || change === 0 || Math.abs(change) > MAX_COPIES) {
+    throw new ValidationError([{ field: 'delta', message: `必须为非0整数，绝对值不超过${MAX_COPIES}` }]);
+  }
+
+  const result = await withTransaction(async (session, db) => {
+    const booksCollection = db.collection('books');
+    const book = await findEditableBook(db, session, bookId);
+    const now = new Date();
+
+    // 旧数据可能没有副本数，按当前可借数补齐
+    const availableCopies = book.availableCopies || 0;
+    const totalCopies = book.totalCopies ?? availableCopies;
+
+    if (change < 0 && availableCopies < -change) {
+      throw new BorrowError(
+        `只能减少在架副本，当前在架 ${availableCopies} 册`,
+        'COPIES_IN_USE',
+        409
+      );
+    }
+    if (totalCopies + change > MAX_COPIES) {
+      throw new ValidationError([{ field: 'delta', message: `副本总数不能超过${MAX_COPIES}` }]);
+    }
+
+    if (change < 0) {
+      const remaining = availableCopies + change;
+      await booksCollection.updateOne(
+        { _id: book._id },
+        {
+          $set: {
+            totalCopies: totalCopies + change,
+            availableCopies: remaining,
+            status: remaining > 0 ? 'available' : 'borrowed',
+            updatedBy: operator.openid,
+            updatedAt: now
+          }
+        },
+        { session }
+      );
+      return { assignedHolds: 0 };
+    }
+
+    await booksCollection.updateOne(
+      { _id: book._id },
+      {
+        $set: { totalCopies: totalCopies + change, availableCopies, updatedBy: operator.openid, updatedAt: now }
+      },
+      { session }
+    );
+
+    // 每册新副本走与还书相同的分配流程
+    let assignedHolds = 0;
+    for (let i = 0; i < change; i++) {
+      if (await releaseCopy(db, session, book, now)) {
+        assignedHolds++;
+      }
+    }
+    return { assignedHolds };
+  });
+
+  clearCatalogCache();
+
+  const booksCollection = await getCollection('books');
+  const book = await findBook(booksCollection, bookId);
+  return { book, assignedHolds: result.assignedHolds };
+}
+
+/**
+ * 下架图书（软删除）：保留记录以便借阅历史关联，不再出现在检索和推荐中
+ * 仍有读者在借时不能下架；排队中和待取书的预约会被取消
+ * @param {string} bookId - 图书ID或acno
+ * @param {Object} options - { reason }
+ * @param {Object} operator - 操作人用户文档
+ * @returns {Promise<{book: Object, cancelledHolds: number}>}
+ */
+async function withdrawBook(bookId, { reason = '' } = {}, operator) {
+  const result = await withTransaction(async (session, db) => {
+    const book = await findEditableBook(db, session, bookId);
+    const bookKey = book._id.toString();
+    const now = new Date();
+
+    const activeLoans = await db.collection('borrows').countDocuments(
+      { bookId: bookKey, status: 'borrowed' },
+      { session }
+    );
+    if (activeLoans > 0) {
+      throw new BorrowError(`仍有 ${activeLoans} 册在借，归还后才能下架`, 'BOOK_ON_LOAN', 409);
+    }
+
+    const holdsQuery = { bookId: bookKey, status: { $in: ACTIVE_HOLD_STATUSES } };
+    const cancelledHolds = await db.collection('holds').find(holdsQuery, { session }).toArray();
+    await db.collection('holds').updateMany(
+      holdsQuery,
+      { $set: { status: 'cancelled', cancelReason: 'withdrawn', cancelledAt: now, updatedAt: now } },
+      { session }
+    );
+
+    const withdrawn = await db.collection('books').findOneAndUpdate(
+      { _id: book._id },
+      {
+        $set: {
+          status: 'withdrawn',
+          withdrawnAt: now,
+          withdrawnReason: String(reason).slice(0, 200),
+          updatedBy: operator.openid,
+          updatedAt: now
+        }
+      },
+      { session, returnDocument: 'after' }
+    );
+
+    return { book: withdrawn, cancelledHolds };
+  });
+
+  clearCatalogCache();
+  result.cancelledHolds.forEach(hold => clearUserStatusCache(hold));
+
+  return { book: result.book, cancelledHolds: result.cancelledHolds.length };
+}
+
+module.exports = {
+  ValidationError,
+  MAX_COPIES,
+  BOOK_FIELD_RULES,
+  normalizeIsbn,
+  validateBookInput,
+  formatBook,
+  clearCatalogCache,
+  createBook,
+  updateBook,
+  adjustCopies,
+  withdrawBook
+};
@@ -0,0 +1,211 @@
+// lib/catalogExport.js - 馆藏导出模块（CSV、MARC21、Dublin Core、JSON-LD，游标逐条读取并流式写出）
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { getCollection } = require('./database');
+const { formatCsvRow } = require('./csv');
+const {
+  MARCXML_NAMESPACE,
+  escapeXml,
+  toLanguageCode,
+  bookToMarc,
+  serializeIso2709,
+  serializeMarcXmlRecord
+} = require('./marc');
+
+// 游标每批从数据库读取的文档数
+const CURSOR_BATCH_SIZE = 500;
+
+// OAI 标识符中的仓储名：oai:<仓储名>:<登录号>
+const OAI_REPOSITORY_ID = process.env.OAI_REPOSITORY_ID || 'smart-library';
+
+/**
+ * CSV 导出列，列名与导入时识别的字段名一致，导出文件可以直接重新导入
+ * status、availableCopies、borrowCount 为只读信息，重新导入时会被忽略
+ */
+const CSV_EXPORT_COLUMNS = [
+  'acno', 'isbn', 'title', 'author', 'publisher', 'publishDate',
+  'category', 'subcategory', 'subject', 'language', 'callno', 'location',
+  'tags', 'pages', 'price', 'totalCopies', 'description', 'coverImage',
+  'status', 'availableCopies', 'borrowCount'
+];
+
+function toIsoDate(value) {
+  return value ? new Date(value).toISOString() : '';
+}
+
+function splitSubjects(subject) {
+  return String(subject || '').split(/[;；]/).map(item => item.trim()).filter(Boolean);
+}
+
+function dcElement(name, value) {
+  return value === undefined || value === null || value === ''
+    ? ''
+    : `        <dc:${name}>${escapeXml(value)}</dc:${name}>\n`;
+}
+
+/**
+ * 图书转为 OAI-PMH ListRecords 中的一条 oai_dc 记录
+ * 已下架图书只输出 status="deleted" 的记录头
+ */
+function toOaiDcRecord(book) {
+  const header = '    <header' + (book.status === 'withdrawn' ? ' status="deleted"' : '') + '>\n' +
+    `      <identifier>oai:${escapeXml(OAI_REPOSITORY_ID)}:${escapeXml(book.acno)}</identifier>\n` +
+    `      <datestamp>${toIsoDate(book.updatedAt || book.createdAt).slice(0, 19)}Z</datestamp>\n` +
+    '    </header>\n';
+
+  if (book.status === 'withdrawn') {
+    return `  <record>\n${header}  </record>\n`;
+  }
+
+  const year = (String(book.publishDate || '').match(/\d{4}/) || [''])[0];
+  const metadata = [
+    dcElement('title', book.title),
+    dcElement('creator', book.author),
+    ...splitSubjects(book.subject).map(subject => dcElement('subject', subject)),
+    ...(book.tags || []).map(tag => dcElement('subject', tag)),
+    dcElement('description', book.description),
+    dcElement('publisher', book.publisher),
+    dcElement('date', year),
+    dcElement('type', 'Text'),
+    dcElement('format', book.pages ? `${book.pages}页` : ''),
+    dcElement('identifier', book.isbn ? `urn:isbn:${book.isbn}` : ''),
+    dcElement('identifier', book.callno),
+    dcElement('language', book.language ? toLanguageCode(book.language) : ''),
+    dcElement('coverage', book.category)
+  ].join('');
+
+  return `  <record>\n${header}    <metadata>\n` +
+    '      <oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/" xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+    metadata +
+    '      </oai_dc:dc>\n    </metadata>\n  </record>\n';
+}
+
+/**
+ * 图书转为 schema.org/Book
+ */
+function toSchemaOrgBook(book) {
+  const item = {
+    '@type': 'Book',
+    '@id': `urn:${OAI_REPOSITORY_ID}:book:${book.acno}`,
+    identifier: book.acno,
+    name: book.title
+  };
+  if (book.isbn) item.isbn = book.isbn;
+  if (book.author) item.author = { '@type': 'Person', name: book.author };
+  if (book.publisher) item.publisher = { '@type': 'Organization', name: book.publisher };
+  if (book.publishDate) item.datePublished = String(book.publishDate);
+  if (book.language) item.inLanguage = book.language;
+  if (book.category) item.genre = [book.category, book.subcategory].filter(Boolean);
+  const subjects = splitSubjects(book.subject);
+  if (subjects.length > 0) item.about = subjects.map(name => ({ '@type': 'Thing', name }));
+  if (book.tags && book.tags.length > 0) item.keywords = book.tags.join(', ');
+  if (book.description) item.description = book.description;
+  if (book.pages) item.numberOfPages = book.pages;
+  if (book.coverImage) item.image = book.coverImage;
+  if (book.callno) item.sku = book.callno;
+  if (book.price) item.offers = { '@type': 'Offer', price: book.price };
+  if (book.updatedAt) item.dateModified = toIsoDate(book.updatedAt);
+  return item;
+}
+
+/**
+ * 导出格式：contentType、文件扩展名，以及文件头、单条记录、文件尾的生成函数
+ * record 的第二个参数为记录序号（从0开始），用于 JSON 数组的逗号
+ */
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // 带 BOM 以便 Excel 正确识别 UTF-8
+    header: () => '\uFEFF' + formatCsvRow(CSV_EXPORT_COLUMNS),
+    // 馆藏字段可由导入写入，导出时不能让电子表格当作公式执行
+    record: book => formatCsvRow(CSV_EXPORT_COLUMNS.map(column =>
+      column === 'tags' ? (book.tags || []).join(';') : book[column]
+    ), { escapeFormulas: true }),
+    footer: () => ''
+  },
+  marc: {
+    contentType: 'application/marc',
+    extension: 'mrc',
+    header: () => '',
+    record: book => serializeIso2709(bookToMarc(book)),
+    footer: () => ''
+  },
+  marcxml: {
+    contentType: 'application/marcxml+xml; charset=utf-8',
+    extension: 'xml',
+    header: () => `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`,
+    record: book => serializeMarcXmlRecord(bookToMarc(book)),
+    footer: () => '</collection>\n'
+  },
+  oai_dc: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'xml',
+    header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<OAI-PMH xmlns="http://www.openarchives.org/OAI/2.0/">\n' +
+      `<responseDate>${new Date().toISOString().slice(0, 19)}Z</responseDate>\n` +
+      '<request verb="ListRecords" metadataPrefix="oai_dc"/>\n' +
+      '<ListRecords>\n',
+    record: toOaiDcRecord,
+    footer: () => '</ListRecords>\n</OAI-PMH>\n'
+  },
+  jsonld: {
+    contentType: 'application/ld+json; charset=utf-8',
+    extension: 'jsonld',
+    header: () => '{\n"@context": "https://schema.org",\n"@graph": [\n',
+    record: (book, index) => (index > 0 ? ',\n' : '') + JSON.stringify(toSchemaOrgBook(book)),
+    footer: () => '\n]\n}\n'
+  }
+};
+
+/**
+ * 按导出格式逐条生成文件内容
+ * 游标按 _id 顺序分批读取，内存中只保留当前批次
+ * @param {Object} filter - books 查询条件
+ * @param {string} format - 导出格式
+ */
+async function* generateCatalogExport(filter, format) {
+  const exporter = EXPORT_FORMATS[format];
+  const books = await getCollection('books');
+  const cursor = books.find(filter).sort({ _id: 1 }).batchSize(CURSOR_BATCH_SIZE);
+
+  try {
+    yield exporter.header();
+    let index = 0;
+    for await (const book of cursor) {
+      yield exporter.record(book, index);
+      index++;
+    }
+    yield exporter.footer();
+  } finally {
+    // 客户端中途断开时生成器被提前结束，同样要关闭游标
+    await cursor.close();
+  }
+}
+
+/**
+ * 将馆藏导出写入 HTTP 响应
+ * 由 pipeline 处理背压；客户端断开时终止读取
+ * @param {Object} res - HTTP 响应
+ * @param {Object} options - { filter, format }
+ * @returns {Promise<void>}
+ */
+async function streamCatalogExport(res, { filter, format }) {
+  const exporter = EXPORT_FORMATS[format];
+  const filename = `catalog-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', exporter.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const source = Readable.from(generateCatalogExport(filter, format), { objectMode: false });
+  await pipeline(source, res);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_EXPORT_COLUMNS,
+  generateCatalogExport,
+  streamCatalogExport
+};
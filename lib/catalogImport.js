@@ -0,0 +1,468 @@
+// lib/catalogImport.js - 馆藏批量导入模块（CSV、books.json、MARC21 解析，按 acno/isbn 匹配生成差异报告并写入）
+const { getCollection } = require('./database');
+const { parseCsv, unescapeFormula } = require('./csv');
+const { parseIso2709, parseMarcXml, marcToBook } = require('./marc');
+const { buildSearchIndex } = require('./bookSearch');
+const {
+  ValidationError,
+  BOOK_FIELD_RULES,
+  validateBookInput,
+  clearCatalogCache
+} = require('./catalog');
+
+const IMPORT_FORMATS = ['csv', 'json', 'marc', 'marcxml'];
+
+// 报告中逐行列出的最大行数（汇总计数不受影响）
+const DEFAULT_MAX_REPORT_ROWS = 500;
+
+// 按 acno/isbn 批量查询已有图书、批量写入的分批大小
+const LOOKUP_BATCH_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+/**
+ * CSV 列名（不区分大小写）与图书字段的对应关系
+ */
+const CSV_COLUMNS = {
+  title: ['title', '题名', '书名'],
+  author: ['author', '作者', '责任者'],
+  publisher: ['publisher', '出版社', '出版者'],
+  category: ['category', '分类'],
+  subcategory: ['subcategory', '子分类'],
+  subject: ['subject', '主题', '主题词'],
+  language: ['language', '语言', '语种'],
+  acno: ['acno', '登录号', '条码号', 'barcode'],
+  callno: ['callno', 'call_number', '索书号'],
+  isbn: ['isbn'],
+  location: ['location', '馆藏地', '馆藏位置'],
+  description: ['description', '简介', '摘要'],
+  coverImage: ['coverimage', 'cover', '封面'],
+  publishDate: ['publishdate', 'publish_date', 'year', '出版日期', '出版年'],
+  tags: ['tags', 'keywords', '标签', '关键词'],
+  pages: ['pages', '页数'],
+  price: ['price', '价格', '定价'],
+  totalCopies: ['totalcopies', 'total_copies', 'copies', '复本数', '副本数']
+};
+
+const CSV_COLUMN_LOOKUP = Object.entries(CSV_COLUMNS).reduce((lookup, [field, aliases]) => {
+  aliases.forEach(alias => { lookup[alias] = field; });
+  return lookup;
+}, {});
+
+/**
+ * 根据内容判断文件格式
+ * @param {Buffer|string|Object} content - 文件内容
+ * @returns {string} csv、json、marc 或 marcxml
+ */
+function detectFormat(content) {
+  if (content && typeof content === 'object' && !Buffer.isBuffer(content)) return 'json';
+
+  const head = (Buffer.isBuffer(content) ? content.toString('utf8', 0, 512) : String(content).slice(0, 512))
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+
+  if (head.startsWith('<')) return 'marcxml';
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  // ISO 2709 以5位记录长度开头，头标区第10-11位为指示符和子字段代码长度（均为2）
+  if (/^\d{5}.{5}22/.test(head)) return 'marc';
+  return 'csv';
+}
+
+function toText(content) {
+  return Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+}
+
+/**
+ * CSV 行映射为图书字段
+ */
+function parseCsvRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return { rows: [], ignoredColumns: [] };
+
+  const columns = header.values.map(name => CSV_COLUMN_LOOKUP[name.trim().toLowerCase()] || null);
+  const ignoredColumns = header.values.filter((name, index) => !columns[index] && name.trim());
+
+  const rows = records.map(({ line, values }) => {
+    const input = {};
+    columns.forEach((field, index) => {
+      // 本系统导出的 CSV 在公式字符前加了单引号
+      const value = unescapeFormula((values[index] || '').trim());
+      if (!field || value === '') return;
+      input[field] = BOOK_FIELD_RULES[field].type === 'stringArray'
+        ? value.split(/[;；|]/).map(item => item.trim()).filter(Boolean)
+        : value;
+    });
+    return { row: line, input };
+  });
+
+  return { rows, ignoredColumns };
+}
+
+/**
+ * data/books.json 格式（{ books: [...] } 或数组）映射为图书字段
+ * id 作为登录号，category 数组的第一项为分类、第二项为子分类，keywords 作为标签，其他未知字段忽略
+ */
+function parseJsonRows(content) {
+  const data = typeof content === 'object' && !Buffer.isBuffer(content)
+    ? content
+    : JSON.parse(toText(content).replace(/^\uFEFF/, ''));
+  const books = Array.isArray(data) ? data : data.books;
+  if (!Array.isArray(books)) {
+    throw new Error('JSON 需为图书数组或包含 books 数组的对象');
+  }
+
+  const ignoredColumns = new Set();
+  const rows = books.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      return { row: index + 1, input: {}, error: '不是图书对象' };
+    }
+
+    const { id, year, category, keywords, cover, ...rest } = item;
+    const input = {};
+    Object.entries(rest).forEach(([field, value]) => {
+      if (BOOK_FIELD_RULES[field]) {
+        input[field] = value;
+      } else {
+        ignoredColumns.add(field);
+      }
+    });
+    if (id !== undefined && input.acno === undefined) input.acno = String(id);
+    if (year !== undefined && input.publishDate === undefined) input.publishDate = String(year);
+    if (Array.isArray(category)) {
+      if (category[0]) input.category = category[0];
+      if (category[1]) input.subcategory = category[1];
+    } else if (category !== undefined) {
+      input.category = category;
+    }
+    if (keywords !== undefined && input.tags === undefined) input.tags = keywords;
+    if (cover !== undefined && input.coverImage === undefined) input.coverImage = cover;
+
+    return { row: index + 1, input };
+  });
+
+  return { rows, ignoredColumns: [...ignoredColumns] };
+}
+
+function parseMarcRows(results) {
+  const rows = results.map(({ record, error }, index) => (
+    error
+      ? { row: index + 1, input: {}, error }
+      : { row: index + 1, input: marcToBook(record) }
+  ));
+  return { rows, ignoredColumns: [] };
+}
+
+/**
+ * 解析导入文件
+ * @param {Buffer|string|Object} content - 文件内容
+ * @param {string} [format] - 文件格式，缺省时自动识别
+ * @returns {{format: string, rows: Array<{row: number, input: Object, error?: string}>, ignoredColumns: string[]}}
+ */
+function parseImportFile(content, format) {
+  const resolvedFormat = format || detectFormat(content);
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw new ValidationError([{ field: 'format', message: `格式只能为${IMPORT_FORMATS.join('、')}` }]);
+  }
+
+  let parsed;
+  try {
+    switch (resolvedFormat) {
+      case 'csv':
+        parsed = parseCsvRows(toText(content));
+        break;
+      case 'json':
+        parsed = parseJsonRows(content);
+        break;
+      case 'marc':
+        parsed = parseMarcRows(parseIso2709(Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8')));
+        break;
+      case 'marcxml':
+        parsed = parseMarcRows(parseMarcXml(toText(content)));
+        break;
+    }
+  } catch (error) {
+    throw new ValidationError([{ field: 'file', message: `${resolvedFormat} 文件解析失败: ${error.message}` }]);
+  }
+
+  return { format: resolvedFormat, ...parsed };
+}
+
+/**
+ * 按 acno、isbn 批量查询已有图书
+ */
+async function loadExistingBooks(booksCollection, rows) {
+  const acnos = [...new Set(rows.map(row => row.fields.acno).filter(Boolean))];
+  const isbns = [...new Set(rows.map(row => row.fields.isbn).filter(Boolean))];
+
+  const books = new Map();
+  const load = async (field, values) => {
+    for (let i = 0; i < values.length; i += LOOKUP_BATCH_SIZE) {
+      const batch = await booksCollection
+        .find({ [field]: { $in: values.slice(i, i + LOOKUP_BATCH_SIZE) } })
+        .toArray();
+      batch.forEach(book => books.set(book._id.toString(), book));
+    }
+  };
+  await load('acno', acnos);
+  await load('isbn', isbns);
+
+  const byAcno = new Map();
+  const byIsbn = new Map();
+  const index = (map, key, book) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(book);
+  };
+  books.forEach(book => {
+    index(byAcno, book.acno, book);
+    index(byIsbn, book.isbn, book);
+  });
+
+  return { byAcno, byIsbn };
+}
+
+function isSameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  return (a ?? '') === (b ?? '');
+}
+
+/**
+ * 匹配已有图书：优先按 acno，没有 acno 时按 isbn
+ * @returns {{target: Object|null, conflict: string|null}}
+ */
+function matchExisting(fields, { byAcno, byIsbn }) {
+  if (fields.acno) {
+    const matches = byAcno.get(fields.acno) || [];
+    if (matches.length > 1) {
+      return { conflict: `已有 ${matches.length} 本图书使用该acno` };
+    }
+    if (matches.length === 1) {
+      const [target] = matches;
+      if (fields.isbn && target.isbn && target.isbn !== fields.isbn) {
+        return { conflict: `acno相同但ISBN不同（馆藏为 ${target.isbn}）` };
+      }
+      return { target };
+    }
+
+    // acno 未登记时，只有同ISBN的图书尚无登录号才视为同一本
+    const sameIsbn = fields.isbn ? byIsbn.get(fields.isbn) || [] : [];
+    if (sameIsbn.length === 0) return { target: null };
+    if (sameIsbn.length === 1 && !sameIsbn[0].acno) return { target: sameIsbn[0] };
+    return { conflict: `ISBN已被其他acno使用（${sameIsbn.map(book => book.acno).filter(Boolean).join('、')}）` };
+  }
+
+  const matches = byIsbn.get(fields.isbn) || [];
+  if (matches.length > 1) {
+    return { conflict: `已有 ${matches.length} 本图书使用该ISBN，请提供acno` };
+  }
+  return { target: matches[0] || null };
+}
+
+/**
+ * 生成导入计划和差异报告
+ * @param {Array} rows - parseImportFile 的结果行
+ * @param {Object} options - { maxReportRows }
+ * @returns {Promise<{inserts: Array, updates: Array, report: Object}>}
+ */
+async function planImport(rows, { maxReportRows = DEFAULT_MAX_REPORT_ROWS } = {}) {
+  const entries = [];
+  const candidates = [];
+
+  // 第一步：字段校验
+  rows.forEach(({ row, input, error }) => {
+    if (error) {
+      entries.push({ row, action: 'invalid', errors: [{ field: null, message: error }] });
+      return;
+    }
+
+    try {
+      const fields = validateBookInput(input, { partial: true, allowCreateOnly: true });
+      if (!fields.acno && !fields.isbn) {
+        throw new ValidationError([{ field: 'acno', message: '缺少acno和isbn，无法匹配馆藏' }]);
+      }
+      candidates.push({ row, fields });
+    } catch (validationError) {
+      if (!(validationError instanceof ValidationError)) throw validationError;
+      entries.push({
+        row,
+        action: 'invalid',
+        acno: input.acno || '',
+        isbn: input.isbn || '',
+        title: input.title || '',
+        errors: validationError.details
+      });
+    }
+  });
+
+  // 第二步：与已有馆藏比对
+  const booksCollection = await getCollection('books');
+  const existing = await loadExistingBooks(booksCollection, candidates);
+  const seenKeys = new Map();
+  const inserts = [];
+  const updates = [];
+
+  candidates.forEach(({ row, fields }) => {
+    const base = { row, acno: fields.acno || '', isbn: fields.isbn || '', title: fields.title || '' };
+    const key = fields.acno ? `acno:${fields.acno}` : `isbn:${fields.isbn}`;
+
+    if (seenKeys.has(key)) {
+      entries.push({ ...base, action: 'conflict', reason: `与第 ${seenKeys.get(key)} 行重复` });
+      return;
+    }
+    seenKeys.set(key, row);
+
+    const { target, conflict } = matchExisting(fields, existing);
+    if (conflict) {
+      entries.push({ ...base, action: 'conflict', reason: conflict });
+      return;
+    }
+
+    if (!target) {
+      const missing = ['acno', 'title'].filter(field => !fields[field]);
+      if (missing.length > 0) {
+        entries.push({
+          ...base,
+          action: 'invalid',
+          errors: missing.map(field => ({ field, message: '新增图书时必填' }))
+        });
+        return;
+      }
+      inserts.push(fields);
+      entries.push({ ...base, action: 'new' });
+      return;
+    }
+
+    const bookId = target._id.toString();
+    if (target.status === 'withdrawn') {
+      entries.push({ ...base, bookId, action: 'conflict', reason: '图书已下架' });
+      return;
+    }
+
+    // 副本数只在新增时设置，已有图书通过副本接口调整
+    const { totalCopies, ...editable } = fields;
+    const changes = {};
+    Object.entries(editable).forEach(([field, value]) => {
+      if (!isSameValue(target[field], value)) {
+        changes[field] = { from: target[field] ?? null, to: value };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      entries.push({ ...base, title: base.title || target.title, bookId, action: 'unchanged' });
+      return;
+    }
+
+    updates.push({ _id: target._id, changes, current: target });
+    entries.push({ ...base, title: base.title || target.title, bookId, action: 'updated', changes });
+  });
+
+  entries.sort((a, b) => a.row - b.row);
+
+  const summary = { total: rows.length, new: 0, updated: 0, unchanged: 0, conflict: 0, invalid: 0 };
+  entries.forEach(entry => { summary[entry.action]++; });
+
+  // 报告只逐行列出需要关注的行
+  const reportRows = entries.filter(entry => entry.action !== 'unchanged');
+
+  return {
+    inserts,
+    updates,
+    report: {
+      summary,
+      rows: reportRows.slice(0, maxReportRows),
+      truncated: reportRows.length > maxReportRows
+    }
+  };
+}
+
+/**
+ * 写入导入计划（冲突和无效行不写入）
+ * @returns {Promise<{inserted: number, updated: number}>}
+ */
+async function applyImportPlan({ inserts, updates }, operator) {
+  const booksCollection = await getCollection('books');
+  const now = new Date();
+
+  const operations = [
+    ...inserts.map(fields => {
+      const totalCopies = fields.totalCopies ?? 1;
+      return {
+        insertOne: {
+          document: {
+            ...fields,
+            searchIndex: buildSearchIndex(fields),
+            totalCopies,
+            availableCopies: totalCopies,
+            borrowCount: 0,
+            status: totalCopies > 0 ? 'available' : 'borrowed',
+            createdBy: operator.openid,
+            updatedBy: operator.openid,
+            createdAt: now,
+            updatedAt: now
+          }
+        }
+      };
+    }),
+    ...updates.map(({ _id, changes, current }) => {
+      const $set = { updatedBy: operator.openid, updatedAt: now };
+      Object.entries(changes).forEach(([field, { to }]) => { $set[field] = to; });
+      $set.searchIndex = buildSearchIndex({ ...current, ...$set });
+      return {
+        updateOne: {
+          filter: { _id, status: { $ne: 'withdrawn' } },
+          update: { $set }
+        }
+      };
+    })
+  ];
+
+  let inserted = 0;
+  let updated = 0;
+  for (let i = 0; i < operations.length; i += WRITE_BATCH_SIZE) {
+    const result = await booksCollection.bulkWrite(operations.slice(i, i + WRITE_BATCH_SIZE), { ordered: false });
+    inserted += result.insertedCount;
+    updated += result.modifiedCount;
+  }
+
+  if (operations.length > 0) {
+    clearCatalogCache();
+  }
+
+  return { inserted, updated };
+}
+
+/**
+ * 导入馆藏：默认只生成差异报告（dryRun），dryRun=false 时写入新增和更新的行
+ * @param {Buffer|string|Object} content - 文件内容
+ * @param {Object} options - { format, dryRun, operator, maxReportRows }
+ * @returns {Promise<Object>} 导入报告
+ */
+async function importCatalog(content, { format, dryRun = true, operator, maxReportRows } = {}) {
+  const parsed = parseImportFile(content, format);
+  const plan = await planImport(parsed.rows, { maxReportRows });
+
+  const report = {
+    format: parsed.format,
+    dryRun,
+    ignoredColumns: parsed.ignoredColumns,
+    ...plan.report
+  };
+
+  if (dryRun) {
+    return report;
+  }
+
+  const result = await applyImportPlan(plan, operator);
+  return { ...report, ...result };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  CSV_COLUMNS,
+  detectFormat,
+  parseImportFile,
+  planImport,
+  applyImportPlan,
+  importCatalog
+};
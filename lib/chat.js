@@ -0,0 +1,476 @@
+// lib/chat.js - 馆员对话（按会话保存对话记录，每轮检索馆藏作为依据，模型可调用检索、详情、可借查询、预约工具，回复引用图书ID）
+const { getCollection, ObjectId } = require('./database');
+const { BorrowError, findBook } = require('./borrow');
+const { placeHold, countWaitingHolds } = require('./holds');
+const { buildSearchFilter, buildRelevanceStages } = require('./bookSearch');
+const { QuerySyntaxError } = require('./searchQuery');
+const { generateStructured } = require('./aiOutput');
+const { LLMError } = require('./llm');
+
+// 模型可调用的工具及参数说明（写入系统提示）
+const CHAT_TOOLS = {
+  search_books: { description: '按关键词检索馆藏', arguments: '{"query": "检索词"}' },
+  get_book: { description: '查看一本书的详细信息', arguments: '{"bookId": "图书ID"}' },
+  check_availability: { description: '查询一本书的可借副本数、馆藏位置和预约排队人数', arguments: '{"bookId": "图书ID"}' },
+  place_hold: { description: '为当前读者申请预约一本没有可借副本的书，读者确认后才提交（仅在读者明确要求预约时调用）', arguments: '{"bookId": "图书ID"}' }
+};
+
+// 会话在最后一条消息后保留的小时数（updatedAt 上的 TTL 索引），可通过 CHAT_SESSION_TTL_HOURS 覆盖
+const CHAT_SESSION_TTL_HOURS = parseInt(process.env.CHAT_SESSION_TTL_HOURS) || 24;
+
+// 每个会话最多保存的消息数，以及每轮发给模型的最近消息数
+const MAX_STORED_MESSAGES = 100;
+const MAX_HISTORY_MESSAGES = 20;
+
+// 读者单条消息的长度上限
+const MAX_MESSAGE_LENGTH = 500;
+
+// 每轮最多调用工具的次数
+const MAX_TOOL_CALLS = 4;
+
+// 每轮调用模型（含重试、修正和工具调用）的总时限，须小于函数的 maxDuration（30秒），留出检索和保存会话的时间
+const CHAT_TIME_BUDGET_MS = parseInt(process.env.CHAT_TIME_BUDGET_MS) || 20000;
+
+// 每轮按读者消息检索的候选图书数、search_books 工具返回的图书数、提示中附带的之前提到的图书数
+const RETRIEVAL_LIMIT = 8;
+const TOOL_SEARCH_LIMIT = 5;
+const MAX_CITED_CONTEXT = 10;
+
+// 回复最多引用的图书数
+const MAX_CITED_BOOKS = 10;
+
+// 读者本轮消息中明确要求预约时，place_hold 才生成待确认的预约，避免模型自行替读者预约
+// 带否定或取消的说法（“不要预约”“怎么取消预订”“don't reserve”）不算；不/别/没只在紧挨着预约（中间至多一个助动词）时算否定
+const HOLD_INTENT_PATTERN = /预约|预定|预订|\b(hold|reserve)\b/i;
+const HOLD_NEGATION_PATTERN = /([不别没](要|用|必|想|需要)?|(无需|取消|退)[^，。,.!?！？]{0,4}?|\b(cancel|don'?t|do\s+not|not|no)\b[^，。,.!?！？]{0,12}?)(预约|预定|预订|\b(hold|reserve)\b)/i;
+
+// 正反问（“能不能”“可不可以”“要不要”）中的“不”不是否定，判断前先归并为肯定说法
+const A_NOT_A_PATTERN = /(\p{Script=Han})不\1/gu;
+
+// 读者对待确认预约的肯定答复（整条消息只有这些词时才算确认）
+const HOLD_CONFIRM_PATTERN = /^(确认|确定|是|是的|好|好的|对|可以|行|要|预约吧?|yes|y|ok|okay|sure|confirm)[。.!！~～]*$/i;
+
+/**
+ * 每轮模型输出：调用工具时只给 tool，回答读者时给 reply 和引用的 bookIds
+ */
+const CHAT_TURN_SCHEMA = {
+  type: 'object',
+  fields: {
+    tool: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true, values: Object.keys(CHAT_TOOLS) },
+        arguments: {
+          type: 'object',
+          required: true,
+          fields: {
+            query: { type: 'string', maxLength: 100 },
+            bookId: { type: 'string', maxLength: 64 }
+          }
+        }
+      }
+    },
+    reply: { type: 'string', maxLength: 2000 },
+    bookIds: { type: 'array', maxItems: MAX_CITED_BOOKS, items: { type: 'string', maxLength: 64 } }
+  }
+};
+
+/**
+ * 按检索词查找馆藏（与图书搜索接口相同的检索条件和相关度排序），检索词语法有误时返回空列表
+ */
+async function searchCatalog(keyword, limit) {
+  const booksCollection = await getCollection('books');
+  const runSearch = (textIndex) => booksCollection.aggregate([
+    { $match: buildSearchFilter({ q: keyword }, { textIndex }) },
+    ...buildRelevanceStages(keyword, { textIndex }),
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { searchIndex: 0 } }
+  ]).toArray();
+
+  try {
+    return await runSearch(true);
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) return [];
+    // 文本索引尚未建立时退回正则匹配
+    if (error.code !== 27) throw error;
+    return runSearch(false);
+  }
+}
+
+/**
+ * 图书卡片（回复中引用的图书，客户端按卡片展示）
+ */
+function formatBookCard(book) {
+  return {
+    id: book._id.toString(),
+    title: book.title,
+    author: book.author || '',
+    publisher: book.publisher || '',
+    category: book.category || '',
+    coverImage: book.coverImage || '',
+    callno: book.callno || '',
+    location: book.location || '',
+    status: book.status,
+    availableCopies: book.availableCopies || 0,
+    totalCopies: book.totalCopies || 0
+  };
+}
+
+/**
+ * 提示中的一行图书信息
+ */
+function describeBook(book) {
+  return `ID:${book._id.toString()} 《${book.title}》 作者:${book.author || '未知'} 分类:${book.category || '未知'} 可借:${book.availableCopies || 0}/${book.totalCopies || 0}`;
+}
+
+function buildSystemPrompt() {
+  const tools = Object.entries(CHAT_TOOLS)
+    .map(([name, tool]) => `- ${name}：${tool.description}，参数 ${tool.arguments}`)
+    .join('\n');
+
+  return `你是图书馆的馆员，用中文和读者对话，帮助读者找书、了解图书、查询能否借阅和办理预约。
+
+每条读者消息后会附上按这条消息检索到的馆藏和之前提到的图书。信息不够时可以调用工具：
+${tools}
+
+每次只输出一个JSON对象：
+- 调用工具：{"tool": {"name": "工具名", "arguments": {...}}}
+- 回答读者：{"reply": "回答内容", "bookIds": ["回答中提到的图书ID"]}
+
+要求：
+1. 只能介绍馆藏中存在的图书，bookIds 只能使用检索结果或工具结果中出现过的ID，不要编造书名、作者或ID
+2. 馆藏中没有合适的书时如实说明，可以建议读者换个说法
+3. 只有读者明确要求预约时才调用 place_hold，有可借副本的书请引导读者直接借阅；place_hold 只生成待确认的预约，回答时请读者确认
+4. 回答简洁，一般不超过200字`;
+}
+
+/**
+ * 查找会话（只能访问自己的会话）
+ */
+async function findSession(identity, sessionId) {
+  if (!ObjectId.isValid(sessionId)) {
+    throw new BorrowError('会话不存在', 'SESSION_NOT_FOUND', 404);
+  }
+  const sessionsCollection = await getCollection('chat_sessions');
+  const session = await sessionsCollection.findOne({ _id: new ObjectId(sessionId), openid: identity.openid });
+  if (!session) {
+    throw new BorrowError('会话不存在或已过期', 'SESSION_NOT_FOUND', 404);
+  }
+  return session;
+}
+
+/**
+ * 读者消息是否要求预约（“能不能帮我预约”算，“不用预约”“取消预约”不算）
+ */
+function hasHoldIntent(message) {
+  const text = message.replace(A_NOT_A_PATTERN, '$1');
+  return HOLD_INTENT_PATTERN.test(text) && !HOLD_NEGATION_PATTERN.test(text);
+}
+
+/**
+ * 执行一次工具调用
+ * @param {Object} context - {
+ *   message, booksCollection, known（本轮出现过的图书，ID → 图书）,
+ *   pending（place_hold 生成的待确认预约写入 pending.hold）
+ * }
+ * @returns {Promise<Object>} 工具结果（失败时为 { error }）
+ */
+async function runTool({ name, arguments: args }, context) {
+  const { message, booksCollection, known, pending } = context;
+
+  if (name === 'search_books') {
+    if (!args.query) return { error: '缺少参数 query' };
+    const books = await searchCatalog(args.query, TOOL_SEARCH_LIMIT);
+    books.forEach(book => known.set(book._id.toString(), book));
+    return { books: books.map(describeBook) };
+  }
+
+  if (!args.bookId) return { error: '缺少参数 bookId' };
+  const book = await findBook(booksCollection, args.bookId);
+  if (!book || book.status === 'withdrawn') return { error: `图书 ${args.bookId} 不存在` };
+  const bookKey = book._id.toString();
+  known.set(bookKey, book);
+
+  switch (name) {
+    case 'get_book':
+      return {
+        id: bookKey,
+        title: book.title,
+        author: book.author || '',
+        publisher: book.publisher || '',
+        publishDate: book.publishDate || '',
+        category: book.category || '',
+        subject: book.subject || '',
+        tags: book.tags || [],
+        description: (book.description || '').slice(0, 300)
+      };
+    case 'check_availability':
+      return {
+        id: bookKey,
+        title: book.title,
+        status: book.status,
+        availableCopies: book.availableCopies || 0,
+        totalCopies: book.totalCopies || 0,
+        location: book.location || '',
+        callno: book.callno || '',
+        waitingHolds: await countWaitingHolds(bookKey)
+      };
+    case 'place_hold':
+      if (!hasHoldIntent(message)) {
+        return { error: '读者没有要求预约，请先询问读者是否需要预约' };
+      }
+      if ((book.availableCopies || 0) > 0) {
+        return { error: '该书有可借副本，请引导读者直接借阅', availableCopies: book.availableCopies };
+      }
+      // 只记下待确认的预约，读者在下一条消息中确认（或客户端传 confirmHold: true）后才提交
+      pending.hold = { bookId: bookKey, title: book.title };
+      return { pendingConfirmation: true, title: book.title, note: '预约尚未提交，请在回答中请读者确认' };
+    default:
+      return { error: `未知的工具 ${name}` };
+  }
+}
+
+/**
+ * 核对一轮输出：必须调用工具或给出回答；引用的图书只保留本轮出现过的
+ */
+function groundTurn(value, known) {
+  const errors = [];
+  if (value.tool) {
+    return { value, errors };
+  }
+  if (!value.reply) {
+    return { value, errors: [{ field: 'reply', message: '请调用工具或回答读者' }] };
+  }
+  const bookIds = [];
+  (value.bookIds || []).forEach((bookId, index) => {
+    if (!known.has(bookId)) {
+      errors.push({ field: `bookIds[${index}]`, message: `ID ${bookId} 不在检索结果或工具结果中` });
+    } else if (!bookIds.includes(bookId)) {
+      bookIds.push(bookId);
+    }
+  });
+  return { value: { reply: value.reply, bookIds }, errors };
+}
+
+/**
+ * 模型未能给出回答时的回复：列出本轮检索和工具查到的图书
+ */
+function buildFallbackReply(found) {
+  if (found.length === 0) {
+    return { reply: '抱歉，暂时没有找到相关的馆藏，您可以换个说法再试试。', bookIds: [] };
+  }
+  const books = found.slice(0, 5);
+  return {
+    reply: `为您找到以下馆藏：${books.map(book => `《${book.title}》`).join('、')}。`,
+    bookIds: books.map(book => book._id.toString())
+  };
+}
+
+/**
+ * 提交待确认的预约（读者确认后调用）
+ * @returns {Promise<{reply: string, bookIds: string[], toolCall: Object}>}
+ */
+async function confirmPendingHold(identity, pendingHold) {
+  const toolCall = { name: 'place_hold', arguments: { bookId: pendingHold.bookId }, ok: false };
+  try {
+    const { queuePosition } = await placeHold(identity, pendingHold.bookId);
+    toolCall.ok = true;
+    return {
+      reply: `已为您预约《${pendingHold.title}》，当前排在第${queuePosition}位。`,
+      bookIds: [pendingHold.bookId],
+      toolCall
+    };
+  } catch (error) {
+    if (!(error instanceof BorrowError)) throw error;
+    return { reply: `预约《${pendingHold.title}》未成功：${error.message}`, bookIds: [pendingHold.bookId], toolCall };
+  }
+}
+
+/**
+ * 发送一条消息并得到馆员回复
+ * 不传 sessionId 时新建会话；对话记录保存在 chat_sessions 集合，最后一条消息后 CHAT_SESSION_TTL_HOURS 小时自动删除
+ * 预约需要两步：place_hold 只生成待确认的预约（返回 pendingHold），读者下一条消息为“确认”等肯定答复、
+ * 或客户端传 confirmHold: true 时才提交；下一条消息是其他内容（或 confirmHold: false）时作废
+ * @param {Object} identity - 用户标识 { openid }
+ * @param {Object} input - { sessionId, message, confirmHold }
+ * @returns {Promise<{sessionId: string, reply: string, books: Object[], toolCalls: Array<{name: string, arguments: Object, ok: boolean}>, pendingHold: Object|null}>}
+ *          books 为回复中引用的图书卡片，顺序与 bookIds 相同；pendingHold 为等待读者确认的预约 { bookId, title }
+ */
+async function sendChatMessage(identity, { sessionId, message, confirmHold } = {}) {
+  const text = typeof message === 'string' ? message.trim() : '';
+  if (!text) {
+    throw new BorrowError('消息不能为空', 'INVALID_MESSAGE', 400);
+  }
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw new BorrowError(`消息不能超过${MAX_MESSAGE_LENGTH}字`, 'INVALID_MESSAGE', 400);
+  }
+
+  const deadline = Date.now() + CHAT_TIME_BUDGET_MS;
+  const session = sessionId ? await findSession(identity, sessionId) : null;
+  const history = session ? session.messages : [];
+  const booksCollection = await getCollection('books');
+
+  // 上一轮留下的待确认预约只在这一轮有效
+  const pendingHold = session?.pendingHold || null;
+  if (pendingHold && (confirmHold === true || (confirmHold !== false && HOLD_CONFIRM_PATTERN.test(text)))) {
+    const { toolCall, ...answer } = await confirmPendingHold(identity, pendingHold);
+    const book = await findBook(booksCollection, pendingHold.bookId);
+    const known = new Map(book ? [[pendingHold.bookId, book]] : []);
+    answer.bookIds = answer.bookIds.filter(bookId => known.has(bookId));
+    return saveTurn(identity, session, text, answer, [toolCall], null, known);
+  }
+
+  // 本轮依据：按读者消息检索的馆藏，以及之前回复中引用过的图书（读者可能接着问“第一本”）
+  const retrieved = await searchCatalog(text, RETRIEVAL_LIMIT);
+  const citedIds = [...new Set(history.flatMap(item => item.bookIds || []).reverse())].slice(0, MAX_CITED_CONTEXT);
+  const cited = (await Promise.all(citedIds.map(bookId => findBook(booksCollection, bookId))))
+    .filter(book => book && book.status !== 'withdrawn');
+
+  const known = new Map();
+  [...cited, ...retrieved].forEach(book => known.set(book._id.toString(), book));
+  const citedKeys = new Set(cited.map(book => book._id.toString()));
+  const foundThisTurn = () => [...known.values()].filter(book => !citedKeys.has(book._id.toString()));
+
+  const context = [
+    `馆藏检索结果：\n${retrieved.length > 0 ? retrieved.map(describeBook).join('\n') : '（无）'}`,
+    ...(cited.length > 0 ? [`之前提到的图书：\n${cited.map(describeBook).join('\n')}`] : [])
+  ].join('\n\n');
+
+  const messages = [
+    { role: 'system', content: buildSystemPrompt() },
+    ...history.slice(-MAX_HISTORY_MESSAGES).map(item => ({ role: item.role, content: item.content })),
+    { role: 'user', content: `${text}\n\n${context}` }
+  ];
+
+  const toolCalls = [];
+  const pending = { hold: null };
+  let answer = null;
+  while (!answer) {
+    let value;
+    try {
+      ({ value } = await generateStructured({ messages, temperature: 0.5, maxTokens: 800 }, {
+        schema: CHAT_TURN_SCHEMA,
+        feature: 'chat',
+        ground: turn => groundTurn(turn, known),
+        deadline
+      }));
+    } catch (error) {
+      if (!(error instanceof LLMError) || error.code !== 'LLM_DEADLINE_EXCEEDED') throw error;
+      console.warn(`⚠️ 对话超过${CHAT_TIME_BUDGET_MS}ms时限，改用检索结果回复`);
+      answer = buildFallbackReply(foundThisTurn());
+      continue;
+    }
+
+    if (!value.tool) {
+      answer = value.reply ? value : buildFallbackReply(foundThisTurn());
+      continue;
+    }
+    if (toolCalls.length >= MAX_TOOL_CALLS) {
+      console.warn(`⚠️ 对话工具调用超过${MAX_TOOL_CALLS}次，改用检索结果回复`);
+      answer = buildFallbackReply(foundThisTurn());
+      continue;
+    }
+
+    const result = await runTool(value.tool, { message: text, booksCollection, known, pending });
+    toolCalls.push({ name: value.tool.name, arguments: value.tool.arguments, ok: !result.error });
+    // 参数和错误信息含读者的检索词、图书ID，不写入日志
+    console.log(`🛠️ 对话工具调用: ${value.tool.name} ${result.error ? '失败' : '成功'}`);
+
+    messages.push(
+      { role: 'assistant', content: JSON.stringify({ tool: value.tool }) },
+      {
+        role: 'user',
+        content: `工具 ${value.tool.name} 的结果：\n${JSON.stringify(result)}${toolCalls.length >= MAX_TOOL_CALLS ? '\n\n工具调用次数已用完，请直接回答读者。' : ''}`
+      }
+    );
+  }
+
+  // 模型回答中未必提到确认方式，统一补上
+  if (pending.hold) {
+    answer = { ...answer, reply: `${answer.reply}\n\n回复“确认”即为您预约《${pending.hold.title}》，回复其他内容则不预约。` };
+  }
+
+  return saveTurn(identity, session, text, answer, toolCalls, pending.hold, known);
+}
+
+/**
+ * 保存一轮对话（读者消息和回复），待确认的预约随会话保存到下一轮
+ */
+async function saveTurn(identity, session, text, answer, toolCalls, pendingHold, known) {
+  const now = new Date();
+  const newMessages = [
+    { role: 'user', content: text, createdAt: now },
+    { role: 'assistant', content: answer.reply, bookIds: answer.bookIds, toolCalls, createdAt: now }
+  ];
+  const sessionsCollection = await getCollection('chat_sessions');
+  let savedId;
+  if (session) {
+    await sessionsCollection.updateOne(
+      { _id: session._id },
+      { $push: { messages: { $each: newMessages, $slice: -MAX_STORED_MESSAGES } }, $set: { pendingHold, updatedAt: now } }
+    );
+    savedId = session._id;
+  } else {
+    const result = await sessionsCollection.insertOne({
+      openid: identity.openid,
+      title: text.slice(0, 30),
+      messages: newMessages,
+      pendingHold,
+      createdAt: now,
+      updatedAt: now
+    });
+    savedId = result.insertedId;
+  }
+
+  return {
+    sessionId: savedId.toString(),
+    reply: answer.reply,
+    books: answer.bookIds.map(bookId => formatBookCard(known.get(bookId))),
+    toolCalls,
+    pendingHold
+  };
+}
+
+/**
+ * 会话的对话记录
+ * @param {Object} identity - 用户标识 { openid }
+ * @param {string} sessionId - 会话ID
+ * @returns {Promise<{sessionId: string, title: string, messages: Object[], pendingHold: Object|null, createdAt: Date, updatedAt: Date}>}
+ *          助手消息的 books 为引用图书的卡片（已下架的不返回）；pendingHold 为等待确认的预约
+ */
+async function getChatSession(identity, sessionId) {
+  const session = await findSession(identity, sessionId);
+  const booksCollection = await getCollection('books');
+
+  const bookIds = [...new Set(session.messages.flatMap(item => item.bookIds || []))];
+  const books = new Map();
+  (await Promise.all(bookIds.map(bookId => findBook(booksCollection, bookId))))
+    .forEach((book, index) => {
+      if (book && book.status !== 'withdrawn') books.set(bookIds[index], formatBookCard(book));
+    });
+
+  return {
+    sessionId: session._id.toString(),
+    title: session.title,
+    messages: session.messages.map(item => ({
+      role: item.role,
+      content: item.content,
+      ...(item.role === 'assistant'
+        ? { books: (item.bookIds || []).filter(bookId => books.has(bookId)).map(bookId => books.get(bookId)) }
+        : {}),
+      createdAt: item.createdAt
+    })),
+    pendingHold: session.pendingHold || null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+module.exports = {
+  CHAT_TOOLS,
+  CHAT_SESSION_TTL_HOURS,
+  hasHoldIntent,
+  sendChatMessage,
+  getChatSession
+};
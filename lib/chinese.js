@@ -0,0 +1,142 @@
+// lib/chinese.js - 繁简转换模块（基于 OpenCC 词典，按词组转换，用于检索归一化和按客户端偏好输出）
+//
+// 检索时查询词和索引字段统一转为简体，繁体、简体以及港台异体字（如 裡/裏/里、衞/衛/卫）都能互相匹配。
+// 转换按 OpenCC 的词组表进行，“頭髮”→“头发”、“乾燥”→“干燥”、“著作”保持不变，不会逐字误转。
+const OpenCC = require('opencc-js');
+
+/**
+ * 输出字形：cn 简体，hk 香港繁体，tw 台湾繁体
+ */
+const CHINESE_SCRIPTS = ['cn', 'hk', 'tw'];
+
+// 转换器在首次使用时创建（加载词典需要几十毫秒），之后复用
+const converters = {};
+
+function getConverter(from, to) {
+  const key = `${from}-${to}`;
+  if (!converters[key]) {
+    converters[key] = OpenCC.Converter({ from, to });
+  }
+  return converters[key];
+}
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+
+function convert(text, from, to) {
+  if (text === undefined || text === null) return text;
+  const value = String(text);
+  return HAN_PATTERN.test(value) ? getConverter(from, to)(value) : value;
+}
+
+/**
+ * 转为简体（检索归一化）
+ * 以香港繁体为源，同时能识别台湾用字和通用繁体
+ * @param {string} text
+ * @returns {string}
+ */
+function toSimplified(text) {
+  return convert(text, 'hk', 'cn');
+}
+
+/**
+ * 转为繁体
+ * @param {string} text
+ * @param {string} script - hk（默认）或 tw
+ * @returns {string}
+ */
+function toTraditional(text, script = 'hk') {
+  return convert(text, 'cn', script === 'tw' ? 'tw' : 'hk');
+}
+
+/**
+ * 按指定字形转换文本
+ * @param {string} text
+ * @param {string} script - cn、hk、tw；为空时原样返回
+ * @returns {string}
+ */
+function toScript(text, script) {
+  if (!script) return text;
+  return script === 'cn' ? toSimplified(text) : toTraditional(text, script);
+}
+
+/**
+ * 生成同时匹配简体和繁体写法的正则表达式（用于无法预先归一化的字段，如正则兜底检索）
+ * 各写法逐字对齐时合并为字符类（“红楼梦”→“[红紅][楼樓][梦夢]”），否则各写法之间为“或”
+ * @param {string} text - 原文（未转义）
+ * @param {Function} escape - 正则转义函数
+ * @returns {string} 正则源文本
+ */
+function buildVariantPattern(text, escape) {
+  const variants = [...new Set([String(text), toSimplified(text), toTraditional(text, 'hk'), toTraditional(text, 'tw')])];
+  if (variants.length === 1) return escape(variants[0]);
+
+  const charLists = variants.map(variant => Array.from(variant));
+  if (charLists.every(chars => chars.length === charLists[0].length)) {
+    return charLists[0].map((_, i) => {
+      const chars = [...new Set(charLists.map(list => list[i]))];
+      return chars.length === 1 ? escape(chars[0]) : `[${chars.join('')}]`;
+    }).join('');
+  }
+  return variants.map(escape).join('|');
+}
+
+/**
+ * 从请求中解析客户端偏好的输出字形
+ * 优先使用 script 参数（cn/hk/tw，也接受 zh-Hans、zh-Hant、zh-HK 等写法），其次为 Accept-Language 中的第一个中文语言
+ * @param {Object} req - HTTP 请求
+ * @returns {string|null} cn、hk、tw；未指定时为 null（按馆藏原文输出）
+ */
+function resolveScript(req) {
+  const fromTag = (tag) => {
+    const value = String(tag || '').trim().toLowerCase().replace(/_/g, '-');
+    if (CHINESE_SCRIPTS.includes(value)) return value;
+    if (!value.startsWith('zh')) return null;
+    if (/-(hk|mo)\b/.test(value)) return 'hk';
+    if (/-tw\b/.test(value)) return 'tw';
+    if (/-hant\b/.test(value)) return 'hk';
+    if (/-(hans|cn|sg|my)\b/.test(value)) return 'cn';
+    return null;
+  };
+
+  const { script } = req.query || {};
+  if (script) return fromTag(script);
+
+  const acceptLanguage = req.headers && req.headers['accept-language'];
+  if (!acceptLanguage) return null;
+  for (const part of String(acceptLanguage).split(',')) {
+    const tag = part.split(';')[0];
+    if (tag.trim().toLowerCase().startsWith('zh')) return fromTag(tag);
+  }
+  return null;
+}
+
+/**
+ * 按输出字形转换对象中的文本字段（字符串或字符串数组），返回新对象
+ * @param {Object} item - 图书或联想词等响应数据
+ * @param {string[]} fields - 需要转换的字段
+ * @param {string|null} script - 输出字形，为空时原样返回
+ * @returns {Object}
+ */
+function convertFields(item, fields, script) {
+  if (!script || !item) return item;
+  const converted = { ...item };
+  for (const field of fields) {
+    const value = converted[field];
+    if (typeof value === 'string') {
+      converted[field] = toScript(value, script);
+    } else if (Array.isArray(value)) {
+      converted[field] = value.map(entry => (typeof entry === 'string' ? toScript(entry, script) : entry));
+    }
+  }
+  return converted;
+}
+
+module.exports = {
+  CHINESE_SCRIPTS,
+  toSimplified,
+  toTraditional,
+  toScript,
+  buildVariantPattern,
+  resolveScript,
+  convertFields
+};
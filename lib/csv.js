@@ -0,0 +1,106 @@
+// lib/csv.js - CSV 解析与生成模块（RFC 4180：双引号转义、字段内换行、UTF-8 BOM）
+
+// 电子表格会把以这些字符开头的单元格当作公式执行（CSV 注入）
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * 解析 CSV 文本
+ * @param {string} text - CSV 内容
+ * @param {Object} options - { delimiter }
+ * @returns {Array<{line: number, values: string[]}>} 每行的值及其在文件中的起始行号
+ */
+function parseCsv(text, { delimiter = ',' } = {}) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+
+  let values = [];
+  let value = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(value);
+    // 忽略空行
+    if (values.length > 1 || values[0].trim() !== '') {
+      rows.push({ line: rowLine, values });
+    }
+    values = [];
+    value = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && value === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      values.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`第${rowLine}行的引号没有闭合`);
+  }
+  if (value !== '' || values.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * 生成一行 CSV（含结尾的 CRLF）
+ * 含分隔符、引号、换行或首尾空白的值加双引号；escapeFormulas 时以 = + - @ 等开头的值前加单引号，按文本显示
+ * @param {Array} values - 字段值，null/undefined 输出为空
+ * @param {Object} options - { delimiter, escapeFormulas }
+ * @returns {string}
+ */
+function formatCsvRow(values, { delimiter = ',', escapeFormulas = false } = {}) {
+  return values.map(value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (escapeFormulas && FORMULA_PREFIX_PATTERN.test(text)) {
+      text = `'${text}`;
+    }
+    if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }).join(delimiter) + '\r\n';
+}
+
+/**
+ * 去掉 formatCsvRow 为防公式执行加的单引号
+ * @param {string} text - 单元格值
+ * @returns {string}
+ */
+function unescapeFormula(text) {
+  return text.startsWith("'") && FORMULA_PREFIX_PATTERN.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+  unescapeFormula
+};
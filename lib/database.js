@@ -23,6 +23,13 @@ async function connectToDatabase() {
 
     console.log('🔌 正在连接MongoDB Atlas...');
 
+    // 内存替身（MONGODB_URI=memory://），用于测试与本地开发；只在启用时加载，不随生产代码使用
+    if (!cachedClient && MONGODB_URI.startsWith('memory://')) {
+      const { MemoryClient } = require('../test/support/memoryDb');
+      cachedClient = new MemoryClient();
+      console.log('🧪 使用内存数据库替身');
+    }
+
     // 创建MongoDB客户端
     if (!cachedClient) {
       cachedClient = new MongoClient(MONGODB_URI, {
@@ -73,6 +80,37 @@ async function getCollection(collectionName) {
   }
 }
 
+/**
+ * 在事务中执行操作（使用缓存的客户端会话）
+ * @param {Function} fn - 事务回调，参数为 (session, db)
+ * @returns {Promise<*>} 回调返回值
+ */
+async function withTransaction(fn) {
+  const { client, db } = await connectToDatabase();
+  const session = client.startSession();
+
+  try {
+    let result;
+    // withTransaction 会在瞬时错误时自动重试回调
+    await session.withTransaction(async () => {
+      result = await fn(session, db);
+    }, {
+      readConcern: { level: 'snapshot' },
+      writeConcern: { w: 'majority' }
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * 是否为唯一索引冲突错误
+ */
+function isDuplicateKeyError(error) {
+  return Boolean(error) && error.code === 11000;
+}
+
 /**
  * 关闭数据库连接
  */
@@ -237,6 +275,17 @@ const cacheManager = {
     this.cache.delete(key);
   },
   
+  /**
+   * 按前缀删除缓存
+   */
+  deleteByPrefix(prefix) {
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(prefix)) {
+        this.cache.delete(key);
+      }
+    }
+  },
+  
   /**
    * 清空缓存
    */
@@ -304,7 +353,15 @@ async function initializeDatabase() {
       'categories',      // 分类
       'users',          // 用户
       'borrows',        // 借阅记录
-      'favorites'       // 收藏
+      'favorites',      // 收藏
+      'holds',          // 预约
+      'fines_ledger',   // 罚款流水
+      'fine_payments',  // 罚款缴费订单
+      'idempotency_keys', // 幂等键
+      'search_logs',    // 检索日志
+      'book_recommendations', // 同借推荐（定时计算）
+      'llm_usage',      // 大模型按日用量
+      'chat_sessions'   // 馆员对话会话
     ];
     
     for (const collectionName of collections) {
@@ -323,11 +380,18 @@ async function initializeDatabase() {
     // 创建索引
     const booksCollection = db.collection('books');
     await dbUtils.createIndexes(booksCollection, [
-      { key: { title: 'text', author: 'text', description: 'text' } }, // 全文搜索
       { key: { category: 1 } }, // 分类索引
       { key: { status: 1 } },   // 状态索引
-      { key: { createdAt: -1 } } // 创建时间索引
+      { key: { acno: 1 } },     // 图书编号索引
+      { key: { isbn: 1 } },     // ISBN索引
+      { key: { createdAt: -1 } }, // 创建时间索引
+      { key: { borrowCount: -1, rating: -1, createdAt: -1, _id: 1 } } // 热门图书排序及游标分页
     ]);
+
+    // 全文搜索索引及各图书的检索字段（bookSearch 经检索语法模块间接依赖本模块，在此处再加载）
+    const { ensureSearchIndex } = require('./bookSearch');
+    const reindexed = await ensureSearchIndex(booksCollection);
+    console.log(`✅ 图书检索字段已更新 ${reindexed} 本`);
     
     const usersCollection = db.collection('users');
     await dbUtils.createIndexes(usersCollection, [
@@ -343,6 +407,66 @@ async function initializeDatabase() {
       { key: { borrowDate: -1 } } // 借阅时间索引
     ]);
     
+    const holdsCollection = db.collection('holds');
+    await dbUtils.createIndexes(holdsCollection, [
+      { key: { bookId: 1, status: 1, createdAt: 1 } }, // 预约队列索引
+      { key: { userId: 1, status: 1 } },               // 用户预约索引
+      { key: { status: 1, pickupDeadline: 1 } }        // 过期预约索引
+    ]);
+    
+    const finesLedgerCollection = db.collection('fines_ledger');
+    await dbUtils.createIndexes(finesLedgerCollection, [
+      { key: { userId: 1, createdAt: -1 } }, // 用户流水索引
+      {
+        key: { borrowId: 1, type: 1 },         // 每条借阅记录只有一笔罚款
+        unique: true,
+        partialFilterExpression: { type: 'charge' }
+      }
+    ]);
+    
+    const finePaymentsCollection = db.collection('fine_payments');
+    await dbUtils.createIndexes(finePaymentsCollection, [
+      { key: { userId: 1, createdAt: -1 } }, // 用户缴费索引
+      { key: { status: 1 } },                // 订单状态索引
+      {                                      // 每位读者同时只能有一笔待支付订单
+        key: { openid: 1 },
+        unique: true,
+        partialFilterExpression: { status: 'pending', openid: { $exists: true } }
+      }
+    ]);
+    
+    const idempotencyCollection = db.collection('idempotency_keys');
+    await dbUtils.createIndexes(idempotencyCollection, [
+      { key: { createdAt: 1 }, expireAfterSeconds: 24 * 60 * 60 } // 幂等键保留24小时
+    ]);
+    
+    // 检索日志保留天数（searchLogs 依赖本模块，同样在此处再加载）
+    const { SEARCH_LOG_RETENTION_DAYS } = require('./searchLogs');
+    const searchLogsCollection = db.collection('search_logs');
+    await dbUtils.createIndexes(searchLogsCollection, [
+      { key: { createdAt: 1 }, expireAfterSeconds: SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 }, // 过期日志自动删除
+      { key: { firstPage: 1, createdAt: -1 } }                                               // 统计报表索引
+    ]);
+    
+    const recommendationsCollection = db.collection('book_recommendations');
+    await dbUtils.createIndexes(recommendationsCollection, [
+      { key: { bookId: 1 }, unique: true }, // 每本书一条
+      { key: { computedAt: 1 } }            // 清理旧结果
+    ]);
+    
+    const llmUsageCollection = db.collection('llm_usage');
+    await dbUtils.createIndexes(llmUsageCollection, [
+      { key: { date: 1, provider: 1, model: 1, feature: 1 }, unique: true } // 每天每个功能一条
+    ]);
+    
+    // 对话会话保留时长（chat 依赖本模块，同样在此处再加载）
+    const { CHAT_SESSION_TTL_HOURS } = require('./chat');
+    const chatSessionsCollection = db.collection('chat_sessions');
+    await dbUtils.createIndexes(chatSessionsCollection, [
+      { key: { updatedAt: 1 }, expireAfterSeconds: CHAT_SESSION_TTL_HOURS * 60 * 60 }, // 闲置会话自动删除
+      { key: { openid: 1, updatedAt: -1 } }                                           // 用户会话索引
+    ]);
+    
     console.log('✅ 数据库初始化完成');
     
   } catch (error) {
@@ -356,6 +480,8 @@ module.exports = {
   connectToDatabase,
   getCollection,
   closeConnection,
+  withTransaction,
+  isDuplicateKeyError,
   dbUtils,
   cacheManager,
   handleDatabaseError,
@@ -1,42 +1,25 @@
-const axios = require('axios');
+const { chatCompletion } = require('./llm');
 
 /**
- * 调用DeepSeek API
+ * 调用大模型（提供方、模型和密钥见 lib/llm.js，默认为 DeepSeek）
  * @param {string} prompt - 提示词
  * @param {string} systemPrompt - 系统提示词
  * @returns {Promise<string>} - AI回复
  */
 async function queryDeepSeek(prompt, systemPrompt) {
   try {
-    // 完全仿照ai_test成功案例的调用方式
-    const API_KEY = process.env.DEEPSEEK_API_KEY || 'sk-546598dba68f4a92a2616461baf23231';
-    
-    const response = await axios({
-      method: 'post',
-      url: 'https://api.deepseek.com/v1/chat/completions',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${API_KEY}`
-      },
-      data: {
-        model: "deepseek-chat",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 2000
-      }
-    });
-
-    if (!response.data || !response.data.choices || !response.data.choices[0]) {
-      console.error('DeepSeek API返回异常:', response.data);
-      throw new Error('AI服务返回异常数据');
-    }
-
-    return response.data.choices[0].message.content;
+    const result = await chatCompletion({
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: prompt }
+      ],
+      temperature: 0.7,
+      maxTokens: 2000
+    }, { feature: 'query' });
+
+    return result.content;
   } catch (error) {
-    console.error('DeepSeek API错误:', error.response?.data || error.message);
+    console.error('大模型调用错误:', error.message);
     throw new Error('AI服务调用失败，请稍后再试');
   }
 }
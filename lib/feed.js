@@ -0,0 +1,323 @@
+// lib/feed.js - 个性化首页推荐（根据读者的借阅历史、收藏和预约生成分栏推荐，每条附推荐理由）
+const { getCollection, ObjectId } = require('./database');
+const { BorrowError, buildUserQuery } = require('./users');
+const { normalizePatronType } = require('./policy');
+
+// 推荐栏目（按此顺序返回，没有内容的栏目不返回）
+const FEED_SECTIONS = {
+  because_you_borrowed: '借过这些书的读者还借过',
+  new_in_categories: '您常借分类的新书',
+  cohort_trending: '同类读者近期在借',
+  available_favorites: '收藏的书现在可借'
+};
+
+// 每个栏目默认和最多返回的图书数
+const DEFAULT_SECTION_SIZE = 6;
+const MAX_SECTION_SIZE = 20;
+
+// 取最近借阅的5本书作为同借推荐的依据
+const RECENT_SEED_BORROWS = 5;
+
+// 偏好分类取借阅、收藏最多的前3个
+const PREFERRED_CATEGORY_COUNT = 3;
+
+// 上架60天内算新书
+const NEW_BOOK_DAYS = 60;
+
+// 近期热门统计最近30天的借阅
+const TRENDING_DAYS = 30;
+
+const PATRON_TYPE_LABELS = {
+  undergraduate: '本科生',
+  postgraduate: '研究生',
+  staff: '教职工'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toIdQuery(bookIds) {
+  return bookIds.map(id => (ObjectId.isValid(id) ? new ObjectId(id) : id));
+}
+
+/**
+ * 按借阅记录统计偏好分类（前3个，附次数和占借阅记录的百分比）
+ * @param {Object[]} borrowRecords - 借阅记录
+ * @returns {Promise<Array<{category: string, count: number, percentage: number}>>}
+ */
+async function getPreferredCategories(borrowRecords) {
+  try {
+    if (borrowRecords.length === 0) return [];
+
+    const booksCollection = await getCollection('books');
+    const books = await booksCollection
+      .find(
+        { _id: { $in: toIdQuery(borrowRecords.map(record => record.bookId).filter(Boolean)) } },
+        { projection: { category: 1, _id: 1 } }
+      )
+      .toArray();
+
+    // 统计分类频率
+    const categoryCount = {};
+    books.forEach(book => {
+      if (book.category) {
+        categoryCount[book.category] = (categoryCount[book.category] || 0) + 1;
+      }
+    });
+
+    return Object.entries(categoryCount)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, PREFERRED_CATEGORY_COUNT)
+      .map(([category, count]) => ({
+        category,
+        count,
+        percentage: Math.round((count / borrowRecords.length) * 100)
+      }));
+
+  } catch (error) {
+    console.error('获取偏好分类失败:', error);
+    return [];
+  }
+}
+
+/**
+ * 查询图书（未下架），返回 bookId → 图书
+ */
+async function findBooks(booksCollection, bookIds) {
+  if (bookIds.length === 0) return new Map();
+  const books = await booksCollection
+    .find({ _id: { $in: toIdQuery(bookIds) }, status: { $ne: 'withdrawn' } })
+    .toArray();
+  return new Map(books.map(book => [book._id.toString(), book]));
+}
+
+/**
+ * 借过、预约过的书的同借推荐（预先计算，见 lib/recommendations.js）
+ * 多本书推荐同一本时得分相加，越近借阅的书权重越高；理由取贡献最大的一本
+ */
+async function becauseYouBorrowed(context, limit) {
+  const seeds = [
+    ...context.recentBookIds.map((bookId, i) => ({ bookId, weight: 1 / (i + 1), action: '借过' })),
+    ...context.heldBookIds.map(bookId => ({ bookId, weight: 1, action: '预约了' }))
+  ];
+  if (seeds.length === 0) return [];
+
+  const recommendationsCollection = await getCollection('book_recommendations');
+  const stored = await recommendationsCollection.find({ bookId: { $in: seeds.map(seed => seed.bookId) } }).toArray();
+  const storedByBook = new Map(stored.map(doc => [doc.bookId, doc.items || []]));
+
+  const candidates = new Map();
+  for (const seed of seeds) {
+    for (const item of storedByBook.get(seed.bookId) || []) {
+      if (context.excluded.has(item.bookId)) continue;
+      const contribution = item.score * seed.weight;
+      const candidate = candidates.get(item.bookId) || { score: 0, best: null };
+      candidate.score += contribution;
+      if (!candidate.best || contribution > candidate.best.contribution) {
+        candidate.best = { contribution, seed, coReaders: item.coReaders };
+      }
+      candidates.set(item.bookId, candidate);
+    }
+  }
+
+  const ranked = Array.from(candidates).sort(([, a], [, b]) => b.score - a.score);
+  const seedBooks = await findBooks(context.booksCollection, seeds.map(seed => seed.bookId));
+  const books = await findBooks(context.booksCollection, ranked.map(([bookId]) => bookId));
+
+  return ranked
+    .filter(([bookId]) => books.has(bookId))
+    .slice(0, limit)
+    .map(([bookId, { score, best }]) => {
+      const seedTitle = seedBooks.get(best.seed.bookId)?.title;
+      return {
+        book: books.get(bookId),
+        score,
+        reason: seedTitle
+          ? `您${best.seed.action}《${seedTitle}》，有${best.coReaders}位读者同时借过这两本书`
+          : `有${best.coReaders}位读者与您借过相同的书`
+      };
+    });
+}
+
+/**
+ * 偏好分类中近期上架的新书，按分类偏好顺序、上架时间排序
+ */
+async function newInCategories(context, limit) {
+  if (context.preferredCategories.length === 0) return [];
+
+  const since = new Date(context.now.getTime() - NEW_BOOK_DAYS * DAY_MS);
+  const books = await context.booksCollection
+    .find({
+      category: { $in: context.preferredCategories.map(item => item.category) },
+      status: { $ne: 'withdrawn' },
+      createdAt: { $gte: since }
+    })
+    .sort({ createdAt: -1, _id: 1 })
+    .limit(limit + context.excluded.size)
+    .toArray();
+
+  const categoryRank = new Map(context.preferredCategories.map((item, i) => [item.category, i]));
+  return books
+    .filter(book => !context.excluded.has(book._id.toString()))
+    .sort((a, b) => categoryRank.get(a.category) - categoryRank.get(b.category))
+    .slice(0, limit)
+    .map(book => {
+      const days = Math.max(0, Math.floor((context.now - new Date(book.createdAt)) / DAY_MS));
+      const preference = context.preferredCategories[categoryRank.get(book.category)];
+      return {
+        book,
+        score: (context.preferredCategories.length - categoryRank.get(book.category)) + 1 / (days + 1),
+        reason: `${preference.source === 'favorite' ? '您收藏' : '您常借'}的「${book.category}」类新书，${days === 0 ? '今天' : `${days}天前`}上架`
+      };
+    });
+}
+
+/**
+ * 近期借阅人数最多的书：先统计同类型读者（本科生、研究生、教职工），不足时补充全馆热门
+ */
+async function cohortTrending(context, limit) {
+  const borrowsCollection = await getCollection('borrows');
+  const since = new Date(context.now.getTime() - TRENDING_DAYS * DAY_MS);
+  const countReaders = (match) => borrowsCollection.aggregate([
+    { $match: { ...match, borrowDate: { $gte: since } } },
+    { $group: { _id: '$bookId', readers: { $addToSet: { $ifNull: ['$openid', '$userId'] } } } },
+    { $addFields: { readerCount: { $size: '$readers' } } },
+    { $sort: { readerCount: -1, _id: 1 } },
+    { $limit: limit + context.excluded.size }
+  ]).toArray();
+
+  const patronLabel = PATRON_TYPE_LABELS[context.patronType];
+  const rows = [
+    ...(await countReaders({ patronType: context.patronType })).map(row => ({ ...row, cohort: true })),
+    ...(await countReaders({})).map(row => ({ ...row, cohort: false }))
+  ];
+
+  const seen = new Set();
+  const picked = rows.filter((row) => {
+    if (context.excluded.has(row._id) || seen.has(row._id)) return false;
+    seen.add(row._id);
+    return true;
+  });
+  const books = await findBooks(context.booksCollection, picked.map(row => row._id));
+
+  return picked
+    .filter(row => books.has(row._id))
+    .slice(0, limit)
+    .map(row => ({
+      book: books.get(row._id),
+      score: row.readerCount,
+      reason: row.cohort
+        ? `近${TRENDING_DAYS}天有${row.readerCount}位${patronLabel}读者借阅`
+        : `近${TRENDING_DAYS}天全馆有${row.readerCount}位读者借阅`
+    }));
+}
+
+/**
+ * 收藏的书中现在有可借副本的，按收藏时间从新到旧
+ */
+async function availableFavorites(context, limit) {
+  const favorites = context.favorites
+    .filter(favorite => favorite.bookId && !context.excluded.has(String(favorite.bookId)))
+    .sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  const books = await findBooks(context.booksCollection, favorites.map(favorite => String(favorite.bookId)));
+
+  return favorites
+    .map(favorite => books.get(String(favorite.bookId)))
+    .filter(book => book && book.availableCopies > 0)
+    .slice(0, limit)
+    .map(book => ({
+      book,
+      score: book.availableCopies,
+      reason: `您收藏的图书，现有${book.availableCopies}本可借${book.callno ? `，索书号 ${book.callno}` : ''}`
+    }));
+}
+
+const SECTION_BUILDERS = {
+  because_you_borrowed: becauseYouBorrowed,
+  new_in_categories: newInCategories,
+  cohort_trending: cohortTrending,
+  available_favorites: availableFavorites
+};
+
+/**
+ * 格式化推荐图书
+ */
+function formatFeedItem({ book, score, reason }) {
+  return {
+    id: book._id,
+    title: book.title,
+    author: book.author,
+    category: book.category,
+    status: book.status,
+    availableCopies: book.availableCopies,
+    borrowCount: book.borrowCount,
+    rating: book.rating,
+    coverImage: book.coverImage || '',
+    callno: book.callno || '',
+    score: Math.round(score * 1000) / 1000,
+    reason
+  };
+}
+
+/**
+ * 生成读者的个性化首页推荐
+ * 借过（含已归还）和正在预约的书不会出现；同一本书只出现在排在前面的栏目中
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @param {Object} options - { limit }：每个栏目的图书数
+ * @returns {Promise<{sections: Array<{type: string, title: string, items: Object[]}>, preferredCategories: Object[]}>}
+ */
+async function buildUserFeed(identity, { limit = DEFAULT_SECTION_SIZE } = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+  const sectionSize = Math.min(MAX_SECTION_SIZE, Math.max(1, parseInt(limit) || DEFAULT_SECTION_SIZE));
+
+  const [borrowsCollection, favoritesCollection, holdsCollection, usersCollection, booksCollection] = await Promise.all(
+    ['borrows', 'favorites', 'holds', 'users', 'books'].map(name => getCollection(name))
+  );
+  const [borrows, favorites, holds, user] = await Promise.all([
+    borrowsCollection.find(userQuery).sort({ borrowDate: -1 }).toArray(),
+    favoritesCollection.find(userQuery).toArray(),
+    holdsCollection.find({ ...userQuery, status: { $in: ['waiting', 'ready'] } }).toArray(),
+    usersCollection.findOne(userQuery)
+  ]);
+
+  const borrowedBookIds = [...new Set(borrows.map(record => String(record.bookId)))];
+  const heldBookIds = [...new Set(holds.map(hold => String(hold.bookId)))];
+
+  // 偏好分类：按借阅统计，没有借阅记录时按收藏的图书分类
+  let preferredCategories = (await getPreferredCategories(borrows))
+    .map(item => ({ ...item, source: 'borrow' }));
+  if (preferredCategories.length === 0 && favorites.length > 0) {
+    preferredCategories = (await getPreferredCategories(favorites))
+      .map(item => ({ ...item, source: 'favorite' }));
+  }
+
+  const context = {
+    now: new Date(),
+    booksCollection,
+    favorites,
+    heldBookIds,
+    recentBookIds: borrowedBookIds.slice(0, RECENT_SEED_BORROWS),
+    preferredCategories,
+    patronType: normalizePatronType(user?.patronType),
+    excluded: new Set([...borrowedBookIds, ...heldBookIds])
+  };
+
+  const sections = [];
+  for (const [type, title] of Object.entries(FEED_SECTIONS)) {
+    const items = await SECTION_BUILDERS[type](context, sectionSize);
+    items.forEach(item => context.excluded.add(item.book._id.toString()));
+    if (items.length > 0) {
+      sections.push({ type, title, items: items.map(formatFeedItem) });
+    }
+  }
+
+  return { sections, preferredCategories };
+}
+
+module.exports = {
+  FEED_SECTIONS,
+  getPreferredCategories,
+  buildUserFeed
+};
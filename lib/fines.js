@@ -0,0 +1,554 @@
+// lib/fines.js - 逾期罚款模块（罚款计算、罚款账户流水、减免与缴费结算）
+// 金额在数据库中统一以“分”为单位保存，接口返回时换算为元
+const {
+  connectToDatabase,
+  getCollection,
+  withTransaction,
+  isDuplicateKeyError,
+  dbUtils,
+  ObjectId
+} = require('./database');
+const { BorrowError, buildUserQuery, clearUserStatusCache } = require('./users');
+const { getLoanPolicy, findPatron } = require('./policy');
+const { overdueDays } = require('./calendar');
+const { getPaymentProvider } = require('./payments');
+
+const FINE_CURRENCY = 'HKD';
+
+// 流水类型：罚款、减免、缴费
+const LEDGER_ENTRY_TYPES = ['charge', 'waiver', 'payment'];
+
+// 缴费订单的支付期限（分钟），超过后视为过期，读者可以重新发起缴费
+const PAYMENT_ORDER_TTL_MINUTES = 30;
+
+/**
+ * 分转元
+ */
+function toYuan(cents) {
+  return Math.round(cents) / 100;
+}
+
+/**
+ * 元转分
+ */
+function toCents(yuan) {
+  return Math.round(Number(yuan) * 100);
+}
+
+/**
+ * 计算罚款
+ * @param {Date} dueDate - 应还时刻
+ * @param {Date} at - 计算时刻（还书时刻或当前时刻）
+ * @param {Object} policy - 借阅规则（含 fineDailyRate、fineGraceDays、maxFinePerItem）
+ * @returns {{overdueDays: number, chargeableDays: number, amount: number}} amount 单位为分
+ */
+function calculateFine(dueDate, at, policy) {
+  const days = overdueDays(dueDate, at);
+  if (days <= policy.fineGraceDays) {
+    return { overdueDays: days, chargeableDays: 0, amount: 0 };
+  }
+  const chargeableDays = days - policy.fineGraceDays;
+  return {
+    overdueDays: days,
+    chargeableDays,
+    amount: Math.min(chargeableDays * policy.fineDailyRate, policy.maxFinePerItem)
+  };
+}
+
+/**
+ * 借阅记录对应的借阅规则（借出时记录了读者类型和图书分类）
+ */
+async function getRecordPolicy(db, session, record) {
+  let patronType = record.patronType;
+  if (!patronType) {
+    const userQuery = buildUserQuery(record);
+    ({ patronType } = await findPatron(db.collection('users'), userQuery, session));
+  }
+  return getLoanPolicy(patronType, record.category);
+}
+
+/**
+ * 写入或更新某条借阅记录的罚款流水
+ * 每条借阅记录只有一笔罚款流水：逾期期间每日累加（final=false），还书时定额（final=true）
+ * @returns {Promise<Object|null>} 罚款计算结果，无需罚款时返回null
+ */
+async function upsertFineCharge(db, session, record, at, final) {
+  if (!record.dueDate) return null;
+
+  const policy = await getRecordPolicy(db, session, record);
+  const fine = calculateFine(record.dueDate, at, policy);
+  if (fine.amount === 0) return null;
+
+  const { userId, studentId, openid } = record;
+  const identityFields = buildUserQuery({ userId, studentId, openid });
+  const ledgerCollection = db.collection('fines_ledger');
+
+  // 已定额的罚款不再被每日累加覆盖。先读出现有流水再决定是否写入，不能靠唯一索引冲突跳过：
+  // 事务内的写错误会使服务端中止整个事务，之后的操作都会失败
+  const existing = await ledgerCollection.findOne(
+    { borrowId: record._id, type: 'charge' },
+    { session, projection: { final: 1 } }
+  );
+  if (existing && existing.final) return fine;
+
+  try {
+    await ledgerCollection.updateOne(
+      { borrowId: record._id, type: 'charge', final: { $ne: true } },
+      {
+        $set: {
+          amount: fine.amount,
+          overdueDays: fine.overdueDays,
+          chargeableDays: fine.chargeableDays,
+          final,
+          updatedAt: at
+        },
+        $setOnInsert: {
+          ...identityFields,
+          bookId: record.bookId,
+          bookTitle: record.bookTitle || '',
+          createdAt: at
+        }
+      },
+      { session, upsert: true }
+    );
+  } catch (error) {
+    // 事务外（每日累计任务）读取之后恰好还书定额时，upsert 因唯一索引冲突失败，保留定额即可
+    if (session || !isDuplicateKeyError(error)) throw error;
+  }
+
+  return fine;
+}
+
+/**
+ * 还书时确定罚款金额（在还书事务内调用）
+ */
+async function finalizeFine(db, session, record, at = new Date()) {
+  return upsertFineCharge(db, session, record, at, true);
+}
+
+/**
+ * 更新用户在借逾期图书的累计罚款
+ */
+async function refreshUserAccruals(db, session, userQuery, at = new Date()) {
+  const overdueRecords = await db.collection('borrows')
+    .find({ ...userQuery, status: 'borrowed', dueDate: { $lt: at } }, { session })
+    .toArray();
+
+  for (const record of overdueRecords) {
+    await upsertFineCharge(db, session, record, at, false);
+  }
+}
+
+/**
+ * 流水合计（罚款 - 减免 - 缴费，单位：分）
+ */
+function sumLedger(entries) {
+  return entries.reduce((balance, entry) => {
+    return entry.type === 'charge' ? balance + entry.amount : balance - entry.amount;
+  }, 0);
+}
+
+/**
+ * 计算欠款余额（按已写入的流水，单位：分）
+ */
+async function getOutstandingBalance(db, session, userQuery) {
+  const entries = await db.collection('fines_ledger')
+    .find(userQuery, { session, projection: { type: 1, amount: 1 } })
+    .toArray();
+
+  return sumLedger(entries);
+}
+
+/**
+ * 计算截至某一时刻的欠款余额（单位：分）：在借逾期图书的罚款按该时刻重新计算，代替上次累计写入的金额
+ * 只读，不写流水（流水由每日累计任务、还书、缴费和减免更新），查询接口和借书检查并发调用时不会相互冲突
+ */
+async function getAccruedBalance(db, session, userQuery, at = new Date()) {
+  // 同一事务会话内的操作不能并发，依次查询
+  const entries = await db.collection('fines_ledger')
+    .find(userQuery, { session, projection: { type: 1, amount: 1, borrowId: 1, final: 1 } })
+    .toArray();
+  const overdueRecords = await db.collection('borrows')
+    .find({ ...userQuery, status: 'borrowed', dueDate: { $lt: at } }, { session })
+    .toArray();
+
+  const charges = new Map(entries
+    .filter(entry => entry.type === 'charge' && entry.borrowId)
+    .map(entry => [entry.borrowId.toString(), entry]));
+
+  let balance = sumLedger(entries);
+  for (const record of overdueRecords) {
+    const charge = charges.get(record._id.toString());
+    if (charge && charge.final) continue;
+    const policy = await getRecordPolicy(db, session, record);
+    balance += calculateFine(record.dueDate, at, policy).amount - (charge ? charge.amount : 0);
+  }
+  return balance;
+}
+
+/**
+ * 借书前检查欠款（在借书事务内调用），欠款超过阈值时禁止借书
+ */
+async function assertBelowFineThreshold(db, session, userQuery, policy, at = new Date()) {
+  const balance = await getAccruedBalance(db, session, userQuery, at);
+  if (balance > policy.maxOutstandingFine) {
+    throw new BorrowError(
+      `欠款 ${toYuan(balance)} ${FINE_CURRENCY} 超过 ${toYuan(policy.maxOutstandingFine)} ${FINE_CURRENCY}，请先缴清罚款`,
+      'FINES_OUTSTANDING',
+      403
+    );
+  }
+  return balance;
+}
+
+/**
+ * 每日罚款累计任务：更新所有在借逾期图书的罚款
+ * @param {Date} now - 当前时间
+ * @returns {Promise<number>} 产生罚款的借阅记录数量
+ */
+async function accrueFines(now = new Date()) {
+  const { db } = await connectToDatabase();
+  const cursor = db.collection('borrows').find({ status: 'borrowed', dueDate: { $lt: now } });
+
+  let accrued = 0;
+  for await (const record of cursor) {
+    const fine = await upsertFineCharge(db, undefined, record, now, false);
+    if (fine) {
+      accrued++;
+      clearUserStatusCache(record);
+    }
+  }
+  return accrued;
+}
+
+/**
+ * 格式化罚款流水
+ */
+function formatLedgerEntry(entry) {
+  return {
+    id: entry._id?.toString(),
+    type: entry.type,
+    amount: toYuan(entry.amount),
+    currency: FINE_CURRENCY,
+    bookId: entry.bookId || null,
+    bookTitle: entry.bookTitle || '',
+    overdueDays: entry.overdueDays || 0,
+    final: entry.type === 'charge' ? Boolean(entry.final) : true,
+    paymentId: entry.paymentId ? entry.paymentId.toString() : null,
+    note: entry.note || '',
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt || entry.createdAt
+  };
+}
+
+/**
+ * 罚款概况（余额按分计算，返回元）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ */
+async function getFineSummary(identity) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+
+  const { db } = await connectToDatabase();
+  const balance = await getAccruedBalance(db, undefined, userQuery);
+
+  const { patronType } = await findPatron(db.collection('users'), userQuery);
+  const policy = getLoanPolicy(patronType);
+
+  return {
+    balance: toYuan(balance),
+    currency: FINE_CURRENCY,
+    threshold: toYuan(policy.maxOutstandingFine),
+    borrowingBlocked: balance > policy.maxOutstandingFine
+  };
+}
+
+/**
+ * 查询罚款流水（分页）
+ * @param {Object} identity - 用户标识
+ * @param {Object} options - { type, page, limit }
+ */
+async function listLedgerEntries(identity, options = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+
+  const { type, page = 1, limit = 20 } = options;
+  const filter = { ...userQuery };
+  if (type) {
+    filter.type = type;
+  }
+
+  const ledgerCollection = await getCollection('fines_ledger');
+  return dbUtils.paginate(ledgerCollection, {
+    page,
+    limit,
+    filter,
+    sort: { createdAt: -1 }
+  });
+}
+
+/**
+ * 减免罚款（馆员操作，须填写原因）
+ * @param {Object} identity - 读者标识
+ * @param {Object} options - { amount（元，缺省为全部欠款）, note（减免原因）, operator（操作人 openid） }
+ * @returns {Promise<Object>} 减免流水
+ */
+async function waiveFine(identity, { amount, note = '', operator = null } = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+  const reason = typeof note === 'string' ? note.trim() : '';
+  if (!reason) {
+    throw new BorrowError('请填写减免原因', 'MISSING_NOTE');
+  }
+
+  const entry = await withTransaction(async (session, db) => {
+    // 先把在借逾期图书的罚款累计到当前，减免金额与读者看到的余额一致
+    await refreshUserAccruals(db, session, userQuery);
+    const balance = await getOutstandingBalance(db, session, userQuery);
+    const waiveAmount = amount === undefined || amount === null ? balance : toCents(amount);
+
+    if (!(waiveAmount > 0)) {
+      throw new BorrowError('减免金额必须大于0', 'INVALID_AMOUNT');
+    }
+    if (waiveAmount > balance) {
+      throw new BorrowError('减免金额超过欠款余额', 'AMOUNT_EXCEEDS_BALANCE');
+    }
+
+    const now = new Date();
+    const waiver = {
+      ...userQuery,
+      type: 'waiver',
+      amount: waiveAmount,
+      note: reason.slice(0, 200),
+      operator,
+      createdAt: now,
+      updatedAt: now
+    };
+    const result = await db.collection('fines_ledger').insertOne(waiver, { session });
+    waiver._id = result.insertedId;
+    return waiver;
+  });
+
+  clearUserStatusCache(identity);
+
+  return entry;
+}
+
+/**
+ * 缴费订单ID查询条件
+ */
+function buildPaymentIdQuery(paymentId) {
+  return ObjectId.isValid(paymentId)
+    ? { _id: new ObjectId(paymentId) }
+    : { _id: paymentId };
+}
+
+/**
+ * 格式化缴费订单
+ */
+function formatPayment(payment) {
+  return {
+    id: payment._id?.toString(),
+    amount: toYuan(payment.amount),
+    currency: FINE_CURRENCY,
+    provider: payment.provider,
+    status: payment.status,
+    expiresAt: payment.expiresAt || null,
+    createdAt: payment.createdAt,
+    paidAt: payment.paidAt || null
+  };
+}
+
+/**
+ * 结算缴费订单：订单从pending变为paid只会成功一次，并写入缴费流水
+ * @param {string} paymentId - 缴费订单ID
+ * @param {string} [providerOrderId] - 支付渠道订单号
+ * @returns {Promise<Object|null>} 结算后的订单，已结算或不存在时返回null
+ */
+async function settlePayment(paymentId, providerOrderId) {
+  const payment = await withTransaction(async (session, db) => {
+    const now = new Date();
+    const paid = await db.collection('fine_payments').findOneAndUpdate(
+      { ...buildPaymentIdQuery(paymentId), status: 'pending' },
+      {
+        $set: {
+          status: 'paid',
+          paidAt: now,
+          updatedAt: now,
+          ...(providerOrderId ? { providerOrderId } : {})
+        }
+      },
+      { session, returnDocument: 'after' }
+    );
+    if (!paid) return null;
+
+    const { userId, studentId, openid } = paid;
+    await db.collection('fines_ledger').insertOne({
+      ...buildUserQuery({ userId, studentId, openid }),
+      type: 'payment',
+      amount: paid.amount,
+      paymentId: paid._id,
+      note: `${paid.provider} 缴费`,
+      createdAt: now,
+      updatedAt: now
+    }, { session });
+
+    return paid;
+  });
+
+  if (payment) {
+    clearUserStatusCache(payment);
+  }
+  return payment;
+}
+
+/**
+ * 发起罚款缴费
+ * 同一读者同时只能有一笔待支付订单（否则多笔订单都按全部欠款结算会多缴），
+ * 超过支付期限的待支付订单先置为过期，支付渠道按 expiresAt 关闭订单
+ * @param {Object} identity - 用户标识
+ * @param {Object} options - { amount（元，缺省为全部欠款）, provider }
+ * @returns {Promise<{payment: Object, payParams: Object}>}
+ */
+async function createFinePayment(identity, { amount, provider: providerName } = {}) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+
+  const provider = getPaymentProvider(providerName);
+  // 先把在借逾期图书的罚款累计到当前，缴费金额与读者看到的余额一致
+  const balance = await withTransaction(async (session, db) => {
+    await refreshUserAccruals(db, session, userQuery);
+    return getOutstandingBalance(db, session, userQuery);
+  });
+  const payAmount = amount === undefined || amount === null ? balance : toCents(amount);
+
+  if (!(payAmount > 0)) {
+    throw new BorrowError('没有需要缴纳的罚款', 'NOTHING_TO_PAY');
+  }
+  if (payAmount > balance) {
+    throw new BorrowError('缴费金额超过欠款余额', 'AMOUNT_EXCEEDS_BALANCE');
+  }
+
+  const paymentsCollection = await getCollection('fine_payments');
+  const now = new Date();
+  const ttlMs = PAYMENT_ORDER_TTL_MINUTES * 60 * 1000;
+  const expiresAt = new Date(now.getTime() + ttlMs);
+  await paymentsCollection.updateMany(
+    {
+      ...userQuery,
+      status: 'pending',
+      // 早期订单没有 expiresAt，按创建时间计算
+      $or: [
+        { expiresAt: { $lte: now } },
+        { expiresAt: { $exists: false }, createdAt: { $lte: new Date(now.getTime() - ttlMs) } }
+      ]
+    },
+    { $set: { status: 'expired', updatedAt: now } }
+  );
+
+  const pendingError = new BorrowError('已有待支付的缴费订单，请先完成支付或稍后再试', 'PAYMENT_PENDING', 409);
+  if (await paymentsCollection.findOne({ ...userQuery, status: 'pending' })) {
+    throw pendingError;
+  }
+
+  const payment = {
+    ...userQuery,
+    amount: payAmount,
+    provider: provider.name,
+    status: 'pending',
+    providerOrderId: null,
+    expiresAt,
+    createdAt: now,
+    updatedAt: now
+  };
+  try {
+    const result = await paymentsCollection.insertOne(payment);
+    payment._id = result.insertedId;
+  } catch (error) {
+    // 并发发起时由 fine_payments 上的待支付唯一索引拦下
+    if (isDuplicateKeyError(error)) throw pendingError;
+    throw error;
+  }
+
+  let order;
+  try {
+    order = await provider.createOrder({
+      orderId: payment._id.toString(),
+      amount: payAmount,
+      description: '图书馆逾期罚款',
+      openid: identity.openid,
+      expiresAt
+    });
+  } catch (error) {
+    // 下单失败的订单不再占用待支付名额
+    await paymentsCollection.updateOne(
+      { _id: payment._id, status: 'pending' },
+      { $set: { status: 'failed', updatedAt: new Date() } }
+    );
+    throw error;
+  }
+
+  await paymentsCollection.updateOne(
+    { _id: payment._id },
+    { $set: { providerOrderId: order.providerOrderId, updatedAt: new Date() } }
+  );
+  payment.providerOrderId = order.providerOrderId;
+
+  // 同步完成的渠道（如本地替身）直接结算，其余等待支付回调
+  if (order.status === 'paid') {
+    const settled = await settlePayment(payment._id, order.providerOrderId);
+    if (settled) {
+      return { payment: settled, payParams: order.payParams };
+    }
+  }
+
+  return { payment, payParams: order.payParams };
+}
+
+/**
+ * 处理支付渠道的异步回调
+ * @param {string} providerName - 支付提供方名称
+ * @param {Object} body - 回调内容
+ * @returns {Promise<Object|null>} 结算后的订单
+ */
+async function handlePaymentNotification(providerName, body) {
+  const provider = getPaymentProvider(providerName);
+  const { orderId, providerOrderId, status } = await provider.verifyNotification(body);
+
+  if (status === 'paid') {
+    return settlePayment(orderId, providerOrderId);
+  }
+
+  const paymentsCollection = await getCollection('fine_payments');
+  await paymentsCollection.updateOne(
+    { ...buildPaymentIdQuery(orderId), status: 'pending' },
+    { $set: { status: 'failed', updatedAt: new Date() } }
+  );
+  return null;
+}
+
+module.exports = {
+  FINE_CURRENCY,
+  LEDGER_ENTRY_TYPES,
+  toYuan,
+  calculateFine,
+  finalizeFine,
+  assertBelowFineThreshold,
+  accrueFines,
+  formatLedgerEntry,
+  getFineSummary,
+  listLedgerEntries,
+  waiveFine,
+  formatPayment,
+  createFinePayment,
+  settlePayment,
+  handlePaymentNotification
+};
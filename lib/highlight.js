@@ -0,0 +1,184 @@
+// lib/highlight.js - 检索结果高亮（按检索词标记命中位置，长字段截取命中附近的片段）
+const { toSimplified } = require('./chinese');
+
+// 高亮参数的默认值和上限
+const DEFAULT_PRE_TAG = '<em>';
+const DEFAULT_POST_TAG = '</em>';
+const MAX_TAG_LENGTH = 20;
+const DEFAULT_FRAGMENT_SIZE = 100;
+const MIN_FRAGMENT_SIZE = 20;
+const MAX_FRAGMENT_SIZE = 300;
+const DEFAULT_FRAGMENTS = 3;
+const MAX_FRAGMENTS = 5;
+
+// 片段被截断处的省略号
+const ELLIPSIS = '…';
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+
+function clamp(value, min, max, fallback) {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+}
+
+/**
+ * 解析高亮参数，未开启（highlight 不为 true）时返回 null
+ * @param {Object} query - 请求参数 { highlight, highlightPre, highlightPost, highlightEncoder, fragmentSize, fragments }
+ * @returns {Object|null} { preTag, postTag, encoder, fragmentSize, maxFragments }
+ */
+function parseHighlightOptions(query = {}) {
+  if (query.highlight !== 'true') return null;
+  const tag = (value, fallback) => (typeof value === 'string' && value !== '' ? value.slice(0, MAX_TAG_LENGTH) : fallback);
+  return {
+    preTag: tag(query.highlightPre, DEFAULT_PRE_TAG),
+    postTag: tag(query.highlightPost, DEFAULT_POST_TAG),
+    // 默认按 HTML 转义字段原文，标记可直接用于 rich-text；纯文本显示时传 highlightEncoder=none
+    encoder: query.highlightEncoder === 'none' ? 'none' : 'html',
+    fragmentSize: clamp(query.fragmentSize, MIN_FRAGMENT_SIZE, MAX_FRAGMENT_SIZE, DEFAULT_FRAGMENT_SIZE),
+    maxFragments: clamp(query.fragments, 1, MAX_FRAGMENTS, DEFAULT_FRAGMENTS)
+  };
+}
+
+/**
+ * 逐字归一化（转简体、小写），结果与原文逐字对齐，命中位置可直接对应回原文
+ * 整段转换后字数不变时采用整段结果（按词组转换更准确），否则逐字转换
+ */
+function normalizeChars(chars) {
+  let normalized = Array.from(toSimplified(chars.join('')));
+  if (normalized.length !== chars.length) {
+    normalized = chars.map(char => toSimplified(char));
+  }
+  return normalized.map((char) => {
+    const lower = char.toLowerCase();
+    return Array.from(lower).length === 1 ? lower : char;
+  });
+}
+
+/**
+ * 检索词归一化并拆分为词（按空白和标点）
+ */
+function splitTerms(terms) {
+  const words = terms.flatMap(term => toSimplified(String(term)).toLowerCase().split(/[^\p{L}\p{N}]+/u));
+  return [...new Set(words.filter(Boolean))].map(word => Array.from(word));
+}
+
+function findAll(chars, word) {
+  const positions = [];
+  for (let i = 0; i + word.length <= chars.length; i++) {
+    let matched = true;
+    for (let j = 0; j < word.length; j++) {
+      if (chars[i + j] !== word[j]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) positions.push([i, i + word.length]);
+  }
+  return positions;
+}
+
+/**
+ * 命中区间 [起, 止)，已排序并合并相邻、重叠的区间
+ * 中文词整体没有出现时（全文检索按两字组合匹配），改为标记其中出现的两字组合
+ */
+function findMatches(normalized, words) {
+  const intervals = [];
+  for (const word of words) {
+    let found = findAll(normalized, word);
+    if (found.length === 0 && word.length > 2 && HAN_PATTERN.test(word.join(''))) {
+      for (let i = 0; i < word.length - 1; i++) {
+        found = found.concat(findAll(normalized, word.slice(i, i + 2)));
+      }
+    }
+    intervals.push(...found);
+  }
+
+  intervals.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+}
+
+function encode(text, encoder) {
+  if (encoder !== 'html') return text;
+  return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * 输出原文 [start, end) 段，命中部分加上标记
+ */
+function renderFragment(chars, start, end, intervals, options) {
+  let output = start > 0 ? ELLIPSIS : '';
+  let position = start;
+  for (const [from, to] of intervals) {
+    if (to <= start || from >= end) continue;
+    const markStart = Math.max(from, start);
+    const markEnd = Math.min(to, end);
+    output += encode(chars.slice(position, markStart).join(''), options.encoder);
+    output += options.preTag + encode(chars.slice(markStart, markEnd).join(''), options.encoder) + options.postTag;
+    position = markEnd;
+  }
+  output += encode(chars.slice(position, end).join(''), options.encoder);
+  return output + (end < chars.length ? ELLIPSIS : '');
+}
+
+/**
+ * 高亮一个字段
+ * 不超过片段长度时返回整段，否则以命中位置为中心截取片段，最多 maxFragments 段
+ * @param {string} text - 字段原文
+ * @param {string[]} terms - 检索词
+ * @param {Object} options - parseHighlightOptions 的结果
+ * @returns {string[]} 片段，没有命中时为空数组
+ */
+function highlightText(text, terms, options) {
+  if (typeof text !== 'string' || !text || terms.length === 0) return [];
+  const chars = Array.from(text);
+  const intervals = findMatches(normalizeChars(chars), splitTerms(terms));
+  if (intervals.length === 0) return [];
+
+  if (chars.length <= options.fragmentSize) {
+    return [renderFragment(chars, 0, chars.length, intervals, options)];
+  }
+
+  const fragments = [];
+  let coveredUntil = -1;
+  for (const [from, to] of intervals) {
+    if (fragments.length >= options.maxFragments) break;
+    if (from < coveredUntil) continue;
+    const padding = Math.max(0, Math.floor((options.fragmentSize - (to - from)) / 2));
+    const end = Math.min(chars.length, Math.max(from - padding, 0) + options.fragmentSize);
+    const start = Math.max(0, end - options.fragmentSize);
+    fragments.push(renderFragment(chars, start, end, intervals, options));
+    coveredUntil = end;
+  }
+  return fragments;
+}
+
+/**
+ * 高亮图书的多个字段
+ * @param {Object} book - 图书（字段为要显示的文本，已按客户端字形转换）
+ * @param {Object} fieldTerms - 字段 → 检索词，如 { title: ['三体'], description: ['三体'] }
+ * @param {Object} options - parseHighlightOptions 的结果
+ * @returns {Object} 字段 → 片段，只包含有命中的字段
+ */
+function highlightFields(book, fieldTerms, options) {
+  const highlight = {};
+  for (const [field, terms] of Object.entries(fieldTerms)) {
+    const fragments = highlightText(book[field], terms, options);
+    if (fragments.length > 0) highlight[field] = fragments;
+  }
+  return highlight;
+}
+
+module.exports = {
+  parseHighlightOptions,
+  highlightText,
+  highlightFields
+};
@@ -0,0 +1,246 @@
+// lib/holds.js - 预约排队模块（预约、取消、排队位次、过期处理）
+const { getCollection, withTransaction, ObjectId } = require('./database');
+const { BorrowError, buildUserQuery, clearUserStatusCache } = require('./users');
+const { findBook, releaseCopy } = require('./borrow');
+
+// 仍然有效的预约状态：排队中、已到书待取
+const ACTIVE_HOLD_STATUSES = ['waiting', 'ready'];
+
+/**
+ * 预约ID查询条件
+ */
+function buildHoldIdQuery(holdId) {
+  return ObjectId.isValid(holdId)
+    ? { _id: new ObjectId(holdId) }
+    : { _id: holdId };
+}
+
+/**
+ * 计算排队位次（已到书的预约位次为0）
+ * @param {Object} hold - 预约文档
+ * @returns {Promise<number|null>} 排队位次，从1开始；非有效预约返回null
+ */
+async function getQueuePosition(hold) {
+  if (hold.status === 'ready') return 0;
+  if (hold.status !== 'waiting') return null;
+
+  const holdsCollection = await getCollection('holds');
+  // 同一时刻的预约按_id先后排序
+  const ahead = await holdsCollection.countDocuments({
+    bookId: hold.bookId,
+    status: 'waiting',
+    $or: [
+      { createdAt: { $lt: hold.createdAt } },
+      { createdAt: hold.createdAt, _id: { $lt: hold._id } }
+    ]
+  });
+  return ahead + 1;
+}
+
+/**
+ * 统计图书的排队人数
+ * @param {string} bookId - 图书ID（字符串形式的_id）
+ */
+async function countWaitingHolds(bookId) {
+  const holdsCollection = await getCollection('holds');
+  return holdsCollection.countDocuments({ bookId, status: 'waiting' });
+}
+
+/**
+ * 格式化预约记录
+ */
+function formatHold(hold, queuePosition = null) {
+  return {
+    id: hold._id?.toString(),
+    bookId: hold.bookId,
+    bookTitle: hold.bookTitle || '',
+    status: hold.status,
+    queuePosition,
+    createdAt: hold.createdAt,
+    readyAt: hold.readyAt || null,
+    pickupDeadline: hold.pickupDeadline || null
+  };
+}
+
+/**
+ * 预约图书（仅限当前没有可借副本的图书）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @param {string} bookId - 图书ID
+ * @returns {Promise<{hold: Object, queuePosition: number}>}
+ */
+async function placeHold(identity, bookId) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+  if (!bookId) {
+    throw new BorrowError('图书ID不能为空', 'MISSING_BOOK');
+  }
+
+  const hold = await withTransaction(async (session, db) => {
+    const book = await findBook(db.collection('books'), bookId, session);
+    if (!book) {
+      throw new BorrowError('图书不存在', 'BOOK_NOT_FOUND', 404);
+    }
+    if (book.status === 'withdrawn') {
+      throw new BorrowError('该图书已下架', 'BOOK_WITHDRAWN', 410);
+    }
+
+    const bookKey = book._id.toString();
+
+    if (book.availableCopies > 0) {
+      throw new BorrowError('该图书当前有可借副本，请直接借阅', 'BOOK_AVAILABLE', 409);
+    }
+
+    const borrowing = await db.collection('borrows').findOne(
+      { ...userQuery, bookId: bookKey, status: 'borrowed' },
+      { session }
+    );
+    if (borrowing) {
+      throw new BorrowError('您已借阅该图书，无需预约', 'ALREADY_BORROWED', 409);
+    }
+
+    const holdsCollection = db.collection('holds');
+    const existing = await holdsCollection.findOne(
+      { ...userQuery, bookId: bookKey, status: { $in: ACTIVE_HOLD_STATUSES } },
+      { session }
+    );
+    if (existing) {
+      throw new BorrowError('您已预约该图书', 'ALREADY_ON_HOLD', 409);
+    }
+
+    const now = new Date();
+    const newHold = {
+      ...userQuery,
+      bookId: bookKey,
+      bookTitle: book.title || '',
+      status: 'waiting',
+      readyAt: null,
+      pickupDeadline: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await holdsCollection.insertOne(newHold, { session });
+    newHold._id = result.insertedId;
+    return newHold;
+  });
+
+  clearUserStatusCache(identity);
+
+  return { hold, queuePosition: await getQueuePosition(hold) };
+}
+
+/**
+ * 取消预约（已到书的预约取消后，副本顺延给下一位或恢复可借）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @param {string} holdId - 预约ID
+ * @returns {Promise<Object>} 已取消的预约
+ */
+async function cancelHold(identity, holdId) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+  if (!holdId) {
+    throw new BorrowError('预约ID不能为空', 'MISSING_HOLD');
+  }
+
+  const cancelled = await withTransaction(async (session, db) => {
+    const now = new Date();
+    const holdsCollection = db.collection('holds');
+
+    const hold = await holdsCollection.findOneAndUpdate(
+      { ...userQuery, ...buildHoldIdQuery(holdId), status: { $in: ACTIVE_HOLD_STATUSES } },
+      { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } },
+      { session, returnDocument: 'before' }
+    );
+    if (!hold) {
+      throw new BorrowError('未找到有效的预约', 'HOLD_NOT_FOUND', 404);
+    }
+
+    if (hold.status === 'ready') {
+      const book = await findBook(db.collection('books'), hold.bookId, session);
+      if (book) {
+        await releaseCopy(db, session, book, now);
+      }
+    }
+
+    return { ...hold, status: 'cancelled', cancelledAt: now, updatedAt: now };
+  });
+
+  clearUserStatusCache(identity);
+
+  return cancelled;
+}
+
+/**
+ * 查询用户的有效预约（含排队位次）
+ * @param {Object} identity - 用户标识 { userId, studentId, openid }
+ * @returns {Promise<Array>} 格式化后的预约列表
+ */
+async function listActiveHolds(identity) {
+  const userQuery = buildUserQuery(identity);
+  if (!userQuery) {
+    throw new BorrowError('缺少用户标识参数', 'MISSING_USER');
+  }
+
+  const holdsCollection = await getCollection('holds');
+  const holds = await holdsCollection
+    .find({ ...userQuery, status: { $in: ACTIVE_HOLD_STATUSES } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  return Promise.all(holds.map(async hold => formatHold(hold, await getQueuePosition(hold))));
+}
+
+/**
+ * 处理超过取书期限的预约：标记为过期，副本顺延给下一位或恢复可借
+ * @param {Date} now - 当前时间
+ * @returns {Promise<number>} 过期的预约数量
+ */
+async function expireHolds(now = new Date()) {
+  const holdsCollection = await getCollection('holds');
+  const overdueHolds = await holdsCollection
+    .find({ status: 'ready', pickupDeadline: { $lt: now } })
+    .sort({ pickupDeadline: 1 })
+    .toArray();
+
+  let expiredCount = 0;
+
+  for (const overdueHold of overdueHolds) {
+    const expired = await withTransaction(async (session, db) => {
+      // 条件更新，避免与读者取书或其他任务重复处理
+      const hold = await db.collection('holds').findOneAndUpdate(
+        { _id: overdueHold._id, status: 'ready' },
+        { $set: { status: 'expired', expiredAt: now, updatedAt: now } },
+        { session, returnDocument: 'after' }
+      );
+      if (!hold) return null;
+
+      const book = await findBook(db.collection('books'), hold.bookId, session);
+      if (book) {
+        await releaseCopy(db, session, book, now);
+      }
+      return hold;
+    });
+
+    if (expired) {
+      expiredCount++;
+      clearUserStatusCache(expired);
+    }
+  }
+
+  return expiredCount;
+}
+
+module.exports = {
+  ACTIVE_HOLD_STATUSES,
+  getQueuePosition,
+  countWaitingHolds,
+  formatHold,
+  placeHold,
+  cancelHold,
+  listActiveHolds,
+  expireHolds
+};
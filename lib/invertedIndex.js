@@ -0,0 +1,293 @@
+// lib/invertedIndex.js - 内存倒排索引（中文词典分词 + 英文分词，AND/OR/短语查询，BM25 排序）
+//
+// 供没有数据库的 JSON 馆藏（lib/books.js）使用。中文按词典分词：先用馆藏自身的关键词、作者、分类作自定义词典做正向最大匹配，
+// 其余部分交给 Intl.Segmenter（Node 内置 ICU 的中日文词典）。每个中文词同时索引其中的单字和两字组合，
+// 查询“红楼”“梦”也能命中“红楼梦”。检索前统一转为简体小写。
+const { toSimplified } = require('./chinese');
+
+// BM25 参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 短语完整出现、题名与查询完全相同时的额外得分（乘以查询词的平均 idf）
+const PHRASE_BOOST = 2;
+const EXACT_TITLE_BOOST = 5;
+
+// 自定义词典收录的词长范围
+const MIN_DICTIONARY_WORD = 2;
+const MAX_DICTIONARY_WORD = 8;
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+const CHUNK_PATTERN = /\p{Script=Han}+|[\p{L}\p{N}]+/gu;
+
+const wordSegmenter = new Intl.Segmenter('zh', { granularity: 'word' });
+
+/**
+ * 归一化文本：转简体、小写，去掉英文所有格，标点和空白合并为一个空格（中文之间的空白去掉）
+ */
+function normalizeText(text) {
+  return toSimplified(String(text || ''))
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .replace(/(\p{Script=Han}) (?=\p{Script=Han})/gu, '$1')
+    .trim();
+}
+
+/**
+ * 由词条列表构建自定义词典（只收录 2-8 个汉字的词）
+ * @param {string[]} words
+ * @returns {{words: Set<string>, maxLength: number}}
+ */
+function buildDictionary(words) {
+  const entries = new Set();
+  for (const word of words) {
+    for (const chunk of normalizeText(word).match(CHUNK_PATTERN) || []) {
+      const length = Array.from(chunk).length;
+      if (HAN_PATTERN.test(chunk) && length >= MIN_DICTIONARY_WORD && length <= MAX_DICTIONARY_WORD) {
+        entries.add(chunk);
+      }
+    }
+  }
+  const maxLength = Math.max(0, ...Array.from(entries, word => Array.from(word).length));
+  return { words: entries, maxLength };
+}
+
+/**
+ * 中文片段分词：自定义词典正向最大匹配，未登录的部分用 Intl.Segmenter
+ */
+function segmentHan(chunk, dictionary) {
+  const chars = Array.from(chunk);
+  const words = [];
+  let pending = '';
+  const flush = () => {
+    if (!pending) return;
+    for (const { segment } of wordSegmenter.segment(pending)) words.push(segment);
+    pending = '';
+  };
+
+  let i = 0;
+  while (i < chars.length) {
+    let matched = '';
+    if (dictionary && dictionary.maxLength > 0) {
+      for (let length = Math.min(dictionary.maxLength, chars.length - i); length >= MIN_DICTIONARY_WORD; length--) {
+        const candidate = chars.slice(i, i + length).join('');
+        if (dictionary.words.has(candidate)) {
+          matched = candidate;
+          break;
+        }
+      }
+    }
+    if (matched) {
+      flush();
+      words.push(matched);
+      i += Array.from(matched).length;
+    } else {
+      pending += chars[i];
+      i++;
+    }
+  }
+  flush();
+  return words;
+}
+
+/**
+ * 分词
+ * @param {string} text - 原文
+ * @param {Object} dictionary - buildDictionary 的结果，可为空
+ * @returns {string[]} 词（简体小写）
+ */
+function tokenize(text, dictionary) {
+  const words = [];
+  for (const chunk of normalizeText(text).match(CHUNK_PATTERN) || []) {
+    if (HAN_PATTERN.test(chunk)) {
+      words.push(...segmentHan(chunk, dictionary));
+    } else {
+      words.push(chunk);
+    }
+  }
+  return words;
+}
+
+/**
+ * 一个中文词的索引项：词本身，以及其中的单字和两字组合
+ */
+function expandForIndex(word) {
+  if (!HAN_PATTERN.test(word)) return [word];
+  const chars = Array.from(word);
+  const terms = [word];
+  if (chars.length > 1) terms.push(...chars);
+  for (let i = 0; chars.length > 2 && i < chars.length - 1; i++) {
+    terms.push(chars[i] + chars[i + 1]);
+  }
+  return terms;
+}
+
+/**
+ * 构建倒排索引
+ * @param {Array<Object>} docs - 文档列表
+ * @param {Object} options
+ * @param {Object} options.fields - 字段名 → 权重，字段值可以是字符串或字符串数组
+ * @param {string[]} options.dictionaryFields - 用作自定义词典的字段（如关键词、作者）
+ * @returns {Object} 索引
+ */
+function buildInvertedIndex(docs, { fields, dictionaryFields = [] }) {
+  const fieldValues = (doc, field) => [].concat(doc[field] ?? []).filter(value => value !== '').map(String);
+
+  const dictionary = buildDictionary(docs.flatMap(doc => dictionaryFields.flatMap(field => fieldValues(doc, field))));
+  const postings = new Map();
+  const entries = [];
+  let totalLength = 0;
+
+  docs.forEach((doc, docIndex) => {
+    const texts = {};
+    const termWeights = new Map();
+    let length = 0;
+
+    for (const [field, weight] of Object.entries(fields)) {
+      const values = fieldValues(doc, field);
+      texts[field] = values.map(normalizeText);
+      for (const value of values) {
+        const words = tokenize(value, dictionary);
+        length += words.length * weight;
+        for (const term of words.flatMap(expandForIndex)) {
+          termWeights.set(term, (termWeights.get(term) || 0) + weight);
+        }
+      }
+    }
+
+    for (const [term, weight] of termWeights) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(docIndex, weight);
+    }
+    entries.push({ doc, texts, length });
+    totalLength += length;
+  });
+
+  return {
+    entries,
+    postings,
+    dictionary,
+    avgLength: entries.length > 0 ? totalLength / entries.length : 0
+  };
+}
+
+/**
+ * 解析查询语句
+ * - 空格分隔的词之间为 AND（也可写 AND、&&）
+ * - OR（或 |、||）分隔的各组之间为“或”，优先级低于 AND
+ * - 引号（"..." 或 “...”）内为短语，要求按原顺序连续出现
+ * @param {string} query
+ * @returns {Array<Array<{type: string, text: string}>>} 各 OR 分支中 AND 的条件
+ */
+function parseQuery(query) {
+  const pattern = /"([^"]*)"|“([^”]*)”|(\S+)/g;
+  const branches = [[]];
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const [, quoted, quotedCn, word] = match;
+    if (quoted !== undefined || quotedCn !== undefined) {
+      const text = (quoted ?? quotedCn).trim();
+      if (text) branches[branches.length - 1].push({ type: 'phrase', text });
+    } else if (['or', '|', '||'].includes(word.toLowerCase())) {
+      if (branches[branches.length - 1].length > 0) branches.push([]);
+    } else if (!['and', '&', '&&'].includes(word.toLowerCase())) {
+      branches[branches.length - 1].push({ type: 'term', text: word });
+    }
+  }
+
+  return branches.filter(branch => branch.length > 0);
+}
+
+/**
+ * 条件所需的索引词，以及需要在字段原文中连续出现的短语
+ * 查询中的中文词不在索引中时（分词方式不同），拆成单字并要求连续出现
+ */
+function compileCondition(index, condition) {
+  const words = tokenize(condition.text, index.dictionary);
+  const terms = [];
+  const phrases = [];
+
+  for (const word of words) {
+    if (index.postings.has(word) || !HAN_PATTERN.test(word) || Array.from(word).length === 1) {
+      terms.push(word);
+    } else {
+      terms.push(...Array.from(word));
+      phrases.push(word);
+    }
+  }
+  if (condition.type === 'phrase' && words.length > 0) {
+    phrases.push(normalizeText(condition.text));
+  }
+
+  return { terms: [...new Set(terms)], phrases };
+}
+
+function inverseDocumentFrequency(index, term) {
+  const docCount = index.postings.has(term) ? index.postings.get(term).size : 0;
+  return Math.log(1 + (index.entries.length - docCount + 0.5) / (docCount + 0.5));
+}
+
+function containsPhrase(entry, phrase) {
+  return Object.values(entry.texts).some(values => values.some(text => text.includes(phrase)));
+}
+
+/**
+ * 检索
+ * @param {Object} index - buildInvertedIndex 的结果
+ * @param {string} query - 查询语句（见 parseQuery）
+ * @param {Object} options - { limit }
+ * @returns {Array<{doc: Object, score: number}>} 按得分从高到低排列
+ */
+function searchInvertedIndex(index, query, { limit } = {}) {
+  const scores = new Map();
+  const normalizedQuery = normalizeText(query);
+
+  for (const branch of parseQuery(query)) {
+    const compiled = branch.map(condition => compileCondition(index, condition));
+    const terms = [...new Set(compiled.flatMap(item => item.terms))];
+    const phrases = compiled.flatMap(item => item.phrases);
+    if (terms.length === 0) continue;
+
+    // 从文档数最少的词开始求交集
+    const lists = terms.map(term => index.postings.get(term) || new Map()).sort((a, b) => a.size - b.size);
+    let candidates = Array.from(lists[0].keys());
+    for (const list of lists.slice(1)) {
+      candidates = candidates.filter(docIndex => list.has(docIndex));
+    }
+
+    const idfs = terms.map(term => inverseDocumentFrequency(index, term));
+    const averageIdf = idfs.reduce((sum, idf) => sum + idf, 0) / idfs.length;
+
+    for (const docIndex of candidates) {
+      const entry = index.entries[docIndex];
+      if (!phrases.every(phrase => containsPhrase(entry, phrase))) continue;
+
+      const lengthNorm = 1 - BM25_B + BM25_B * (index.avgLength > 0 ? entry.length / index.avgLength : 1);
+      let score = terms.reduce((sum, term, i) => {
+        const tf = index.postings.get(term).get(docIndex);
+        return sum + idfs[i] * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * lengthNorm);
+      }, 0);
+      if (phrases.length > 0) score += PHRASE_BOOST * averageIdf;
+      if (entry.texts.title && entry.texts.title.includes(normalizedQuery)) score += EXACT_TITLE_BOOST * averageIdf;
+
+      scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+    }
+  }
+
+  const ranked = Array.from(scores, ([docIndex, score]) => ({ docIndex, score }))
+    .sort((a, b) => b.score - a.score || a.docIndex - b.docIndex)
+    .map(({ docIndex, score }) => ({ doc: index.entries[docIndex].doc, score: Math.round(score * 1000) / 1000 }));
+
+  return limit ? ranked.slice(0, limit) : ranked;
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  buildDictionary,
+  buildInvertedIndex,
+  parseQuery,
+  searchInvertedIndex
+};
@@ -0,0 +1,348 @@
+// lib/llm.js - 大模型调用模块（可插拔提供方，统一超时、重试和用量统计）
+const crypto = require('crypto');
+const { RequestError } = require('./users');
+const { getCollection } = require('./database');
+const { toLocalDateString } = require('./calendar');
+
+/**
+ * 提供方接口
+ * complete({ messages, temperature, maxTokens, responseFormat, feature, signal })
+ *   -> { content, model, finishReason, usage: { promptTokens, completionTokens, totalTokens } }
+ *   messages 为 [{ role: 'system'|'user'|'assistant', content }]；responseFormat 为 'json' 时要求模型只输出 JSON 对象
+ *   feature 为调用方的功能名（供本地替身按功能生成回复，真实接口忽略）
+ *   失败时抛出 LLMError，retryable 表示可以重试（超时、限流、服务端错误）
+ */
+
+// 单次请求超时、失败后的重试次数（不含第一次），可通过环境变量覆盖
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 20000;
+const DEFAULT_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES) >= 0 ? parseInt(process.env.LLM_MAX_RETRIES) : 2;
+
+// 重试间隔：500ms 起按2倍递增，加少量随机抖动
+const RETRY_BASE_DELAY_MS = 500;
+
+const DEFAULT_BASE_URL = 'https://api.deepseek.com/v1';
+const DEFAULT_MODEL = 'deepseek-chat';
+
+/**
+ * 大模型调用错误（默认HTTP 503，接口可直接按 statusCode 返回）
+ */
+class LLMError extends RequestError {
+  constructor(message, code, { retryable = false, status = null } = {}) {
+    super(message, code, 503);
+    this.name = 'LLMError';
+    this.retryable = retryable;
+    this.status = status;
+  }
+}
+
+/**
+ * OpenAI 兼容接口（DeepSeek、通义千问兼容模式、本地 vLLM/Ollama 等）
+ * LLM_BASE_URL、LLM_MODEL、LLM_API_KEY 配置，未配置 LLM_API_KEY 时使用 DEEPSEEK_API_KEY
+ */
+function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = process.env.LLM_MODEL || DEFAULT_MODEL;
+  const apiKey = process.env.LLM_API_KEY || process.env.DEEPSEEK_API_KEY;
+
+  return {
+    name: 'openai-compatible',
+    model,
+
+    async complete({ messages, temperature, maxTokens, responseFormat, signal }) {
+      if (!apiKey) {
+        throw new LLMError('未配置 LLM_API_KEY', 'LLM_NOT_CONFIGURED');
+      }
+
+      let response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${apiKey}`
+          },
+          body: JSON.stringify({
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...(responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+          }),
+          signal
+        });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        throw new LLMError(`AI服务连接失败: ${error.message}`, 'LLM_NETWORK_ERROR', { retryable: true });
+      }
+
+      if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 200);
+        // 限流和服务端错误可以重试，其余（鉴权失败、参数错误）重试也不会成功
+        const retryable = response.status === 429 || response.status >= 500;
+        throw new LLMError(`AI服务返回错误: HTTP ${response.status} ${detail}`, 'LLM_HTTP_ERROR', { retryable, status: response.status });
+      }
+
+      const data = await response.json().catch(() => null);
+      const choice = data?.choices?.[0];
+      if (!choice || typeof choice.message?.content !== 'string') {
+        throw new LLMError('AI服务返回异常数据', 'LLM_BAD_RESPONSE', { retryable: true });
+      }
+
+      return {
+        content: choice.message.content,
+        model: data.model || model,
+        finishReason: choice.finish_reason || null,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          completionTokens: data.usage?.completion_tokens || 0,
+          totalTokens: data.usage?.total_tokens || 0
+        }
+      };
+    }
+  };
+}
+
+/**
+ * 粗略估算 token 数（中文约每字1个，其他约每4个字符1个），供本地替身统计用量
+ */
+function estimateTokens(text) {
+  const value = String(text || '');
+  const han = (value.match(/\p{Script=Han}/gu) || []).length;
+  return han + Math.ceil((value.length - han) / 4);
+}
+
+/**
+ * 本地替身的默认回复：只复述最后一条用户消息，同样的输入总是得到同样的输出
+ * 要求 JSON 输出的功能应通过 registerMockResponder 注册按提示生成的回复，否则这里的 JSON 不符合任何输出结构
+ */
+function defaultMockResponder({ messages, responseFormat }) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const question = String(lastUser?.content || '').slice(0, 100);
+  const digest = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex').slice(0, 8);
+  if (responseFormat === 'json') {
+    return JSON.stringify({ mock: true, id: digest, echo: question });
+  }
+  return `【离线模拟回复 ${digest}】您的问题是：“${question}”。当前未接入大模型，请以馆藏检索结果为准。`;
+}
+
+// 本地替身按功能注册的回复函数
+const mockResponders = new Map();
+
+/**
+ * 为某个功能注册本地替身的回复（如按提示中的候选图书生成符合输出结构的 JSON）
+ * @param {string} feature - 功能名（与 chatCompletion 的 feature 一致）
+ * @param {Function} responder - ({ messages, responseFormat, temperature, maxTokens, feature }) => string
+ */
+function registerMockResponder(feature, responder) {
+  mockResponders.set(feature, responder);
+}
+
+/**
+ * 本地替身：不访问网络，回复由 responder({ messages, responseFormat, temperature, maxTokens, feature }) 生成，
+ * 用于本地开发、离线演示和测试。未指定 responder 时按功能使用 registerMockResponder 注册的回复，没有则用默认回复
+ * 替身的回复不是模型生成的，生产环境不能使用
+ * @param {Object} [options] - { responder, model }
+ */
+function createMockLLMProvider({ responder = null, model = 'mock' } = {}) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new LLMError('生产环境不能使用大模型本地替身', 'LLM_NOT_CONFIGURED');
+  }
+
+  return {
+    name: 'mock',
+    model,
+
+    async complete(request) {
+      const respond = responder || mockResponders.get(request.feature) || defaultMockResponder;
+      const content = await respond(request);
+      const promptTokens = request.messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+      const completionTokens = estimateTokens(content);
+      return {
+        content,
+        model,
+        finishReason: 'stop',
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+}
+
+// 已注册的提供方
+const providers = {
+  'openai-compatible': createOpenAICompatibleProvider,
+  'mock': createMockLLMProvider
+};
+
+const providerInstances = new Map();
+
+/**
+ * 注册提供方
+ * @param {string} name - 提供方名称
+ * @param {Function} factory - 返回提供方实例的工厂函数
+ */
+function registerLLMProvider(name, factory) {
+  providers[name] = factory;
+  providerInstances.delete(name);
+}
+
+/**
+ * 默认提供方：LLM_PROVIDER 优先，否则使用 OpenAI 兼容接口（本地替身须明确指定）
+ * 未配置 API Key 时调用失败（LLM_NOT_CONFIGURED，HTTP 503），不会改用替身
+ */
+function getDefaultProviderName() {
+  return process.env.LLM_PROVIDER || 'openai-compatible';
+}
+
+/**
+ * 获取提供方
+ * @param {string} [name] - 提供方名称
+ */
+function getLLMProvider(name = getDefaultProviderName()) {
+  if (!providers[name]) {
+    throw new Error(`未知的大模型提供方: ${name}`);
+  }
+  if (!providerInstances.has(name)) {
+    providerInstances.set(name, providers[name]());
+  }
+  return providerInstances.get(name);
+}
+
+// 本实例的累计用量（按 提供方/模型/功能 分组），持久化的按日用量见 llm_usage 集合
+const usageTotals = new Map();
+
+/**
+ * 记录一次调用的用量：累加到本实例的统计，并按日写入 llm_usage 集合（写入失败只输出警告）
+ */
+async function recordUsage({ provider, model, feature, usage, latencyMs, attempts, success }) {
+  const key = `${provider}/${model}/${feature}`;
+  const totals = usageTotals.get(key) || {
+    provider, model, feature, requests: 0, failures: 0, retries: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, latencyMs: 0
+  };
+  const increments = {
+    requests: 1,
+    failures: success ? 0 : 1,
+    retries: attempts - 1,
+    promptTokens: usage?.promptTokens || 0,
+    completionTokens: usage?.completionTokens || 0,
+    totalTokens: usage?.totalTokens || 0,
+    latencyMs
+  };
+  Object.entries(increments).forEach(([field, value]) => { totals[field] += value; });
+  usageTotals.set(key, totals);
+
+  try {
+    const usageCollection = await getCollection('llm_usage');
+    await usageCollection.updateOne(
+      { date: toLocalDateString(new Date()), provider, model, feature },
+      { $inc: increments, $set: { updatedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.warn('⚠️ 大模型用量记录失败:', error.message);
+  }
+}
+
+/**
+ * 本实例自启动以来的用量统计
+ * @returns {Object[]} [{ provider, model, feature, requests, failures, retries, promptTokens, completionTokens, totalTokens, latencyMs }]
+ */
+function getLLMUsage() {
+  return Array.from(usageTotals.values(), totals => ({ ...totals }));
+}
+
+function deadlineExceeded() {
+  return new LLMError('AI服务调用超出本次请求的时限', 'LLM_DEADLINE_EXCEEDED');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 调用大模型（所有 AI 功能统一经过这里）
+ * 每次请求单独计时，超时或可重试的错误按退避间隔重试；无论成败都记录用量
+ * 给出 deadline（时间戳，毫秒）时，每次请求的超时不超过剩余时间，剩余时间不够等待重试就不再重试，
+ * 到期后抛出 LLM_DEADLINE_EXCEEDED
+ * @param {Object} request - { messages, temperature, maxTokens, responseFormat }
+ * @param {Object} [options] - { feature（用量统计的功能名）, provider, timeoutMs, maxRetries, deadline }
+ * @returns {Promise<{content: string, model: string, finishReason: string|null, usage: Object, provider: string, attempts: number}>}
+ * @throws {LLMError}
+ */
+async function chatCompletion(request, options = {}) {
+  const {
+    feature = 'default',
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    deadline = null
+  } = options;
+  const provider = typeof options.provider === 'object' ? options.provider : getLLMProvider(options.provider);
+  const payload = {
+    messages: request.messages,
+    temperature: request.temperature ?? 0.7,
+    maxTokens: request.maxTokens ?? 1000,
+    responseFormat: request.responseFormat || 'text',
+    feature
+  };
+
+  const startedAt = Date.now();
+  let attempts = 0;
+  let lastError;
+  while (attempts <= maxRetries) {
+    const remaining = deadline === null ? Infinity : deadline - Date.now();
+    if (remaining <= 0) {
+      lastError = deadlineExceeded();
+      break;
+    }
+    attempts++;
+    const controller = new AbortController();
+    const timeoutError = remaining < timeoutMs
+      ? deadlineExceeded()
+      : new LLMError(`AI服务响应超时（${timeoutMs}ms）`, 'LLM_TIMEOUT', { retryable: true });
+    const timer = setTimeout(() => controller.abort(timeoutError), Math.min(timeoutMs, remaining));
+    try {
+      // 提供方不理会 signal 时也按时结束
+      const aborted = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+      });
+      const result = await Promise.race([provider.complete({ ...payload, signal: controller.signal }), aborted]);
+      await recordUsage({
+        provider: provider.name, model: result.model, feature, usage: result.usage,
+        latencyMs: Date.now() - startedAt, attempts, success: true
+      });
+      return { ...result, provider: provider.name, attempts };
+    } catch (error) {
+      // 超时中止后 fetch 抛出的可能是 AbortError，统一换成超时错误
+      lastError = controller.signal.aborted ? controller.signal.reason : error;
+      const retryable = lastError instanceof LLMError ? lastError.retryable : false;
+      console.warn(`⚠️ 大模型调用失败（${feature}，第${attempts}次）:`, lastError.message);
+      if (!retryable || attempts > maxRetries) break;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1) + Math.floor(Math.random() * 100);
+      if (deadline !== null && Date.now() + delay >= deadline) {
+        lastError = deadlineExceeded();
+        break;
+      }
+      await sleep(delay);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  if (attempts > 0) {
+    await recordUsage({
+      provider: provider.name, model: provider.model, feature, usage: null,
+      latencyMs: Date.now() - startedAt, attempts, success: false
+    });
+  }
+  if (lastError instanceof LLMError) throw lastError;
+  throw new LLMError(`AI服务调用失败: ${lastError.message}`, 'LLM_ERROR');
+}
+
+module.exports = {
+  LLMError,
+  createMockLLMProvider,
+  registerMockResponder,
+  registerLLMProvider,
+  getLLMProvider,
+  getLLMUsage,
+  chatCompletion
+};
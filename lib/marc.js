@@ -0,0 +1,474 @@
+// lib/marc.js - MARC21 书目记录模块（ISO 2709 二进制与 MARCXML 的解析和生成，MARC 字段与图书字段互相映射）
+
+// ISO 2709 分隔符
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+const SUBFIELD_DELIMITER = 0x1f;
+
+const LEADER_LENGTH = 24;
+const DIRECTORY_ENTRY_LENGTH = 12;
+
+// MARC 语种代码（008/35-37、041$a）与馆藏语言名称
+const MARC_LANGUAGES = {
+  chi: '中文',
+  eng: '英文',
+  jpn: '日文',
+  kor: '韩文',
+  fre: '法文',
+  ger: '德文',
+  rus: '俄文',
+  spa: '西班牙文'
+};
+
+const MARC_LANGUAGE_CODES = Object.entries(MARC_LANGUAGES).reduce((codes, [code, name]) => {
+  codes[name] = code;
+  return codes;
+}, {});
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+// 520 提要字段的最大长度（ISO 2709 单个字段不超过9999字节）
+const MAX_SUMMARY_LENGTH = 2000;
+
+/**
+ * MARC 记录结构
+ * { leader: string, fields: [{ tag, value }（控制字段 001-009）| { tag, ind1, ind2, subfields: [{ code, value }] }] }
+ */
+
+function isControlTag(tag) {
+  return tag < '010';
+}
+
+/**
+ * 解析一条 ISO 2709 记录
+ * @param {Buffer} buffer - 单条记录（含记录结束符）
+ * @returns {Object} MARC 记录
+ */
+function parseIso2709Record(buffer) {
+  if (buffer.length < LEADER_LENGTH) {
+    throw new Error('记录长度不足24字节');
+  }
+
+  const leader = buffer.toString('latin1', 0, LEADER_LENGTH);
+  const baseAddress = parseInt(leader.slice(12, 17), 10);
+  if (!Number.isInteger(baseAddress) || baseAddress > buffer.length) {
+    throw new Error('记录头标区的数据起始地址无效');
+  }
+
+  // 头标区第9位为 a 表示 UTF-8，其他编码（MARC-8）按 latin1 读取
+  const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+
+  const fields = [];
+  for (let offset = LEADER_LENGTH; offset + DIRECTORY_ENTRY_LENGTH <= baseAddress - 1; offset += DIRECTORY_ENTRY_LENGTH) {
+    if (buffer[offset] === FIELD_TERMINATOR) break;
+
+    const entry = buffer.toString('latin1', offset, offset + DIRECTORY_ENTRY_LENGTH);
+    const tag = entry.slice(0, 3);
+    const length = parseInt(entry.slice(3, 7), 10);
+    const start = parseInt(entry.slice(7, 12), 10);
+    let data = buffer.subarray(baseAddress + start, baseAddress + start + length);
+    if (data[data.length - 1] === FIELD_TERMINATOR) {
+      data = data.subarray(0, data.length - 1);
+    }
+
+    if (isControlTag(tag)) {
+      fields.push({ tag, value: data.toString(encoding) });
+      continue;
+    }
+
+    const text = data.toString(encoding);
+    const [indicators, ...parts] = text.split(String.fromCharCode(SUBFIELD_DELIMITER));
+    fields.push({
+      tag,
+      ind1: indicators[0] || ' ',
+      ind2: indicators[1] || ' ',
+      subfields: parts
+        .filter(part => part.length > 0)
+        .map(part => ({ code: part[0], value: part.slice(1) }))
+    });
+  }
+
+  return { leader, fields };
+}
+
+/**
+ * 解析 ISO 2709 文件（可包含多条记录）
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Array<{record: Object|null, error: string|null}>}
+ */
+function parseIso2709(buffer) {
+  const results = [];
+  let start = 0;
+
+  for (let i = 0; i < buffer.length; i++) {
+    if (buffer[i] !== RECORD_TERMINATOR) continue;
+
+    const chunk = buffer.subarray(start, i + 1);
+    start = i + 1;
+
+    // 跳过记录之间的换行等空白
+    const trimmedStart = chunk.findIndex(byte => byte !== 0x0a && byte !== 0x0d && byte !== 0x20);
+    if (trimmedStart === -1 || trimmedStart === chunk.length - 1) continue;
+
+    try {
+      results.push({ record: parseIso2709Record(chunk.subarray(trimmedStart)), error: null });
+    } catch (error) {
+      results.push({ record: null, error: error.message });
+    }
+  }
+
+  if (buffer.subarray(start).toString('latin1').trim()) {
+    results.push({ record: null, error: '文件末尾的记录缺少记录结束符' });
+  }
+
+  return results;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function readXmlAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeXmlEntities(match[1] ?? match[2]) : '';
+}
+
+/**
+ * 解析 MARCXML（支持 collection 包含多条 record，元素可带命名空间前缀）
+ * @param {string} xml - XML 文本
+ * @returns {Array<{record: Object|null, error: string|null}>}
+ */
+function parseMarcXml(xml) {
+  const results = [];
+  const recordPattern = /<(?:\w+:)?record\b[^>]*>([\s\S]*?)<\/(?:\w+:)?record>/g;
+  const elementPattern = /<(?:\w+:)?(leader|controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?\1>/g;
+  const subfieldPattern = /<(?:\w+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?subfield>/g;
+
+  let recordMatch;
+  while ((recordMatch = recordPattern.exec(xml)) !== null) {
+    const record = { leader: '', fields: [] };
+
+    let elementMatch;
+    while ((elementMatch = elementPattern.exec(recordMatch[1])) !== null) {
+      const [, element, attributes, content] = elementMatch;
+      if (element === 'leader') {
+        record.leader = decodeXmlEntities(content);
+      } else if (element === 'controlfield') {
+        record.fields.push({ tag: readXmlAttribute(attributes, 'tag'), value: decodeXmlEntities(content) });
+      } else {
+        const subfields = [];
+        let subfieldMatch;
+        while ((subfieldMatch = subfieldPattern.exec(content)) !== null) {
+          subfields.push({
+            code: readXmlAttribute(subfieldMatch[1], 'code'),
+            value: decodeXmlEntities(subfieldMatch[2])
+          });
+        }
+        record.fields.push({
+          tag: readXmlAttribute(attributes, 'tag'),
+          ind1: readXmlAttribute(attributes, 'ind1') || ' ',
+          ind2: readXmlAttribute(attributes, 'ind2') || ' ',
+          subfields
+        });
+      }
+    }
+
+    results.push(
+      record.fields.length > 0
+        ? { record, error: null }
+        : { record: null, error: 'record 元素中没有字段' }
+    );
+  }
+
+  return results;
+}
+
+/**
+ * 取第一个字段的子字段值
+ */
+function getSubfield(record, tag, code) {
+  for (const field of record.fields) {
+    if (field.tag !== tag || !field.subfields) continue;
+    const subfield = field.subfields.find(item => item.code === code);
+    if (subfield) return subfield.value;
+  }
+  return '';
+}
+
+/**
+ * 取所有字段的子字段值
+ */
+function getSubfields(record, tag, code) {
+  return record.fields
+    .filter(field => field.tag === tag && field.subfields)
+    .flatMap(field => field.subfields.filter(item => item.code === code).map(item => item.value));
+}
+
+function getControlField(record, tag) {
+  const field = record.fields.find(item => item.tag === tag && item.value !== undefined);
+  return field ? field.value : '';
+}
+
+/**
+ * 去掉 ISBD 标识符结尾的标点（" /"、" :"、" ;"、","、"."）
+ */
+function trimPunctuation(value) {
+  return value.replace(/\s*[/:;,.=]\s*$/, '').trim();
+}
+
+/**
+ * MARC 记录映射为图书字段（未经校验的原始值）
+ * 登录号取 852$p，缺省时取 001 控制号；索书号取 852$h$i，缺省时取 050/090/099
+ * @param {Object} record - MARC 记录
+ * @returns {Object} 图书字段
+ */
+function marcToBook(record) {
+  const book = {};
+
+  const acno = getSubfield(record, '852', 'p') || getControlField(record, '001');
+  if (acno) book.acno = acno.trim();
+
+  const isbn = getSubfield(record, '020', 'a');
+  if (isbn) book.isbn = isbn.split(/\s/)[0];
+
+  const title = [getSubfield(record, '245', 'a'), getSubfield(record, '245', 'b')]
+    .map(trimPunctuation)
+    .filter(Boolean)
+    .join('：');
+  if (title) book.title = title;
+
+  const author = getSubfield(record, '100', 'a') || getSubfield(record, '110', 'a') || getSubfield(record, '245', 'c');
+  if (author) book.author = trimPunctuation(author);
+
+  const publisher = getSubfield(record, '264', 'b') || getSubfield(record, '260', 'b');
+  if (publisher) book.publisher = trimPunctuation(publisher);
+
+  const publishDate = (getSubfield(record, '264', 'c') || getSubfield(record, '260', 'c')).match(/\d{4}/);
+  if (publishDate) book.publishDate = publishDate[0];
+
+  const localCallno = [getSubfield(record, '852', 'h'), getSubfield(record, '852', 'i')].filter(Boolean).join('/');
+  const callno = localCallno
+    || [getSubfield(record, '050', 'a'), getSubfield(record, '050', 'b')].filter(Boolean).join(' ')
+    || getSubfield(record, '090', 'a')
+    || getSubfield(record, '099', 'a');
+  if (callno) book.callno = callno.trim();
+
+  const location = getSubfield(record, '852', 'b');
+  if (location) book.location = location.trim();
+
+  const languageCode = getSubfield(record, '041', 'a') || getControlField(record, '008').slice(35, 38);
+  // und 为未确定语种
+  if (languageCode && languageCode.trim() && languageCode !== 'und') {
+    book.language = MARC_LANGUAGES[languageCode] || languageCode;
+  }
+
+  // 标签优先取653非控关键词，没有时使用650主题词
+  const subjects = getSubfields(record, '650', 'a').map(trimPunctuation).filter(Boolean);
+  const keywords = getSubfields(record, '653', 'a').map(trimPunctuation).filter(Boolean);
+  if (subjects.length > 0) {
+    book.subject = subjects.join('; ');
+  }
+  if (keywords.length > 0 || subjects.length > 0) {
+    book.tags = (keywords.length > 0 ? keywords : subjects).slice(0, 20);
+  }
+
+  const description = getSubfield(record, '520', 'a');
+  if (description) book.description = description.trim();
+
+  const pages = getSubfield(record, '300', 'a').match(/\d+/);
+  if (pages) book.pages = parseInt(pages[0], 10);
+
+  const price = getSubfield(record, '020', 'c').match(/\d+(\.\d+)?/);
+  if (price) book.price = parseFloat(price[0]);
+
+  // 每个852馆藏字段对应一册
+  const holdings = record.fields.filter(field => field.tag === '852').length;
+  if (holdings > 0) book.totalCopies = holdings;
+
+  return book;
+}
+
+/**
+ * 馆藏语言名称转为 MARC 语种代码，未知语言返回 und
+ */
+function toLanguageCode(language) {
+  if (!language) return 'und';
+  if (MARC_LANGUAGE_CODES[language]) return MARC_LANGUAGE_CODES[language];
+  return /^[a-z]{3}$/.test(language) ? language : 'und';
+}
+
+function dataField(tag, subfields, ind1 = ' ', ind2 = ' ') {
+  return {
+    tag,
+    ind1,
+    ind2,
+    subfields: subfields.filter(([, value]) => value !== undefined && value !== null && String(value) !== '')
+      .map(([code, value]) => ({ code, value: String(value) }))
+  };
+}
+
+/**
+ * 图书映射为 MARC 记录（marcToBook 的逆映射，导出后可以重新导入）
+ * 001 为登录号，每一册生成一个852馆藏字段，本地索书号同时写入099
+ * @param {Object} book - books 集合文档
+ * @returns {Object} MARC 记录
+ */
+function bookToMarc(book) {
+  const fields = [];
+  const year = (String(book.publishDate || '').match(/\d{4}/) || [''])[0];
+  const languageCode = toLanguageCode(book.language);
+  const entered = (book.createdAt ? new Date(book.createdAt) : new Date()).toISOString();
+
+  fields.push({ tag: '001', value: book.acno });
+  if (book.updatedAt) {
+    // 005 最后处理时间 yyyymmddhhmmss.f
+    fields.push({ tag: '005', value: new Date(book.updatedAt).toISOString().replace(/[-:T]/g, '').slice(0, 14) + '.0' });
+  }
+  // 008 定长数据：录入日期、出版年、语种
+  const fixed = `${entered.slice(2, 4)}${entered.slice(5, 7)}${entered.slice(8, 10)}${year ? 's' : 'n'}${(year || '').padEnd(4, ' ')}    xx `;
+  fields.push({ tag: '008', value: `${fixed.padEnd(35, ' ')}${languageCode} d` });
+
+  if (book.isbn || book.price !== undefined) {
+    fields.push(dataField('020', [['a', book.isbn], ['c', book.price]]));
+  }
+  if (book.language) {
+    fields.push(dataField('041', [['a', languageCode]], '0'));
+  }
+  if (book.callno) {
+    fields.push(dataField('099', [['a', book.callno]]));
+  }
+  if (book.author) {
+    fields.push(dataField('100', [['a', book.author]], '1'));
+  }
+
+  const [titleProper, ...remainder] = String(book.title || '').split('：');
+  fields.push(dataField('245', [['a', titleProper], ['b', remainder.join('：')], ['c', book.author]], book.author ? '1' : '0', '0'));
+
+  if (book.publisher || year) {
+    fields.push(dataField('260', [['b', book.publisher], ['c', year]]));
+  }
+  if (book.pages) {
+    fields.push(dataField('300', [['a', `${book.pages}页`]]));
+  }
+  if (book.description) {
+    fields.push(dataField('520', [['a', String(book.description).slice(0, MAX_SUMMARY_LENGTH)]]));
+  }
+
+  const subjects = String(book.subject || '').split(/[;；]/).map(item => item.trim()).filter(Boolean);
+  subjects.forEach(subject => fields.push(dataField('650', [['a', subject]], ' ', '4')));
+  if (Array.isArray(book.tags) && book.tags.length > 0) {
+    fields.push(dataField('653', book.tags.map(tag => ['a', tag])));
+  }
+
+  const [classification, cutter] = String(book.callno || '').split('/');
+  for (let copy = 1; copy <= (book.totalCopies || 0); copy++) {
+    fields.push(dataField('852', [
+      ['b', book.location],
+      ['h', classification],
+      ['i', cutter],
+      ['p', book.acno],
+      ['t', copy]
+    ]));
+  }
+
+  // 头标区：新记录、文字资料、专著、UTF-8
+  return { leader: '00000nam a2200000 i 4500', fields };
+}
+
+/**
+ * MARC 记录序列化为 ISO 2709（UTF-8）
+ * @param {Object} record - MARC 记录
+ * @returns {Buffer}
+ */
+function serializeIso2709(record) {
+  const fieldTerminator = String.fromCharCode(FIELD_TERMINATOR);
+  const subfieldDelimiter = String.fromCharCode(SUBFIELD_DELIMITER);
+
+  const directory = [];
+  const data = [];
+  let offset = 0;
+
+  for (const field of record.fields) {
+    const text = field.subfields
+      ? `${field.ind1 || ' '}${field.ind2 || ' '}${field.subfields.map(item => `${subfieldDelimiter}${item.code}${item.value}`).join('')}`
+      : field.value;
+    const bytes = Buffer.from(text + fieldTerminator, 'utf8');
+    if (bytes.length > 9999) {
+      throw new Error(`字段 ${field.tag} 超过9999字节`);
+    }
+    directory.push(`${field.tag}${String(bytes.length).padStart(4, '0')}${String(offset).padStart(5, '0')}`);
+    data.push(bytes);
+    offset += bytes.length;
+  }
+
+  const directoryBytes = Buffer.from(directory.join('') + fieldTerminator, 'latin1');
+  const baseAddress = LEADER_LENGTH + directoryBytes.length;
+  const recordLength = baseAddress + offset + 1;
+  if (recordLength > 99999) {
+    throw new Error('记录超过99999字节');
+  }
+
+  const leader = String(recordLength).padStart(5, '0') +
+    record.leader.slice(5, 9) + 'a22' +
+    String(baseAddress).padStart(5, '0') +
+    record.leader.slice(17, 24);
+
+  return Buffer.concat([
+    Buffer.from(leader, 'latin1'),
+    directoryBytes,
+    ...data,
+    Buffer.from([RECORD_TERMINATOR])
+  ]);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // XML 1.0 不允许的控制字符
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * MARC 记录序列化为 MARCXML record 元素（不含 collection）
+ * @param {Object} record - MARC 记录
+ * @returns {string}
+ */
+function serializeMarcXmlRecord(record) {
+  const lines = ['  <record>', `    <leader>${escapeXml(record.leader)}</leader>`];
+  for (const field of record.fields) {
+    if (!field.subfields) {
+      lines.push(`    <controlfield tag="${field.tag}">${escapeXml(field.value)}</controlfield>`);
+      continue;
+    }
+    lines.push(`    <datafield tag="${field.tag}" ind1="${field.ind1 || ' '}" ind2="${field.ind2 || ' '}">`);
+    field.subfields.forEach(item => {
+      lines.push(`      <subfield code="${item.code}">${escapeXml(item.value)}</subfield>`);
+    });
+    lines.push('    </datafield>');
+  }
+  lines.push('  </record>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  MARC_LANGUAGES,
+  MARCXML_NAMESPACE,
+  escapeXml,
+  toLanguageCode,
+  parseIso2709,
+  parseMarcXml,
+  marcToBook,
+  bookToMarc,
+  serializeIso2709,
+  serializeMarcXmlRecord
+};
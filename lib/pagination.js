@@ -0,0 +1,146 @@
+// lib/pagination.js - 游标分页模块（按排序键 + _id 定位下一页，替代深分页的 skip）
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { RequestError } = require('./users');
+
+/**
+ * 游标令牌格式：base64url(JSON { s: 查询指纹, v: [排序键的值...] })
+ * 查询指纹由筛选条件和排序方式计算，换了条件后继续使用旧游标会被拒绝
+ */
+
+function queryFingerprint(scope) {
+  return crypto.createHash('sha256').update(JSON.stringify(scope)).digest('base64url').slice(0, 16);
+}
+
+function encodeValue(value) {
+  if (value instanceof ObjectId) return { $oid: value.toHexString() };
+  if (value instanceof Date) return { $date: value.toISOString() };
+  return value === undefined ? null : value;
+}
+
+function decodeValue(value) {
+  if (value === null || typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') {
+    return value;
+  }
+  if (value && typeof value.$oid === 'string' && ObjectId.isValid(value.$oid)) {
+    return new ObjectId(value.$oid);
+  }
+  if (value && typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) {
+    return new Date(value.$date);
+  }
+  throw new Error('无法识别的游标值');
+}
+
+/**
+ * 生成下一页的游标
+ * @param {Object} doc - 当前页最后一条文档
+ * @param {Object} sort - 排序条件（最后一个键应为 _id）
+ * @param {Object} scope - 查询条件（用于生成查询指纹）
+ * @returns {string} 游标令牌
+ */
+function encodeCursor(doc, sort, scope) {
+  const payload = {
+    s: queryFingerprint(scope),
+    v: Object.keys(sort).map(key => encodeValue(doc[key]))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * 解析游标
+ * @param {string} token - 游标令牌
+ * @param {Object} sort - 排序条件
+ * @param {Object} scope - 查询条件，需与生成游标时一致
+ * @returns {Array} 排序键的值
+ */
+function decodeCursor(token, sort, scope) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== Object.keys(sort).length) {
+      throw new Error('游标长度不符');
+    }
+    payload.v = payload.v.map(decodeValue);
+  } catch (error) {
+    throw new RequestError('分页游标无效', 'INVALID_CURSOR', 400);
+  }
+
+  if (payload.s !== queryFingerprint(scope)) {
+    throw new RequestError('分页游标与当前查询条件不符，请从第一页重新加载', 'INVALID_CURSOR', 400);
+  }
+
+  return payload.v;
+}
+
+/**
+ * “排在某个值之后”的条件
+ * 升序时 null（以及缺失字段）排在最前，降序时排在最后
+ * @returns {Object|null} 查询条件，不存在排在其后的值时返回 null
+ */
+function afterValue(key, direction, value) {
+  if (direction > 0) {
+    return value === null ? { [key]: { $ne: null } } : { [key]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+}
+
+/**
+ * 根据游标构造“排在游标之后”的查询条件（键集分页）
+ * 对排序键 k1, k2, ..., _id：k1 在其后，或 k1 相等且 k2 在其后，依此类推
+ * @param {Object} sort - 排序条件
+ * @param {Array} values - decodeCursor 得到的排序键的值
+ * @returns {Object} 查询条件
+ */
+function buildCursorFilter(sort, values) {
+  const entries = Object.entries(sort);
+  const clauses = [];
+
+  entries.forEach(([key, direction], i) => {
+    const after = afterValue(key, direction, values[i]);
+    if (!after) return;
+    const equals = entries.slice(0, i).map(([previousKey], j) => ({ [previousKey]: values[j] }));
+    clauses.push(equals.length > 0 ? { $and: [...equals, after] } : after);
+  });
+
+  // 游标已是最后一条时没有后续条件，返回匹配不到任何文档的条件
+  return clauses.length > 0 ? { $or: clauses } : { _id: { $in: [] } };
+}
+
+/**
+ * 解析分页参数
+ * 传了 cursor 参数（第一页传空字符串）时使用游标分页，否则沿用 page/limit
+ * @param {Object} query - 请求参数 { cursor, page, limit }
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {{mode: string, cursor: string, page: number, limit: number}}
+ */
+function parsePagination(query, { defaultLimit = 20, maxLimit = 50 } = {}) {
+  const limit = Math.min(maxLimit, Math.max(1, parseInt(query.limit) || defaultLimit));
+  if (query.cursor !== undefined) {
+    return { mode: 'cursor', cursor: String(query.cursor || ''), page: null, limit };
+  }
+  return { mode: 'page', cursor: '', page: Math.max(1, parseInt(query.page) || 1), limit };
+}
+
+/**
+ * 取 limit + 1 条判断是否还有下一页，返回当前页和下一页游标
+ * @param {Array} docs - 查询结果（最多 limit + 1 条）
+ * @param {Object} options - { limit, sort, scope }
+ * @returns {{items: Array, hasNext: boolean, nextCursor: string|null}}
+ */
+function buildCursorPage(docs, { limit, sort, scope }) {
+  const hasNext = docs.length > limit;
+  const items = hasNext ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(items[items.length - 1], sort, scope) : null
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parsePagination,
+  buildCursorPage
+};
@@ -0,0 +1,112 @@
+// lib/payments.js - 支付渠道模块（可插拔的支付提供方，本地使用微信支付替身）
+const crypto = require('crypto');
+
+/**
+ * 支付提供方接口
+ * createOrder({ orderId, amount, description, openid, expiresAt }) -> { providerOrderId, status, payParams }
+ *   amount 单位为分；expiresAt 之后不能再支付（微信支付的 time_expire）；status 为 pending（等待用户支付/回调）或 paid（已完成）
+ * verifyNotification(body) -> { orderId, providerOrderId, status } 校验并解析支付结果回调
+ */
+
+/**
+ * 微信支付本地替身：下单即视为支付成功，并生成与 wx.requestPayment 相同结构的参数
+ * 回调签名使用 WECHAT_PAY_MOCK_KEY 做HMAC，便于本地模拟异步通知；未配置时不接受回调
+ * 替身下单不收钱，生产环境不能使用（包括通过回调接口的 provider 参数指定）
+ */
+function createWechatPayMock() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('生产环境不能使用微信支付替身，请配置 PAYMENT_PROVIDER');
+  }
+
+  const mockKey = process.env.WECHAT_PAY_MOCK_KEY;
+  // 未配置时支付参数用随机密钥签名（仅供小程序端联调，不会被校验）
+  const payParamsKey = mockKey || crypto.randomBytes(32).toString('hex');
+
+  const sign = (payload, key = mockKey) => crypto
+    .createHmac('sha256', key)
+    .update(payload)
+    .digest('hex');
+
+  return {
+    name: 'wechat-mock',
+
+    async createOrder({ orderId, amount, description }) {
+      const providerOrderId = `mock_wx_${orderId}`;
+      const timeStamp = String(Math.floor(Date.now() / 1000));
+      const nonceStr = crypto.randomBytes(8).toString('hex');
+      const prepayPackage = `prepay_id=mock_${orderId}`;
+
+      console.log(`💳 [微信支付替身] 下单: ${orderId}, ${amount}分, ${description}`);
+
+      return {
+        providerOrderId,
+        status: 'paid',
+        payParams: {
+          timeStamp,
+          nonceStr,
+          package: prepayPackage,
+          signType: 'HMAC-SHA256',
+          paySign: sign(`${timeStamp}\n${nonceStr}\n${prepayPackage}\n`, payParamsKey)
+        }
+      };
+    },
+
+    async verifyNotification(body = {}) {
+      const { orderId, providerOrderId, status, signature } = body;
+      if (!mockKey) {
+        throw new Error('未配置 WECHAT_PAY_MOCK_KEY，不接受模拟支付回调');
+      }
+      if (!orderId || !signature || sign(`${orderId}\n${providerOrderId}\n${status}\n`) !== signature) {
+        throw new Error('支付回调签名校验失败');
+      }
+      return { orderId, providerOrderId, status };
+    }
+  };
+}
+
+// 已注册的支付提供方
+const providers = {
+  'wechat-mock': createWechatPayMock
+};
+
+const providerInstances = new Map();
+
+/**
+ * 注册支付提供方（例如正式环境的微信支付V3实现）
+ * @param {string} name - 提供方名称
+ * @param {Function} factory - 返回提供方实例的工厂函数
+ */
+function registerPaymentProvider(name, factory) {
+  providers[name] = factory;
+  providerInstances.delete(name);
+}
+
+/**
+ * 默认支付提供方：PAYMENT_PROVIDER 优先；非生产环境使用本地替身，生产环境必须配置
+ */
+function getDefaultProviderName() {
+  if (process.env.PAYMENT_PROVIDER) return process.env.PAYMENT_PROVIDER;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('未配置 PAYMENT_PROVIDER');
+  }
+  return 'wechat-mock';
+}
+
+/**
+ * 获取支付提供方
+ * @param {string} [name] - 提供方名称
+ */
+function getPaymentProvider(name = getDefaultProviderName()) {
+  if (!providers[name]) {
+    throw new Error(`未知的支付提供方: ${name}`);
+  }
+  if (!providerInstances.has(name)) {
+    providerInstances.set(name, providers[name]());
+  }
+  return providerInstances.get(name);
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider
+};
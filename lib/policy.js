@@ -0,0 +1,118 @@
+// lib/policy.js - 借阅规则模块（按读者类型与图书分类确定借期、借阅上限、续借规则）
+const { computeDueDate } = require('./calendar');
+
+// 读者类型
+const PATRON_TYPES = ['undergraduate', 'postgraduate', 'staff'];
+const DEFAULT_PATRON_TYPE = 'undergraduate';
+
+/**
+ * 读者类型基础规则
+ * loanDays: 借期（天）
+ * maxLoans: 最多同时在借册数
+ * maxRenewals: 最多续借次数
+ * blockRenewalOnHold: 有读者排队预约时是否禁止续借
+ * fineDailyRate: 逾期罚款（分/天）
+ * fineGraceDays: 宽限天数，逾期不超过宽限期不罚款，超过后按超出天数计罚
+ * maxFinePerItem: 单册罚款上限（分）
+ * maxOutstandingFine: 欠款超过该金额（分）时暂停借书
+ */
+const PATRON_POLICIES = {
+  undergraduate: {
+    loanDays: 30, maxLoans: 10, maxRenewals: 1, blockRenewalOnHold: true,
+    fineDailyRate: 100, fineGraceDays: 2, maxFinePerItem: 5000, maxOutstandingFine: 2000
+  },
+  postgraduate: {
+    loanDays: 60, maxLoans: 20, maxRenewals: 2, blockRenewalOnHold: true,
+    fineDailyRate: 100, fineGraceDays: 2, maxFinePerItem: 5000, maxOutstandingFine: 3000
+  },
+  staff: {
+    loanDays: 90, maxLoans: 30, maxRenewals: 3, blockRenewalOnHold: false,
+    fineDailyRate: 100, fineGraceDays: 3, maxFinePerItem: 10000, maxOutstandingFine: 5000
+  }
+};
+
+/**
+ * 图书分类覆盖规则（all 对所有读者类型生效，读者类型专属规则优先）
+ * 只覆盖借期、续借和逾期日罚款，借阅上限与欠款阈值始终按读者类型计算
+ */
+const CATEGORY_POLICIES = {
+  '工具书': {
+    all: { loanDays: 7, maxRenewals: 0, blockRenewalOnHold: true, fineDailyRate: 300 },
+    staff: { loanDays: 14, maxRenewals: 1 }
+  },
+  '期刊': {
+    all: { loanDays: 14, maxRenewals: 0, blockRenewalOnHold: true, fineDailyRate: 200 }
+  },
+  '教材': {
+    undergraduate: { loanDays: 14, maxRenewals: 1 },
+    postgraduate: { loanDays: 30 }
+  }
+};
+
+const CATEGORY_OVERRIDE_FIELDS = ['loanDays', 'maxRenewals', 'blockRenewalOnHold', 'fineDailyRate'];
+
+/**
+ * 规范化读者类型，未知类型按本科生处理
+ */
+function normalizePatronType(patronType) {
+  return PATRON_TYPES.includes(patronType) ? patronType : DEFAULT_PATRON_TYPE;
+}
+
+/**
+ * 获取借阅规则
+ * @param {string} patronType - 读者类型
+ * @param {string} [category] - 图书分类
+ * @returns {Object} { patronType, category, loanDays, maxLoans, maxRenewals, blockRenewalOnHold, fineDailyRate, ... }
+ */
+function getLoanPolicy(patronType, category) {
+  const type = normalizePatronType(patronType);
+  const policy = { patronType: type, category: category || null, ...PATRON_POLICIES[type] };
+
+  const categoryRules = category && CATEGORY_POLICIES[category];
+  if (categoryRules) {
+    [categoryRules.all, categoryRules[type]]
+      .filter(Boolean)
+      .forEach(rule => {
+        CATEGORY_OVERRIDE_FIELDS
+          .filter(field => rule[field] !== undefined)
+          .forEach(field => { policy[field] = rule[field]; });
+      });
+  }
+
+  return policy;
+}
+
+/**
+ * 借阅记录的应还日期（旧记录没有dueDate时按借阅日期、借期和图书馆日历推算）
+ * @param {Object} record - 借阅记录
+ * @param {Object} policy - 借阅规则
+ * @returns {Date|null}
+ */
+function getEffectiveDueDate(record, policy) {
+  if (record.dueDate) return new Date(record.dueDate);
+  if (!record.borrowDate) return null;
+  return computeDueDate(new Date(record.borrowDate), policy.loanDays);
+}
+
+/**
+ * 查询读者信息并确定读者类型
+ * @param {Collection} usersCollection - users集合
+ * @param {Object} userQuery - 用户查询条件
+ * @param {ClientSession} [session] - 事务会话
+ * @returns {Promise<{user: Object|null, patronType: string}>}
+ */
+async function findPatron(usersCollection, userQuery, session) {
+  const user = await usersCollection.findOne(userQuery, { session });
+  return { user, patronType: normalizePatronType(user?.patronType) };
+}
+
+module.exports = {
+  PATRON_TYPES,
+  DEFAULT_PATRON_TYPE,
+  PATRON_POLICIES,
+  CATEGORY_POLICIES,
+  normalizePatronType,
+  getLoanPolicy,
+  getEffectiveDueDate,
+  findPatron
+};
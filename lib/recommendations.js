@@ -0,0 +1,218 @@
+// lib/recommendations.js - 相关图书推荐（“借过这本书的读者还借过”同借推荐，预先计算；新书、冷门书按分类补足）
+const { getCollection, ObjectId } = require('./database');
+const { RequestError, findBook } = require('./borrow');
+
+// 相关推荐策略：auto 先同借推荐、不足时按分类补足；coborrow 只用同借推荐；category 只按分类和热度
+const RELATED_STRATEGIES = ['auto', 'coborrow', 'category'];
+
+// 每本书保存的同借推荐数量
+const MAX_STORED_RELATED = 20;
+
+// 至少有2位读者同时借过才算相关，避免个别读者的偶然组合
+const MIN_CO_READERS = 2;
+
+// 每位读者只取最近借阅的100本，控制借阅很多的读者产生的组合数
+const MAX_READER_HISTORY = 100;
+
+// 热门惩罚系数（0~1）：越大越压低热门书的得分，0 时只看共同读者数
+const POPULARITY_PENALTY = Math.min(1, Math.max(0, parseFloat(process.env.RECOMMENDATION_POPULARITY_PENALTY) || 0.5));
+
+/**
+ * 同借得分：共同读者数 / (本书读者数^(1-α) × 候选书读者数^α)，α 为热门惩罚系数
+ * α = 0.5 时为余弦相似度；候选书借的人越多，得分越低，避免所有书都推荐同几本畅销书
+ */
+function coBorrowScore(coReaders, bookReaders, candidateReaders) {
+  return coReaders / (Math.pow(bookReaders, 1 - POPULARITY_PENALTY) * Math.pow(candidateReaders, POPULARITY_PENALTY));
+}
+
+/**
+ * 每位读者最近借过的不同图书（最多 MAX_READER_HISTORY 本）：{ _id: 读者, books: [图书ID] }
+ * 读者标识依次取 openid、userId、studentId（早期记录可能没有 openid）
+ */
+function readerHistoryStages() {
+  return [
+    { $match: { bookId: { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: { reader: { $ifNull: ['$openid', '$userId', '$studentId'] }, bookId: { $toString: '$bookId' } },
+        lastBorrowedAt: { $max: '$borrowDate' }
+      }
+    },
+    { $match: { '_id.reader': { $ne: null } } },
+    { $sort: { '_id.reader': 1, lastBorrowedAt: -1 } },
+    { $group: { _id: '$_id.reader', books: { $push: '$_id.bookId' } } },
+    { $project: { books: { $slice: ['$books', MAX_READER_HISTORY] } } }
+  ];
+}
+
+function compareRelated(x, y) {
+  return y.score - x.score || y.coReaders - x.coReaders;
+}
+
+/**
+ * 根据借阅记录重新计算所有图书的同借推荐，写入 book_recommendations 集合（每本书一条）
+ * 读者数和共同读者数都在数据库中聚合，应用只逐条读取达到 MIN_CO_READERS 的图书组合，每本书只保留得分最高的若干条
+ * 由定时任务调用；计算期间接口继续使用上一次的结果，本次没有推荐的图书删除旧结果
+ * @returns {Promise<{readers: number, books: number, pairs: number}>}
+ */
+async function rebuildCoBorrowRecommendations() {
+  const startedAt = new Date();
+  const borrowsCollection = await getCollection('borrows');
+
+  // 读者总数和每本书的读者数
+  const [counts] = await borrowsCollection.aggregate([
+    ...readerHistoryStages(),
+    {
+      $facet: {
+        readers: [{ $count: 'count' }],
+        books: [{ $unwind: '$books' }, { $group: { _id: '$books', readers: { $sum: 1 } } }]
+      }
+    }
+  ], { allowDiskUse: true }).toArray();
+  const readers = counts.readers.length > 0 ? counts.readers[0].count : 0;
+  const readerCounts = new Map(counts.books.map(item => [item._id, item.readers]));
+
+  // 每两本书的共同读者数：同一读者的借阅列表与自身配对（a < b，每对只算一次）
+  const pairCursor = borrowsCollection.aggregate([
+    ...readerHistoryStages(),
+    { $project: { a: '$books', b: '$books' } },
+    { $unwind: '$a' },
+    { $unwind: '$b' },
+    { $match: { $expr: { $lt: ['$a', '$b'] } } },
+    { $group: { _id: { a: '$a', b: '$b' }, coReaders: { $sum: 1 } } },
+    { $match: { coReaders: { $gte: MIN_CO_READERS } } }
+  ], { allowDiskUse: true });
+
+  const related = new Map();
+  const addRelated = (bookId, item) => {
+    if (!related.has(bookId)) related.set(bookId, []);
+    const items = related.get(bookId);
+    items.push(item);
+    if (items.length >= MAX_STORED_RELATED * 2) {
+      items.sort(compareRelated);
+      items.length = MAX_STORED_RELATED;
+    }
+  };
+  let pairs = 0;
+  for await (const { _id: { a, b }, coReaders } of pairCursor) {
+    pairs++;
+    const readersA = readerCounts.get(a);
+    const readersB = readerCounts.get(b);
+    addRelated(a, { bookId: b, coReaders, score: coBorrowScore(coReaders, readersA, readersB) });
+    addRelated(b, { bookId: a, coReaders, score: coBorrowScore(coReaders, readersB, readersA) });
+  }
+
+  const recommendationsCollection = await getCollection('book_recommendations');
+  const operations = Array.from(related, ([bookId, items]) => ({
+    updateOne: {
+      filter: { bookId },
+      update: {
+        $set: {
+          bookId,
+          readers: readerCounts.get(bookId),
+          items: items
+            .sort(compareRelated)
+            .slice(0, MAX_STORED_RELATED)
+            .map(item => ({ ...item, score: Math.round(item.score * 10000) / 10000 })),
+          computedAt: startedAt
+        }
+      },
+      upsert: true
+    }
+  }));
+  if (operations.length > 0) {
+    await recommendationsCollection.bulkWrite(operations, { ordered: false });
+  }
+  await recommendationsCollection.deleteMany({ computedAt: { $lt: startedAt } });
+
+  return { readers, books: related.size, pairs };
+}
+
+/**
+ * 同借推荐（预先计算的结果，只保留未下架的图书；图书一次查询取回）
+ */
+async function findCoBorrowed(booksCollection, bookKey, limit) {
+  const recommendationsCollection = await getCollection('book_recommendations');
+  const stored = await recommendationsCollection.findOne({ bookId: bookKey });
+  if (!stored || !stored.items || stored.items.length === 0) return [];
+
+  // 与 findBook 一致：图书ID可能是 ObjectId、字符串ID或图书编号
+  const ids = stored.items.map(item => item.bookId);
+  const objectIds = ids.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id));
+  const books = await booksCollection
+    .find({ $or: [{ _id: { $in: [...objectIds, ...ids] } }, { acno: { $in: ids } }], status: { $ne: 'withdrawn' } })
+    .toArray();
+  const byId = new Map();
+  books.forEach(book => {
+    if (book.acno) byId.set(book.acno, book);
+    byId.set(book._id.toString(), book);
+  });
+
+  return stored.items
+    .map(item => ({ book: byId.get(item.bookId), source: 'coborrow', score: item.score, coReaders: item.coReaders }))
+    .filter(item => item.book)
+    .slice(0, limit);
+}
+
+/**
+ * 按分类和热度推荐可借的图书：先同分类，不足时补充其他分类
+ */
+async function findByCategory(booksCollection, category, excludeIds, limit) {
+  const items = [];
+  const popularity = { borrowCount: -1, rating: -1, createdAt: -1 };
+  const exclude = [...excludeIds];
+
+  if (category) {
+    const sameCategory = await booksCollection
+      .find({ _id: { $nin: exclude }, status: 'available', category })
+      .sort(popularity)
+      .limit(limit)
+      .toArray();
+    sameCategory.forEach(book => items.push({ book, source: 'category' }));
+    exclude.push(...sameCategory.map(book => book._id));
+  }
+
+  if (items.length < limit) {
+    const others = await booksCollection
+      .find({ _id: { $nin: exclude }, status: 'available', ...(category ? { category: { $ne: category } } : {}) })
+      .sort(popularity)
+      .limit(limit - items.length)
+      .toArray();
+    others.forEach(book => items.push({ book, source: 'popular' }));
+  }
+
+  return items;
+}
+
+/**
+ * 相关图书
+ * @param {string} bookId - 图书ID（_id 或登录号）
+ * @param {Object} options - { strategy, limit, category }，category 缺省时用该书的分类
+ * @returns {Promise<{book: Object, strategy: string, items: Array<{book: Object, source: string, score?: number, coReaders?: number}>}>}
+ *          source 为 coborrow（同借）、category（同分类）或 popular（其他分类的热门书）
+ */
+async function getRelatedBooks(bookId, { strategy = 'auto', limit = 8, category } = {}) {
+  if (!RELATED_STRATEGIES.includes(strategy)) {
+    throw new RequestError(`推荐策略只能为${RELATED_STRATEGIES.join('、')}`, 'INVALID_STRATEGY', 400);
+  }
+
+  const booksCollection = await getCollection('books');
+  const book = await findBook(booksCollection, bookId);
+  if (!book) {
+    throw new RequestError('图书不存在', 'BOOK_NOT_FOUND', 404);
+  }
+
+  const items = strategy === 'category' ? [] : await findCoBorrowed(booksCollection, book._id.toString(), limit);
+  if (strategy !== 'coborrow' && items.length < limit) {
+    const excludeIds = [book._id, ...items.map(item => item.book._id)];
+    items.push(...await findByCategory(booksCollection, category || book.category, excludeIds, limit - items.length));
+  }
+
+  return { book, strategy, items };
+}
+
+module.exports = {
+  RELATED_STRATEGIES,
+  rebuildCoBorrowRecommendations,
+  getRelatedBooks
+};
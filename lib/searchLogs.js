@@ -0,0 +1,273 @@
+// lib/searchLogs.js - 检索日志与统计（记录每次检索和推荐请求，统计热门检索词、零结果检索词、点击率，生成荐购清单）
+const crypto = require('crypto');
+const { getCollection, ObjectId } = require('./database');
+const { authenticateRequest } = require('./auth');
+const { toSimplified } = require('./chinese');
+const { RequestError } = require('./users');
+
+// 日志来源：图书搜索、AI推荐
+const SEARCH_LOG_SOURCES = ['search', 'recommend'];
+
+// 统计报表类型
+const SEARCH_REPORT_TYPES = ['top', 'zero', 'clicks', 'purchase'];
+
+// 日志保留天数（createdAt 上的 TTL 索引），可通过 SEARCH_LOG_RETENTION_DAYS 覆盖
+const SEARCH_LOG_RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 180;
+
+// 记录的检索词最大长度
+const MAX_QUERY_LENGTH = 100;
+
+// 报表默认统计最近30天，最多一年
+const DEFAULT_REPORT_DAYS = 30;
+const MAX_REPORT_DAYS = 365;
+const DEFAULT_REPORT_LIMIT = 20;
+const MAX_REPORT_LIMIT = 100;
+
+// 点击率报表只统计有结果的检索不少于该次数的检索词
+const DEFAULT_MIN_CLICK_SEARCHES = 5;
+
+// 荐购：同一检索词零结果不少于3次、且来自不少于2位读者
+const DEFAULT_MIN_PURCHASE_SEARCHES = 3;
+const DEFAULT_MIN_PURCHASE_USERS = 2;
+
+const DEV_USER_HASH_SALT = 'smart-library-search-log';
+
+/**
+ * 检索词归一化（转简体、小写、合并空白），统计时按归一化后的检索词分组
+ */
+function normalizeQuery(text) {
+  return toSimplified(String(text || ''))
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+}
+
+/**
+ * 匿名读者标识：请求带有效令牌时为 openid 的 HMAC 摘要（不可还原，同一读者的标识不变），否则为 null
+ * 检索接口不要求登录，令牌无效时按匿名处理
+ */
+function resolveUserHash(req) {
+  let identity;
+  try {
+    identity = authenticateRequest(req);
+  } catch (error) {
+    return null;
+  }
+  const salt = process.env.SEARCH_LOG_SALT || process.env.AUTH_TOKEN_SECRET || DEV_USER_HASH_SALT;
+  return crypto.createHmac('sha256', salt).update(identity.openid).digest('hex').slice(0, 32);
+}
+
+/**
+ * 记录一次检索
+ * 日志写入失败不影响检索结果，只输出警告
+ * @param {Object} req - 请求对象（用于识别读者）
+ * @param {Object} entry - { source, query, keyword, filters, sortBy, resultCount, firstPage, searchId, corrected, latencyMs }
+ *        keyword 为参与全文检索的检索词；firstPage 为 false 时 searchId 为同一次检索第一页的日志ID；
+ *        corrected 表示返回了纠错建议
+ * @returns {Promise<string|null>} 检索ID（第一页的日志ID，读者打开结果时回传以统计点击），写入失败时为 null
+ */
+async function logSearch(req, entry) {
+  const firstPage = entry.firstPage !== false;
+  const parentId = !firstPage && ObjectId.isValid(entry.searchId) ? new ObjectId(entry.searchId) : null;
+  const filters = Object.fromEntries(
+    Object.entries(entry.filters || {}).filter(([, value]) => value !== '' && value !== undefined && value !== null)
+  );
+
+  const log = {
+    source: SEARCH_LOG_SOURCES.includes(entry.source) ? entry.source : 'search',
+    query: String(entry.query || '').trim().slice(0, MAX_QUERY_LENGTH),
+    normalizedQuery: normalizeQuery(entry.query),
+    keyword: normalizeQuery(entry.keyword),
+    filters,
+    sortBy: entry.sortBy || null,
+    resultCount: typeof entry.resultCount === 'number' ? entry.resultCount : null,
+    firstPage,
+    searchId: parentId,
+    corrected: Boolean(entry.corrected),
+    latencyMs: Math.round(entry.latencyMs || 0),
+    userHash: resolveUserHash(req),
+    clickedBookIds: [],
+    createdAt: new Date()
+  };
+
+  try {
+    const collection = await getCollection('search_logs');
+    const { insertedId } = await collection.insertOne(log);
+    return (parentId || insertedId).toString();
+  } catch (error) {
+    console.warn('⚠️ 检索日志写入失败:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 记录读者打开了检索结果中的图书
+ * 同一次检索中同一本书只计一次；检索ID无效或写入失败时忽略
+ * @param {string} searchId - 检索接口返回的 searchId
+ * @param {string} bookId - 图书ID
+ */
+async function recordSearchClick(searchId, bookId) {
+  if (!searchId || !ObjectId.isValid(searchId) || !bookId) return;
+  try {
+    const collection = await getCollection('search_logs');
+    await collection.updateOne(
+      { _id: new ObjectId(searchId) },
+      { $addToSet: { clickedBookIds: String(bookId) }, $set: { lastClickAt: new Date() } }
+    );
+  } catch (error) {
+    console.warn('⚠️ 检索点击记录失败:', error.message);
+  }
+}
+
+function clampInteger(value, min, max, fallback) {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? fallback : Math.min(max, Math.max(min, number));
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+}
+
+/**
+ * 按检索词分组的统计（只统计每次检索的第一页）
+ */
+function buildQueryGroupStages(match) {
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: '$normalizedQuery',
+        query: { $last: '$query' },
+        searches: { $sum: 1 },
+        zeroResults: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+        clickedSearches: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$clickedBookIds', []] } }, 0] }, 1, 0] } },
+        clicks: { $sum: { $size: { $ifNull: ['$clickedBookIds', []] } } },
+        avgResults: { $avg: '$resultCount' },
+        avgLatencyMs: { $avg: '$latencyMs' },
+        users: { $addToSet: '$userHash' },
+        lastSearchedAt: { $max: '$createdAt' }
+      }
+    }
+  ];
+}
+
+function formatQueryRow(row) {
+  const withResults = row.searches - row.zeroResults;
+  return {
+    query: row._id,
+    example: row.query,
+    searches: row.searches,
+    users: row.users.filter(Boolean).length,
+    zeroResults: row.zeroResults,
+    zeroResultRate: ratio(row.zeroResults, row.searches),
+    avgResults: row.avgResults === null ? null : Math.round(row.avgResults * 10) / 10,
+    clickedSearches: row.clickedSearches,
+    clicks: row.clicks,
+    // 点击率按有结果的检索计算
+    clickThroughRate: ratio(row.clickedSearches, withResults),
+    avgLatencyMs: Math.round(row.avgLatencyMs || 0),
+    lastSearchedAt: row.lastSearchedAt
+  };
+}
+
+/**
+ * 荐购清单：多次零结果且没有纠错建议的检索词（多半是馆藏中没有的书）
+ * 统计期内最后一次检索已有结果（已采购上架）的检索词不再列出
+ */
+async function buildPurchaseSuggestions(collection, match, { limit, minSearches, minUsers }) {
+  const isMissing = { $and: [{ $eq: ['$resultCount', 0] }, { $eq: ['$corrected', false] }] };
+  const rows = await collection.aggregate([
+    { $match: { ...match, keyword: { $ne: '' } } },
+    {
+      $group: {
+        _id: '$keyword',
+        query: { $last: '$query' },
+        searches: { $sum: { $cond: [isMissing, 1, 0] } },
+        users: { $addToSet: { $cond: [isMissing, '$userHash', null] } },
+        lastMissedAt: { $max: { $cond: [isMissing, '$createdAt', null] } },
+        lastFoundAt: { $max: { $cond: [{ $gt: ['$resultCount', 0] }, '$createdAt', null] } }
+      }
+    },
+    { $match: { searches: { $gte: minSearches } } },
+    { $sort: { searches: -1, _id: 1 } }
+  ]).toArray();
+
+  return rows
+    .map(row => ({
+      keyword: row._id,
+      example: row.query,
+      searches: row.searches,
+      users: row.users.filter(Boolean).length,
+      lastSearchedAt: row.lastMissedAt,
+      lastFoundAt: row.lastFoundAt
+    }))
+    .filter(row => row.users >= minUsers && !(row.lastFoundAt && row.lastFoundAt > row.lastSearchedAt))
+    .slice(0, limit)
+    .map(({ lastFoundAt, ...row }) => row);
+}
+
+/**
+ * 检索统计报表
+ * - top：热门检索词（按检索次数）
+ * - zero：零结果检索词（按零结果次数）
+ * - clicks：各检索词的点击率（按点击率从低到高，便于发现排序不理想的检索词）
+ * - purchase：荐购清单
+ * @param {Object} params - 查询参数 { type, days, limit, source, minSearches, minUsers }
+ * @returns {Promise<{type: string, since: Date, items: Object[]}>}
+ */
+async function getSearchReport(params = {}) {
+  const type = params.type || 'top';
+  if (!SEARCH_REPORT_TYPES.includes(type)) {
+    throw new RequestError(`报表类型只能为${SEARCH_REPORT_TYPES.join('、')}`, 'INVALID_REPORT_TYPE', 400);
+  }
+  if (params.source && !SEARCH_LOG_SOURCES.includes(params.source)) {
+    throw new RequestError(`来源只能为${SEARCH_LOG_SOURCES.join('、')}`, 'INVALID_SOURCE', 400);
+  }
+
+  const days = clampInteger(params.days, 1, MAX_REPORT_DAYS, DEFAULT_REPORT_DAYS);
+  const limit = clampInteger(params.limit, 1, MAX_REPORT_LIMIT, DEFAULT_REPORT_LIMIT);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const match = { firstPage: true, createdAt: { $gte: since } };
+  if (params.source) match.source = params.source;
+
+  const collection = await getCollection('search_logs');
+
+  if (type === 'purchase') {
+    const items = await buildPurchaseSuggestions(collection, match, {
+      limit,
+      minSearches: clampInteger(params.minSearches, 1, 1000, DEFAULT_MIN_PURCHASE_SEARCHES),
+      minUsers: clampInteger(params.minUsers, 0, 1000, DEFAULT_MIN_PURCHASE_USERS)
+    });
+    return { type, since, items };
+  }
+
+  const stages = buildQueryGroupStages({ ...match, normalizedQuery: { $ne: '' } });
+  if (type === 'top') {
+    stages.push({ $sort: { searches: -1, _id: 1 } });
+  } else if (type === 'zero') {
+    stages.push({ $match: { zeroResults: { $gt: 0 } } }, { $sort: { zeroResults: -1, searches: -1, _id: 1 } });
+  } else {
+    const minSearches = clampInteger(params.minSearches, 1, 1000, DEFAULT_MIN_CLICK_SEARCHES);
+    stages.push(
+      { $addFields: { searchesWithResults: { $subtract: ['$searches', '$zeroResults'] } } },
+      { $match: { searchesWithResults: { $gte: minSearches } } },
+      { $addFields: { clickThroughRate: { $divide: ['$clickedSearches', '$searchesWithResults'] } } },
+      { $sort: { clickThroughRate: 1, searches: -1, _id: 1 } }
+    );
+  }
+  stages.push({ $limit: limit });
+
+  const rows = await collection.aggregate(stages).toArray();
+  return { type, since, items: rows.map(formatQueryRow) };
+}
+
+module.exports = {
+  SEARCH_LOG_SOURCES,
+  SEARCH_REPORT_TYPES,
+  SEARCH_LOG_RETENTION_DAYS,
+  normalizeQuery,
+  logSearch,
+  recordSearchClick,
+  getSearchReport
+};
@@ -0,0 +1,307 @@
+// lib/searchQuery.js - 高级检索语法解析（字段限定、布尔运算、排除、短语、范围）
+//
+// 语法示例：author:鲁迅 AND subject:杂文 year:1920..1936 -publisher:人民
+// - 词之间默认为 AND，可写 AND、OR、NOT（大写），或 &&、||；优先级 NOT > AND > OR，可用括号分组
+// - 词前加 - 表示排除；引号（"..." 或 “...”）内为短语
+// - 字段:值 限定字段，范围写作 1920..1936、1990..、..1936，或 >=、>、<=、<
+// 解析结果为语法树，由 lib/bookSearch.js 编译为 MongoDB 查询条件。
+const { RequestError } = require('./users');
+
+/**
+ * 检索语法错误（details 给出出错位置，从0开始计数）
+ */
+class QuerySyntaxError extends RequestError {
+  constructor(message, position) {
+    super(`检索语法错误：${message}（第 ${position + 1} 个字符）`, 'QUERY_SYNTAX_ERROR', 400);
+    this.name = 'QuerySyntaxError';
+    this.details = { position, message };
+  }
+}
+
+/**
+ * 可限定的字段
+ * type: text 包含匹配（不区分繁简），keyword 完全相同，isbn 去掉连字符后相同，
+ *       number 数值（可用范围），date 出版日期字符串（按年、年月或日期前缀比较，可用范围），datetime 时间字段（可用范围）
+ * paths: 对应的图书字段，多个时任一字段匹配即可
+ */
+const SEARCH_QUERY_FIELDS = {
+  title: { type: 'text', paths: ['title'], aliases: ['题名', '书名'] },
+  author: { type: 'text', paths: ['author'], aliases: ['作者'] },
+  publisher: { type: 'text', paths: ['publisher'], aliases: ['出版社'] },
+  subject: { type: 'text', paths: ['subject', 'tags'], aliases: ['主题'] },
+  tag: { type: 'text', paths: ['tags'], aliases: ['tags', '标签'] },
+  callno: { type: 'text', paths: ['callno'], aliases: ['索书号'] },
+  category: { type: 'keyword', paths: ['category'], aliases: ['分类'] },
+  language: { type: 'keyword', paths: ['language'], aliases: ['语言'] },
+  status: { type: 'keyword', paths: ['status'], aliases: ['状态'] },
+  acno: { type: 'keyword', paths: ['acno'], aliases: ['登录号'] },
+  isbn: { type: 'isbn', paths: ['isbn'], aliases: [] },
+  year: { type: 'date', paths: ['publishDate'], aliases: ['publishDate', '出版年', '年份'] },
+  pages: { type: 'number', paths: ['pages'], aliases: ['页数'] },
+  price: { type: 'number', paths: ['price'], aliases: ['价格'] },
+  borrowCount: { type: 'number', paths: ['borrowCount'], aliases: ['borrows', '借阅次数'] },
+  rating: { type: 'number', paths: ['rating'], aliases: ['评分'] },
+  created: { type: 'datetime', paths: ['createdAt'], aliases: ['createdAt', '上架时间'] }
+};
+
+const RANGE_TYPES = ['number', 'date', 'datetime'];
+
+// 字段名（含别名，英文不区分大小写）→ 字段
+const FIELD_LOOKUP = new Map(
+  Object.entries(SEARCH_QUERY_FIELDS).flatMap(([name, definition]) =>
+    [name, ...definition.aliases].map(alias => [alias.toLowerCase(), name])
+  )
+);
+
+const DATE_PATTERN = /^\d{4}(-\d{1,2}(-\d{1,2})?)?$/;
+
+const QUOTE_PAIRS = { '"': '"', '“': '”' };
+
+/**
+ * 词法分析
+ * 产生的记号：LPAREN、RPAREN、AND、OR、NOT、TERM { value, phrase, field, negated }
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (start) => {
+    const close = QUOTE_PAIRS[input[start]];
+    const end = input.indexOf(close, start + 1);
+    if (end === -1) throw new QuerySyntaxError('引号没有闭合', start);
+    return { value: input.slice(start + 1, end), end: end + 1 };
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'LPAREN' : 'RPAREN', position: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    // 词前的 - 表示排除（单独的 - 按普通字符处理）
+    let negated = false;
+    if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      negated = true;
+      i++;
+      if (input[i] === '(') {
+        tokens.push({ type: 'NOT', position: start });
+        continue;
+      }
+    }
+
+    if (QUOTE_PAIRS[input[i]]) {
+      const { value, end } = readQuoted(i);
+      tokens.push({ type: 'TERM', value, phrase: true, field: null, negated, position: start });
+      i = end;
+      continue;
+    }
+
+    let end = i;
+    while (end < input.length && !/[\s()]/.test(input[end]) && !QUOTE_PAIRS[input[end]]) end++;
+    const word = input.slice(i, end);
+
+    // 字段限定：只有已知字段名才按字段解析，其余冒号按普通字符处理（如“哈利·波特:魔法石”）
+    const colon = word.search(/[:：]/);
+    const field = colon > 0 ? FIELD_LOOKUP.get(word.slice(0, colon).toLowerCase()) : undefined;
+    if (field) {
+      const valueStart = i + colon + 1;
+      if (colon === word.length - 1 && QUOTE_PAIRS[input[end]]) {
+        const { value, end: quoteEnd } = readQuoted(end);
+        tokens.push({ type: 'TERM', value, phrase: true, field, negated, position: start, valuePosition: end });
+        i = quoteEnd;
+        continue;
+      }
+      if (colon === word.length - 1) {
+        throw new QuerySyntaxError(`字段 ${word.slice(0, colon)} 缺少检索值`, valueStart);
+      }
+      tokens.push({ type: 'TERM', value: word.slice(colon + 1), phrase: false, field, negated, position: start, valuePosition: valueStart });
+      i = end;
+      continue;
+    }
+
+    if (!negated && ['AND', '&&'].includes(word)) {
+      tokens.push({ type: 'AND', position: start });
+    } else if (!negated && ['OR', '||'].includes(word)) {
+      tokens.push({ type: 'OR', position: start });
+    } else if (!negated && word === 'NOT') {
+      tokens.push({ type: 'NOT', position: start });
+    } else {
+      tokens.push({ type: 'TERM', value: word, phrase: false, field: null, negated, position: start });
+    }
+    i = end;
+  }
+
+  return tokens;
+}
+
+/**
+ * 解析范围和比较写法：a..b、a..、..b、>=a、>a、<=a、<a
+ * @returns {Object|null} { from, to, fromExclusive, toExclusive }，不是范围时返回 null
+ */
+function parseRange(value) {
+  const comparison = value.match(/^(>=|<=|>|<)(.+)$/);
+  if (comparison) {
+    const [, operator, bound] = comparison;
+    return operator[0] === '>'
+      ? { from: bound, to: null, fromExclusive: operator === '>', toExclusive: false }
+      : { from: null, to: bound, fromExclusive: false, toExclusive: operator === '<' };
+  }
+  const dots = value.indexOf('..');
+  if (dots === -1) return null;
+  return {
+    from: value.slice(0, dots) || null,
+    to: value.slice(dots + 2) || null,
+    fromExclusive: false,
+    toExclusive: false
+  };
+}
+
+function validateBound(type, bound, fieldName, position) {
+  if (bound === null) return;
+  const valid = type === 'number'
+    ? bound.trim() !== '' && Number.isFinite(Number(bound))
+    : DATE_PATTERN.test(bound);
+  if (!valid) {
+    throw new QuerySyntaxError(`${fieldName} 的取值 ${bound} 应为${type === 'number' ? '数字' : '年份或日期（如 1990、1990-05-01）'}`, position);
+  }
+}
+
+/**
+ * 构造字段条件节点，校验范围和取值格式
+ */
+function fieldNode(token) {
+  const definition = SEARCH_QUERY_FIELDS[token.field];
+  const value = token.value.trim();
+  const position = token.valuePosition;
+  if (!value) throw new QuerySyntaxError(`字段 ${token.field} 缺少检索值`, position);
+
+  const range = token.phrase ? null : parseRange(value);
+  if (range) {
+    if (!RANGE_TYPES.includes(definition.type)) {
+      throw new QuerySyntaxError(`字段 ${token.field} 不支持范围检索`, position);
+    }
+    if (range.from === null && range.to === null) {
+      throw new QuerySyntaxError('范围至少需要一端', position);
+    }
+    validateBound(definition.type, range.from, token.field, position);
+    validateBound(definition.type, range.to, token.field, position);
+    return { type: 'field', field: token.field, range, position: token.position };
+  }
+
+  if (RANGE_TYPES.includes(definition.type)) {
+    validateBound(definition.type, value, token.field, position);
+  }
+  return { type: 'field', field: token.field, value, phrase: token.phrase, position: token.position };
+}
+
+/**
+ * 解析检索语句为语法树
+ * 节点：{ type: 'and'|'or', items }、{ type: 'not', operand }、{ type: 'text', value, phrase }、
+ *       { type: 'field', field, value, phrase } 或 { type: 'field', field, range }
+ * @param {string} input - 检索语句
+ * @returns {Object|null} 语法树，空语句返回 null
+ * @throws {QuerySyntaxError}
+ */
+function parseSearchQuery(input) {
+  const text = String(input || '');
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = token => (token ? text.slice(token.position).split(/\s/)[0] : '');
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      const operator = tokens[index++];
+      if (!peek() || ['OR', 'AND', 'RPAREN'].includes(peek().type)) {
+        throw new QuerySyntaxError('OR 后缺少检索词', operator.position);
+      }
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  function parseAnd() {
+    const items = [parseUnary()];
+    while (peek() && !['OR', 'RPAREN'].includes(peek().type)) {
+      if (peek().type === 'AND') {
+        const operator = tokens[index++];
+        if (!peek() || ['OR', 'AND', 'RPAREN'].includes(peek().type)) {
+          throw new QuerySyntaxError('AND 后缺少检索词', operator.position);
+        }
+      }
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token && token.type === 'NOT') {
+      index++;
+      if (!peek() || ['OR', 'AND', 'RPAREN'].includes(peek().type)) {
+        throw new QuerySyntaxError('NOT 后缺少检索词', token.position);
+      }
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new QuerySyntaxError('检索语句不完整', text.length);
+    }
+    index++;
+
+    switch (token.type) {
+      case 'LPAREN': {
+        if (peek() && peek().type === 'RPAREN') {
+          throw new QuerySyntaxError('括号内缺少检索词', token.position);
+        }
+        const inner = parseOr();
+        if (!peek() || peek().type !== 'RPAREN') {
+          throw new QuerySyntaxError('括号没有闭合', token.position);
+        }
+        index++;
+        return inner;
+      }
+      case 'RPAREN':
+        throw new QuerySyntaxError('多余的右括号', token.position);
+      case 'AND':
+      case 'OR':
+        throw new QuerySyntaxError(`${describe(token)} 前缺少检索词`, token.position);
+      default: {
+        const node = token.field
+          ? fieldNode(token)
+          : { type: 'text', value: token.value, phrase: token.phrase, position: token.position };
+        if (!token.field && !node.value.trim()) {
+          throw new QuerySyntaxError('引号内缺少检索词', token.position);
+        }
+        return token.negated ? { type: 'not', operand: node } : node;
+      }
+    }
+  }
+
+  if (tokens.length === 0) return null;
+  const tree = parseOr();
+  if (index < tokens.length) {
+    // 只可能是多余的右括号
+    throw new QuerySyntaxError('多余的右括号', tokens[index].position);
+  }
+  return tree;
+}
+
+module.exports = {
+  QuerySyntaxError,
+  SEARCH_QUERY_FIELDS,
+  parseSearchQuery
+};
@@ -0,0 +1,147 @@
+// lib/spelling.js - 检索纠错（“您是不是要找”）：按编辑距离和同音字，从馆藏题名、作者中找出可能想输入的词
+const { normalizeKey, buildKeys, findByKey, getSuggestIndex } = require('./suggest');
+
+// 纠错只在题名、作者中查找
+const CORRECTION_TYPES = ['title', 'author'];
+
+// 英文单词纠错时只考虑不少于3个字母的词
+const MIN_WORD_LENGTH = 3;
+
+const LATIN_WORD_PATTERN = /[a-z]+/g;
+
+/**
+ * 允许的最大编辑距离：5个字符以内1处，更长2处
+ */
+function maxDistance(length) {
+  return length <= 5 ? 1 : 2;
+}
+
+/**
+ * 编辑距离（插入、删除、替换、相邻交换各计1次，按字符计算）
+ * 超过 limit 时提前返回 limit + 1
+ */
+function editDistance(a, b, limit) {
+  const s = Array.from(a);
+  const t = Array.from(b);
+  if (Math.abs(s.length - t.length) > limit) return limit + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[t.length];
+}
+
+// 题名、作者中的英文单词 → 所在联想词的借阅次数之和（每个索引只统计一次）
+const wordVocabularies = new WeakMap();
+
+function getWordVocabulary(index) {
+  if (!wordVocabularies.has(index)) {
+    const vocabulary = new Map();
+    for (const entry of index.entries) {
+      if (!CORRECTION_TYPES.includes(entry.type)) continue;
+      for (const word of entry.text.toLowerCase().match(LATIN_WORD_PATTERN) || []) {
+        if (word.length >= MIN_WORD_LENGTH) vocabulary.set(word, (vocabulary.get(word) || 0) + entry.weight + 1);
+      }
+    }
+    wordVocabularies.set(index, vocabulary);
+  }
+  return wordVocabularies.get(index);
+}
+
+/**
+ * 逐词纠正关键词中的英文拼写（如 javscript → javascript），馆藏中出现过的词保持不变
+ * @returns {string|null} 纠正后的关键词，没有可纠正的词时返回 null
+ */
+function correctWords(keyword, vocabulary) {
+  let changed = false;
+  const corrected = keyword.toLowerCase().replace(LATIN_WORD_PATTERN, (word) => {
+    if (word.length < MIN_WORD_LENGTH || vocabulary.has(word)) return word;
+    const limit = maxDistance(word.length);
+    let best = null;
+    for (const [candidate, weight] of vocabulary) {
+      const distance = editDistance(word, candidate, limit);
+      if (distance > limit) continue;
+      if (!best || distance < best.distance || (distance === best.distance && weight > best.weight)) {
+        best = { word: candidate, distance, weight };
+      }
+    }
+    if (!best) return word;
+    changed = true;
+    return best.word;
+  });
+  return changed ? corrected : null;
+}
+
+/**
+ * 检索纠错建议
+ * - 同音：关键词的全拼与题名、作者相同（如“红楼蒙”→“红楼梦”、“刘词欣”→“刘慈欣”）
+ * - 拼写：与题名、作者的编辑距离在允许范围内，或关键词中的英文单词拼错
+ * @param {string} keyword - 检索关键词
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array<{text: string, type: string, reason: string, bookCount: number}>>}
+ *          type 为 title、author，整句纠正时为 query；reason 为 pinyin（同音）或 spelling（拼写）
+ */
+async function suggestCorrections(keyword, { limit = 5 } = {}) {
+  const key = normalizeKey(keyword || '');
+  if (!key) return [];
+
+  const index = await getSuggestIndex();
+  const candidates = new Map();
+  // 归一化后相同的建议只保留一条（距离相同时保留先加入的馆藏原文）
+  const addCandidate = (candidate) => {
+    const id = normalizeKey(candidate.text);
+    const existing = candidates.get(id);
+    if (!existing || candidate.distance < existing.distance) candidates.set(id, candidate);
+  };
+
+  // 同音字
+  if (/\p{Script=Han}/u.test(keyword)) {
+    const [, fullPinyin] = buildKeys(keyword);
+    for (const entry of findByKey(index, fullPinyin)) {
+      if (CORRECTION_TYPES.includes(entry.type) && entry.key !== key) {
+        addCandidate({ text: entry.text, type: entry.type, reason: 'pinyin', distance: 0, weight: entry.weight, bookCount: entry.bookCount });
+      }
+    }
+  }
+
+  // 与题名、作者整体的编辑距离
+  const limitDistance = maxDistance(Array.from(key).length);
+  for (const entry of index.entries) {
+    if (!CORRECTION_TYPES.includes(entry.type) || entry.key === key) continue;
+    const distance = editDistance(key, entry.key, limitDistance);
+    if (distance <= limitDistance) {
+      addCandidate({ text: entry.text, type: entry.type, reason: 'spelling', distance, weight: entry.weight, bookCount: entry.bookCount });
+    }
+  }
+
+  // 英文单词拼写
+  const corrected = correctWords(String(keyword).trim(), getWordVocabulary(index));
+  if (corrected) {
+    addCandidate({ text: corrected, type: 'query', reason: 'spelling', distance: 1, weight: Infinity, bookCount: null });
+  }
+
+  return Array.from(candidates.values())
+    .sort((a, b) => a.distance - b.distance || b.weight - a.weight || a.text.length - b.text.length)
+    .slice(0, limit)
+    .map(({ text, type, reason, bookCount }) => ({ text, type, reason, bookCount }));
+}
+
+module.exports = {
+  editDistance,
+  suggestCorrections
+};
@@ -0,0 +1,183 @@
+// lib/suggest.js - 搜索联想模块（题名、作者、主题的前缀匹配，支持全拼和拼音首字母）
+const { pinyin } = require('pinyin-pro');
+const { getCollection } = require('./database');
+const { toSimplified } = require('./chinese');
+
+// 联想索引的有效期：超过后在后台重建，期间继续使用旧索引（借阅次数变化也靠它更新排序）
+const SUGGEST_INDEX_TTL = 10 * 60 * 1000;
+
+const SUGGEST_TYPES = ['title', 'author', 'subject'];
+
+/**
+ * 联想索引（每个实例在内存中保存一份）
+ * entries: 联想词列表 { text, key, type, weight, bookCount, bookId }，key 为归一化后的原文
+ * keys: 按字典序排列的 [检索键, 联想词下标]，检索键包括原文（转为简体）、全拼和拼音首字母
+ */
+let suggestIndex = null;
+let building = null;
+let stale = false;
+
+function normalizeKey(text) {
+  return toSimplified(String(text)).toLowerCase().replace(/[\s'’·・.,，、:：;；\-—_()（）《》「」“”"]/g, '');
+}
+
+/**
+ * 生成联想词的检索键：原文、全拼（hongloumeng）、拼音首字母（hlm）
+ * 繁体按简体生成拼音，“紅樓夢”与“红楼梦”的检索键相同
+ */
+function buildKeys(text) {
+  const keys = new Set([normalizeKey(text)]);
+  if (/\p{Script=Han}/u.test(text)) {
+    const syllables = pinyin(toSimplified(text), { toneType: 'none', type: 'array', v: true });
+    keys.add(normalizeKey(syllables.join('')));
+    keys.add(normalizeKey(syllables.map(syllable => syllable[0] || '').join('')));
+  }
+  keys.delete('');
+  return [...keys];
+}
+
+function splitSubjects(book) {
+  const subjects = String(book.subject || '').split(/[;；]/);
+  return [...subjects, ...(book.tags || [])].map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * 从 books 集合构建联想索引
+ * 同名题名、同一作者、同一主题合并为一条（繁简写法不同也视为同名），权重为相关图书借阅次数之和
+ */
+async function buildSuggestIndex() {
+  const startedAt = Date.now();
+  const booksCollection = await getCollection('books');
+  const cursor = booksCollection
+    .find({ status: { $ne: 'withdrawn' } })
+    .project({ title: 1, author: 1, subject: 1, tags: 1, borrowCount: 1 })
+    .batchSize(1000);
+
+  const entries = new Map();
+  const addEntry = (type, text, book) => {
+    const id = `${type}:${toSimplified(text)}`;
+    const borrowCount = book.borrowCount || 0;
+    const entry = entries.get(id);
+    if (!entry) {
+      entries.set(id, { text, key: normalizeKey(text), type, weight: borrowCount, bookCount: 1, bookId: book._id.toString(), topCount: borrowCount });
+      return;
+    }
+    entry.weight += borrowCount;
+    entry.bookCount++;
+    // 同名图书指向借阅最多的一本
+    if (borrowCount > entry.topCount) {
+      entry.bookId = book._id.toString();
+      entry.topCount = borrowCount;
+    }
+  };
+
+  for await (const book of cursor) {
+    if (book.title) addEntry('title', String(book.title).trim(), book);
+    if (book.author) addEntry('author', String(book.author).trim(), book);
+    splitSubjects(book).forEach(subject => addEntry('subject', subject, book));
+  }
+
+  const list = Array.from(entries.values());
+  const keys = [];
+  list.forEach((entry, i) => {
+    buildKeys(entry.text).forEach(key => keys.push([key, i]));
+  });
+  keys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+  console.log(`🔤 联想索引构建完成: ${list.length} 个联想词，${keys.length} 个检索键，耗时 ${Date.now() - startedAt}ms`);
+
+  return { entries: list, keys, builtAt: Date.now() };
+}
+
+/**
+ * 获取联想索引：首次使用时构建；过期或馆藏变化后在后台重建，重建完成前继续使用旧索引
+ */
+async function getSuggestIndex() {
+  const expired = suggestIndex && (stale || Date.now() - suggestIndex.builtAt > SUGGEST_INDEX_TTL);
+
+  if ((!suggestIndex || expired) && !building) {
+    stale = false;
+    building = buildSuggestIndex()
+      .then(index => { suggestIndex = index; return index; })
+      .finally(() => { building = null; });
+    if (suggestIndex) {
+      building.catch(error => console.error('❌ 联想索引重建失败:', error));
+    }
+  }
+
+  return suggestIndex || building;
+}
+
+/**
+ * 馆藏变化后标记联想索引需要重建
+ */
+function invalidateSuggestIndex() {
+  stale = true;
+}
+
+/**
+ * 二分查找第一个不小于 prefix 的检索键
+ */
+function lowerBound(keys, prefix) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (keys[mid][0] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * 检索键与 key 完全相同的联想词（如全拼 hongloumeng 对应的所有同音词）
+ * @param {Object} index - getSuggestIndex 的结果
+ * @param {string} key - 检索键
+ * @returns {Array<Object>} 联想词
+ */
+function findByKey(index, key) {
+  const matched = [];
+  for (let i = lowerBound(index.keys, key); i < index.keys.length && index.keys[i][0] === key; i++) {
+    matched.push(index.entries[index.keys[i][1]]);
+  }
+  return matched;
+}
+
+/**
+ * 搜索联想
+ * @param {string} text - 用户输入（汉字、全拼或拼音首字母）
+ * @param {Object} options - { limit, type }
+ * @returns {Promise<Array<{text, type, bookId, bookCount, borrowCount}>>} 按借阅次数排序
+ */
+async function suggest(text, { limit = 10, type } = {}) {
+  const prefix = normalizeKey(text);
+  if (!prefix) return [];
+
+  const index = await getSuggestIndex();
+  const matched = new Set();
+  for (let i = lowerBound(index.keys, prefix); i < index.keys.length && index.keys[i][0].startsWith(prefix); i++) {
+    matched.add(index.keys[i][1]);
+  }
+
+  return Array.from(matched, i => index.entries[i])
+    .filter(entry => !type || entry.type === type)
+    .sort((a, b) => b.weight - a.weight || a.text.length - b.text.length || (a.text < b.text ? -1 : 1))
+    .slice(0, limit)
+    .map(entry => ({
+      text: entry.text,
+      type: entry.type,
+      bookId: entry.type === 'title' ? entry.bookId : null,
+      bookCount: entry.bookCount,
+      borrowCount: entry.weight
+    }));
+}
+
+module.exports = {
+  SUGGEST_TYPES,
+  normalizeKey,
+  buildKeys,
+  findByKey,
+  getSuggestIndex,
+  invalidateSuggestIndex,
+  suggest
+};
@@ -0,0 +1,70 @@
+// lib/synonyms.js - 检索同义词扩展（同义词表见 data/search-synonyms.json）
+const path = require('path');
+const { toSimplified } = require('./chinese');
+
+// 同义词表文件路径
+const synonymsDataPath = path.join(__dirname, '..', 'data', 'search-synonyms.json');
+const synonymsData = require(synonymsDataPath);
+
+// 一次检索最多扩展出的检索式数量（多个词都有同义词时按组合展开）
+const MAX_ALTERNATIVES = 8;
+
+function escapePattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeTerm(term) {
+  return toSimplified(String(term)).toLowerCase().trim();
+}
+
+/**
+ * 同义词组（已转为简体小写）
+ * 每项：{ term, pattern, synonyms }；英文和数字按整词匹配（前后不能紧接字母或数字，可紧接汉字），中文按包含匹配
+ */
+const synonymEntries = (synonymsData.groups || []).flatMap((group) => {
+  const terms = [...new Set(group.map(normalizeTerm).filter(Boolean))];
+  return terms.map(term => ({
+    term,
+    pattern: /\p{Script=Han}/u.test(term)
+      ? new RegExp(escapePattern(term), 'g')
+      : new RegExp(`(?<![a-z0-9])${escapePattern(term)}(?![a-z0-9])`, 'g'),
+    synonyms: terms.filter(other => other !== term)
+  }));
+});
+
+/**
+ * 同义词扩展
+ * 关键词中出现同义词表中的词时，把它替换为同组的其他词，得到若干备选检索式
+ * 匹配到的词互相包含时只扩展较长的词（“第二次世界大战”中不再单独扩展“世界大战”之类的短词）
+ * @param {string} keyword - 检索关键词
+ * @returns {{alternatives: string[], expandedTerms: Array<{term: string, synonyms: string[]}>}}
+ *          alternatives 不含原关键词
+ */
+function expandSynonyms(keyword) {
+  const normalized = normalizeTerm(keyword || '');
+  const result = { alternatives: [], expandedTerms: [] };
+  if (!normalized) return result;
+
+  const matched = synonymEntries
+    .filter(entry => normalized.match(entry.pattern))
+    .sort((a, b) => b.term.length - a.term.length)
+    .filter((entry, i, list) => !list.slice(0, i).some(longer => longer.term.includes(entry.term)));
+
+  let alternatives = [normalized];
+  for (const entry of matched) {
+    result.expandedTerms.push({ term: entry.term, synonyms: entry.synonyms });
+    alternatives = alternatives.flatMap(text => [
+      text,
+      ...entry.synonyms.map(synonym => text.replace(entry.pattern, synonym))
+    ]);
+  }
+
+  result.alternatives = [...new Set(alternatives)]
+    .filter(text => text !== normalized)
+    .slice(0, MAX_ALTERNATIVES);
+  return result;
+}
+
+module.exports = {
+  expandSynonyms
+};
@@ -0,0 +1,73 @@
+// lib/users.js - 读者身份模块（用户标识查询条件、状态缓存、请求与业务错误）
+const { cacheManager } = require('./database');
+
+/**
+ * 请求错误（携带错误码和HTTP状态码），参数校验、检索语法等与具体业务无关的错误直接使用
+ * 各业务错误都继承它，接口统一按 instanceof RequestError 返回 statusCode 和 code，其他错误按500处理
+ */
+class RequestError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 借阅业务错误
+ */
+class BorrowError extends RequestError {
+  constructor(message, code, statusCode = 400) {
+    super(message, code, statusCode);
+    this.name = 'BorrowError';
+  }
+}
+
+/**
+ * 认证错误（缺少或无效的登录凭证，默认HTTP 401）
+ */
+class AuthError extends RequestError {
+  constructor(message, code = 'UNAUTHORIZED', statusCode = 401) {
+    super(message, code, statusCode);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * 根据用户标识构建查询条件（与 api/users/status.js 一致）
+ * @param {Object} identity - { userId, studentId, openid }
+ * @returns {Object|null} 查询条件，缺少标识时返回null
+ */
+function buildUserQuery(identity = {}) {
+  const { userId, studentId, openid } = identity;
+  if (!userId && !studentId && !openid) return null;
+
+  const userQuery = {};
+  if (userId) userQuery.userId = userId;
+  if (studentId) userQuery.studentId = studentId;
+  if (openid) userQuery.openid = openid;
+  return userQuery;
+}
+
+/**
+ * 清除用户状态缓存（含个性化推荐）
+ * @param {Object} identity - { userId, studentId, openid }
+ */
+function clearUserStatusCache(identity = {}) {
+  const { userId, studentId, openid } = identity;
+  [userId, studentId, openid]
+    .filter(Boolean)
+    .forEach((id) => {
+      cacheManager.delete(`user_status_${id}`);
+      cacheManager.delete(`user_feed_${id}`);
+    });
+}
+
+module.exports = {
+  RequestError,
+  BorrowError,
+  AuthError,
+  buildUserQuery,
+  clearUserStatusCache
+};
@@ -0,0 +1,149 @@
+// lib/wechat.js - 微信小程序登录模块（code2session 可插拔提供方）
+const crypto = require('crypto');
+const { AuthError } = require('./users');
+
+/**
+ * 登录提供方接口
+ * code2Session(code) -> { openid, unionid }
+ *   code 为小程序端 wx.login 获取的临时登录凭证；凭证无效时抛出 AuthError
+ */
+
+const CODE2SESSION_URL = 'https://api.weixin.qq.com/sns/jscode2session';
+
+// 微信接口返回的凭证错误码：40029 code无效，40163 code已被使用，40226 高风险用户
+const INVALID_CODE_ERRORS = [40029, 40163, 40226];
+
+/**
+ * 是否开启本地开发认证（AUTH_DEV_MODE=1，生产环境无效）：允许使用开发令牌密钥和登录替身
+ * 默认关闭，未明确开启的预览、测试部署同样要求真实的密钥和微信登录
+ */
+function isAuthDevMode() {
+  return process.env.AUTH_DEV_MODE === '1' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * 微信官方接口：调用 jscode2session（需要 WECHAT_APPID、WECHAT_SECRET）
+ */
+function createWechatHttpProvider() {
+  const appid = process.env.WECHAT_APPID;
+  const secret = process.env.WECHAT_SECRET;
+  const timeoutMs = parseInt(process.env.WECHAT_TIMEOUT_MS) || 5000;
+
+  return {
+    name: 'wechat',
+
+    async code2Session(code) {
+      if (!appid || !secret) {
+        throw new Error('未配置 WECHAT_APPID 或 WECHAT_SECRET');
+      }
+
+      const url = `${CODE2SESSION_URL}?${new URLSearchParams({
+        appid,
+        secret,
+        js_code: code,
+        grant_type: 'authorization_code'
+      })}`;
+
+      const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+      if (!response.ok) {
+        throw new Error(`code2session 请求失败: HTTP ${response.status}`);
+      }
+
+      const result = await response.json();
+      if (result.errcode) {
+        if (INVALID_CODE_ERRORS.includes(result.errcode)) {
+          throw new AuthError('登录凭证无效或已过期，请重新登录', 'INVALID_CODE');
+        }
+        throw new Error(`code2session 返回错误: ${result.errcode} ${result.errmsg || ''}`);
+      }
+
+      return { openid: result.openid, unionid: result.unionid || null };
+    }
+  };
+}
+
+/**
+ * 微信云开发：在云函数环境中由 wx-server-sdk 直接提供调用方身份，无需 code 换取
+ */
+function createWxCloudProvider() {
+  const cloud = require('wx-server-sdk');
+  cloud.init({ env: cloud.DYNAMIC_CURRENT_ENV });
+
+  return {
+    name: 'wx-cloud',
+
+    async code2Session() {
+      const { OPENID, UNIONID } = cloud.getWXContext();
+      if (!OPENID) {
+        throw new AuthError('无法获取微信用户身份', 'INVALID_CODE');
+      }
+      return { openid: OPENID, unionid: UNIONID || null };
+    }
+  };
+}
+
+/**
+ * 本地替身：同一个 code 总是得到同一个 openid，便于本地联调
+ * 任何 code 都能登录，只在 AUTH_DEV_MODE=1 时可用
+ */
+function createWechatMockProvider() {
+  if (!isAuthDevMode()) {
+    throw new Error('微信登录替身只能在本地开发中使用（AUTH_DEV_MODE=1，非生产环境）');
+  }
+
+  return {
+    name: 'wechat-mock',
+
+    async code2Session(code) {
+      const digest = crypto.createHash('sha256').update(String(code)).digest('hex');
+      console.log(`🔑 [微信登录替身] code2session: ${code}`);
+      return { openid: `mock_${digest.slice(0, 24)}`, unionid: null };
+    }
+  };
+}
+
+// 已注册的登录提供方
+const providers = {
+  'wechat': createWechatHttpProvider,
+  'wx-cloud': createWxCloudProvider,
+  'wechat-mock': createWechatMockProvider
+};
+
+const providerInstances = new Map();
+
+/**
+ * 注册登录提供方
+ * @param {string} name - 提供方名称
+ * @param {Function} factory - 返回提供方实例的工厂函数
+ */
+function registerSessionProvider(name, factory) {
+  providers[name] = factory;
+  providerInstances.delete(name);
+}
+
+/**
+ * 默认登录提供方：WECHAT_LOGIN_PROVIDER 优先，否则使用微信官方接口（本地替身须明确指定）
+ */
+function getDefaultProviderName() {
+  return process.env.WECHAT_LOGIN_PROVIDER || 'wechat';
+}
+
+/**
+ * 获取登录提供方
+ * @param {string} [name] - 提供方名称
+ */
+function getSessionProvider(name = getDefaultProviderName()) {
+  if (!providers[name]) {
+    throw new Error(`未知的登录提供方: ${name}`);
+  }
+  if (!providerInstances.has(name)) {
+    providerInstances.set(name, providers[name]());
+  }
+  return providerInstances.get(name);
+}
+
+module.exports = {
+  isAuthDevMode,
+  registerSessionProvider,
+  getSessionProvider
+};
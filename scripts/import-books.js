@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+// scripts/import-books.js - 本地批量导入馆藏（与 /api/admin/books/import 使用相同的导入流程）
+//
+// 用法：
+//   node scripts/import-books.js <文件> [--format=csv|json|marc|marcxml] [--commit] [--report=报告.json]
+//
+// 默认只输出差异报告，确认无误后加 --commit 写入。需要设置 MONGODB_URI。
+const fs = require('fs');
+const os = require('os');
+const { closeConnection } = require('../lib/database');
+const { importCatalog } = require('../lib/catalogImport');
+
+function parseArgs(argv) {
+  const options = { file: null, format: undefined, commit: false, report: null };
+  argv.forEach(arg => {
+    if (arg === '--commit') {
+      options.commit = true;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('--report=')) {
+      options.report = arg.slice('--report='.length);
+    } else if (!arg.startsWith('--')) {
+      options.file = arg;
+    } else {
+      throw new Error(`未知参数: ${arg}`);
+    }
+  });
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.file) {
+    console.error('用法: node scripts/import-books.js <文件> [--format=csv|json|marc|marcxml] [--commit] [--report=报告.json]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const content = fs.readFileSync(options.file);
+  const operator = { openid: `script:${os.userInfo().username}` };
+
+  const report = await importCatalog(content, {
+    format: options.format,
+    dryRun: !options.commit,
+    operator,
+    // 本地运行时报告不截断
+    maxReportRows: Infinity
+  });
+
+  if (options.report) {
+    fs.writeFileSync(options.report, JSON.stringify(report, null, 2));
+    console.log(`📝 报告已写入 ${options.report}`);
+  } else {
+    report.rows.forEach(row => {
+      const detail = row.reason
+        || (row.errors && row.errors.map(error => `${error.field || ''} ${error.message}`).join('；'))
+        || (row.changes && Object.keys(row.changes).join(','))
+        || '';
+      console.log(`第${row.row}行\t${row.action}\t${row.acno || row.isbn}\t${row.title}\t${detail}`);
+    });
+  }
+
+  console.log(`📊 格式 ${report.format}，共 ${report.summary.total} 行：新增 ${report.summary.new}，更新 ${report.summary.updated}，` +
+    `无变化 ${report.summary.unchanged}，冲突 ${report.summary.conflict}，无效 ${report.summary.invalid}`);
+  if (report.ignoredColumns.length > 0) {
+    console.log(`⚠️ 未识别的列: ${report.ignoredColumns.join(', ')}`);
+  }
+
+  if (options.commit) {
+    console.log(`✅ 已写入：新增 ${report.inserted} 本，更新 ${report.updated} 本`);
+  } else {
+    console.log('ℹ️ 预览模式，未写入数据库。确认后加 --commit 执行导入');
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ 导入失败:', error.details || error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeConnection());
@@ -0,0 +1,15 @@
+#!/usr/bin/env node
+// scripts/init-database.js - 初始化数据库：创建集合和索引（含图书文本索引），补齐缺少或版本过旧的 searchIndex
+//
+// 用法：
+//   node scripts/init-database.js
+//
+// 接口运行时不会建索引，首次部署和每次升级后运行一次；可以重复运行。需要设置 MONGODB_URI。
+const { initializeDatabase, closeConnection } = require('../lib/database');
+
+initializeDatabase()
+  .catch(() => {
+    // 错误已由 initializeDatabase 输出
+    process.exitCode = 1;
+  })
+  .finally(() => closeConnection());
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// scripts/rebuild-search-index.js - 建立图书文本索引并补齐检索字段（searchIndex）
+//
+// 用法：
+//   node scripts/rebuild-search-index.js [--all]
+//
+// 默认只处理缺少检索字段或版本过旧的图书，--all 重建全部。需要设置 MONGODB_URI。
+const { getCollection, closeConnection } = require('../lib/database');
+const { ensureSearchIndex } = require('../lib/bookSearch');
+
+async function main() {
+  const booksCollection = await getCollection('books');
+  const updated = await ensureSearchIndex(booksCollection, { rebuild: process.argv.includes('--all') });
+  console.log(`✅ 文本索引已就绪，更新检索字段 ${updated} 本`);
+}
+
+main()
+  .catch(error => {
+    console.error('❌ 重建检索索引失败:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closeConnection());
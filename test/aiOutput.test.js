@@ -0,0 +1,100 @@
+// test/aiOutput.test.js - 大模型结构化输出测试（提取JSON、结构校验、核对馆藏）
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJson, validateAIOutput, groundBookReferences } = require('../lib/aiOutput');
+
+const CANDIDATES = [
+  { id: '1', title: '三体Ⅱ：黑暗森林', author: '刘慈欣' },
+  { id: '2', title: '百年孤独（典藏版）', author: '[哥伦比亚] 加西亚·马尔克斯 著' },
+  { id: '3', title: '射雕英雄传', author: '金庸、古龙' }
+];
+
+function ground(ref) {
+  return groundBookReferences([ref], CANDIDATES, 'recommendations');
+}
+
+test('extractJson：去掉代码块和前后说明文字', () => {
+  assert.deepEqual(extractJson('推荐如下：\n```json\n{"a": 1}\n```\n希望对您有帮助'), { a: 1 });
+  assert.deepEqual(extractJson('好的：{"a": "}"} 以上'), { a: '}' });
+  assert.deepEqual(extractJson('[{"id": "1"}]'), [{ id: '1' }]);
+});
+
+test('extractJson：回复被截断时保留最后一个完整的值', () => {
+  assert.deepEqual(extractJson('{"a": [1, 2, {"b": "x"}], "c": "被截'), { a: [1, 2, { b: 'x' }] });
+  assert.deepEqual(extractJson('```json\n{"items": [{"id": "1"}, {"id": "2"'), { items: [{ id: '1' }] });
+});
+
+test('extractJson：没有 JSON 时抛出 SyntaxError', () => {
+  assert.throws(() => extractJson('抱歉，我无法回答'), SyntaxError);
+  assert.throws(() => extractJson(''), SyntaxError);
+  assert.throws(() => extractJson('{"a'), SyntaxError);
+});
+
+test('validateAIOutput：必填、长度、取值、类型，未声明的字段丢弃', () => {
+  const schema = {
+    type: 'object',
+    fields: {
+      name: { type: 'string', required: true, maxLength: 5 },
+      kind: { type: 'string', values: ['a', 'b'] },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+    }
+  };
+
+  const valid = validateAIOutput(schema, { name: ' 三体 ', kind: 'a', tags: ['x', 7], extra: true });
+  assert.deepEqual(valid, { value: { name: '三体', kind: 'a', tags: ['x', '7'] }, errors: [] });
+
+  const invalid = validateAIOutput(schema, { name: '   ', kind: 'c', tags: ['x', 'y', {}] });
+  assert.deepEqual(invalid.errors.map(error => error.field), ['name', 'kind', 'tags', 'tags[2]']);
+
+  assert.deepEqual(validateAIOutput(schema, {}).errors, [{ field: 'name', message: '必填' }]);
+  assert.deepEqual(validateAIOutput(schema, '三体').errors, [{ field: '(根)', message: '必须为对象' }]);
+});
+
+test('validateAIOutput：按名称使用 AI_OUTPUT_SCHEMAS', () => {
+  const { value, errors } = validateAIOutput('recommendation', {
+    summary: '推荐',
+    recommendations: [{ id: '1', reason: '科幻' }, { title: '缺少ID' }]
+  });
+  assert.equal(value.recommendations[0].id, '1');
+  assert.deepEqual(errors.map(error => error.field), ['recommendations[1].id', 'recommendations[1].reason']);
+});
+
+test('groundBookReferences：题名、作者与馆藏一致（可省略副标题、版次、国籍和著作方式，不区分繁简）', () => {
+  [
+    { id: '1', title: '三体Ⅱ' },
+    { id: '1', title: '三體Ⅱ：黑暗森林', author: '劉慈欣' },
+    { id: '2', title: '百年孤独', author: '加西亚·马尔克斯' },
+    { id: '2', author: '马尔克斯' },
+    { id: '3', author: '金庸 著' }
+  ].forEach(ref => {
+    const { items, errors } = ground(ref);
+    assert.deepEqual(errors, [], JSON.stringify(ref));
+    assert.equal(items[0].book.id, ref.id);
+  });
+});
+
+test('groundBookReferences：一两个字、空值或其他书的题名作者不算一致', () => {
+  [
+    [{ id: '1', title: '三' }, 'recommendations[0].title'],
+    [{ id: '1', title: '三体' }, 'recommendations[0].title'],
+    [{ id: '1', title: '' }, 'recommendations[0].title'],
+    [{ id: '1', title: '《》' }, 'recommendations[0].title'],
+    [{ id: '2', title: '百年孤独', author: '马' }, 'recommendations[0].author'],
+    [{ id: '3', author: '' }, 'recommendations[0].author'],
+    [{ id: '3', author: '金庸、梁羽生' }, 'recommendations[0].author']
+  ].forEach(([ref, field]) => {
+    const { items, errors } = ground(ref);
+    assert.equal(items.length, 0, JSON.stringify(ref));
+    assert.deepEqual(errors.map(error => error.field), [field], JSON.stringify(ref));
+  });
+});
+
+test('groundBookReferences：ID 不在候选图书中或重复时去掉', () => {
+  const { items, errors } = groundBookReferences(
+    [{ id: '9' }, { id: '1' }, { id: '1' }],
+    CANDIDATES,
+    'recommendations'
+  );
+  assert.deepEqual(items.map(item => item.book.id), ['1']);
+  assert.deepEqual(errors.map(error => error.field), ['recommendations[0].id', 'recommendations[2].id']);
+});
@@ -0,0 +1,142 @@
+// test/bookSearch.test.js - 图书检索测试（中文切分、检索字段、文本索引的建立与补齐、相关度、多选筛选和分面统计；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection } = require('../lib/database');
+const {
+  SEARCH_INDEX_VERSION,
+  TEXT_INDEX_NAME,
+  segmentText,
+  buildSearchIndex,
+  buildTextSearch,
+  buildSearchFilter,
+  buildRelevanceStages,
+  buildFacetPipelines,
+  formatFacets,
+  parseMultiValue,
+  ensureSearchIndex
+} = require('../lib/bookSearch');
+
+function search(booksCollection, keyword, { textIndex = true } = {}) {
+  return booksCollection.aggregate([
+    { $match: buildSearchFilter({ q: keyword }, { textIndex }) },
+    ...buildRelevanceStages(keyword, { textIndex }),
+    { $sort: { score: -1, _id: 1 } }
+  ]).toArray();
+}
+
+test.before(() => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+});
+
+test('segmentText：中文切成两字组合（建索引时另加单字），繁体转简体，英文数字保持原样', () => {
+  assert.deepEqual(segmentText('三体II'), ['三体', 'ii']);
+  assert.deepEqual(segmentText('黑暗森林'), ['黑暗', '暗森', '森林']);
+  assert.deepEqual(segmentText('體'), ['体']);
+  assert.deepEqual(segmentText('三體', { forIndex: true }), ['三', '体', '三体']);
+  assert.deepEqual(segmentText('C++ 编程'), ['c', '编程']);
+});
+
+test('buildSearchIndex 和 buildTextSearch 使用同样的切分，带连字符的 ISBN 补充紧凑形式', () => {
+  const index = buildSearchIndex({ title: '三体', author: '刘慈欣', tags: ['科幻'], acno: 'A001', isbn: '9787536692930' });
+  assert.equal(index.title, '三 体 三体');
+  assert.equal(index.subject, '科 幻 科幻');
+  assert.equal(index.codes, 'a001 9787536692930');
+  assert.equal(index.version, SEARCH_INDEX_VERSION);
+
+  assert.equal(buildTextSearch('三体 刘慈欣'), '三体 刘慈 慈欣');
+  assert.equal(buildTextSearch('978-7-5366-9293-0'), '978 7 5366 9293 0 9787536692930');
+});
+
+test('buildSearchFilter：有文本索引时用 $text，没有时改用正则，默认排除已下架', () => {
+  const withIndex = buildSearchFilter({ q: '三体', synonyms: 'false' });
+  assert.deepEqual(withIndex.$text, { $search: '三体' });
+  assert.deepEqual(withIndex.status, { $ne: 'withdrawn' });
+
+  const withoutIndex = buildSearchFilter({ q: '三体', synonyms: 'false' }, { textIndex: false });
+  assert.equal(withoutIndex.$text, undefined);
+  assert.deepEqual(withoutIndex.$or.map(clause => Object.keys(clause)[0]),
+    ['title', 'author', 'publisher', 'subject', 'callno', 'acno']);
+  assert.ok(withoutIndex.$or[0].title.test('三體'));
+});
+
+test('ensureSearchIndex：替换旧文本索引并补齐检索字段，之后 $text 检索按相关度排序', async () => {
+  const booksCollection = await getCollection('books');
+  await booksCollection.createIndex({ title: 'text', author: 'text' }, { name: 'title_text_author_text' });
+  await booksCollection.insertMany([
+    { title: '三体', author: '刘慈欣', acno: 'S001', isbn: '9787536692930', borrowCount: 1, status: 'available' },
+    { title: '三体与宇宙', author: '某作者', acno: 'S002', borrowCount: 100, status: 'available' },
+    { title: '球状闪电', author: '刘慈欣', acno: 'S003', status: 'withdrawn' },
+    {
+      title: '时间简史',
+      author: '霍金',
+      acno: 'S004',
+      status: 'available',
+      searchIndex: buildSearchIndex({ title: '时间简史', author: '霍金', acno: 'S004' })
+    }
+  ]);
+
+  assert.equal(await ensureSearchIndex(booksCollection), 3);
+  const indexes = await booksCollection.indexes();
+  assert.deepEqual(indexes.filter(index => Object.values(index.key).includes('text')).map(index => index.name),
+    [TEXT_INDEX_NAME]);
+  assert.equal(await ensureSearchIndex(booksCollection), 0);
+  assert.equal(await ensureSearchIndex(booksCollection, { rebuild: true }), 4);
+
+  // 已下架的图书不出现；没有 searchIndex 的旧图书补齐后可以检索到
+  const results = await search(booksCollection, '三体');
+  assert.deepEqual(results.map(book => book.acno).sort(), ['S001', 'S002']);
+
+  const byIsbn = await search(booksCollection, '978-7-5366-9293-0');
+  assert.equal(byIsbn[0].acno, 'S001');
+  assert.ok(byIsbn[0].exactBoost > 0);
+
+  const byAuthor = await search(booksCollection, '劉慈欣');
+  assert.deepEqual(byAuthor.map(book => book.acno), ['S001']);
+});
+
+test('多选筛选：逗号（中英文）分隔或重复参数，同一参数的取值之间为“或”', () => {
+  assert.deepEqual(parseMultiValue('文学, 历史，文学'), ['文学', '历史']);
+  assert.deepEqual(parseMultiValue(['文学', '历史,哲学', 3]), ['文学', '历史', '哲学']);
+  assert.deepEqual(parseMultiValue(undefined), []);
+
+  const filter = buildSearchFilter({ category: '文学', language: '中文,英文', status: 'available', decade: '1990,199x' });
+  assert.equal(filter.category, '文学');
+  assert.deepEqual(filter.language, { $in: ['中文', '英文'] });
+  assert.equal(filter.status, 'available');
+  assert.deepEqual(filter.publishDate, { $in: [/^199\d/] });
+});
+
+test('分面统计：按分类、语言、状态、出版社（前10）和出版年代计数，去掉空值', async () => {
+  const booksCollection = await getCollection('books');
+  const books = Array.from({ length: 12 }, (_, index) => ({
+    title: `分面测试${index}`,
+    acno: `F${index}`,
+    category: index < 8 ? '分面文学' : '分面历史',
+    language: index % 2 === 0 ? '中文' : '',
+    publisher: `出版社${index}`,
+    publishDate: index < 3 ? 1996 + index : '2015-06',
+    status: index === 0 ? 'withdrawn' : 'available'
+  }));
+  books.push({ title: '分面测试同社', acno: 'F12', category: '分面历史', publisher: '出版社1', status: 'borrowed' });
+  await booksCollection.insertMany(books);
+
+  const [raw] = await booksCollection.aggregate([
+    { $match: buildSearchFilter({ category: '分面文学,分面历史' }) },
+    { $facet: buildFacetPipelines() }
+  ]).toArray();
+  const facets = formatFacets(raw);
+
+  assert.deepEqual(facets.category, [{ value: '分面文学', count: 7 }, { value: '分面历史', count: 5 }]);
+  assert.deepEqual(facets.language, [{ value: '中文', count: 5 }]);
+  assert.deepEqual(facets.status, [{ value: 'available', count: 11 }, { value: 'borrowed', count: 1 }]);
+  assert.equal(facets.publisher.length, 10);
+  assert.deepEqual(facets.publisher[0], { value: '出版社1', count: 2 });
+  assert.deepEqual(facets.decade, [
+    { value: '2010', label: '2010年代', count: 9 },
+    { value: '1990', label: '1990年代', count: 2 }
+  ]);
+});
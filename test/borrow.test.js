@@ -0,0 +1,170 @@
+// test/borrow.test.js - 借还书并发与幂等测试（使用内存数据库替身）
+// 内存替身的事务串行执行，并发用例只能验证结果；防止超借依赖的条件扣减由单独的用例直接断言
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection, initializeDatabase } = require('../lib/database');
+const { BorrowError, createBorrow, returnBorrow, findBook } = require('../lib/borrow');
+
+let sequence = 0;
+
+/**
+ * 新建一本图书（每个用例用自己的图书和读者，互不影响）
+ */
+async function createBook(copies = 1) {
+  sequence++;
+  const booksCollection = await getCollection('books');
+  const { insertedId } = await booksCollection.insertOne({
+    title: `测试图书${sequence}`,
+    author: '测试作者',
+    category: '文学',
+    acno: `T${sequence}`,
+    totalCopies: copies,
+    availableCopies: copies,
+    borrowCount: 0,
+    status: 'available'
+  });
+  return insertedId.toString();
+}
+
+async function createReader() {
+  sequence++;
+  const openid = `reader-${sequence}`;
+  const usersCollection = await getCollection('users');
+  await usersCollection.insertOne({ openid, patronType: 'undergraduate' });
+  return { openid };
+}
+
+async function findBookById(bookId) {
+  return findBook(await getCollection('books'), bookId);
+}
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  await initializeDatabase();
+});
+
+test('并发借最后一本：只有一位读者借到', async () => {
+  const bookId = await createBook(1);
+  const readers = await Promise.all([createReader(), createReader(), createReader()]);
+
+  const results = await Promise.allSettled(readers.map(reader => createBorrow(reader, bookId)));
+
+  const fulfilled = results.filter(result => result.status === 'fulfilled');
+  const rejected = results.filter(result => result.status === 'rejected');
+  assert.equal(fulfilled.length, 1);
+  assert.equal(rejected.length, 2);
+  rejected.forEach(({ reason }) => {
+    assert.ok(reason instanceof BorrowError);
+    assert.equal(reason.code, 'NO_AVAILABLE_COPIES');
+  });
+
+  const book = await findBookById(bookId);
+  assert.equal(book.availableCopies, 0);
+  assert.equal(book.status, 'borrowed');
+
+  const borrowsCollection = await getCollection('borrows');
+  assert.equal(await borrowsCollection.countDocuments({ bookId, status: 'borrowed' }), 1);
+});
+
+test('读取图书后最后一本被借走：按条件扣减失败，不会扣成负数', async t => {
+  const bookId = await createBook(1);
+  const reader = await createReader();
+  const booksCollection = await getCollection('books');
+  const collectionPrototype = Object.getPrototypeOf(booksCollection);
+  const findOneAndUpdate = collectionPrototype.findOneAndUpdate;
+
+  // 在本事务读取图书之后、扣减副本之前，模拟另一位读者借走最后一本
+  const filters = [];
+  t.mock.method(collectionPrototype, 'findOneAndUpdate', async function (filter, update, options) {
+    if (this.collectionName === 'books' && update.$inc && update.$inc.availableCopies === -1) {
+      filters.push(filter);
+      await this.updateOne({ _id: filter._id }, { $set: { availableCopies: 0 } });
+    }
+    return findOneAndUpdate.call(this, filter, update, options);
+  });
+
+  await assert.rejects(
+    createBorrow(reader, bookId),
+    error => error instanceof BorrowError && error.code === 'NO_AVAILABLE_COPIES'
+  );
+  assert.deepEqual(filters.map(filter => filter.availableCopies), [{ $gt: 0 }]);
+
+  const borrowsCollection = await getCollection('borrows');
+  assert.equal(await borrowsCollection.countDocuments({ openid: reader.openid }), 0);
+});
+
+test('相同幂等键重放：返回首次的借阅记录，不重复扣减副本', async () => {
+  const bookId = await createBook(2);
+  const reader = await createReader();
+
+  const first = await createBorrow(reader, bookId, { idempotencyKey: 'checkout-1' });
+  const replay = await createBorrow(reader, bookId, { idempotencyKey: 'checkout-1' });
+
+  assert.equal(first.replayed, false);
+  assert.equal(replay.replayed, true);
+  assert.equal(replay.record._id.toString(), first.record._id.toString());
+  assert.deepEqual(replay.record.dueDate, first.record.dueDate);
+
+  const book = await findBookById(bookId);
+  assert.equal(book.availableCopies, 1);
+
+  const borrowsCollection = await getCollection('borrows');
+  assert.equal(await borrowsCollection.countDocuments({ openid: reader.openid }), 1);
+});
+
+test('幂等键用于另一本书：拒绝请求', async () => {
+  const firstBookId = await createBook(1);
+  const secondBookId = await createBook(1);
+  const reader = await createReader();
+
+  await createBorrow(reader, firstBookId, { idempotencyKey: 'checkout-2' });
+
+  await assert.rejects(
+    createBorrow(reader, secondBookId, { idempotencyKey: 'checkout-2' }),
+    error => error instanceof BorrowError && error.code === 'IDEMPOTENCY_KEY_REUSED' && error.statusCode === 422
+  );
+
+  const book = await findBookById(secondBookId);
+  assert.equal(book.availableCopies, 1);
+});
+
+test('重复还书：第二次还书失败，副本只归还一次', async () => {
+  const bookId = await createBook(1);
+  const reader = await createReader();
+
+  const { record } = await createBorrow(reader, bookId);
+  const borrowId = record._id.toString();
+
+  const returned = await returnBorrow(reader, { borrowId });
+  assert.equal(returned.record.status, 'returned');
+
+  await assert.rejects(
+    returnBorrow(reader, { borrowId }),
+    error => error instanceof BorrowError && error.code === 'BORROW_NOT_FOUND'
+  );
+
+  const book = await findBookById(bookId);
+  assert.equal(book.availableCopies, 1);
+  assert.equal(book.status, 'available');
+});
+
+test('并发重复还书：只有一次成功', async () => {
+  const bookId = await createBook(1);
+  const reader = await createReader();
+
+  await createBorrow(reader, bookId);
+  const results = await Promise.allSettled([
+    returnBorrow(reader, { bookId }),
+    returnBorrow(reader, { bookId })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.code, 'BORROW_NOT_FOUND');
+
+  const book = await findBookById(bookId);
+  assert.equal(book.availableCopies, 1);
+});
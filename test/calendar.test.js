@@ -0,0 +1,40 @@
+// test/calendar.test.js - 图书馆日历测试（闭馆日顺延、配置年份检查）
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LAST_CONFIGURED_YEAR,
+  checkCalendarCoverage,
+  computeDueDate,
+  localTimeToDate,
+  toLocalDateString
+} = require('../lib/calendar');
+
+test('应还日遇闭馆日顺延到下一个开馆日', () => {
+  // 2027-02-06 农历年初一（周六），2027-02-08、02-09 闭馆，02-07 周日开馆
+  const dueDate = computeDueDate(localTimeToDate('2027-01-23', '10:00'), 14);
+  assert.equal(toLocalDateString(dueDate), '2027-02-07');
+
+  // 2027-02-08 起连续闭馆两天
+  const shifted = computeDueDate(localTimeToDate('2027-01-25', '10:00'), 14);
+  assert.equal(toLocalDateString(shifted), '2027-02-10');
+});
+
+test('到期时刻为当天闭馆时间', () => {
+  const dueDate = computeDueDate(localTimeToDate('2027-01-25', '10:00'), 14);
+  assert.deepEqual(dueDate, localTimeToDate('2027-02-10', '22:00'));
+});
+
+test('应还日超出已配置的年份时输出一次警告', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const outOfRange = `${LAST_CONFIGURED_YEAR + 1}-03-15`;
+
+  assert.equal(checkCalendarCoverage(`${LAST_CONFIGURED_YEAR}-12-31`), true);
+  assert.equal(warn.mock.callCount(), 0);
+
+  const dueDate = computeDueDate(localTimeToDate(`${LAST_CONFIGURED_YEAR + 1}-03-01`, '10:00'), 14);
+  assert.equal(toLocalDateString(dueDate), outOfRange);
+  assert.equal(warn.mock.callCount(), 1);
+
+  assert.equal(checkCalendarCoverage(outOfRange), false);
+  assert.equal(warn.mock.callCount(), 1);
+});
@@ -0,0 +1,115 @@
+// test/catalogExport.test.js - 馆藏导出测试（CSV、MARC21 导出后重新导入结果不变；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection, initializeDatabase } = require('../lib/database');
+const { parseCsv, formatCsvRow } = require('../lib/csv');
+const { CSV_EXPORT_COLUMNS, generateCatalogExport } = require('../lib/catalogExport');
+const { parseImportFile, importCatalog } = require('../lib/catalogImport');
+
+// 可导入的字段（status、availableCopies 等只读信息不参与比较）
+const BOOK = {
+  acno: 'EXP-1',
+  isbn: '9787536692930',
+  title: '三体：地球往事',
+  author: '刘慈欣',
+  publisher: '重庆出版社',
+  publishDate: '2008',
+  language: '中文',
+  callno: 'I247.55/L711',
+  location: '三楼东',
+  tags: ['科幻', '硬科幻'],
+  pages: 302,
+  price: 23.5,
+  totalCopies: 2,
+  description: '文革年代，"红岸"基地，\n一个秘密工程。'
+};
+
+/**
+ * 导出一本图书，返回完整的文件内容
+ */
+async function exportBook(acno, format) {
+  const chunks = [];
+  for await (const chunk of generateCatalogExport({ acno }, format)) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8'));
+  }
+  return Buffer.concat(chunks);
+}
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  await initializeDatabase();
+
+  const booksCollection = await getCollection('books');
+  await booksCollection.insertOne({
+    ...BOOK,
+    category: '文学',
+    subcategory: '科幻小说',
+    availableCopies: 1,
+    borrowCount: 5,
+    status: 'available',
+    createdAt: new Date('2024-03-01T00:00:00Z'),
+    updatedAt: new Date('2024-05-01T08:30:00Z')
+  });
+});
+
+test('formatCsvRow 生成的行经 parseCsv 解析后与原值一致', () => {
+  const values = ['a,b', '说"引号"', '第一行\r\n第二行', ' 首尾空白 ', '', null, 42];
+  const [row] = parseCsv(formatCsvRow(values));
+  assert.deepEqual(row.values, ['a,b', '说"引号"', '第一行\r\n第二行', ' 首尾空白 ', '', '', '42']);
+});
+
+test('CSV 导出：以 = + - @ 开头的值前加单引号，重新导入时去掉', async () => {
+  const book = {
+    acno: 'EXP-2',
+    title: '=HYPERLINK("http://example.com","点击")',
+    author: '@作者',
+    tags: ['+1', '-标签'],
+    description: '-号开头的简介'
+  };
+  const booksCollection = await getCollection('books');
+  await booksCollection.insertOne({ ...book, totalCopies: 1, availableCopies: 1, status: 'available' });
+
+  const content = await exportBook(book.acno, 'csv');
+  const [, row] = parseCsv(content.toString('utf8'));
+  assert.deepEqual(
+    ['title', 'author', 'tags', 'description'].map(column => row.values[CSV_EXPORT_COLUMNS.indexOf(column)]),
+    ['\'=HYPERLINK("http://example.com","点击")', "'@作者", "'+1;-标签", "'-号开头的简介"]
+  );
+
+  const { rows } = parseImportFile(content);
+  assert.equal(rows[0].input.title, book.title);
+  assert.equal(rows[0].input.author, book.author);
+  assert.deepEqual(rows[0].input.tags, book.tags);
+  assert.equal((await importCatalog(content)).summary.unchanged, 1);
+});
+
+test('CSV 导出：带 BOM，重新导入的字段与馆藏一致，只读列被忽略', async () => {
+  const content = await exportBook(BOOK.acno, 'csv');
+  assert.equal(content.toString('utf8').charCodeAt(0), 0xfeff);
+
+  const { format, rows, ignoredColumns } = parseImportFile(content);
+  assert.equal(format, 'csv');
+  assert.deepEqual(ignoredColumns, ['status', 'availableCopies', 'borrowCount']);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].input.description, BOOK.description);
+  assert.deepEqual(rows[0].input.tags, BOOK.tags);
+
+  const report = await importCatalog(content);
+  assert.deepEqual(report.summary, { total: 1, new: 0, updated: 0, unchanged: 1, conflict: 0, invalid: 0 });
+});
+
+test('MARC21 导出：ISO 2709 和 MARCXML 重新解析后字段与馆藏一致', async () => {
+  for (const format of ['marc', 'marcxml']) {
+    const content = await exportBook(BOOK.acno, format);
+    const { format: detected, rows } = parseImportFile(content);
+    assert.equal(detected, format);
+    assert.deepEqual(rows[0].input, BOOK, format);
+
+    const report = await importCatalog(content);
+    assert.equal(report.summary.unchanged, 1, format);
+  }
+});
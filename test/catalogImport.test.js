@@ -0,0 +1,131 @@
+// test/catalogImport.test.js - 馆藏批量导入测试（CSV 解析、格式识别、字段映射、差异报告与写入；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection, initializeDatabase } = require('../lib/database');
+const { parseCsv } = require('../lib/csv');
+const { detectFormat, parseImportFile, importCatalog } = require('../lib/catalogImport');
+
+const OPERATOR = { openid: 'import-admin' };
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  await initializeDatabase();
+});
+
+test('parseCsv：BOM、引号内的分隔符和换行、双引号转义，跳过空行并记录起始行号', () => {
+  const rows = parseCsv('﻿title,author\r\n"三体,全集","刘慈欣"\r\n\r\n"第一行\n第二行","说""引号"""\nx,\n');
+  assert.deepEqual(rows, [
+    { line: 1, values: ['title', 'author'] },
+    { line: 2, values: ['三体,全集', '刘慈欣'] },
+    { line: 4, values: ['第一行\n第二行', '说"引号"'] },
+    { line: 6, values: ['x', ''] }
+  ]);
+  assert.deepEqual(parseCsv('a;b', { delimiter: ';' }), [{ line: 1, values: ['a', 'b'] }]);
+});
+
+test('parseCsv：引号没有闭合时报出所在行', () => {
+  assert.throws(() => parseCsv('title\n"三体\n刘慈欣'), /第2行的引号没有闭合/);
+});
+
+test('detectFormat：按内容识别 CSV、JSON、MARCXML 和 ISO 2709', () => {
+  assert.equal(detectFormat('title,author\n三体,刘慈欣'), 'csv');
+  assert.equal(detectFormat('﻿  [{"title": "三体"}]'), 'json');
+  assert.equal(detectFormat({ books: [] }), 'json');
+  assert.equal(detectFormat(Buffer.from('<?xml version="1.0"?><collection/>')), 'marcxml');
+  assert.equal(detectFormat(Buffer.from('00120nam  2200049   4500')), 'marc');
+});
+
+test('parseImportFile：CSV 中文列名、标签拆分，未知列列入 ignoredColumns', () => {
+  const csv = '登录号,书名,作者,标签,复本数,备注\nA001,三体,刘慈欣,科幻；硬科幻| 雨果奖,2,馆员备注\nA002,,,,,\n';
+  const { format, rows, ignoredColumns } = parseImportFile(csv);
+
+  assert.equal(format, 'csv');
+  assert.deepEqual(ignoredColumns, ['备注']);
+  assert.deepEqual(rows, [
+    { row: 2, input: { acno: 'A001', title: '三体', author: '刘慈欣', tags: ['科幻', '硬科幻', '雨果奖'], totalCopies: '2' } },
+    { row: 3, input: { acno: 'A002' } }
+  ]);
+});
+
+test('parseImportFile：books.json 的 id、year、category 数组、keywords 映射为图书字段', () => {
+  const { format, rows, ignoredColumns } = parseImportFile(JSON.stringify({
+    books: [
+      { id: 7, title: '活着', year: 1993, category: ['文学', '小说'], keywords: ['余华'], rating: 9.4 },
+      '不是图书'
+    ]
+  }));
+
+  assert.equal(format, 'json');
+  assert.deepEqual(ignoredColumns, ['rating']);
+  assert.deepEqual(rows[0].input, {
+    title: '活着', acno: '7', publishDate: '1993', category: '文学', subcategory: '小说', tags: ['余华']
+  });
+  assert.deepEqual(rows[1], { row: 2, input: {}, error: '不是图书对象' });
+});
+
+test('parseImportFile：MARCXML 按 852 字段取登录号和册数', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<collection xmlns="http://www.loc.gov/MARC21/slim">
+  <record>
+    <leader>00000nam a2200000 i 4500</leader>
+    <datafield tag="020" ind1=" " ind2=" "><subfield code="a">9787536692930</subfield><subfield code="c">CNY23.00</subfield></datafield>
+    <datafield tag="245" ind1="1" ind2="0"><subfield code="a">三体 /</subfield><subfield code="c">刘慈欣著</subfield></datafield>
+    <datafield tag="100" ind1="1" ind2=" "><subfield code="a">刘慈欣,</subfield></datafield>
+    <datafield tag="852" ind1=" " ind2=" "><subfield code="b">三楼</subfield><subfield code="p">M001</subfield></datafield>
+    <datafield tag="852" ind1=" " ind2=" "><subfield code="b">三楼</subfield><subfield code="p">M002</subfield></datafield>
+  </record>
+</collection>`;
+  const { format, rows } = parseImportFile(xml);
+
+  assert.equal(format, 'marcxml');
+  assert.deepEqual(rows[0].input, {
+    acno: 'M001', isbn: '9787536692930', title: '三体', author: '刘慈欣', location: '三楼', price: 23, totalCopies: 2
+  });
+});
+
+test('parseImportFile：不支持的格式和解析失败抛出 ValidationError', () => {
+  assert.throws(() => parseImportFile('a,b', 'xlsx'), error => error.code === 'VALIDATION_ERROR');
+  assert.throws(
+    () => parseImportFile('title\n"三体', 'csv'),
+    error => error.details[0].message === 'csv 文件解析失败: 第2行的引号没有闭合'
+  );
+});
+
+test('importCatalog：默认只生成差异报告，写入后再次导入为未变化或更新', async () => {
+  const csv = [
+    'acno,title,author,isbn',
+    'IMP-1,导入测试图书一,作者甲,9787020002207',
+    'IMP-2,导入测试图书二,作者乙,',
+    'IMP-2,重复的行,作者乙,',
+    ',缺少登录号,作者丙,',
+    'IMP-3,,作者丁,'
+  ].join('\n');
+  const booksCollection = await getCollection('books');
+
+  const preview = await importCatalog(csv);
+  assert.equal(preview.dryRun, true);
+  assert.deepEqual(preview.summary, { total: 5, new: 2, updated: 0, unchanged: 0, conflict: 1, invalid: 2 });
+  assert.deepEqual(preview.rows.map(row => [row.row, row.action]), [
+    [2, 'new'], [3, 'new'], [4, 'conflict'], [5, 'invalid'], [6, 'invalid']
+  ]);
+  assert.equal(await booksCollection.countDocuments({ acno: { $in: ['IMP-1', 'IMP-2'] } }), 0);
+
+  const applied = await importCatalog(csv, { dryRun: false, operator: OPERATOR });
+  assert.equal(applied.inserted, 2);
+  const book = await booksCollection.findOne({ acno: 'IMP-1' });
+  assert.equal(book.availableCopies, 1);
+  assert.equal(book.createdBy, OPERATOR.openid);
+  assert.ok(book.searchIndex);
+
+  const again = await importCatalog('acno,title,author\nIMP-1,导入测试图书一,作者甲\nIMP-2,导入测试图书二（修订版）,作者乙\n', {
+    dryRun: false,
+    operator: OPERATOR
+  });
+  assert.deepEqual([again.summary.unchanged, again.summary.updated, again.inserted, again.updated], [1, 1, 0, 1]);
+  assert.deepEqual(again.rows[0].changes, { title: { from: '导入测试图书二', to: '导入测试图书二（修订版）' } });
+  assert.equal((await booksCollection.findOne({ acno: 'IMP-2' })).title, '导入测试图书二（修订版）');
+});
@@ -0,0 +1,146 @@
+// test/chat.test.js - 馆员对话测试（预约意图、两步预约确认、超时降级；使用内存数据库替身和大模型本地替身）
+process.env.MONGODB_URI = 'memory://';
+process.env.LLM_PROVIDER = 'mock';
+process.env.CHAT_TIME_BUDGET_MS = '300';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection, initializeDatabase } = require('../lib/database');
+const { registerMockResponder } = require('../lib/llm');
+const { buildSearchIndex } = require('../lib/bookSearch');
+const { hasHoldIntent, sendChatMessage } = require('../lib/chat');
+
+// 每个用例设置自己的模型回复：({ messages }) => 对象或 Promise
+let respond = null;
+
+let sequence = 0;
+
+async function createBook(fields = {}) {
+  sequence++;
+  const book = {
+    title: `对话测试图书${sequence}`,
+    author: '测试作者',
+    category: '文学',
+    acno: `C${sequence}`,
+    totalCopies: 1,
+    availableCopies: 0,
+    borrowCount: 0,
+    status: 'borrowed',
+    ...fields
+  };
+  const booksCollection = await getCollection('books');
+  const { insertedId } = await booksCollection.insertOne({ ...book, searchIndex: buildSearchIndex(book) });
+  return insertedId.toString();
+}
+
+function createReader() {
+  sequence++;
+  return { openid: `chat-reader-${sequence}` };
+}
+
+/**
+ * 模型依次调用 place_hold 和回答读者
+ */
+function holdThenReply(bookId) {
+  return ({ messages }) => {
+    const last = messages[messages.length - 1].content;
+    if (last.startsWith('工具 place_hold 的结果')) {
+      return { reply: '这本书目前没有可借副本，可以为您预约。', bookIds: [bookId] };
+    }
+    return { tool: { name: 'place_hold', arguments: { bookId } } };
+  };
+}
+
+async function countHolds(reader) {
+  const holdsCollection = await getCollection('holds');
+  return holdsCollection.countDocuments({ openid: reader.openid });
+}
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  await initializeDatabase();
+  registerMockResponder('chat', async request => JSON.stringify(await respond(request)));
+});
+
+test('预约意图：肯定和正反问算，否定和取消不算', () => {
+  [
+    '帮我预约这本书',
+    '能不能帮我预约这本书',
+    '可不可以预约',
+    'Please reserve it',
+    'Do you know how to reserve it?',
+    'I have nothing else to read, please put a hold on it'
+  ].forEach(message => assert.equal(hasHoldIntent(message), true, message));
+
+  [
+    '不要预约',
+    '不用预约了，我先借别的',
+    '别预约',
+    '取消预约',
+    "don't reserve it",
+    'I do not want to reserve it',
+    'no hold please',
+    '这本书还有吗'
+  ].forEach(message => assert.equal(hasHoldIntent(message), false, message));
+});
+
+test('两步预约：读者确认后才提交', async () => {
+  const bookId = await createBook();
+  const reader = createReader();
+  respond = holdThenReply(bookId);
+
+  const first = await sendChatMessage(reader, { message: '能不能帮我预约这本书' });
+  assert.equal(first.pendingHold.bookId, bookId);
+  assert.match(first.pendingHold.title, /^对话测试图书/);
+  assert.match(first.reply, /回复“确认”即为您预约/);
+  assert.equal(await countHolds(reader), 0);
+
+  respond = () => assert.fail('确认预约不应调用模型');
+  const second = await sendChatMessage(reader, { sessionId: first.sessionId, message: '确认' });
+  assert.match(second.reply, /已为您预约/);
+  assert.deepEqual(second.toolCalls.map(call => [call.name, call.ok]), [['place_hold', true]]);
+  assert.equal(second.pendingHold, null);
+  assert.equal(await countHolds(reader), 1);
+});
+
+test('两步预约：读者回复其他内容时作废', async () => {
+  const bookId = await createBook();
+  const reader = createReader();
+  respond = holdThenReply(bookId);
+
+  const first = await sendChatMessage(reader, { message: '帮我预约这本书' });
+  assert.equal(first.pendingHold.bookId, bookId);
+
+  respond = () => ({ reply: '好的，不为您预约。', bookIds: [] });
+  const second = await sendChatMessage(reader, { sessionId: first.sessionId, message: '算了，再看看别的' });
+  assert.equal(second.pendingHold, null);
+
+  const third = await sendChatMessage(reader, { sessionId: first.sessionId, message: '确认' });
+  assert.equal(third.toolCalls.length, 0);
+  assert.equal(await countHolds(reader), 0);
+});
+
+test('读者没有要求预约时 place_hold 不生成待确认的预约', async () => {
+  const bookId = await createBook();
+  const reader = createReader();
+  respond = holdThenReply(bookId);
+
+  const result = await sendChatMessage(reader, { message: '不用预约，这本书什么时候能还回来？' });
+  assert.deepEqual(result.toolCalls.map(call => [call.name, call.ok]), [['place_hold', false]]);
+  assert.equal(result.pendingHold, null);
+  assert.doesNotMatch(result.reply, /回复“确认”/);
+});
+
+test('模型超过时限时改用检索结果回复', async () => {
+  const bookId = await createBook({ title: '深海潜航指南', availableCopies: 1, status: 'available' });
+  const reader = createReader();
+  respond = () => new Promise(resolve => setTimeout(() => resolve({ reply: '太迟了', bookIds: [] }), 1000));
+
+  const startedAt = Date.now();
+  const result = await sendChatMessage(reader, { message: '深海潜航指南' });
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.match(result.reply, /为您找到以下馆藏：《深海潜航指南》/);
+  assert.deepEqual(result.books.map(book => book.id), [bookId]);
+});
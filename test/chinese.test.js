@@ -0,0 +1,66 @@
+// test/chinese.test.js - 繁简转换测试（OpenCC 词组转换、繁简通配正则、客户端字形偏好）
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toSimplified,
+  toTraditional,
+  toScript,
+  buildVariantPattern,
+  resolveScript,
+  convertFields
+} = require('../lib/chinese');
+const { escapeRegex } = require('../lib/bookSearch');
+
+test('toSimplified：按词组转换，港台异体字归一，非汉字原样返回', () => {
+  assert.equal(toSimplified('頭髮乾燥'), '头发干燥');
+  assert.equal(toSimplified('著作'), '著作');
+  assert.equal(toSimplified('裡裏衞衛'), '里里卫卫');
+  assert.equal(toSimplified('Harry Potter 7'), 'Harry Potter 7');
+  assert.equal(toSimplified(null), null);
+  assert.equal(toSimplified(undefined), undefined);
+});
+
+test('toTraditional 和 toScript：默认香港繁体，可选台湾繁体', () => {
+  assert.equal(toTraditional('头发干燥'), '頭髮乾燥');
+  assert.equal(toTraditional('软件', 'tw'), '軟件');
+  assert.equal(toScript('紅樓夢', 'cn'), '红楼梦');
+  assert.equal(toScript('红楼梦', 'hk'), '紅樓夢');
+  assert.equal(toScript('红楼梦', null), '红楼梦');
+});
+
+test('buildVariantPattern：逐字对齐时合并为字符类，简体繁体都能匹配', () => {
+  const source = buildVariantPattern('红楼梦', escapeRegex);
+  assert.equal(source, '[红紅][楼樓][梦夢]');
+  const regex = new RegExp(source);
+  ['红楼梦', '紅樓夢', '紅楼梦'].forEach(text => assert.ok(regex.test(text), text));
+
+  assert.equal(buildVariantPattern('C++ (第2版)', escapeRegex), 'C\\+\\+ \\(第2版\\)');
+  assert.ok(new RegExp(buildVariantPattern('头发', escapeRegex)).test('頭髮'));
+});
+
+test('resolveScript：script 参数优先，其次为 Accept-Language 中的第一个中文语言', () => {
+  const resolve = (query, acceptLanguage) => resolveScript({
+    query,
+    headers: acceptLanguage ? { 'accept-language': acceptLanguage } : {}
+  });
+
+  assert.equal(resolve({ script: 'tw' }), 'tw');
+  assert.equal(resolve({ script: 'zh-Hant' }), 'hk');
+  assert.equal(resolve({ script: 'zh_Hans' }), 'cn');
+  assert.equal(resolve({ script: 'ja' }, 'zh-TW'), null);
+  assert.equal(resolve({}, 'en-US,en;q=0.9,zh-HK;q=0.8,zh-CN;q=0.5'), 'hk');
+  assert.equal(resolve({}, 'zh-Hant-TW'), 'tw');
+  assert.equal(resolve({}, 'zh-MO'), 'hk');
+  assert.equal(resolve({}, 'zh'), null);
+  assert.equal(resolve({}, 'en-US'), null);
+  assert.equal(resolve({}), null);
+});
+
+test('convertFields：只转换指定的字符串和字符串数组字段，不改动原对象', () => {
+  const book = { title: '红楼梦', tags: ['古典', 3], author: '曹雪芹', borrowCount: 5 };
+  const converted = convertFields(book, ['title', 'tags', 'borrowCount'], 'hk');
+
+  assert.deepEqual(converted, { title: '紅樓夢', tags: ['古典', 3], author: '曹雪芹', borrowCount: 5 });
+  assert.equal(book.title, '红楼梦');
+  assert.equal(convertFields(book, ['title'], null), book);
+});
@@ -0,0 +1,169 @@
+// test/feed.test.js - 个性化首页推荐测试（各栏目的排序和推荐理由、排除借过和预约的书、栏目间去重；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection } = require('../lib/database');
+const { buildUserFeed } = require('../lib/feed');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 图书ID按字符串形式的 _id 保存在借阅、预约和收藏记录中
+const ids = {};
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS);
+}
+
+async function insertBooks(books) {
+  const booksCollection = await getCollection('books');
+  for (const [key, book] of Object.entries(books)) {
+    const { insertedId } = await booksCollection.insertOne({
+      status: 'available',
+      availableCopies: 1,
+      createdAt: daysAgo(365),
+      ...book
+    });
+    ids[key] = insertedId.toString();
+  }
+}
+
+function borrow(openid, key, days, patronType) {
+  return { openid, bookId: ids[key], patronType, borrowDate: daysAgo(days), status: 'returned' };
+}
+
+function sectionTitles(feed) {
+  return Object.fromEntries(feed.sections.map(section => [section.type, section.items.map(item => item.title)]));
+}
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+
+  await insertBooks({
+    borrowedRecent: { title: '三体', category: '科幻' },
+    borrowedOld: { title: '球状闪电', category: '科幻' },
+    held: { title: '银河帝国', category: '科幻', availableCopies: 0 },
+    coborrowed: { title: '流浪地球', category: '科幻', createdAt: daysAgo(1) },
+    coheld: { title: '基地', category: '科幻' },
+    newBook: { title: '超新星纪元', category: '科幻', createdAt: daysAgo(3) },
+    oldBook: { title: '时间移民', category: '科幻' },
+    cohortBook: { title: '论文写作指南', category: '工具书' },
+    popularBook: { title: '活着', category: '文学' },
+    favoriteAvailable: { title: '围城', category: '文学', availableCopies: 2, callno: 'I246.5/12' },
+    favoriteOnLoan: { title: '边城', category: '文学', availableCopies: 0 },
+    withdrawn: { title: '已下架的书', category: '科幻', status: 'withdrawn', createdAt: daysAgo(2) },
+    newLiterature: { title: '文城', category: '文学', createdAt: daysAgo(0) }
+  });
+
+  const usersCollection = await getCollection('users');
+  await usersCollection.insertMany([
+    { openid: 'feed-reader', patronType: 'postgraduate' },
+    { openid: 'feed-newcomer', patronType: 'undergraduate' }
+  ]);
+
+  const borrowsCollection = await getCollection('borrows');
+  await borrowsCollection.insertMany([
+    borrow('feed-reader', 'borrowedRecent', 2, 'postgraduate'),
+    borrow('feed-reader', 'borrowedOld', 90, 'postgraduate'),
+    // 同类读者（研究生）2人借过 cohortBook，全馆3位本科生借过 popularBook
+    borrow('pg-1', 'cohortBook', 5, 'postgraduate'),
+    borrow('pg-2', 'cohortBook', 6, 'postgraduate'),
+    borrow('pg-2', 'borrowedRecent', 6, 'postgraduate'),
+    borrow('ug-1', 'popularBook', 5, 'undergraduate'),
+    borrow('ug-2', 'popularBook', 5, 'undergraduate'),
+    borrow('ug-3', 'popularBook', 5, 'undergraduate'),
+    borrow('ug-3', 'withdrawn', 5, 'undergraduate'),
+    borrow('ug-4', 'withdrawn', 5, 'undergraduate'),
+    borrow('ug-5', 'withdrawn', 5, 'undergraduate'),
+    borrow('ug-6', 'withdrawn', 5, 'undergraduate'),
+    // 超过30天的借阅不计入近期热门
+    ...['old-1', 'old-2', 'old-3', 'old-4'].map(openid => borrow(openid, 'oldBook', 45, 'postgraduate'))
+  ]);
+
+  const holdsCollection = await getCollection('holds');
+  await holdsCollection.insertOne({ openid: 'feed-reader', bookId: ids.held, status: 'waiting' });
+
+  const favoritesCollection = await getCollection('favorites');
+  await favoritesCollection.insertMany([
+    { openid: 'feed-reader', bookId: ids.favoriteOnLoan, createdAt: daysAgo(1) },
+    { openid: 'feed-reader', bookId: ids.favoriteAvailable, createdAt: daysAgo(10) },
+    { openid: 'feed-reader', bookId: ids.cohortBook, createdAt: daysAgo(20) },
+    { openid: 'feed-newcomer', bookId: ids.favoriteAvailable, createdAt: daysAgo(1) }
+  ]);
+
+  const recommendationsCollection = await getCollection('book_recommendations');
+  await recommendationsCollection.insertMany([
+    {
+      bookId: ids.borrowedRecent,
+      items: [
+        { bookId: ids.borrowedOld, coReaders: 9, score: 0.9 },
+        { bookId: ids.coborrowed, coReaders: 3, score: 0.8 },
+        { bookId: ids.withdrawn, coReaders: 4, score: 0.7 }
+      ]
+    },
+    {
+      bookId: ids.held,
+      items: [
+        { bookId: ids.coheld, coReaders: 2, score: 0.5 },
+        { bookId: ids.coborrowed, coReaders: 2, score: 0.2 }
+      ]
+    }
+  ]);
+});
+
+test('各栏目按顺序返回，借过和预约中的书、下架图书不出现，同一本书只出现在靠前的栏目', async () => {
+  const feed = await buildUserFeed({ openid: 'feed-reader' });
+
+  assert.deepEqual(sectionTitles(feed), {
+    because_you_borrowed: ['流浪地球', '基地'],
+    new_in_categories: ['超新星纪元'],
+    cohort_trending: ['论文写作指南', '活着'],
+    available_favorites: ['围城']
+  });
+  assert.deepEqual(feed.sections.map(section => section.title), [
+    '借过这些书的读者还借过',
+    '您常借分类的新书',
+    '同类读者近期在借',
+    '收藏的书现在可借'
+  ]);
+  assert.deepEqual(feed.preferredCategories, [{ category: '科幻', count: 2, percentage: 100, source: 'borrow' }]);
+});
+
+test('推荐理由：同借取贡献最大的依据，新书写上架天数，热门区分同类读者和全馆，收藏写可借数和索书号', async () => {
+  const feed = await buildUserFeed({ openid: 'feed-reader' });
+  const reasons = Object.fromEntries(feed.sections.map(section => [
+    section.type,
+    section.items.map(item => [item.reason, item.score])
+  ]));
+
+  // 流浪地球：0.8 × 1（最近借阅）+ 0.2 × 1（预约），基地：0.5 × 1（预约）
+  assert.deepEqual(reasons.because_you_borrowed, [
+    ['您借过《三体》，有3位读者同时借过这两本书', 1],
+    ['您预约了《银河帝国》，有2位读者同时借过这两本书', 0.5]
+  ]);
+  assert.deepEqual(reasons.new_in_categories, [['您常借的「科幻」类新书，3天前上架', 1.25]]);
+  assert.deepEqual(reasons.cohort_trending, [
+    ['近30天有2位研究生读者借阅', 2],
+    ['近30天全馆有3位读者借阅', 3]
+  ]);
+  assert.deepEqual(reasons.available_favorites, [['您收藏的图书，现有2本可借，索书号 I246.5/12', 2]]);
+});
+
+test('没有借阅记录时按收藏的分类推荐新书，limit 限制每个栏目的图书数', async () => {
+  const feed = await buildUserFeed({ openid: 'feed-newcomer' }, { limit: '1' });
+
+  assert.deepEqual(feed.preferredCategories, [{ category: '文学', count: 1, percentage: 100, source: 'favorite' }]);
+  assert.deepEqual(sectionTitles(feed), {
+    new_in_categories: ['文城'],
+    cohort_trending: ['活着'],
+    available_favorites: ['围城']
+  });
+  assert.equal(feed.sections[0].items[0].reason, '您收藏的「文学」类新书，今天上架');
+  assert.equal(feed.sections[1].items[0].reason, '近30天有3位本科生读者借阅');
+});
+
+test('缺少用户标识时报错', async () => {
+  await assert.rejects(buildUserFeed({}), error => error.code === 'MISSING_USER');
+});
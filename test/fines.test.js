@@ -0,0 +1,107 @@
+// test/fines.test.js - 逾期罚款测试（定额罚款不被累计覆盖、查询余额不写流水；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection, initializeDatabase } = require('../lib/database');
+const { getLoanPolicy } = require('../lib/policy');
+const { accrueFines, calculateFine, getFineSummary, toYuan } = require('../lib/fines');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let sequence = 0;
+
+/**
+ * 新建一条逾期未还的借阅记录（每个用例用自己的读者）
+ */
+async function createOverdueBorrow(days) {
+  sequence++;
+  const openid = `fine-reader-${sequence}`;
+  const usersCollection = await getCollection('users');
+  await usersCollection.insertOne({ openid, patronType: 'undergraduate' });
+
+  const now = Date.now();
+  const record = {
+    openid,
+    bookId: `fine-book-${sequence}`,
+    bookTitle: `罚款测试图书${sequence}`,
+    category: '文学',
+    patronType: 'undergraduate',
+    borrowDate: new Date(now - (days + 30) * DAY_MS),
+    dueDate: new Date(now - days * DAY_MS),
+    status: 'borrowed'
+  };
+  const borrowsCollection = await getCollection('borrows');
+  const { insertedId } = await borrowsCollection.insertOne(record);
+  return { ...record, _id: insertedId };
+}
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+  await initializeDatabase();
+});
+
+test('每日累计不覆盖已定额的罚款，也不依赖唯一索引冲突', async t => {
+  const record = await createOverdueBorrow(20);
+  const ledgerCollection = await getCollection('fines_ledger');
+  await ledgerCollection.insertOne({
+    openid: record.openid,
+    borrowId: record._id,
+    type: 'charge',
+    amount: 123,
+    final: true,
+    createdAt: new Date()
+  });
+
+  // 真实服务端上事务内的写错误会中止事务，已定额时不应再尝试写入
+  const collectionPrototype = Object.getPrototypeOf(ledgerCollection);
+  const updateOne = t.mock.method(collectionPrototype, 'updateOne');
+
+  await accrueFines();
+
+  const ledgerWrites = updateOne.mock.calls.filter(call => call.this.collectionName === 'fines_ledger' &&
+    String(call.arguments[0].borrowId) === String(record._id));
+  assert.equal(ledgerWrites.length, 0);
+  const charge = await ledgerCollection.findOne({ borrowId: record._id, type: 'charge' });
+  assert.equal(charge.amount, 123);
+  assert.equal(charge.final, true);
+});
+
+test('每日累计写入和更新未定额的罚款', async () => {
+  const record = await createOverdueBorrow(20);
+  const ledgerCollection = await getCollection('fines_ledger');
+
+  await accrueFines();
+  const first = await ledgerCollection.findOne({ borrowId: record._id, type: 'charge' });
+  assert.ok(first.amount > 0);
+  assert.equal(first.final, false);
+
+  await accrueFines(new Date(Date.now() + 2 * DAY_MS));
+  const second = await ledgerCollection.findOne({ borrowId: record._id, type: 'charge' });
+  assert.ok(second.amount >= first.amount);
+  assert.equal(await ledgerCollection.countDocuments({ borrowId: record._id }), 1);
+});
+
+test('查询罚款概况按当前时刻计算在借逾期图书的罚款，不写流水', async () => {
+  const record = await createOverdueBorrow(10);
+  const ledgerCollection = await getCollection('fines_ledger');
+  // 上次累计写入的金额已过时
+  await ledgerCollection.insertOne({
+    openid: record.openid,
+    borrowId: record._id,
+    type: 'charge',
+    amount: 1,
+    final: false,
+    createdAt: new Date()
+  });
+
+  const summary = await getFineSummary({ openid: record.openid });
+
+  const expected = calculateFine(record.dueDate, new Date(), getLoanPolicy('undergraduate', '文学')).amount;
+  assert.ok(expected > 1);
+  assert.equal(summary.balance, toYuan(expected));
+  const charge = await ledgerCollection.findOne({ borrowId: record._id, type: 'charge' });
+  assert.equal(charge.amount, 1);
+});
@@ -0,0 +1,62 @@
+// test/highlight.test.js - 检索结果高亮测试（繁简和大小写对齐原文、两字组合、HTML 转义、长字段片段）
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseHighlightOptions, highlightText, highlightFields } = require('../lib/highlight');
+
+const OPTIONS = parseHighlightOptions({ highlight: 'true' });
+
+test('parseHighlightOptions：未开启时为 null，标记截断、片段参数限制在范围内', () => {
+  assert.equal(parseHighlightOptions({}), null);
+  assert.deepEqual(OPTIONS, { preTag: '<em>', postTag: '</em>', encoder: 'html', fragmentSize: 100, maxFragments: 3 });
+  assert.deepEqual(parseHighlightOptions({
+    highlight: 'true',
+    highlightPre: '<span class="hl-very-long-class">',
+    highlightPost: '',
+    highlightEncoder: 'none',
+    fragmentSize: '5',
+    fragments: '9'
+  }), { preTag: '<span class="hl-very', postTag: '</em>', encoder: 'none', fragmentSize: 20, maxFragments: 5 });
+});
+
+test('命中位置对应回原文：繁体原文、英文大小写、相邻命中合并', () => {
+  assert.deepEqual(highlightText('紅樓夢（上）', ['红楼梦'], OPTIONS), ['<em>紅樓夢</em>（上）']);
+  assert.deepEqual(highlightText('Learning JavaScript', ['javascript'], OPTIONS), ['Learning <em>JavaScript</em>']);
+  assert.deepEqual(highlightText('三体黑暗森林', ['三体', '黑暗'], OPTIONS), ['<em>三体黑暗</em>森林']);
+  assert.deepEqual(highlightText('三体', ['球状闪电'], OPTIONS), []);
+  assert.deepEqual(highlightText('', ['三体'], OPTIONS), []);
+});
+
+test('中文词整体没有出现时标记其中的两字组合', () => {
+  assert.deepEqual(highlightText('黑暗的森林法则', ['黑暗森林'], OPTIONS), ['<em>黑暗</em>的<em>森林</em>法则']);
+});
+
+test('默认转义 HTML，encoder=none 时原样输出', () => {
+  const text = '<b>C++ & "Java"</b>';
+  assert.deepEqual(highlightText(text, ['java'], OPTIONS), ['&lt;b&gt;C++ &amp; &quot;<em>Java</em>&quot;&lt;/b&gt;']);
+  const plain = parseHighlightOptions({ highlight: 'true', highlightEncoder: 'none', highlightPre: '[', highlightPost: ']' });
+  assert.deepEqual(highlightText(text, ['java'], plain), ['<b>C++ & "[Java]"</b>']);
+});
+
+test('长字段以命中位置为中心截取片段，最多 maxFragments 段', () => {
+  const filler = '甲'.repeat(60);
+  const text = `${filler}三体${filler}三体${filler}三体${filler}`;
+  const options = { ...OPTIONS, fragmentSize: 20, maxFragments: 2 };
+
+  const fragments = highlightText(text, ['三体'], options);
+  assert.equal(fragments.length, 2);
+  fragments.forEach(fragment => {
+    assert.match(fragment, /^…甲+<em>三体<\/em>甲+…$/);
+    assert.equal(Array.from(fragment.replace(/<\/?em>|…/g, '')).length, 20);
+  });
+
+  const [head] = highlightText(`三体${filler}`, ['三体'], options);
+  assert.match(head, /^<em>三体<\/em>甲{18}…$/);
+});
+
+test('highlightFields：按字段分别高亮，只返回有命中的字段', () => {
+  const book = { title: '三体', author: '刘慈欣', description: '地球文明与三体文明' };
+  assert.deepEqual(highlightFields(book, { title: ['三体'], author: ['三体'], description: ['三体'] }, OPTIONS), {
+    title: ['<em>三体</em>'],
+    description: ['地球文明与<em>三体</em>文明']
+  });
+});
@@ -0,0 +1,89 @@
+// test/invertedIndex.test.js - 内存倒排索引测试（词典分词、AND/OR/短语查询、BM25 排序，以及 JSON 馆藏检索）
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeText,
+  tokenize,
+  buildDictionary,
+  buildInvertedIndex,
+  parseQuery,
+  searchInvertedIndex
+} = require('../lib/invertedIndex');
+const { searchBooks } = require('../lib/books');
+
+const BOOKS = [
+  { id: 1, title: '红楼梦', author: '曹雪芹', keywords: ['古典小说', '章回体'] },
+  { id: 2, title: '红楼梦魇', author: '张爱玲', keywords: ['红学'] },
+  { id: 3, title: '三体', author: '刘慈欣', keywords: ['科幻', '黑暗森林法则'] },
+  { id: 4, title: '三体Ⅱ：黑暗森林', author: '刘慈欣', keywords: ['科幻'] },
+  { id: 5, title: "Harry Potter and the Philosopher's Stone", author: 'J. K. Rowling', keywords: ['魔法'] },
+  { id: 6, title: '森林里的黑暗', author: '佚名', keywords: [] }
+];
+
+const index = buildInvertedIndex(BOOKS, {
+  fields: { title: 3, author: 2, keywords: 1.5 },
+  dictionaryFields: ['keywords', 'author']
+});
+
+function ids(query, options) {
+  return searchInvertedIndex(index, query, options).map(result => result.doc.id);
+}
+
+test('normalizeText：转简体小写，去掉所有格，中文之间的空白和标点去掉', () => {
+  assert.equal(normalizeText('紅樓 夢：Harry\'s  Book!'), '红楼梦 harry book');
+  assert.equal(normalizeText(null), '');
+});
+
+test('tokenize：自定义词典优先整词匹配，其余交给 Intl.Segmenter，英文按单词切分', () => {
+  const dictionary = buildDictionary(['黑暗森林法则', '刘慈欣', 'Harry', '法']);
+  assert.deepEqual([...dictionary.words].sort(), ['刘慈欣', '黑暗森林法则']);
+
+  const words = tokenize('刘慈欣的黑暗森林法则 Harry Potter', dictionary);
+  assert.ok(words.includes('刘慈欣'));
+  assert.ok(words.includes('黑暗森林法则'));
+  assert.deepEqual(words.slice(-2), ['harry', 'potter']);
+});
+
+test('parseQuery：空格为 AND，OR 分组，引号内为短语', () => {
+  assert.deepEqual(parseQuery('三体 AND 刘慈欣 OR "黑暗 森林" || “红楼梦”'), [
+    [{ type: 'term', text: '三体' }, { type: 'term', text: '刘慈欣' }],
+    [{ type: 'phrase', text: '黑暗 森林' }],
+    [{ type: 'phrase', text: '红楼梦' }]
+  ]);
+  assert.deepEqual(parseQuery('OR 三体 OR'), [[{ type: 'term', text: '三体' }]]);
+  assert.deepEqual(parseQuery('""'), []);
+});
+
+test('检索：词的一部分和繁体都能命中，英文不区分大小写', () => {
+  assert.deepEqual(ids('红楼').sort(), [1, 2]);
+  assert.deepEqual(ids('紅樓夢'), [1, 2]);
+  assert.deepEqual(ids('梦').sort(), [1, 2]);
+  assert.deepEqual(ids('HARRY potter'), [5]);
+});
+
+test('检索：AND 要求同时命中，OR 合并结果，短语要求连续出现', () => {
+  assert.deepEqual(ids('三体 刘慈欣'), [3, 4]);
+  assert.deepEqual(ids('三体 曹雪芹'), []);
+  assert.deepEqual(ids('曹雪芹 OR 张爱玲').sort(), [1, 2]);
+  assert.deepEqual(ids('黑暗 森林').sort(), [3, 4, 6]);
+  assert.deepEqual(ids('"黑暗森林"').sort(), [3, 4]);
+});
+
+test('排序：题名与查询相同时排在前面，limit 限制条数，得分保留三位小数', () => {
+  const results = searchInvertedIndex(index, '红楼梦', { limit: 1 });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].doc.id, 1);
+  assert.equal(results[0].score, Math.round(results[0].score * 1000) / 1000);
+
+  assert.deepEqual(ids('三体'), [3, 4]);
+  assert.deepEqual(ids(''), []);
+});
+
+test('searchBooks：检索 data/books.json，结果附带 score', async t => {
+  t.mock.method(console, 'log', () => {});
+  const results = await searchBooks('三體', { limit: 3 });
+  assert.equal(results.length, 3);
+  assert.equal(results[0].title, '三体');
+  assert.ok(results.every(book => book.title.startsWith('三体') && typeof book.score === 'number'));
+  assert.deepEqual(await searchBooks(''), []);
+});
@@ -0,0 +1,32 @@
+// test/llm.test.js - 大模型调用测试（未配置时不改用本地替身；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+delete process.env.LLM_PROVIDER;
+delete process.env.LLM_API_KEY;
+delete process.env.DEEPSEEK_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMError, chatCompletion, getLLMProvider } = require('../lib/llm');
+
+test.before(() => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+});
+
+test('未配置 API Key 时调用失败（503），不改用本地替身', async () => {
+  assert.equal(getLLMProvider().name, 'openai-compatible');
+  await assert.rejects(
+    chatCompletion({ messages: [{ role: 'user', content: '你好' }] }, { feature: 'test' }),
+    error => error instanceof LLMError && error.code === 'LLM_NOT_CONFIGURED' && error.statusCode === 503
+  );
+});
+
+test('生产环境不能使用本地替身', t => {
+  t.after(() => { delete process.env.NODE_ENV; });
+  process.env.NODE_ENV = 'production';
+  assert.throws(
+    () => getLLMProvider('mock'),
+    error => error instanceof LLMError && error.code === 'LLM_NOT_CONFIGURED'
+  );
+});
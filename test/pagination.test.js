@@ -0,0 +1,87 @@
+// test/pagination.test.js - 游标分页测试（游标编码、查询指纹、排序键为空时的键集条件；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../lib/database');
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parsePagination,
+  buildCursorPage
+} = require('../lib/pagination');
+
+const SCOPE = { q: '三体', filters: ['文学'] };
+
+/**
+ * 按游标逐页读取全部结果，返回各页的 acno
+ */
+async function readAllPages(collection, sort, limit) {
+  const pages = [];
+  let cursor = '';
+  do {
+    const filter = cursor ? buildCursorFilter(sort, decodeCursor(cursor, sort, SCOPE)) : {};
+    const docs = await collection.find({ $and: [{ group: 'pagination' }, filter] }).sort(sort).limit(limit + 1).toArray();
+    const page = buildCursorPage(docs, { limit, sort, scope: SCOPE });
+    pages.push(page.items.map(doc => doc.acno));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('游标编码：ObjectId、日期、空值还原为原类型', () => {
+  const sort = { createdAt: -1, rating: -1, _id: 1 };
+  const doc = { _id: new ObjectId(), createdAt: new Date('2024-05-01T08:00:00Z') };
+
+  const token = encodeCursor(doc, sort, SCOPE);
+  assert.match(token, /^[\w-]+$/);
+  const [createdAt, rating, id] = decodeCursor(token, sort, SCOPE);
+  assert.ok(createdAt instanceof Date);
+  assert.equal(createdAt.toISOString(), '2024-05-01T08:00:00.000Z');
+  assert.equal(rating, null);
+  assert.ok(id instanceof ObjectId);
+  assert.ok(id.equals(doc._id));
+});
+
+test('游标无效或与查询条件不符时返回 INVALID_CURSOR', () => {
+  const sort = { borrowCount: -1, _id: 1 };
+  const token = encodeCursor({ _id: new ObjectId(), borrowCount: 3 }, sort, SCOPE);
+
+  const rejects = (value, scope, message) => assert.throws(
+    () => decodeCursor(value, sort, scope),
+    error => error.code === 'INVALID_CURSOR' && error.statusCode === 400 && message.test(error.message)
+  );
+  rejects('不是游标', SCOPE, /分页游标无效/);
+  rejects(Buffer.from(JSON.stringify({ s: 'x', v: [1] })).toString('base64url'), SCOPE, /分页游标无效/);
+  rejects(Buffer.from(JSON.stringify({ s: 'x', v: [{ $where: '1' }, null] })).toString('base64url'), SCOPE, /分页游标无效/);
+  rejects(token, { ...SCOPE, q: '球状闪电' }, /请从第一页重新加载/);
+});
+
+test('parsePagination：传 cursor 时为游标模式，否则沿用 page/limit', () => {
+  assert.deepEqual(parsePagination({ cursor: '', limit: '100' }), { mode: 'cursor', cursor: '', page: null, limit: 50 });
+  assert.deepEqual(parsePagination({ page: '3', limit: '0' }), { mode: 'page', cursor: '', page: 3, limit: 20 });
+  assert.deepEqual(parsePagination({}, { defaultLimit: 10 }), { mode: 'page', cursor: '', page: 1, limit: 10 });
+});
+
+test('最后一条之后没有后续条件时匹配不到任何文档', () => {
+  assert.deepEqual(buildCursorFilter({ rating: -1 }, [null]), { _id: { $in: [] } });
+});
+
+test('键集分页：排序键有空值和重复值时逐页读完，不重复也不遗漏', async () => {
+  const collection = await getCollection('books');
+  const ratings = [5, null, 3, 5, null, 4, 3, undefined, 5, 4, null];
+  await collection.insertMany(ratings.map((rating, index) => ({
+    group: 'pagination',
+    acno: `P${String(index).padStart(2, '0')}`,
+    ...(rating === undefined ? {} : { rating })
+  })));
+
+  for (const sort of [{ rating: -1, _id: 1 }, { rating: 1, _id: 1 }, { rating: -1, _id: -1 }]) {
+    const expected = (await collection.find({ group: 'pagination' }).sort(sort).toArray()).map(doc => doc.acno);
+    const pages = await readAllPages(collection, sort, 3);
+    assert.deepEqual(pages.flat(), expected, JSON.stringify(sort));
+    assert.deepEqual(pages.map(page => page.length), [3, 3, 3, 2], JSON.stringify(sort));
+  }
+});
@@ -0,0 +1,113 @@
+// test/recommendations.test.js - 同借推荐测试（共同读者数下限、热门惩罚得分、定时重算替换旧结果、分类补足；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection, ObjectId } = require('../lib/database');
+const { rebuildCoBorrowRecommendations, getRelatedBooks } = require('../lib/recommendations');
+
+// A、B、C、D 为同借样本，E、F 只用于分类补足，W 已下架
+const BOOKS = {
+  A: { title: '三体', category: '科幻', borrowCount: 40 },
+  B: { title: '球状闪电', category: '科幻', borrowCount: 30 },
+  C: { title: '流浪地球', category: '科幻', borrowCount: 20 },
+  D: { title: '围城', category: '文学', borrowCount: 10 },
+  E: { title: '基地', category: '科幻', borrowCount: 50 },
+  F: { title: '活着', category: '文学', borrowCount: 60 },
+  W: { title: '超新星纪元', category: '科幻', borrowCount: 90, status: 'withdrawn' }
+};
+
+// 读者的借阅：A-B 共同读者3人，A-C、A-W 各2人，其余组合只有1人
+const HISTORY = {
+  r1: ['A', 'B', 'C'],
+  r2: ['A', 'B', 'W'],
+  r3: ['A', 'B', 'D'],
+  r4: ['A', 'C', 'W'],
+  r5: ['W']
+};
+
+const ids = {};
+
+function titles(items) {
+  return items.map(item => item.book.title);
+}
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+
+  const booksCollection = await getCollection('books');
+  for (const [key, book] of Object.entries(BOOKS)) {
+    const { insertedId } = await booksCollection.insertOne({ status: 'available', availableCopies: 1, ...book });
+    ids[key] = insertedId;
+  }
+
+  // r4 的记录只有 userId，同一读者重复借同一本书只算一次
+  const borrowsCollection = await getCollection('borrows');
+  const records = Object.entries(HISTORY).flatMap(([reader, books]) => books.map((key, i) => ({
+    ...(reader === 'r4' ? { userId: reader } : { openid: reader }),
+    bookId: ids[key],
+    borrowDate: new Date(Date.UTC(2026, 0, i + 1))
+  })));
+  records.push({ openid: 'r1', bookId: ids.B, borrowDate: new Date(Date.UTC(2026, 1, 1)) });
+  await borrowsCollection.insertMany(records);
+
+  const recommendationsCollection = await getCollection('book_recommendations');
+  await recommendationsCollection.insertOne({
+    bookId: ids.D.toString(),
+    items: [{ bookId: ids.F.toString(), coReaders: 5, score: 1 }],
+    computedAt: new Date(Date.UTC(2025, 0, 1))
+  });
+});
+
+test('重算同借推荐：共同读者不少于2人，得分按热门惩罚折算，删除本次没有推荐的旧结果', async () => {
+  assert.deepEqual(await rebuildCoBorrowRecommendations(), { readers: 5, books: 4, pairs: 3 });
+
+  const recommendationsCollection = await getCollection('book_recommendations');
+  const stored = await recommendationsCollection.findOne({ bookId: ids.A.toString() });
+  assert.equal(stored.readers, 4);
+  // 3 / √(4×3)、2 / √(4×2)、2 / √(4×3)：W 的读者更多，得分低于 C；下架图书在查询时才过滤
+  assert.deepEqual(stored.items, [
+    { bookId: ids.B.toString(), coReaders: 3, score: 0.866 },
+    { bookId: ids.C.toString(), coReaders: 2, score: 0.7071 },
+    { bookId: ids.W.toString(), coReaders: 2, score: 0.5774 }
+  ]);
+  assert.deepEqual((await recommendationsCollection.findOne({ bookId: ids.C.toString() })).items, [
+    { bookId: ids.A.toString(), coReaders: 2, score: 0.7071 }
+  ]);
+  assert.equal(await recommendationsCollection.findOne({ bookId: ids.D.toString() }), null);
+});
+
+test('相关图书 auto：先同借推荐，不足时同分类、再其他分类的热门书补足，不含本书和下架图书', async () => {
+  const { book, strategy, items } = await getRelatedBooks(ids.A.toString(), { limit: 5 });
+  assert.equal(book.title, '三体');
+  assert.equal(strategy, 'auto');
+  assert.deepEqual(titles(items), ['球状闪电', '流浪地球', '基地', '活着', '围城']);
+  assert.deepEqual(items.map(item => item.source), ['coborrow', 'coborrow', 'category', 'popular', 'popular']);
+  assert.deepEqual([items[0].score, items[0].coReaders], [0.866, 3]);
+});
+
+test('相关图书 coborrow 只用同借推荐，category 只按分类和热度；登录号也能查询', async () => {
+  const coborrow = await getRelatedBooks(ids.D.toString(), { strategy: 'coborrow' });
+  assert.deepEqual(coborrow.items, []);
+
+  const category = await getRelatedBooks(ids.A.toString(), { strategy: 'category', limit: 2 });
+  assert.deepEqual(titles(category.items), ['基地', '球状闪电']);
+
+  const booksCollection = await getCollection('books');
+  await booksCollection.updateOne({ _id: ids.C }, { $set: { acno: 'C0001' } });
+  const byAcno = await getRelatedBooks('C0001', { strategy: 'coborrow' });
+  assert.deepEqual(titles(byAcno.items), ['三体']);
+});
+
+test('推荐策略无效或图书不存在时报请求错误', async () => {
+  await assert.rejects(
+    getRelatedBooks(ids.A.toString(), { strategy: 'random' }),
+    error => error.code === 'INVALID_STRATEGY' && error.statusCode === 400
+  );
+  await assert.rejects(
+    getRelatedBooks(new ObjectId().toString()),
+    error => error.code === 'BOOK_NOT_FOUND' && error.statusCode === 404
+  );
+});
@@ -0,0 +1,124 @@
+// test/searchLogs.test.js - 检索日志测试（检索词归一化、匿名读者标识、点击记录、统计报表和荐购清单；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+process.env.AUTH_TOKEN_SECRET = 'search-logs-test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection, ObjectId } = require('../lib/database');
+const { signToken } = require('../lib/auth');
+const { normalizeQuery, logSearch, recordSearchClick, getSearchReport } = require('../lib/searchLogs');
+
+const ANONYMOUS = { headers: {} };
+
+function reader(openid) {
+  return { headers: { authorization: `Bearer ${signToken({ sub: openid }).token}` } };
+}
+
+/**
+ * 记录一次第一页检索，keyword 与 query 相同
+ */
+function search(req, query, resultCount, fields = {}) {
+  return logSearch(req, { source: 'search', query, keyword: query, resultCount, ...fields });
+}
+
+function pick(item, fields) {
+  return Object.fromEntries(fields.map(field => [field, item[field]]));
+}
+
+async function findLog(id) {
+  const collection = await getCollection('search_logs');
+  return collection.findOne({ _id: new ObjectId(id) });
+}
+
+test.before(() => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+});
+
+test('normalizeQuery：转简体、小写、合并空白，最长100个字符', () => {
+  assert.equal(normalizeQuery('  紅樓夢   JavaScript '), '红楼梦 javascript');
+  assert.equal(normalizeQuery(null), '');
+  assert.equal(normalizeQuery('书'.repeat(150)).length, 100);
+});
+
+test('logSearch：记录归一化的检索词和匿名读者标识，翻页返回第一页的检索ID', async () => {
+  const firstId = await search(reader('log-reader-1'), ' 三體 ', 3, {
+    filters: { category: '文学', language: '', status: undefined },
+    sortBy: 'relevance',
+    latencyMs: 12.6
+  });
+  const first = await findLog(firstId);
+  assert.equal(first.query, '三體');
+  assert.equal(first.normalizedQuery, '三体');
+  assert.deepEqual(first.filters, { category: '文学' });
+  assert.equal(first.latencyMs, 13);
+  assert.match(first.userHash, /^[0-9a-f]{32}$/);
+  assert.ok(!JSON.stringify(first).includes('log-reader-1'));
+
+  const again = await findLog(await search(reader('log-reader-1'), '三体', 3));
+  assert.equal(again.userHash, first.userHash);
+  assert.equal((await findLog(await search(ANONYMOUS, '三体', 3))).userHash, null);
+  const invalid = { headers: { authorization: 'Bearer invalid' } };
+  assert.equal((await findLog(await search(invalid, '三体', 3))).userHash, null);
+
+  const pageId = await search(ANONYMOUS, '三体', 3, { firstPage: false, searchId: firstId });
+  assert.equal(pageId, firstId);
+});
+
+test('recordSearchClick：同一次检索中同一本书只计一次，检索ID无效时忽略', async () => {
+  const searchId = await search(ANONYMOUS, '点击测试', 5);
+  await recordSearchClick(searchId, 'book-1');
+  await recordSearchClick(searchId, 'book-1');
+  await recordSearchClick(searchId, 'book-2');
+  await recordSearchClick('not-an-id', 'book-3');
+
+  const log = await findLog(searchId);
+  assert.deepEqual(log.clickedBookIds, ['book-1', 'book-2']);
+  assert.ok(log.lastClickAt instanceof Date);
+});
+
+test('统计报表：热门检索词、零结果检索词和点击率', async () => {
+  for (let i = 0; i < 6; i++) {
+    const searchId = await search(reader(`report-reader-${i}`), i % 2 ? '報表熱門' : '报表热门', i === 5 ? 0 : 10);
+    if (i < 2) await recordSearchClick(searchId, 'book-1');
+  }
+  await search(ANONYMOUS, '报表冷门', 0);
+  await search(ANONYMOUS, '报表冷门', 0, { firstPage: false });
+
+  const top = await getSearchReport({ type: 'top', limit: '1' });
+  assert.equal(top.type, 'top');
+  assert.equal(top.items.length, 1);
+  assert.deepEqual(
+    pick(top.items[0], ['query', 'searches', 'users', 'zeroResults', 'clickedSearches', 'clicks', 'clickThroughRate']),
+    { query: '报表热门', searches: 6, users: 6, zeroResults: 1, clickedSearches: 2, clicks: 2, clickThroughRate: 0.4 }
+  );
+
+  const zero = await getSearchReport({ type: 'zero' });
+  const cold = zero.items.find(item => item.query === '报表冷门');
+  assert.deepEqual([cold.searches, cold.zeroResults, cold.zeroResultRate], [1, 1, 1]);
+
+  const clicks = await getSearchReport({ type: 'clicks', minSearches: '5' });
+  assert.deepEqual(clicks.items.map(item => item.query), ['报表热门']);
+
+  await assert.rejects(getSearchReport({ type: 'daily' }), error => error.code === 'INVALID_REPORT_TYPE');
+  await assert.rejects(getSearchReport({ source: 'chat' }), error => error.code === 'INVALID_SOURCE');
+});
+
+test('荐购清单：多位读者多次零结果、没有纠错建议且之后没有上架的检索词', async () => {
+  const zeroSearches = async (keyword, users, fields) => {
+    for (const openid of users) await search(reader(openid), keyword, 0, fields);
+  };
+  await zeroSearches('荐购想读的书', ['p1', 'p2', 'p1']);
+  await zeroSearches('荐购一人多次', ['p3', 'p3', 'p3']);
+  await zeroSearches('荐购有纠错', ['p1', 'p2', 'p3'], { corrected: true });
+  await zeroSearches('荐购已上架', ['p1', 'p2', 'p3']);
+  // 上架后的检索须晚于最后一次零结果
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await search(ANONYMOUS, '荐购已上架', 2);
+
+  const { items } = await getSearchReport({ type: 'purchase' });
+  const keywords = items.map(item => item.keyword).filter(keyword => keyword.startsWith('荐购'));
+  assert.deepEqual(keywords, ['荐购想读的书']);
+  assert.deepEqual(pick(items.find(item => item.keyword === '荐购想读的书'), ['searches', 'users']), { searches: 3, users: 2 });
+});
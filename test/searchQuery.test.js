@@ -0,0 +1,125 @@
+// test/searchQuery.test.js - 高级检索语法测试（语法树、运算优先级、字段与范围、出错位置、编译为查询条件）
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuerySyntaxError, parseSearchQuery } = require('../lib/searchQuery');
+const { compileSearchQuery } = require('../lib/bookSearch');
+
+/**
+ * 语法树去掉位置信息，便于比较
+ */
+function shape(node) {
+  if (!node || typeof node !== 'object') return node;
+  if (Array.isArray(node)) return node.map(shape);
+  const { position, ...rest } = node;
+  return Object.fromEntries(Object.entries(rest).map(([key, value]) => [key, shape(value)]));
+}
+
+function syntaxError(input) {
+  try {
+    parseSearchQuery(input);
+  } catch (error) {
+    assert.ok(error instanceof QuerySyntaxError, input);
+    return error;
+  }
+  return assert.fail(`应报语法错误: ${input}`);
+}
+
+test('优先级 NOT > AND > OR，括号分组，词之间默认为 AND', () => {
+  assert.deepEqual(shape(parseSearchQuery('三体 OR 球状闪电 刘慈欣')), {
+    type: 'or',
+    items: [
+      { type: 'text', value: '三体', phrase: false },
+      {
+        type: 'and',
+        items: [{ type: 'text', value: '球状闪电', phrase: false }, { type: 'text', value: '刘慈欣', phrase: false }]
+      }
+    ]
+  });
+
+  assert.deepEqual(shape(parseSearchQuery('(科幻 || 奇幻) && NOT 童话')), {
+    type: 'and',
+    items: [
+      { type: 'or', items: [{ type: 'text', value: '科幻', phrase: false }, { type: 'text', value: '奇幻', phrase: false }] },
+      { type: 'not', operand: { type: 'text', value: '童话', phrase: false } }
+    ]
+  });
+
+  assert.equal(parseSearchQuery('   '), null);
+});
+
+test('排除、短语和字段限定（含中文别名和全角冒号），未知字段名按普通词处理', () => {
+  assert.deepEqual(shape(parseSearchQuery('作者：鲁迅 -publisher:人民 “朝花夕拾” 哈利·波特:魔法石')), {
+    type: 'and',
+    items: [
+      { type: 'field', field: 'author', value: '鲁迅', phrase: false },
+      { type: 'not', operand: { type: 'field', field: 'publisher', value: '人民', phrase: false } },
+      { type: 'text', value: '朝花夕拾', phrase: true },
+      { type: 'text', value: '哈利·波特:魔法石', phrase: false }
+    ]
+  });
+
+  assert.deepEqual(shape(parseSearchQuery('title:"黑暗 森林" -(童话 OR 绘本)')), {
+    type: 'and',
+    items: [
+      { type: 'field', field: 'title', value: '黑暗 森林', phrase: true },
+      {
+        type: 'not',
+        operand: { type: 'or', items: [{ type: 'text', value: '童话', phrase: false }, { type: 'text', value: '绘本', phrase: false }] }
+      }
+    ]
+  });
+});
+
+test('范围和比较写法', () => {
+  const range = input => parseSearchQuery(input).range;
+  assert.deepEqual(range('year:1920..1936'), { from: '1920', to: '1936', fromExclusive: false, toExclusive: false });
+  assert.deepEqual(range('出版年:1990..'), { from: '1990', to: null, fromExclusive: false, toExclusive: false });
+  assert.deepEqual(range('pages:<300'), { from: null, to: '300', fromExclusive: false, toExclusive: true });
+  assert.deepEqual(range('rating:>=4.5'), { from: '4.5', to: null, fromExclusive: false, toExclusive: false });
+});
+
+test('语法错误给出出错位置（从0开始）', () => {
+  [
+    ['三体 "黑暗', 3, '引号没有闭合'],
+    ['author: 鲁迅', 7, '字段 author 缺少检索值'],
+    ['(三体 OR 球状闪电', 0, '括号没有闭合'],
+    ['三体 球状闪电)', 7, '多余的右括号'],
+    ['三体 OR', 3, 'OR 后缺少检索词'],
+    ['AND 三体', 0, 'AND 前缺少检索词'],
+    ['三体 NOT', 3, 'NOT 后缺少检索词'],
+    ['()', 0, '括号内缺少检索词'],
+    ['三体 ""', 3, '引号内缺少检索词'],
+    ['title:1990..2000', 6, '字段 title 不支持范围检索'],
+    ['year:..', 5, '范围至少需要一端'],
+    ['year:199x', 5, 'year 的取值 199x 应为年份或日期（如 1990、1990-05-01）'],
+    ['三体 pages:>abc', 9, 'pages 的取值 abc 应为数字']
+  ].forEach(([input, position, message]) => {
+    const error = syntaxError(input);
+    assert.deepEqual(error.details, { position, message }, input);
+    assert.equal(error.code, 'QUERY_SYNTAX_ERROR');
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.message, `检索语法错误：${message}（第 ${position + 1} 个字符）`);
+  });
+});
+
+test('compileSearchQuery：顶层普通词合并为 keyword，其余编译为条件，并收集高亮用的检索词', () => {
+  const result = compileSearchQuery('三体 刘慈欣 isbn:978-7-5366-9293-0 year:2006..2008 -status:withdrawn "黑暗森林"');
+
+  assert.equal(result.keyword, '三体 刘慈欣 黑暗森林');
+  assert.deepEqual(result.fields.sort(), ['isbn', 'status', 'year']);
+  assert.deepEqual(result.terms, { text: ['三体', '刘慈欣', '黑暗森林'], isbn: ['978-7-5366-9293-0'] });
+  assert.deepEqual(result.clauses[0], { isbn: '9787536692930' });
+  assert.deepEqual(result.clauses[1], { publishDate: { $gte: '2006', $lte: '2008\uffff' } });
+  assert.deepEqual(result.clauses[2], { $nor: [{ status: 'withdrawn' }] });
+  assert.equal(result.clauses.length, 4);
+  assert.ok(result.clauses[3].$or.some(clause => clause.title && clause.title.test('黑暗森林')));
+});
+
+test('compileSearchQuery：OR 中的词编译为条件，不计入 keyword', () => {
+  const result = compileSearchQuery('科幻 OR 奇幻');
+  assert.equal(result.keyword, '');
+  assert.equal(result.clauses.length, 1);
+  assert.equal(result.clauses[0].$or.length, 2);
+  assert.deepEqual(result.terms.text, ['科幻', '奇幻']);
+  assert.deepEqual(compileSearchQuery(''), { keyword: '', clauses: [], fields: [], terms: { text: [] } });
+});
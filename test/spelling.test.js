@@ -0,0 +1,69 @@
+// test/spelling.test.js - 检索纠错和同义词扩展测试（编辑距离、同音字、英文单词拼写、同义词组合；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection } = require('../lib/database');
+const { editDistance, suggestCorrections } = require('../lib/spelling');
+const { expandSynonyms } = require('../lib/synonyms');
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+
+  const booksCollection = await getCollection('books');
+  await booksCollection.insertMany([
+    { title: '红楼梦', author: '曹雪芹', borrowCount: 30, status: 'available' },
+    { title: '三体', author: '刘慈欣', borrowCount: 50, status: 'available' },
+    { title: 'JavaScript高级程序设计', author: 'Nicholas C. Zakas', borrowCount: 20, status: 'available' },
+    { title: 'Learning Python', author: 'Mark Lutz', borrowCount: 5, status: 'available' }
+  ]);
+});
+
+test('editDistance：插入、删除、替换、相邻交换各计1次，超过上限提前返回', () => {
+  assert.equal(editDistance('python', 'python', 2), 0);
+  assert.equal(editDistance('pyhton', 'python', 2), 1);
+  assert.equal(editDistance('javscript', 'javascript', 2), 1);
+  assert.equal(editDistance('红楼蒙', '红楼梦', 1), 1);
+  assert.equal(editDistance('abcdef', 'uvwxyz', 2), 3);
+  assert.equal(editDistance('a', 'abcd', 1), 2);
+});
+
+test('同音字纠错：全拼与题名、作者相同', async () => {
+  assert.deepEqual(await suggestCorrections('红楼蒙'), [
+    { text: '红楼梦', type: 'title', reason: 'pinyin', bookCount: 1 }
+  ]);
+  const [author] = await suggestCorrections('刘词欣');
+  assert.deepEqual(author, { text: '刘慈欣', type: 'author', reason: 'pinyin', bookCount: 1 });
+});
+
+test('英文单词拼写纠错，馆藏中出现过的词保持不变', async () => {
+  const corrections = await suggestCorrections('Pyhton');
+  assert.deepEqual(corrections.map(item => [item.text, item.type]), [['python', 'query']]);
+
+  const [sentence] = await suggestCorrections('learning javscript');
+  assert.deepEqual(sentence, { text: 'learning javascript', type: 'query', reason: 'spelling', bookCount: null });
+
+  assert.deepEqual(await suggestCorrections('三体'), []);
+  assert.deepEqual(await suggestCorrections('  '), []);
+});
+
+test('同义词扩展：同组互换，中英文都能扩展，较长的词优先', () => {
+  assert.deepEqual(expandSynonyms('电脑 入门'), {
+    alternatives: ['计算机 入门'],
+    expandedTerms: [{ term: '电脑', synonyms: ['计算机'] }]
+  });
+  assert.deepEqual(expandSynonyms('JS编程').alternatives, ['js程序设计', 'javascript编程', 'javascript程序设计']);
+  assert.deepEqual(expandSynonyms('第二次世界大战史').expandedTerms, [
+    { term: '第二次世界大战', synonyms: ['二战'] }
+  ]);
+  assert.deepEqual(expandSynonyms('紅樓夢').alternatives, ['石头记']);
+});
+
+test('同义词扩展：英文按整词匹配，没有同义词时不扩展', () => {
+  assert.deepEqual(expandSynonyms('JSON').alternatives, []);
+  assert.deepEqual(expandSynonyms('DL 框架').alternatives, ['深度学习 框架']);
+  assert.deepEqual(expandSynonyms('活着'), { alternatives: [], expandedTerms: [] });
+  assert.deepEqual(expandSynonyms(''), { alternatives: [], expandedTerms: [] });
+});
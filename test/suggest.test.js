@@ -0,0 +1,74 @@
+// test/suggest.test.js - 搜索联想测试（全拼、拼音首字母、繁简同名合并、按借阅次数排序；使用内存数据库替身）
+process.env.MONGODB_URI = 'memory://';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollection } = require('../lib/database');
+const { normalizeKey, buildKeys, invalidateSuggestIndex, suggest } = require('../lib/suggest');
+
+test.before(async () => {
+  // 屏蔽业务日志
+  test.mock.method(console, 'log', () => {});
+  test.mock.method(console, 'warn', () => {});
+
+  const booksCollection = await getCollection('books');
+  await booksCollection.insertMany([
+    { title: '红楼梦', author: '曹雪芹', subject: '古典小说; 章回小说', borrowCount: 30, status: 'available' },
+    { title: '紅樓夢', author: '曹雪芹', tags: ['古典小说'], borrowCount: 50, status: 'available' },
+    { title: '红楼梦魇', author: '张爱玲', borrowCount: 5, status: 'available' },
+    { title: '鸿楼梦话', author: '佚名', borrowCount: 1, status: 'available' },
+    { title: '红与黑', author: '司汤达', borrowCount: 40, status: 'withdrawn' }
+  ]);
+});
+
+test('检索键：原文去标点后转为简体小写，另有全拼和拼音首字母', () => {
+  assert.equal(normalizeKey('《紅樓夢》 (上)'), '红楼梦上');
+  assert.deepEqual(buildKeys('紅樓夢'), ['红楼梦', 'hongloumeng', 'hlm']);
+  assert.deepEqual(buildKeys('Harry Potter'), ['harrypotter']);
+  assert.deepEqual(buildKeys('女巫'), ['女巫', 'nvwu', 'nw']);
+});
+
+test('汉字、全拼和拼音首字母前缀都能联想，繁简同名合并为一条', async () => {
+  const byHan = await suggest('红楼', { type: 'title' });
+  assert.deepEqual(byHan.map(item => [item.text, item.bookCount, item.borrowCount]), [
+    ['红楼梦', 2, 80],
+    ['红楼梦魇', 1, 5]
+  ]);
+
+  const byPinyin = await suggest('honglou', { type: 'title' });
+  assert.deepEqual(byPinyin.map(item => item.text), ['红楼梦', '红楼梦魇', '鸿楼梦话']);
+
+  const byInitials = await suggest('hlm', { type: 'title' });
+  assert.deepEqual(byInitials.map(item => item.text), ['红楼梦', '红楼梦魇', '鸿楼梦话']);
+});
+
+test('同名题名指向借阅最多的一本，已下架图书不参与联想', async () => {
+  const booksCollection = await getCollection('books');
+  const traditional = await booksCollection.findOne({ title: '紅樓夢' });
+
+  const [first] = await suggest('紅樓夢', { type: 'title' });
+  assert.equal(first.bookId, traditional._id.toString());
+  assert.deepEqual(await suggest('红与'), []);
+});
+
+test('作者和主题也参与联想，limit 限制条数', async () => {
+  assert.deepEqual((await suggest('cxq')).map(item => [item.text, item.type]), [['曹雪芹', 'author']]);
+  assert.deepEqual((await suggest('古典')).map(item => [item.text, item.type, item.bookCount]), [['古典小说', 'subject', 2]]);
+  assert.equal((await suggest('h', { limit: 2 })).length, 2);
+  assert.deepEqual(await suggest(' 《》 '), []);
+});
+
+test('馆藏变化后重建联想索引', async () => {
+  const booksCollection = await getCollection('books');
+  await booksCollection.insertOne({ title: '红岩', author: '罗广斌', borrowCount: 0, status: 'available' });
+  invalidateSuggestIndex();
+
+  // 重建在后台进行，完成前继续使用旧索引
+  assert.deepEqual(await suggest('hongyan'), []);
+  let results = [];
+  for (let i = 0; i < 50 && results.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+    results = await suggest('hongyan');
+  }
+  assert.deepEqual(results.map(item => item.text), ['红岩']);
+});
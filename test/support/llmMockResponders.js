@@ -0,0 +1,46 @@
+// test/support/llmMockResponders.js - 智能推荐、图书问答的大模型本地替身回复（本地开发与测试用）
+// 只在 LLM_PROVIDER=mock 时由 index.js 加载；回复按 index.js 中提示的格式解析候选图书和书目信息，提示格式变化时须同步修改
+const { registerMockResponder } = require('../../lib/llm');
+
+/**
+ * 智能推荐：按提示中候选图书的顺序推荐，输出符合 recommendation 结构
+ */
+function respondRecommend({ messages }) {
+  const prompt = messages[0].content;
+  const query = ((prompt.match(/^用户查询：(.*)$/m) || [])[1] || '').slice(0, 50);
+  const limit = parseInt((prompt.match(/最合适的(\d+)本书/) || [])[1]) || 10;
+  const recommendations = [...prompt.matchAll(/^\d+\. ID:(\S+) 《(.*)》 作者:(.*) 分类:(.*) 热度:/gm)]
+    .slice(0, limit)
+    .map(([, id, title, author, subject]) => ({
+      id, title, author, subject,
+      reason: `与“${query}”相关的${subject && subject !== 'undefined' ? `${subject}类` : ''}馆藏图书`
+    }));
+  return JSON.stringify({
+    summary: `【离线模拟推荐】当前未接入大模型，按相关度列出与“${query}”有关的馆藏图书`,
+    recommendations
+  });
+}
+
+/**
+ * 图书问答：不回答问题，只给出提示中的书目信息，输出符合 bookAnswer 结构
+ */
+function respondBookAnswer({ messages }) {
+  const prompt = messages[0].content;
+  const field = label => ((prompt.match(new RegExp(`^- ${label}：(.*)$`, 'm')) || [])[1] || '').trim();
+  const id = (prompt.match(/"id": "(.*)"/) || [])[1] || '';
+  const question = String(messages[messages.length - 1].content || '').slice(0, 100);
+  const [title, author, publisher] = [field('标题'), field('作者'), field('出版社')];
+  return JSON.stringify({
+    answer: `【离线模拟回复】当前未接入大模型，无法回答“${question}”。《${title}》，${author}著，${publisher}出版，请以馆藏信息为准。`,
+    book: { id, title, author, summary: `《${title}》，${author}著，${publisher}出版。` }
+  });
+}
+
+function registerCatalogMockResponders() {
+  registerMockResponder('recommend', respondRecommend);
+  registerMockResponder('book-answer', respondBookAnswer);
+}
+
+module.exports = {
+  registerCatalogMockResponders
+};
@@ -0,0 +1,997 @@
+// test/support/memoryDb.js - 内存版MongoDB替身（测试与本地开发用）
+// 通过 MONGODB_URI=memory:// 启用，实现 lib/ 与 api/ 中用到的驱动API子集
+// 事务串行执行（全局锁）并在失败时整体回滚，不能模拟真实服务端的并发冲突和事务中止，
+// 并发相关的正确性须由条件更新保证，测试中直接断言这些条件
+const { ObjectId } = require('mongodb');
+
+/**
+ * 构造与驱动一致的服务端错误
+ */
+function createServerError(message, code) {
+  const error = new Error(message);
+  error.name = 'MongoServerError';
+  error.code = code;
+  return error;
+}
+
+/**
+ * 深拷贝文档（ObjectId、RegExp 保持原实例）
+ */
+function cloneValue(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = cloneValue(item);
+    }
+    return copy;
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+}
+
+/**
+ * 读取字段路径（支持 a.b.c 以及数组展开）
+ */
+function getPath(doc, path) {
+  const parts = path.split('.');
+  let values = [doc];
+  for (const part of parts) {
+    const next = [];
+    for (const value of values) {
+      if (value === null || value === undefined) continue;
+      if (Array.isArray(value) && !/^\d+$/.test(part)) {
+        value.forEach(item => {
+          if (item !== null && typeof item === 'object' && part in item) next.push(item[part]);
+        });
+      } else if (typeof value === 'object' && part in value) {
+        next.push(value[part]);
+      }
+    }
+    values = next;
+  }
+  if (values.length === 0) return undefined;
+  return values.length === 1 ? values[0] : values;
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let target = doc;
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (target[parts[i]] === null || typeof target[parts[i]] !== 'object') {
+      target[parts[i]] = {};
+    }
+    target = target[parts[i]];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split('.');
+  let target = doc;
+  for (let i = 0; i < parts.length - 1; i++) {
+    target = target[parts[i]];
+    if (target === null || typeof target !== 'object') return;
+  }
+  delete target[parts[parts.length - 1]];
+}
+
+/**
+ * 值比较（按BSON类型顺序的简化实现）
+ */
+function typeRank(value) {
+  if (value === null || value === undefined) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (Array.isArray(value)) return 5;
+  if (value instanceof ObjectId) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  return 4;
+}
+
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (a === null || a === undefined) return 0;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+  const jsonA = JSON.stringify(a);
+  const jsonB = JSON.stringify(b);
+  return jsonA < jsonB ? -1 : jsonA > jsonB ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => valuesEqual(a[key], b[key]));
+  }
+  return a === b || ((a === null || a === undefined) && (b === null || b === undefined));
+}
+
+/**
+ * 对字段值（可能是数组）逐个元素判断
+ */
+function anyValue(value, predicate) {
+  if (Array.isArray(value)) {
+    return predicate(value) || value.some(item => predicate(item));
+  }
+  return predicate(value);
+}
+
+function matchOperator(value, operator, operand, condition) {
+  switch (operator) {
+    case '$eq':
+      return anyValue(value, item => valuesEqual(item, operand));
+    case '$ne':
+      return !anyValue(value, item => valuesEqual(item, operand));
+    case '$gt':
+      return anyValue(value, item => item !== undefined && typeRank(item) === typeRank(operand) && compareValues(item, operand) > 0);
+    case '$gte':
+      return anyValue(value, item => item !== undefined && typeRank(item) === typeRank(operand) && compareValues(item, operand) >= 0);
+    case '$lt':
+      return anyValue(value, item => item !== undefined && typeRank(item) === typeRank(operand) && compareValues(item, operand) < 0);
+    case '$lte':
+      return anyValue(value, item => item !== undefined && typeRank(item) === typeRank(operand) && compareValues(item, operand) <= 0);
+    case '$in':
+      return operand.some(candidate => matchCondition(value, candidate));
+    case '$nin':
+      return !operand.some(candidate => matchCondition(value, candidate));
+    case '$exists':
+      return operand ? value !== undefined : value === undefined;
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return anyValue(value, item => typeof item === 'string' && regex.test(item));
+    }
+    case '$options':
+      return true;
+    case '$not':
+      return !matchCondition(value, operand);
+    case '$size':
+      return Array.isArray(value) && value.length === operand;
+    case '$all':
+      return Array.isArray(value) && operand.every(candidate => value.some(item => valuesEqual(item, candidate)));
+    case '$elemMatch':
+      return Array.isArray(value) && value.some(item =>
+        isOperatorObject(operand) ? matchCondition(item, operand) : matchFilter(item, operand)
+      );
+    default:
+      throw new Error(`内存数据库不支持的查询操作符: ${operator}`);
+  }
+}
+
+function matchCondition(value, condition) {
+  if (condition instanceof RegExp) {
+    return anyValue(value, item => typeof item === 'string' && condition.test(item));
+  }
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) =>
+      matchOperator(value, operator, operand, condition)
+    );
+  }
+  return anyValue(value, item => valuesEqual(item, condition));
+}
+
+/**
+ * 判断文档是否匹配查询条件
+ */
+function matchFilter(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(sub => matchFilter(doc, sub));
+      case '$or':
+        return condition.some(sub => matchFilter(doc, sub));
+      case '$nor':
+        return !condition.some(sub => matchFilter(doc, sub));
+      case '$expr':
+        return Boolean(evaluateExpression(doc, condition));
+      default:
+        return matchCondition(getPath(doc, key), condition);
+    }
+  });
+}
+
+/**
+ * 聚合表达式求值（常用操作符子集）
+ */
+function evaluateExpression(doc, expr) {
+  if (typeof expr === 'string' && expr.startsWith('$')) {
+    return getPath(doc, expr.slice(1));
+  }
+  if (Array.isArray(expr)) {
+    return expr.map(item => evaluateExpression(doc, item));
+  }
+  if (!isOperatorObject(expr)) {
+    if (isPlainObject(expr)) {
+      const result = {};
+      for (const [key, value] of Object.entries(expr)) {
+        result[key] = evaluateExpression(doc, value);
+      }
+      return result;
+    }
+    return expr;
+  }
+
+  const [operator, rawArgs] = Object.entries(expr)[0];
+  if (operator === '$literal') return rawArgs;
+  if (operator === '$meta') return rawArgs === 'textScore' ? (textScores.get(doc) ?? null) : null;
+  const args = evaluateExpression(doc, rawArgs);
+  const list = Array.isArray(args) ? args : [args];
+
+  switch (operator) {
+    case '$add': return list.reduce((sum, item) => sum + (Number(item) || 0), 0);
+    case '$subtract': return (Number(list[0]) || 0) - (Number(list[1]) || 0);
+    case '$multiply': return list.reduce((product, item) => product * (Number(item) || 0), 1);
+    case '$divide': return list[1] ? list[0] / list[1] : null;
+    case '$ln': return list[0] > 0 ? Math.log(list[0]) : null;
+    case '$ifNull': return list.find(item => item !== null && item !== undefined) ?? null;
+    case '$toLower': return String(list[0] ?? '').toLowerCase();
+    case '$toUpper': return String(list[0] ?? '').toUpperCase();
+    case '$toString': return list[0] === null || list[0] === undefined ? null : String(list[0]);
+    case '$concat': return list.map(item => item ?? '').join('');
+    case '$size': {
+      const value = Array.isArray(rawArgs) ? list[0] : args;
+      return Array.isArray(value) ? value.length : 0;
+    }
+    case '$substrCP': return String(list[0] ?? '').substr(list[1], list[2]);
+    case '$slice': {
+      if (!Array.isArray(list[0])) return null;
+      if (list.length > 2) return list[0].slice(list[1], list[1] + list[2]);
+      return list[1] < 0 ? list[0].slice(list[1]) : list[0].slice(0, list[1]);
+    }
+    case '$eq': return valuesEqual(list[0], list[1]);
+    case '$ne': return !valuesEqual(list[0], list[1]);
+    case '$gt': return compareValues(list[0], list[1]) > 0;
+    case '$gte': return compareValues(list[0], list[1]) >= 0;
+    case '$lt': return compareValues(list[0], list[1]) < 0;
+    case '$lte': return compareValues(list[0], list[1]) <= 0;
+    case '$and': return list.every(Boolean);
+    case '$or': return list.some(Boolean);
+    case '$not': return !list[0];
+    case '$in': return Array.isArray(list[1]) && list[1].some(item => valuesEqual(item, list[0]));
+    case '$cond': {
+      if (Array.isArray(rawArgs)) return list[0] ? list[1] : list[2];
+      return args.if ? args.then : args.else;
+    }
+    default:
+      throw new Error(`内存数据库不支持的表达式: ${operator}`);
+  }
+}
+
+/**
+ * 应用更新操作符
+ */
+function applyUpdate(doc, update, isInsert = false) {
+  const operators = Object.keys(update);
+  if (!operators.every(op => op.startsWith('$'))) {
+    // 替换文档
+    const replacement = cloneValue(update);
+    Object.keys(doc).forEach(key => { if (key !== '_id') delete doc[key]; });
+    Object.assign(doc, replacement, { _id: doc._id });
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, operand] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, cloneValue(operand));
+          break;
+        case '$setOnInsert':
+          if (isInsert) setPath(doc, path, cloneValue(operand));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (Number(current) || 0) + operand);
+          break;
+        case '$min':
+          if (current === undefined || compareValues(operand, current) < 0) setPath(doc, path, cloneValue(operand));
+          break;
+        case '$max':
+          if (current === undefined || compareValues(operand, current) > 0) setPath(doc, path, cloneValue(operand));
+          break;
+        case '$currentDate':
+          setPath(doc, path, new Date());
+          break;
+        case '$push': {
+          const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+          let list = Array.isArray(current) ? current.slice() : [];
+          list.push(...items.map(cloneValue));
+          if (isPlainObject(operand) && typeof operand.$slice === 'number') {
+            list = operand.$slice < 0 ? list.slice(operand.$slice) : list.slice(0, operand.$slice);
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(operand) && operand.$each ? operand.$each : [operand];
+          const list = Array.isArray(current) ? current.slice() : [];
+          items.forEach(item => {
+            if (!list.some(existing => valuesEqual(existing, item))) list.push(cloneValue(item));
+          });
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull':
+          if (Array.isArray(current)) {
+            setPath(doc, path, current.filter(item =>
+              isPlainObject(operand) && !isOperatorObject(operand)
+                ? !matchFilter(item, operand)
+                : !matchCondition(item, operand)
+            ));
+          }
+          break;
+        default:
+          throw new Error(`内存数据库不支持的更新操作符: ${operator}`);
+      }
+    }
+  }
+}
+
+/**
+ * 应用投影
+ */
+function applyProjection(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+
+  const entries = Object.entries(projection).filter(([key]) => key !== '_id');
+  const inclusive = entries.some(([, value]) => value && value !== 0);
+
+  if (inclusive) {
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false) result._id = doc._id;
+    for (const [key, value] of entries) {
+      if (!value) continue;
+      const fieldValue = value === 1 || value === true ? getPath(doc, key) : evaluateExpression(doc, value);
+      if (fieldValue !== undefined) setPath(result, key, fieldValue);
+    }
+    return result;
+  }
+
+  const result = cloneValue(doc);
+  Object.entries(projection).forEach(([key, value]) => { if (!value) unsetPath(result, key); });
+  return result;
+}
+
+function sortDocuments(docs, sort = {}) {
+  const keys = Object.entries(sort);
+  if (keys.length === 0) return docs;
+  return docs.slice().sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const diff = compareValues(getPath(a, key), getPath(b, key));
+      if (diff !== 0) return direction < 0 ? -diff : diff;
+    }
+    return 0;
+  });
+}
+
+/**
+ * 由查询条件中的等值字段构造upsert基础文档
+ */
+function upsertBase(filter) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    if (isOperatorObject(value)) {
+      if ('$eq' in value) setPath(doc, key, cloneValue(value.$eq));
+      continue;
+    }
+    if (!(value instanceof RegExp)) setPath(doc, key, cloneValue(value));
+  }
+  return doc;
+}
+
+/**
+ * 全文检索（$text）的简化实现：
+ * 按空白和标点切词、不区分大小写、不做词干提取；各检索词之间为“或”，"短语" 要求原文包含，-词 表示排除
+ * 得分为各字段 权重 × (0.5 + 0.5 × 词频 / 字段词数) 之和
+ */
+const textScores = new WeakMap();
+
+function tokenizeText(text) {
+  return String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function parseTextSearch(search) {
+  const phrases = [];
+  const text = String(search).replace(/"([^"]*)"/g, (_, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return ' ';
+  });
+  const terms = [];
+  const negated = [];
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.startsWith('-')) {
+      negated.push(...tokenizeText(word.slice(1)));
+    } else {
+      terms.push(...tokenizeText(word));
+    }
+  });
+  phrases.forEach(phrase => terms.push(...tokenizeText(phrase)));
+  return { terms: [...new Set(terms)], negated, phrases };
+}
+
+function selectTextMatches(docs, indexSpecs, { $search }) {
+  const index = indexSpecs.find(spec => Object.values(spec.key).includes('text'));
+  if (!index) {
+    throw createServerError('text index required for $text query', 27);
+  }
+
+  const fields = Object.keys(index.key).filter(field => index.key[field] === 'text');
+  const weights = index.weights || {};
+  const { terms, negated, phrases } = parseTextSearch($search);
+
+  return docs.filter(doc => {
+    const values = fields.map(field => {
+      const value = getPath(doc, field);
+      return Array.isArray(value) ? value.join(' ') : String(value ?? '');
+    });
+    const fullText = values.join(' ').toLowerCase();
+    if (phrases.some(phrase => !fullText.includes(phrase))) return false;
+
+    let score = 0;
+    let excluded = false;
+    values.forEach((value, i) => {
+      const tokens = tokenizeText(value);
+      if (negated.some(term => tokens.includes(term))) excluded = true;
+      terms.forEach(term => {
+        const frequency = tokens.filter(token => token === term).length;
+        if (frequency > 0) {
+          score += (weights[fields[i]] || 1) * (0.5 + 0.5 * frequency / tokens.length);
+        }
+      });
+    });
+
+    if (excluded || score === 0) return false;
+    textScores.set(doc, score);
+    return true;
+  });
+}
+
+/**
+ * 按查询条件筛选文档，条件中的 $text 使用集合的文本索引
+ */
+function selectDocuments(docs, indexSpecs, filter = {}) {
+  if (!filter || !filter.$text) {
+    return docs.filter(doc => matchFilter(doc, filter));
+  }
+  const { $text, ...rest } = filter;
+  return selectTextMatches(docs, indexSpecs, $text).filter(doc => matchFilter(doc, rest));
+}
+
+/**
+ * 查询游标
+ */
+class MemoryCursor {
+  constructor(loader) {
+    this.loader = loader;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = 0;
+    this.projectionSpec = null;
+  }
+
+  sort(spec) { this.sortSpec = spec; return this; }
+  skip(count) { this.skipCount = count; return this; }
+  limit(count) { this.limitCount = count; return this; }
+  project(spec) { this.projectionSpec = spec; return this; }
+  batchSize() { return this; }
+
+  async toArray() {
+    let docs = this.loader();
+    if (this.sortSpec) docs = sortDocuments(docs, this.sortSpec);
+    if (this.skipCount) docs = docs.slice(this.skipCount);
+    if (this.limitCount) docs = docs.slice(0, this.limitCount);
+    return docs.map(doc => cloneValue(applyProjection(doc, this.projectionSpec)));
+  }
+
+  async next() {
+    if (!this.buffer) this.buffer = await this.toArray();
+    return this.buffer.length ? this.buffer.shift() : null;
+  }
+
+  async hasNext() {
+    if (!this.buffer) this.buffer = await this.toArray();
+    return this.buffer.length > 0;
+  }
+
+  async close() {
+    this.buffer = [];
+  }
+
+  async *[Symbol.asyncIterator]() {
+    const docs = await this.toArray();
+    for (const doc of docs) yield doc;
+  }
+}
+
+/**
+ * 集合
+ */
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+  }
+
+  get docs() {
+    return this.db.store(this.collectionName).docs;
+  }
+
+  get indexSpecs() {
+    return this.db.store(this.collectionName).indexes;
+  }
+
+  checkUnique(doc, ignoreDoc = null) {
+    const uniqueIndexes = [{ key: { _id: 1 } }, ...this.indexSpecs.filter(index => index.unique)];
+    for (const index of uniqueIndexes) {
+      const fields = Object.keys(index.key);
+      const values = fields.map(field => getPath(doc, field));
+      if (index.sparse && values.every(value => value === undefined)) continue;
+      if (index.partialFilterExpression && !matchFilter(doc, index.partialFilterExpression)) continue;
+      const conflict = this.docs.some(existing =>
+        existing !== ignoreDoc &&
+        (!index.partialFilterExpression || matchFilter(existing, index.partialFilterExpression)) &&
+        fields.every((field, i) => valuesEqual(getPath(existing, field), values[i]))
+      );
+      if (conflict) {
+        throw createServerError(
+          `E11000 duplicate key error collection: ${this.collectionName} index: ${index.name || fields.join('_')}`,
+          11000
+        );
+      }
+    }
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor(() => selectDocuments(this.docs, this.indexSpecs, filter));
+    if (options.projection) cursor.project(options.projection);
+    if (options.sort) cursor.sort(options.sort);
+    if (options.skip) cursor.skip(options.skip);
+    if (options.limit) cursor.limit(options.limit);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async insertOne(doc) {
+    const stored = cloneValue(doc);
+    if (stored._id === undefined) {
+      stored._id = new ObjectId();
+      doc._id = stored._id;
+    }
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (let i = 0; i < docs.length; i++) {
+      const result = await this.insertOne(docs[i]);
+      insertedIds[i] = result.insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  updateDocument(doc, update) {
+    const updated = cloneValue(doc);
+    applyUpdate(updated, update);
+    this.checkUnique(updated, doc);
+    this.docs[this.docs.indexOf(doc)] = updated;
+    return updated;
+  }
+
+  upsertDocument(filter, update) {
+    const doc = upsertBase(filter);
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.docs.find(item => matchFilter(item, filter));
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = this.upsertDocument(filter, update);
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+      }
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    }
+    this.updateDocument(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const matched = this.docs.filter(item => matchFilter(item, filter));
+    if (matched.length === 0 && options.upsert) {
+      return this.updateOne(filter, update, options);
+    }
+    matched.forEach(doc => this.updateDocument(doc, update));
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    return this.updateOne(filter, replacement, options);
+  }
+
+  async bulkWrite(operations) {
+    const result = { acknowledged: true, insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+    for (const operation of operations) {
+      if (operation.insertOne) {
+        await this.insertOne(operation.insertOne.document);
+        result.insertedCount++;
+      } else if (operation.updateOne) {
+        const { filter, update, upsert } = operation.updateOne;
+        const updated = await this.updateOne(filter, update, { upsert });
+        result.matchedCount += updated.matchedCount;
+        result.modifiedCount += updated.modifiedCount;
+        result.upsertedCount += updated.upsertedCount;
+      } else {
+        throw new Error(`内存数据库不支持的批量操作: ${Object.keys(operation)[0]}`);
+      }
+    }
+    return result;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    let candidates = this.docs.filter(item => matchFilter(item, filter));
+    if (options.sort) candidates = sortDocuments(candidates, options.sort);
+    const doc = candidates[0];
+    const after = options.returnDocument === 'after';
+
+    let result = null;
+    if (!doc) {
+      if (options.upsert) {
+        const inserted = this.upsertDocument(filter, update);
+        result = after ? inserted : null;
+      }
+    } else {
+      const updated = this.updateDocument(doc, update);
+      result = after ? updated : doc;
+    }
+
+    result = result ? cloneValue(applyProjection(result, options.projection)) : null;
+    return options.includeResultMetadata ? { value: result, ok: 1 } : result;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    let candidates = this.docs.filter(item => matchFilter(item, filter));
+    if (options.sort) candidates = sortDocuments(candidates, options.sort);
+    const doc = candidates[0];
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return cloneValue(doc);
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex(item => matchFilter(item, filter));
+    if (index === -1) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const remaining = this.docs.filter(item => !matchFilter(item, filter));
+    const deletedCount = this.docs.length - remaining.length;
+    this.db.store(this.collectionName).docs = remaining;
+    return { acknowledged: true, deletedCount };
+  }
+
+  async countDocuments(filter = {}) {
+    return selectDocuments(this.docs, this.indexSpecs, filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    this.docs.filter(doc => matchFilter(doc, filter)).forEach(doc => {
+      const value = getPath(doc, field);
+      (Array.isArray(value) ? value : [value]).forEach(item => {
+        if (item !== undefined && !values.some(existing => valuesEqual(existing, item))) values.push(item);
+      });
+    });
+    return values;
+  }
+
+  async createIndexes(indexes) {
+    indexes.forEach(index => {
+      const name = index.name || Object.entries(index.key).map(([key, value]) => `${key}_${value}`).join('_');
+      if (!this.indexSpecs.some(existing => existing.name === name)) {
+        this.indexSpecs.push({ ...index, name });
+      }
+    });
+    return indexes.map(index => index.name || Object.entries(index.key).map(([key, value]) => `${key}_${value}`).join('_'));
+  }
+
+  async createIndex(key, options = {}) {
+    const [name] = await this.createIndexes([{ key, ...options }]);
+    return name;
+  }
+
+  async indexes() {
+    return this.indexSpecs.slice();
+  }
+
+  async dropIndex(name) {
+    const store = this.db.store(this.collectionName);
+    store.indexes = store.indexes.filter(index => index.name !== name);
+  }
+
+  aggregate(pipeline = []) {
+    return new MemoryCursor(() => {
+      // $text 只能出现在第一个 $match 阶段
+      const [first, ...rest] = pipeline;
+      if (first && first.$match && first.$match.$text) {
+        return runPipeline(this.db, selectDocuments(this.docs, this.indexSpecs, first.$match), rest);
+      }
+      return runPipeline(this.db, this.docs.slice(), pipeline);
+    });
+  }
+}
+
+/**
+ * 执行聚合管道（常用阶段子集）
+ */
+function runPipeline(db, docs, pipeline) {
+  let result = docs;
+  for (const stage of pipeline) {
+    const [name, spec] = Object.entries(stage)[0];
+    switch (name) {
+      case '$match':
+        result = result.filter(doc => matchFilter(doc, spec));
+        break;
+      case '$sort':
+        result = sortDocuments(result, spec);
+        break;
+      case '$skip':
+        result = result.slice(spec);
+        break;
+      case '$limit':
+        result = result.slice(0, spec);
+        break;
+      case '$project':
+        result = result.map(doc => applyProjection(doc, spec));
+        break;
+      case '$addFields':
+      case '$set':
+        result = result.map(doc => {
+          const copy = cloneValue(doc);
+          for (const [key, expr] of Object.entries(spec)) setPath(copy, key, evaluateExpression(doc, expr));
+          if (textScores.has(doc)) textScores.set(copy, textScores.get(doc));
+          return copy;
+        });
+        break;
+      case '$unwind': {
+        const path = (typeof spec === 'string' ? spec : spec.path).slice(1);
+        const keepEmpty = typeof spec === 'object' && spec.preserveNullAndEmptyArrays;
+        result = result.flatMap(doc => {
+          const value = getPath(doc, path);
+          if (!Array.isArray(value) || value.length === 0) {
+            return keepEmpty || (value !== undefined && !Array.isArray(value)) ? [doc] : [];
+          }
+          return value.map(item => {
+            const copy = cloneValue(doc);
+            setPath(copy, path, item);
+            return copy;
+          });
+        });
+        break;
+      }
+      case '$group':
+        result = groupDocuments(result, spec);
+        break;
+      case '$count':
+        result = [{ [spec]: result.length }];
+        break;
+      case '$facet': {
+        const facets = {};
+        for (const [key, subPipeline] of Object.entries(spec)) {
+          facets[key] = runPipeline(db, result, subPipeline);
+        }
+        result = [facets];
+        break;
+      }
+      case '$lookup':
+        result = result.map(doc => {
+          const localValue = getPath(doc, spec.localField);
+          const matches = db.store(spec.from).docs.filter(foreign =>
+            anyValue(localValue, item => anyValue(getPath(foreign, spec.foreignField), other => valuesEqual(item, other)))
+          );
+          return { ...doc, [spec.as]: matches.map(cloneValue) };
+        });
+        break;
+      default:
+        throw new Error(`内存数据库不支持的聚合阶段: ${name}`);
+    }
+  }
+  return result;
+}
+
+function groupDocuments(docs, spec) {
+  const groups = new Map();
+  const { _id: idExpr, ...accumulators } = spec;
+
+  for (const doc of docs) {
+    const id = evaluateExpression(doc, idExpr);
+    const key = JSON.stringify(id instanceof ObjectId ? id.toHexString() : id);
+    if (!groups.has(key)) groups.set(key, { _id: id, docs: [] });
+    groups.get(key).docs.push(doc);
+  }
+
+  return Array.from(groups.values()).map(group => {
+    const output = { _id: group._id };
+    for (const [field, accumulator] of Object.entries(accumulators)) {
+      const [operator, expr] = Object.entries(accumulator)[0];
+      const values = group.docs.map(doc => evaluateExpression(doc, expr));
+      switch (operator) {
+        case '$sum':
+          output[field] = values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+          break;
+        case '$avg': {
+          const numbers = values.filter(value => typeof value === 'number');
+          output[field] = numbers.length ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+          break;
+        }
+        case '$min':
+          output[field] = values.filter(v => v !== undefined).sort(compareValues)[0] ?? null;
+          break;
+        case '$max':
+          output[field] = values.filter(v => v !== undefined).sort(compareValues).pop() ?? null;
+          break;
+        case '$first':
+          output[field] = values[0] ?? null;
+          break;
+        case '$last':
+          output[field] = values[values.length - 1] ?? null;
+          break;
+        case '$push':
+          output[field] = values;
+          break;
+        case '$addToSet':
+          output[field] = values.filter((value, i) => value !== undefined && values.findIndex(other => valuesEqual(other, value)) === i);
+          break;
+        default:
+          throw new Error(`内存数据库不支持的分组操作符: ${operator}`);
+      }
+    }
+    return output;
+  });
+}
+
+/**
+ * 会话与事务（事务串行执行，失败时回滚快照）
+ */
+class MemorySession {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async withTransaction(fn) {
+    const release = await this.client.acquireLock();
+    const snapshot = this.client.snapshot();
+    try {
+      const result = await fn(this);
+      return result;
+    } catch (error) {
+      this.client.restore(snapshot);
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  async endSession() {}
+}
+
+class MemoryDb {
+  constructor(client, name) {
+    this.client = client;
+    this.databaseName = name;
+  }
+
+  store(name) {
+    const key = `${this.databaseName}.${name}`;
+    if (!this.client.data.has(key)) {
+      this.client.data.set(key, { docs: [], indexes: [] });
+    }
+    return this.client.data.get(key);
+  }
+
+  collection(name) {
+    return new MemoryCollection(this, name);
+  }
+
+  async createCollection(name) {
+    const key = `${this.databaseName}.${name}`;
+    if (this.client.data.has(key)) {
+      throw createServerError(`Collection ${key} already exists`, 48);
+    }
+    this.store(name);
+    return this.collection(name);
+  }
+
+  admin() {
+    return { ping: async () => ({ ok: 1 }) };
+  }
+}
+
+/**
+ * 内存客户端（接口与 MongoClient 保持一致）
+ */
+class MemoryClient {
+  constructor() {
+    this.data = new Map();
+    this.lock = Promise.resolve();
+  }
+
+  async connect() {
+    return this;
+  }
+
+  db(name) {
+    return new MemoryDb(this, name);
+  }
+
+  startSession() {
+    return new MemorySession(this);
+  }
+
+  async acquireLock() {
+    let release;
+    const previous = this.lock;
+    this.lock = new Promise(resolve => { release = resolve; });
+    await previous;
+    return release;
+  }
+
+  snapshot() {
+    const copy = new Map();
+    for (const [key, store] of this.data) {
+      copy.set(key, { docs: store.docs.map(cloneValue), indexes: store.indexes.slice() });
+    }
+    return copy;
+  }
+
+  restore(snapshot) {
+    this.data = snapshot;
+  }
+
+  async close() {}
+}
+
+module.exports = {
+  MemoryClient,
+  matchFilter
+};